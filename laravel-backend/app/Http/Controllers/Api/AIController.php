@@ -9,6 +9,7 @@
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Support\Facades\Validator;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class AIController extends Controller
 {
@@ -26,7 +27,7 @@ public function __construct(
         $this->indexingService = $indexingService;
     }
 
-    public function ask(Request $request): JsonResponse
+    public function ask(Request $request): JsonResponse|StreamedResponse
     {
         $validator = Validator::make($request->all(), [
             'prompt' => 'required|string|max:10000',
@@ -39,6 +40,7 @@ public function ask(Request $request): JsonResponse
             'temperature' => 'nullable|numeric|min:0|max:2',
             'focus_area' => 'nullable|string|in:general,debugging,refactoring,testing',
             'include_tests' => 'nullable|boolean',
+            'stream' => 'nullable|boolean',
         ]);
 
         if ($validator->fails()) {
@@ -84,16 +86,29 @@ public function ask(Request $request): JsonResponse
             // Fallback to provided context if no intelligent context available
             $finalContext = $intelligentContext ?: $request->input('context', '');
 
-            $response = $this->aiModelService->askQuestion($prompt, $finalContext, $model);
-
-            // Add context metadata to response
-            $response['context_used'] = [
+            $contextUsed = [
                 'type' => $intelligentContext ? 'intelligent' : 'provided',
                 'token_count' => $contextData['total_tokens'] ?? 0,
                 'files_referenced' => count($contextData['related_files'] ?? []),
                 'dependencies_included' => count($contextData['dependencies'] ?? []),
             ];
 
+            if ($request->boolean('stream')) {
+                return $this->streamEvents(function (callable $emit) use ($prompt, $finalContext, $model, $contextUsed) {
+                    $response = $this->aiModelService->streamQuestion($prompt, $finalContext, $model, $emit);
+
+                    return [
+                        'model' => $response['model'],
+                        'context_used' => $contextUsed,
+                    ];
+                });
+            }
+
+            $response = $this->aiModelService->askQuestion($prompt, $finalContext, $model);
+
+            // Add context metadata to response
+            $response['context_used'] = $contextUsed;
+
             return response()->json($response);
 
         } catch (\Exception $e) {
@@ -119,6 +134,8 @@ public function indexWorkspace(Request $request): JsonResponse
         $validator = Validator::make($request->all(), [
             'workspace_path' => 'required|string|max:500',
             'force_reindex' => 'nullable|boolean',
+            'exclude_globs' => 'nullable|array|max:200',
+            'exclude_globs.*' => 'string|max:500',
         ]);
 
         if ($validator->fails()) {
@@ -131,7 +148,7 @@ public function indexWorkspace(Request $request): JsonResponse
         try {
             $userId = auth()->id();
             $workspacePath = $request->input('workspace_path');
-            $forceReindex = $request->input('force_reindex', false);
+            $forceReindex = $request->boolean('force_reindex');
 
             // Check if workspace exists
             if (!is_dir($workspacePath)) {
@@ -141,7 +158,7 @@ public function indexWorkspace(Request $request): JsonResponse
                 ], 404);
             }
 
-            $stats = $this->indexingService->indexWorkspace($userId, $workspacePath);
+            $stats = $this->indexingService->indexWorkspace($userId, $workspacePath, $forceReindex, $request->input('exclude_globs', []));
 
             return response()->json([
                 'message' => 'Workspace indexed successfully',
@@ -162,6 +179,63 @@ public function indexWorkspace(Request $request): JsonResponse
         }
     }
 
+    /**
+     * Incrementally index changed files and remove deleted ones
+     */
+    public function indexFiles(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'workspace_path' => 'required|string|max:500',
+            'files' => 'present|array|max:200',
+            'files.*' => 'string|max:1000',
+            'deleted' => 'nullable|array|max:1000',
+            'deleted.*' => 'string|max:1000',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        try {
+            $userId = auth()->id();
+            $workspacePath = $request->input('workspace_path');
+
+            if (!is_dir($workspacePath)) {
+                return response()->json([
+                    'error' => 'Workspace not found',
+                    'message' => 'The specified workspace path does not exist.'
+                ], 404);
+            }
+
+            $stats = $this->indexingService->indexFiles(
+                $userId,
+                $workspacePath,
+                $request->input('files', []),
+                $request->input('deleted', [])
+            );
+
+            return response()->json([
+                'message' => 'Files indexed successfully',
+                'stats' => $stats,
+            ]);
+
+        } catch (\Exception $e) {
+            \Log::error('File Indexing Error', [
+                'error' => $e->getMessage(),
+                'user_id' => auth()->id(),
+                'workspace_path' => $request->input('workspace_path'),
+            ]);
+
+            return response()->json([
+                'error' => 'Indexing failed',
+                'message' => 'Failed to index files. Please try again.'
+            ], 500);
+        }
+    }
+
     /**
      * Format context data for AI consumption
      */
@@ -278,11 +352,12 @@ public function analyze(Request $request): JsonResponse
         }
     }
 
-    public function explain(Request $request): JsonResponse
+    public function explain(Request $request): JsonResponse|StreamedResponse
     {
         $validator = Validator::make($request->all(), [
             'code' => 'required|string|max:50000',
             'language' => 'required|string|max:50',
+            'stream' => 'nullable|boolean',
         ]);
 
         if ($validator->fails()) {
@@ -296,6 +371,15 @@ public function explain(Request $request): JsonResponse
             $code = $request->input('code');
             $language = $request->input('language');
 
+            if ($request->boolean('stream')) {
+                return $this->streamEvents(function (callable $emit) use ($code, $language) {
+                    $prompt = $this->aiModelService->explainPrompt($code, $language);
+                    $response = $this->aiModelService->streamQuestion($prompt, '', 'deepseek-r1', $emit);
+
+                    return ['language' => $language, 'model' => $response['model']];
+                });
+            }
+
             $explanation = $this->aiModelService->explainCode($code, $language);
 
             return response()->json([
@@ -322,6 +406,12 @@ public function generateTests(Request $request): JsonResponse
         $validator = Validator::make($request->all(), [
             'code' => 'required|string|max:50000',
             'language' => 'required|string|max:50',
+            'framework' => 'nullable|string|max:50',
+            'source_path' => 'nullable|string|max:500',
+            'test_path' => 'nullable|string|max:500',
+            'import_hint' => 'nullable|string|max:1000',
+            'existing_tests' => 'nullable|string|max:50000',
+            'failures' => 'nullable|string|max:20000',
         ]);
 
         if ($validator->fails()) {
@@ -335,11 +425,14 @@ public function generateTests(Request $request): JsonResponse
             $code = $request->input('code');
             $language = $request->input('language');
 
-            $tests = $this->aiModelService->generateTests($code, $language);
+            $tests = $this->aiModelService->generateTests($code, $language, $request->only([
+                'framework', 'source_path', 'test_path', 'import_hint', 'existing_tests', 'failures',
+            ]));
 
             return response()->json([
                 'tests' => $tests,
                 'language' => $language,
+                'framework' => $request->input('framework'),
             ]);
 
         } catch (\Exception $e) {
@@ -361,6 +454,7 @@ public function refactor(Request $request): JsonResponse
         $validator = Validator::make($request->all(), [
             'code' => 'required|string|max:50000',
             'language' => 'required|string|max:50',
+            'goal' => 'nullable|string|in:readability,performance,extract-function,modernize,simplify',
         ]);
 
         if ($validator->fails()) {
@@ -373,12 +467,14 @@ public function refactor(Request $request): JsonResponse
         try {
             $code = $request->input('code');
             $language = $request->input('language');
+            $goal = $request->input('goal');
 
-            $refactoredCode = $this->aiModelService->refactorCode($code, $language);
+            $refactoredCode = $this->aiModelService->refactorCode($code, $language, $goal);
 
             return response()->json([
                 'refactoredCode' => $refactoredCode,
                 'language' => $language,
+                'goal' => $goal,
                 'originalLength' => strlen($code),
                 'refactoredLength' => strlen($refactoredCode),
             ]);
@@ -397,6 +493,146 @@ public function refactor(Request $request): JsonResponse
         }
     }
 
+    public function edit(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'instruction' => 'required|string|max:2000',
+            'code' => 'present|nullable|string|max:50000',
+            'language' => 'required|string|max:50',
+            'prefix' => 'nullable|string|max:20000',
+            'suffix' => 'nullable|string|max:20000',
+            'file_path' => 'nullable|string|max:500',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        try {
+            $language = $request->input('language');
+
+            $code = $this->aiModelService->editCode(
+                $request->input('instruction'),
+                $request->input('code') ?? '',
+                $language,
+                $request->input('prefix') ?? '',
+                $request->input('suffix') ?? '',
+                $request->input('file_path')
+            );
+
+            return response()->json([
+                'code' => $code,
+                'language' => $language,
+            ]);
+
+        } catch (\Exception $e) {
+            \Log::error('Code Edit Error', [
+                'error' => $e->getMessage(),
+                'user_id' => auth()->id(),
+                'language' => $request->input('language'),
+            ]);
+
+            return response()->json([
+                'error' => 'Edit failed',
+                'message' => 'Failed to edit code. Please try again.'
+            ], 500);
+        }
+    }
+
+    public function document(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'code' => 'required|string|max:50000',
+            'language' => 'required|string|max:50',
+            'file_path' => 'nullable|string|max:500',
+            'symbols' => 'required|array|min:1|max:200',
+            'symbols.*.line' => 'required|integer|min:1',
+            'symbols.*.name' => 'required|string|max:200',
+            'symbols.*.kind' => 'nullable|string|max:50',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        try {
+            $language = $request->input('language');
+
+            $comments = $this->aiModelService->documentSymbols(
+                $request->input('code'),
+                $language,
+                $request->input('symbols'),
+                $request->input('file_path')
+            );
+
+            return response()->json([
+                'comments' => $comments,
+                'language' => $language,
+            ]);
+
+        } catch (\Exception $e) {
+            \Log::error('Documentation Generation Error', [
+                'error' => $e->getMessage(),
+                'user_id' => auth()->id(),
+                'language' => $request->input('language'),
+            ]);
+
+            return response()->json([
+                'error' => 'Documentation failed',
+                'message' => 'Failed to generate documentation. Please try again.'
+            ], 500);
+        }
+    }
+
+    public function review(Request $request): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'code' => 'required|string|max:50000',
+            'language' => 'required|string|max:50',
+            'file_path' => 'nullable|string|max:500',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        try {
+            $language = $request->input('language');
+
+            $findings = $this->aiModelService->reviewFile(
+                $request->input('code'),
+                $language,
+                $request->input('file_path')
+            );
+
+            return response()->json([
+                'findings' => $findings,
+                'language' => $language,
+            ]);
+
+        } catch (\Exception $e) {
+            \Log::error('File Review Error', [
+                'error' => $e->getMessage(),
+                'user_id' => auth()->id(),
+                'language' => $request->input('language'),
+            ]);
+
+            return response()->json([
+                'error' => 'Review failed',
+                'message' => 'Failed to review the file. Please try again.'
+            ], 500);
+        }
+    }
+
     public function completions(Request $request): JsonResponse
     {
         $validator = Validator::make($request->all(), [
@@ -7,6 +7,7 @@
 use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Support\Facades\Validator;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class ChatController extends Controller
 {
@@ -17,11 +18,19 @@ public function __construct(ChatService $chatService)
         $this->chatService = $chatService;
     }
 
-    public function sendMessage(Request $request): JsonResponse
+    public function sendMessage(Request $request): JsonResponse|StreamedResponse
     {
         $validator = Validator::make($request->all(), [
             'message' => 'required|string|max:10000',
             'conversationId' => 'nullable|string|uuid',
+            'model' => 'nullable|string|in:deepseek-r1,gpt-4,claude-3,gemini-pro',
+            'stream' => 'nullable|boolean',
+            'attachments' => 'nullable|array|max:20',
+            'attachments.*.kind' => 'required|string|in:file,symbol,selection,problems,folder',
+            'attachments.*.label' => 'required|string|max:500',
+            'attachments.*.language' => 'nullable|string|max:50',
+            // Empty files are valid attachments; ConvertEmptyStringsToNull turns their content into null
+            'attachments.*.content' => 'present|nullable|string|max:200000',
         ]);
 
         if ($validator->fails()) {
@@ -34,8 +43,16 @@ public function sendMessage(Request $request): JsonResponse
         try {
             $message = $request->input('message');
             $conversationId = $request->input('conversationId');
+            $attachments = $request->input('attachments', []);
+            $model = $request->input('model');
+
+            if ($request->boolean('stream')) {
+                return $this->streamEvents(
+                    fn (callable $emit) => $this->chatService->streamMessage($message, $conversationId, $emit, $attachments, $model)
+                );
+            }
 
-            $response = $this->chatService->sendMessage($message, $conversationId);
+            $response = $this->chatService->sendMessage($message, $conversationId, $attachments, $model);
 
             return response()->json($response);
 
@@ -53,6 +70,128 @@ public function sendMessage(Request $request): JsonResponse
         }
     }
 
+    public function regenerateMessage(Request $request, string $conversationId, string $messageId): JsonResponse|StreamedResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'model' => 'nullable|string|in:deepseek-r1,gpt-4,claude-3,gemini-pro',
+            'stream' => 'nullable|boolean',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        $model = $request->input('model');
+
+        return $this->respondWithBranch(
+            $request,
+            fn (?callable $emit) => $this->chatService->regenerate($conversationId, $messageId, $model, $emit),
+            'Message not found or model not available'
+        );
+    }
+
+    public function editMessage(Request $request, string $conversationId, string $messageId): JsonResponse|StreamedResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'message' => 'required|string|max:10000',
+            'stream' => 'nullable|boolean',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        $content = $request->input('message');
+
+        return $this->respondWithBranch(
+            $request,
+            fn (?callable $emit) => $this->chatService->editMessage($conversationId, $messageId, $content, $emit),
+            'User message not found'
+        );
+    }
+
+    public function selectBranch(Request $request, string $conversationId): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'messageId' => 'required|string|uuid',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        try {
+            $selected = $this->chatService->selectBranch($conversationId, $request->input('messageId'));
+
+            if (!$selected) {
+                return response()->json([
+                    'error' => 'Message not found'
+                ], 404);
+            }
+
+            return response()->json([
+                'message' => 'Branch selected successfully'
+            ]);
+
+        } catch (\Exception $e) {
+            \Log::error('Select Branch Error', [
+                'error' => $e->getMessage(),
+                'user_id' => auth()->id(),
+                'conversation_id' => $conversationId,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to select branch'
+            ], 500);
+        }
+    }
+
+    /**
+     * Run a regenerate or edit, streamed when the client asks for it. $run returns
+     * null when the conversation or message does not exist.
+     */
+    private function respondWithBranch(Request $request, callable $run, string $notFound): JsonResponse|StreamedResponse
+    {
+        if ($request->boolean('stream')) {
+            return $this->streamEvents(
+                fn (callable $emit) => $run($emit) ?? throw new \RuntimeException($notFound)
+            );
+        }
+
+        try {
+            $response = $run(null);
+
+            if (!$response) {
+                return response()->json([
+                    'error' => $notFound
+                ], 404);
+            }
+
+            return response()->json($response);
+
+        } catch (\Exception $e) {
+            \Log::error('Chat Branch Error', [
+                'error' => $e->getMessage(),
+                'user_id' => auth()->id(),
+                'conversation_id' => $request->route('conversationId'),
+            ]);
+
+            return response()->json([
+                'error' => 'Chat service error',
+                'message' => 'Failed to get AI response. Please try again.'
+            ], 500);
+        }
+    }
+
     public function getConversation(Request $request, string $conversationId): JsonResponse
     {
         try {
@@ -75,6 +214,8 @@ public function getConversation(Request $request, string $conversationId): JsonR
                     'messages' => $conversation->messages->map(function ($message) {
                         return [
                             'id' => $message->id,
+                            'parent_id' => $message->parent_id,
+                            'branches' => $message->branches,
                             'role' => $message->role,
                             'content' => $message->content,
                             'created_at' => $message->created_at,
@@ -147,6 +288,47 @@ public function deleteConversation(Request $request, string $conversationId): Js
         }
     }
 
+    public function renameConversation(Request $request, string $conversationId): JsonResponse
+    {
+        $validator = Validator::make($request->all(), [
+            'title' => 'required|string|max:255',
+        ]);
+
+        if ($validator->fails()) {
+            return response()->json([
+                'error' => 'Validation failed',
+                'details' => $validator->errors()
+            ], 422);
+        }
+
+        try {
+            $title = trim($request->input('title'));
+            $renamed = $this->chatService->renameConversation($conversationId, $title);
+
+            if (!$renamed) {
+                return response()->json([
+                    'error' => 'Conversation not found'
+                ], 404);
+            }
+
+            return response()->json([
+                'message' => 'Conversation renamed successfully',
+                'title' => $title
+            ]);
+
+        } catch (\Exception $e) {
+            \Log::error('Rename Conversation Error', [
+                'error' => $e->getMessage(),
+                'user_id' => auth()->id(),
+                'conversation_id' => $conversationId,
+            ]);
+
+            return response()->json([
+                'error' => 'Failed to rename conversation'
+            ], 500);
+        }
+    }
+
     public function updateConversationModel(Request $request, string $conversationId): JsonResponse
     {
         $validator = Validator::make($request->all(), [
@@ -2,7 +2,53 @@
 
 namespace App\Http\Controllers;
 
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
 abstract class Controller
 {
-    //
+    /**
+     * Stream Server-Sent Events to the client.
+     *
+     * The producer receives an emitter for text deltas and returns the
+     * metadata that is sent with the final "done" event.
+     */
+    protected function streamEvents(callable $producer): StreamedResponse
+    {
+        return response()->stream(function () use ($producer) {
+            // Keep running when the client stops reading, so the producer can save what it has
+            ignore_user_abort(true);
+
+            $send = function (array $payload) {
+                if (connection_aborted()) {
+                    throw new \RuntimeException('The client closed the stream');
+                }
+
+                echo 'data: ' . json_encode($payload) . "\n\n";
+                if (ob_get_level() > 0) {
+                    ob_flush();
+                }
+                flush();
+            };
+
+            try {
+                $meta = $producer(fn (string $delta) => $send(['delta' => $delta]));
+                $send(array_merge(['done' => true], $meta ?? []));
+            } catch (\Exception $e) {
+                if (connection_aborted()) {
+                    return;
+                }
+
+                \Log::error('Stream Error', [
+                    'error' => $e->getMessage(),
+                    'user_id' => auth()->id(),
+                ]);
+
+                $send(['error' => 'Failed to get AI response. Please try again.']);
+            }
+        }, 200, [
+            'Content-Type' => 'text/event-stream',
+            'Cache-Control' => 'no-cache',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
 }
@@ -16,6 +16,7 @@ class Conversation extends Model
         'user_id',
         'title',
         'model',
+        'active_message_id',
         'last_message_at',
         'metadata',
     ];
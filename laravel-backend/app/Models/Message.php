@@ -5,6 +5,7 @@
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 use Illuminate\Database\Eloquent\Concerns\HasUuids;
 
 class Message extends Model
@@ -13,6 +14,7 @@ class Message extends Model
 
     protected $fillable = [
         'conversation_id',
+        'parent_id',
         'role',
         'content',
         'metadata',
@@ -27,6 +29,19 @@ public function conversation(): BelongsTo
         return $this->belongsTo(Conversation::class);
     }
 
+    /**
+     * The message this one answers or follows; siblings share a parent and are alternative branches.
+     */
+    public function parent(): BelongsTo
+    {
+        return $this->belongsTo(Message::class, 'parent_id');
+    }
+
+    public function children(): HasMany
+    {
+        return $this->hasMany(Message::class, 'parent_id');
+    }
+
     public function isUser(): bool
     {
         return $this->role === 'user';
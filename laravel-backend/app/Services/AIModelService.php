@@ -9,6 +9,9 @@
 
 class AIModelService
 {
+    // Mirrored by PromptBuilder.repairInstructions in the extension
+    private const REPAIR_INSTRUCTIONS = 'Reply with the complete corrected test file. Fix mistakes in the tests themselves, such as imports, setup, syntax or wrong assumptions about the API. If a failure reveals a real bug in the code under test, keep that test as it is and put a comment starting with "SUSPECTED BUG:" and the reason on the line above it.';
+
     private Client $httpClient;
     private array $modelConfigs;
 
@@ -78,6 +81,87 @@ public function askQuestion(string $prompt, string $context = '', string $model
         }
     }
 
+    /**
+     * Stream a response, calling $onDelta for every text fragment.
+     * OpenAI-compatible models stream natively; other models deliver a single fragment.
+     */
+    public function streamQuestion(string $prompt, string $context, string $model, callable $onDelta): array
+    {
+        if (!in_array($model, ['deepseek-r1', 'gpt-4'], true)) {
+            $response = $this->askQuestion($prompt, $context, $model);
+            $onDelta($response['response']);
+            return $response;
+        }
+
+        $config = $this->modelConfigs[$model];
+
+        if (empty($config['key'])) {
+            throw new \RuntimeException("API key not configured for model: {$model}");
+        }
+
+        $fullPrompt = $context ? "{$context}\n\n{$prompt}" : $prompt;
+
+        $response = $this->httpClient->post($config['url'], [
+            'headers' => [
+                'Authorization' => 'Bearer ' . $config['key'],
+                'Content-Type' => 'application/json',
+            ],
+            'json' => [
+                'model' => $config['model'],
+                'messages' => [
+                    ['role' => 'user', 'content' => $fullPrompt]
+                ],
+                'max_tokens' => $config['max_tokens'],
+                'temperature' => $config['temperature'],
+                'stream' => true,
+            ],
+            'stream' => true,
+            'timeout' => 0,
+            'read_timeout' => 30,
+        ]);
+
+        $body = $response->getBody();
+        $buffer = '';
+        $text = '';
+
+        while (!$body->eof()) {
+            $buffer .= $body->read(1024);
+
+            while (($position = strpos($buffer, "\n")) !== false) {
+                $line = trim(substr($buffer, 0, $position));
+                $buffer = substr($buffer, $position + 1);
+
+                if (!str_starts_with($line, 'data:')) {
+                    continue;
+                }
+
+                $data = trim(substr($line, 5));
+                if ($data === '[DONE]') {
+                    break 2;
+                }
+
+                $chunk = json_decode($data, true);
+                $delta = $chunk['choices'][0]['delta']['content'] ?? '';
+
+                if ($delta !== '') {
+                    $text .= $delta;
+                    $onDelta($delta);
+                }
+            }
+        }
+
+        return [
+            'response' => $text,
+            'model' => $config['model'],
+            'usage' => null,
+        ];
+    }
+
+    public function explainPrompt(string $code, string $language): string
+    {
+        return "Explain the following {$language} code in detail, including what it does, how it works, and any important concepts:\n\n```{$language}\n{$code}\n```";
+    }
+
     public function analyzeCode(string $code, string $language): string
     {
         $prompt = "Analyze the following {$language} code and provide insights about its structure, potential issues, and suggestions for improvement:\n\n```{$language}\n{$code}\n```";
@@ -88,13 +172,19 @@ public function analyzeCode(string $code, string $language): string
 
     public function explainCode(string $code, string $language): string
     {
-        $prompt = "Explain the following {$language} code in detail, including what it does, how it works, and any important concepts:\n\n```{$language}\n{$code}\n```";
+        $prompt = $this->explainPrompt($code, $language);
         
         $response = $this->askQuestion($prompt, '', 'deepseek-r1');
         return $response['response'];
     }
 
-    public function generateTests(string $code, string $language): string
+    /**
+     * `$options` may name the framework, the source and test file paths, how
+     * to import the code under test, and the current contents of the test
+     * file; with existing tests the reply is the whole updated file. With
+     * `failures` (the output of running that file) the tests are repaired.
+     */
+    public function generateTests(string $code, string $language, array $options = []): string
     {
         $testFrameworks = [
             'javascript' => 'Jest',
@@ -105,22 +195,169 @@ public function generateTests(string $code, string $language): string
             'csharp' => 'NUnit',
         ];
 
-        $framework = $testFrameworks[$language] ?? 'appropriate testing framework';
+        $framework = $options['framework'] ?? $testFrameworks[$language] ?? 'appropriate testing framework';
         
         $prompt = "Generate comprehensive unit tests for the following {$language} code using {$framework}. Include edge cases and error scenarios:\n\n```{$language}\n{$code}\n```";
+
+        if (!empty($options['test_path'])) {
+            $source = empty($options['source_path']) ? '' : " for {$options['source_path']}";
+            $prompt .= "\n\nThe tests go in {$options['test_path']}{$source}.";
+        }
+        if (!empty($options['import_hint'])) {
+            $prompt .= " {$options['import_hint']}";
+        }
+        if (!empty($options['existing_tests']) && !empty($options['failures'])) {
+            $prompt .= "\n\nThe test file currently contains:\n\n```{$language}\n{$options['existing_tests']}\n```\n\nRunning it fails with:\n\n```text\n{$options['failures']}\n```\n\n" . self::REPAIR_INSTRUCTIONS;
+        } elseif (!empty($options['existing_tests'])) {
+            $prompt .= "\n\nThe test file already contains:\n\n```{$language}\n{$options['existing_tests']}\n```\n\nReply with the complete updated test file: keep every existing test and import unchanged, add only cases that are not covered yet, and add any imports they need.";
+        } else {
+            $prompt .= "\n\nReply with the complete test file, including the imports it needs, in a single code block.";
+        }
         
         $response = $this->askQuestion($prompt, '', 'deepseek-r1');
         return $response['response'];
     }
 
-    public function refactorCode(string $code, string $language): string
+    public function refactorCode(string $code, string $language, ?string $goal = null): string
     {
-        $prompt = "Refactor the following {$language} code to improve readability, performance, and maintainability while preserving functionality:\n\n```{$language}\n{$code}\n```\n\nProvide only the refactored code without explanations.";
+        $goals = [
+            'readability' => 'improve readability with clearer names, smaller functions and simpler control flow',
+            'performance' => 'improve performance by avoiding unnecessary work, allocations and repeated lookups',
+            'extract-function' => 'extract cohesive parts into well-named functions',
+            'modernize' => "modernise the syntax using current {$language} idioms and language features",
+            'simplify' => 'reduce complexity by flattening nested conditionals with early returns, simplifying boolean expressions and removing duplication',
+        ];
+        $aim = $goals[$goal] ?? 'improve readability, performance, and maintainability';
+
+        $prompt = "Refactor the following {$language} code to {$aim} while preserving functionality:\n\n```{$language}\n{$code}\n```\n\nProvide only the refactored code without explanations.";
         
         $response = $this->askQuestion($prompt, '', 'deepseek-r1');
         return $response['response'];
     }
 
+    /**
+     * Rewrite `$code` following a free-form instruction. The surrounding
+     * lines are context only; the reply must be the replacement for `$code`
+     * alone, or new code to insert when `$code` is empty.
+     */
+    public function editCode(string $instruction, string $code, string $language, string $prefix = '', string $suffix = '', ?string $filePath = null): string
+    {
+        $prompt = $this->editPrompt($instruction, $code, $language, $prefix, $suffix, $filePath);
+
+        $response = $this->askQuestion($prompt, '', 'deepseek-r1');
+        return $response['response'];
+    }
+
+    public function editPrompt(string $instruction, string $code, string $language, string $prefix = '', string $suffix = '', ?string $filePath = null): string
+    {
+        $file = $filePath ? " in {$filePath}" : '';
+        $target = $code === ''
+            ? "Write new {$language} code to insert at the marked position{$file}."
+            : "Rewrite the following {$language} code{$file}.";
+
+        $prompt = "{$target}\n\nInstruction: {$instruction}\n\n";
+        if ($prefix !== '' || $suffix !== '') {
+            $prompt .= "Surrounding code, for context only:\n```{$language}\n{$prefix}<<<EDIT>>>\n{$suffix}\n```\n\n";
+        }
+        if ($code !== '') {
+            $prompt .= "Code to rewrite (it replaces <<<EDIT>>>):\n```{$language}\n{$code}\n```\n\n";
+        }
+
+        return $prompt . "Reply with only the resulting code, keeping the indentation of the surrounding code, without explanations or code fences.";
+    }
+
+    /**
+     * Doc comments for the listed symbols of a file, as
+     * `[['line' => int, 'name' => string, 'comment' => string]]`. The
+     * comments come back unindented; the extension places them.
+     */
+    public function documentSymbols(string $code, string $language, array $symbols, ?string $filePath = null): array
+    {
+        $response = $this->askQuestion($this->documentationPrompt($code, $language, $symbols, $filePath), '', 'deepseek-r1');
+        $json = preg_replace('/^\s*```(?:json)?\s*|\s*```\s*$/', '', $response['response']);
+        $comments = json_decode($json, true);
+
+        if (!is_array($comments)) {
+            throw new \RuntimeException('The model did not return documentation as JSON');
+        }
+
+        return array_values(array_filter(array_map(fn ($comment) => is_array($comment) && isset($comment['comment']) ? [
+            'line' => (int) ($comment['line'] ?? 0),
+            'name' => (string) ($comment['name'] ?? ''),
+            'comment' => (string) $comment['comment'],
+        ] : null, $comments)));
+    }
+
+    public function documentationPrompt(string $code, string $language, array $symbols, ?string $filePath = null): string
+    {
+        $styles = [
+            'javascript' => 'JSDoc block comments (/** */) with @param, @returns and @throws tags',
+            'javascriptreact' => 'JSDoc block comments (/** */) with @param, @returns and @throws tags',
+            'typescript' => 'TSDoc block comments (/** */) with @param, @returns and @throws tags but no types, which TypeScript already declares',
+            'typescriptreact' => 'TSDoc block comments (/** */) with @param, @returns and @throws tags but no types, which TypeScript already declares',
+            'php' => 'PHPDoc block comments (/** */) with @param, @return and @throws tags',
+            'python' => 'PEP 257 docstrings in triple double quotes, with Args, Returns and Raises sections where they apply',
+            'java' => 'Javadoc block comments (/** */) with @param, @return and @throws tags',
+            'csharp' => 'XML documentation comments (///) with <summary>, <param>, <returns> and <exception> elements',
+            'go' => 'Go doc comments (//) that start with the name of the symbol',
+            'rust' => 'rustdoc comments (///) with # Errors and # Panics sections where they apply',
+            'ruby' => 'YARD comments (#) with @param and @return tags',
+        ];
+        $style = $styles[$language] ?? "the idiomatic documentation comment style for {$language}";
+        $file = $filePath ? " ({$filePath})" : '';
+        $list = implode("\n", array_map(fn ($symbol) => "- line {$symbol['line']}: " . ($symbol['kind'] ?? 'symbol') . " {$symbol['name']}", $symbols));
+
+        return "Write documentation comments for the following symbols of this {$language} file{$file}, using {$style}. Describe the purpose, parameters, return value and errors where they apply; be concise and do not restate the code.\n\nSymbols:\n{$list}\n\n```{$language}\n{$code}\n```\n\nReply with only a JSON array of objects with \"line\" and \"name\" (as listed above) and \"comment\" (the complete comment including its delimiters, without indentation).";
+    }
+
+    /**
+     * Issues found in a file, as `[['line' => int, 'end_line' => int,
+     * 'severity' => 'error'|'warning'|'info', 'category' => string,
+     * 'message' => string, 'suggestion' => string]]` with 1-based lines.
+     */
+    public function reviewFile(string $code, string $language, ?string $filePath = null): array
+    {
+        $response = $this->askQuestion($this->reviewPrompt($code, $language, $filePath), '', 'deepseek-r1');
+        $json = preg_replace('/^\s*```(?:json)?\s*|\s*```\s*$/', '', $response['response']);
+        $findings = json_decode($json, true);
+
+        if (!is_array($findings)) {
+            throw new \RuntimeException('The model did not return findings as JSON');
+        }
+
+        $lineCount = substr_count($code, "\n") + 1;
+
+        return array_values(array_filter(array_map(function ($finding) use ($lineCount) {
+            if (!is_array($finding) || empty($finding['message'])) {
+                return null;
+            }
+            $line = min(max((int) ($finding['line'] ?? 1), 1), $lineCount);
+
+            return [
+                'line' => $line,
+                'end_line' => min(max((int) ($finding['end_line'] ?? $line), $line), $lineCount),
+                'severity' => in_array($finding['severity'] ?? null, ['error', 'warning', 'info'], true) ? $finding['severity'] : 'warning',
+                'category' => (string) ($finding['category'] ?? ''),
+                'message' => (string) $finding['message'],
+                'suggestion' => (string) ($finding['suggestion'] ?? ''),
+            ];
+        }, $findings)));
+    }
+
+    public function reviewPrompt(string $code, string $language, ?string $filePath = null): string
+    {
+        $file = $filePath ? " ({$filePath})" : '';
+        $lines = explode("\n", $code);
+        $width = strlen((string) count($lines));
+        $numbered = implode("\n", array_map(
+            fn ($line, $index) => str_pad((string) ($index + 1), $width, ' ', STR_PAD_LEFT) . "| {$line}",
+            $lines,
+            array_keys($lines)
+        ));
+
+        return "Review this {$language} file{$file} for bugs, security issues, performance problems and maintainability issues. Report only concrete problems worth changing, most important first, and skip style nitpicks a formatter would fix. Each line is prefixed with its number and \"| \", which is not part of the code.\n\n```{$language}\n{$numbered}\n```\n\nReply with only a JSON array of objects with \"line\" and \"end_line\" (the lines the problem spans), \"severity\" (\"error\" for bugs and security issues, \"warning\" for likely problems, \"info\" for improvements), \"category\" (bug, security, performance or maintainability), \"message\" (one sentence describing the problem) and \"suggestion\" (how to fix it). Reply with [] when there is nothing to report.";
+    }
+
     public function getCompletions(string $prefix, string $context, string $language): array
     {
         $prompt = "Given the following {$language} code context and current line prefix, suggest 3-5 relevant code completions:\n\nContext:\n```{$language}\n{$context}\n```\n\nCurrent line prefix: `{$prefix}`\n\nProvide suggestions in JSON format with 'text', 'description', and 'confidence' fields.";
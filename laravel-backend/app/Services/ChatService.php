@@ -4,6 +4,7 @@
 
 use App\Models\Conversation;
 use App\Models\Message;
+use Illuminate\Support\Collection;
 use Illuminate\Support\Str;
 use Illuminate\Support\Facades\Auth;
 
@@ -16,65 +17,35 @@ public function __construct(AIModelService $aiModelService)
         $this->aiModelService = $aiModelService;
     }
 
-    public function sendMessage(string $message, ?string $conversationId = null): array
+    /**
+     * $model only applies when this message starts a new conversation; existing
+     * conversations keep their own model (see updateConversationModel).
+     */
+    public function sendMessage(string $message, ?string $conversationId = null, array $attachments = [], ?string $model = null): array
     {
-        $user = Auth::user();
-        
         // Get or create conversation
-        if ($conversationId) {
-            $conversation = Conversation::where('id', $conversationId)
-                ->where('user_id', $user->id)
-                ->first();
-        } else {
-            $conversation = null;
-        }
-
-        if (!$conversation) {
-            $conversation = Conversation::create([
-                'id' => Str::uuid(),
-                'user_id' => $user->id,
-                'title' => $this->generateConversationTitle($message),
-                'model' => 'deepseek-r1',
-            ]);
-        }
+        $conversation = $this->resolveConversation($message, $conversationId, $model);
 
-        // Save user message
+        // Save user message at the end of the selected branch
         $userMessage = Message::create([
             'id' => Str::uuid(),
             'conversation_id' => $conversation->id,
+            'parent_id' => $conversation->active_message_id,
             'role' => 'user',
             'content' => $message,
+            'metadata' => $this->attachmentMetadata($attachments),
         ]);
 
-        // Get conversation context
-        $context = $this->buildConversationContext($conversation);
-
         // Get AI response
         try {
-            $aiResponse = $this->aiModelService->askQuestion($message, $context, $conversation->model);
-            
-            // Save AI message
-            $aiMessage = Message::create([
-                'id' => Str::uuid(),
-                'conversation_id' => $conversation->id,
-                'role' => 'assistant',
-                'content' => $aiResponse['response'],
-                'metadata' => [
-                    'model' => $aiResponse['model'],
-                    'usage' => $aiResponse['usage'] ?? null,
-                ],
-            ]);
-
-            // Update conversation
-            $conversation->update([
-                'updated_at' => now(),
-                'last_message_at' => now(),
-            ]);
+            $aiMessage = $this->answer($conversation, $userMessage, $attachments);
 
             return [
-                'response' => $aiResponse['response'],
+                'response' => $aiMessage->content,
                 'conversationId' => $conversation->id,
+                'userMessageId' => $userMessage->id,
                 'messageId' => $aiMessage->id,
+                'model' => $aiMessage->model,
             ];
 
         } catch (\Exception $e) {
@@ -84,33 +55,282 @@ public function sendMessage(string $message, ?string $conversationId = null): ar
                 'error' => $e->getMessage(),
             ]);
 
-            $fallbackMessage = Message::create([
-                'id' => Str::uuid(),
-                'conversation_id' => $conversation->id,
-                'role' => 'assistant',
-                'content' => 'I apologize, but I encountered an error while processing your request. Please try again.',
-                'metadata' => ['error' => true],
-            ]);
+            $fallbackMessage = $this->saveFallback($conversation, $userMessage);
 
             return [
-                'response' => 'I apologize, but I encountered an error while processing your request. Please try again.',
+                'response' => $fallbackMessage->content,
                 'conversationId' => $conversation->id,
+                'userMessageId' => $userMessage->id,
                 'messageId' => $fallbackMessage->id,
                 'error' => true,
             ];
         }
     }
 
+    /**
+     * Same as sendMessage, but forwards every text delta to $onDelta as it arrives.
+     */
+    public function streamMessage(string $message, ?string $conversationId, callable $onDelta, array $attachments = [], ?string $model = null): array
+    {
+        $conversation = $this->resolveConversation($message, $conversationId, $model);
+
+        $userMessage = Message::create([
+            'id' => Str::uuid(),
+            'conversation_id' => $conversation->id,
+            'parent_id' => $conversation->active_message_id,
+            'role' => 'user',
+            'content' => $message,
+            'metadata' => $this->attachmentMetadata($attachments),
+        ]);
+
+        $aiMessage = $this->answerOrFallback($conversation, $userMessage, $attachments, $onDelta);
+
+        return [
+            'conversationId' => $conversation->id,
+            'userMessageId' => $userMessage->id,
+            'messageId' => $aiMessage->id,
+            'model' => $aiMessage->model,
+        ];
+    }
+
+    /**
+     * Answer the user message behind $messageId again, optionally with another model.
+     * The new answer becomes a sibling of the old one and the selected branch.
+     * Attached file contents are not stored, so only the conversation itself is resent.
+     */
+    public function regenerate(string $conversationId, string $messageId, ?string $model = null, ?callable $onDelta = null): ?array
+    {
+        if ($model && !$this->aiModelService->isModelAvailable($model)) {
+            return null;
+        }
+
+        $conversation = $this->findConversation($conversationId);
+        $message = $conversation?->messages()->where('id', $messageId)->first();
+
+        if (!$message) {
+            return null;
+        }
+
+        $userMessage = $message->isUser() ? $message : $message->parent;
+
+        if (!$userMessage) {
+            return null;
+        }
+
+        $aiMessage = $this->answer($conversation, $userMessage, [], $model, $onDelta);
+
+        return [
+            'response' => $aiMessage->content,
+            'conversationId' => $conversation->id,
+            'userMessageId' => $userMessage->id,
+            'messageId' => $aiMessage->id,
+            'model' => $aiMessage->model,
+        ];
+    }
+
+    /**
+     * Resend an earlier user message with new content. The edit forks a new branch
+     * next to the original, which stays reachable through the branch switcher.
+     */
+    public function editMessage(string $conversationId, string $messageId, string $content, ?callable $onDelta = null): ?array
+    {
+        $conversation = $this->findConversation($conversationId);
+        $original = $conversation?->messages()->where('id', $messageId)->where('role', 'user')->first();
+
+        if (!$original) {
+            return null;
+        }
+
+        $userMessage = Message::create([
+            'id' => Str::uuid(),
+            'conversation_id' => $conversation->id,
+            'parent_id' => $original->parent_id,
+            'role' => 'user',
+            'content' => $content,
+            'metadata' => $original->metadata,
+        ]);
+
+        $aiMessage = $this->answerOrFallback($conversation, $userMessage, [], $onDelta);
+
+        return [
+            'response' => $aiMessage->content,
+            'conversationId' => $conversation->id,
+            'userMessageId' => $userMessage->id,
+            'messageId' => $aiMessage->id,
+            'model' => $aiMessage->model,
+        ];
+    }
+
+    /**
+     * Show the branch through $messageId, continuing to its most recent reply.
+     */
+    public function selectBranch(string $conversationId, string $messageId): bool
+    {
+        $conversation = $this->findConversation($conversationId);
+
+        if (!$conversation) {
+            return false;
+        }
+
+        $messages = $conversation->messages()->orderBy('created_at')->get();
+        $leaf = $messages->firstWhere('id', $messageId);
+
+        if (!$leaf) {
+            return false;
+        }
+
+        $children = $messages->groupBy(fn (Message $message) => $message->parent_id ?? '');
+
+        while ($children->has($leaf->id)) {
+            $leaf = $children[$leaf->id]->last();
+        }
+
+        $conversation->update(['active_message_id' => $leaf->id]);
+        return true;
+    }
+
+    /**
+     * Ask the model to answer $userMessage given the branch leading to it, store the
+     * answer as its child and make that the selected branch.
+     */
+    private function answer(Conversation $conversation, Message $userMessage, array $attachments = [], ?string $model = null, ?callable $onDelta = null): Message
+    {
+        $history = $this->activePath($conversation->messages()->orderBy('created_at')->get(), $userMessage->id);
+        $context = $this->buildConversationContext($history) . $this->buildAttachmentContext($attachments);
+        $model = $model ?? $conversation->model;
+
+        $aiResponse = $onDelta
+            ? $this->aiModelService->streamQuestion($userMessage->content, $context, $model, $onDelta)
+            : $this->aiModelService->askQuestion($userMessage->content, $context, $model);
+
+        $aiMessage = Message::create([
+            'id' => Str::uuid(),
+            'conversation_id' => $conversation->id,
+            'parent_id' => $userMessage->id,
+            'role' => 'assistant',
+            'content' => $aiResponse['response'],
+            'metadata' => [
+                'model' => $aiResponse['model'],
+                'usage' => $aiResponse['usage'] ?? null,
+            ],
+        ]);
+
+        $conversation->update([
+            'active_message_id' => $aiMessage->id,
+            'updated_at' => now(),
+            'last_message_at' => now(),
+        ]);
+
+        return $aiMessage;
+    }
+
+    /**
+     * answer() for a user message that was just saved. If the model fails or the client
+     * stops reading, the text streamed so far (or an apology) still becomes the reply,
+     * so the user message never stays behind without one; the error is then rethrown.
+     */
+    private function answerOrFallback(Conversation $conversation, Message $userMessage, array $attachments, ?callable $onDelta): Message
+    {
+        $streamed = '';
+        $collect = $onDelta ? function (string $delta) use (&$streamed, $onDelta) {
+            $streamed .= $delta;
+            $onDelta($delta);
+        } : null;
+
+        try {
+            return $this->answer($conversation, $userMessage, $attachments, null, $collect);
+        } catch (\Exception $e) {
+            $this->saveFallback($conversation, $userMessage, $streamed);
+            throw $e;
+        }
+    }
+
+    /**
+     * Store the reply to a user message the model did not fully answer and select it.
+     */
+    private function saveFallback(Conversation $conversation, Message $userMessage, string $partial = ''): Message
+    {
+        $fallbackMessage = Message::create([
+            'id' => Str::uuid(),
+            'conversation_id' => $conversation->id,
+            'parent_id' => $userMessage->id,
+            'role' => 'assistant',
+            'content' => $partial !== '' ? $partial : 'I apologize, but I encountered an error while processing your request. Please try again.',
+            'metadata' => ['error' => true],
+        ]);
+
+        $conversation->update(['active_message_id' => $fallbackMessage->id]);
+
+        return $fallbackMessage;
+    }
+
+    /**
+     * Messages from the root to $leafId (the selected branch when null), oldest first.
+     */
+    private function activePath(Collection $messages, ?string $leafId): Collection
+    {
+        $byId = $messages->keyBy('id');
+        $message = $byId->get($leafId) ?? $messages->last();
+        $path = [];
+
+        while ($message) {
+            array_unshift($path, $message);
+            $message = $message->parent_id ? $byId->get($message->parent_id) : null;
+        }
+
+        return collect($path);
+    }
+
+    private function findConversation(string $conversationId): ?Conversation
+    {
+        return Conversation::where('id', $conversationId)
+            ->where('user_id', Auth::id())
+            ->first();
+    }
+
+    private function resolveConversation(string $message, ?string $conversationId, ?string $model = null): Conversation
+    {
+        $user = Auth::user();
+
+        $conversation = $conversationId
+            ? Conversation::where('id', $conversationId)->where('user_id', $user->id)->first()
+            : null;
+
+        return $conversation ?? Conversation::create([
+            'id' => Str::uuid(),
+            'user_id' => $user->id,
+            'title' => $this->generateConversationTitle($message),
+            'model' => $model && $this->aiModelService->isModelAvailable($model) ? $model : 'deepseek-r1',
+        ]);
+    }
+
+    /**
+     * The conversation with only its selected branch loaded as `messages`. Each message
+     * lists the ids of its alternatives (itself included) in `branches`.
+     */
     public function getConversation(string $conversationId): ?Conversation
     {
         $user = Auth::user();
         
-        return Conversation::with(['messages' => function ($query) {
+        $conversation = Conversation::with(['messages' => function ($query) {
             $query->orderBy('created_at', 'asc');
         }])
         ->where('id', $conversationId)
         ->where('user_id', $user->id)
         ->first();
+
+        if (!$conversation) {
+            return null;
+        }
+
+        $siblings = $conversation->messages->groupBy(fn (Message $message) => $message->parent_id ?? '');
+        $path = $this->activePath($conversation->messages, $conversation->active_message_id);
+
+        $conversation->setRelation('messages', $path->each(function (Message $message) use ($siblings) {
+            $message->branches = $siblings[$message->parent_id ?? '']->pluck('id')->all();
+        }));
+
+        return $conversation;
     }
 
     public function getUserConversations(int $limit = 20): array
@@ -155,6 +375,22 @@ public function deleteConversation(string $conversationId): bool
         return true;
     }
 
+    public function renameConversation(string $conversationId, string $title): bool
+    {
+        $user = Auth::user();
+
+        $conversation = Conversation::where('id', $conversationId)
+            ->where('user_id', $user->id)
+            ->first();
+
+        if (!$conversation) {
+            return false;
+        }
+
+        $conversation->update(['title' => $title]);
+        return true;
+    }
+
     public function updateConversationModel(string $conversationId, string $model): bool
     {
         $user = Auth::user();
@@ -175,13 +411,9 @@ public function updateConversationModel(string $conversationId, string $model):
         return true;
     }
 
-    private function buildConversationContext(Conversation $conversation, int $maxMessages = 10): string
+    private function buildConversationContext(Collection $history, int $maxMessages = 10): string
     {
-        $messages = $conversation->messages()
-            ->orderBy('created_at', 'desc')
-            ->limit($maxMessages)
-            ->get()
-            ->reverse();
+        $messages = $history->slice(-$maxMessages);
 
         $context = "Previous conversation:\n\n";
         
@@ -193,6 +425,43 @@ private function buildConversationContext(Conversation $conversation, int $maxMe
         return $context;
     }
 
+    /**
+     * Context the user attached with @-mentions (files, symbols, selections, problems, folders).
+     */
+    private function buildAttachmentContext(array $attachments): string
+    {
+        if (empty($attachments)) {
+            return '';
+        }
+
+        $context = "The user attached the following context:\n\n";
+
+        foreach ($attachments as $attachment) {
+            $language = $attachment['language'] ?? '';
+            $content = $attachment['content'] ?? '';
+            $context .= "### {$attachment['kind']}: {$attachment['label']}\n```{$language}\n{$content}\n```\n\n";
+        }
+
+        return $context;
+    }
+
+    /**
+     * Only the references are stored with the message, not the attached content.
+     */
+    private function attachmentMetadata(array $attachments): ?array
+    {
+        if (empty($attachments)) {
+            return null;
+        }
+
+        return [
+            'attachments' => array_map(fn (array $attachment) => [
+                'kind' => $attachment['kind'],
+                'label' => $attachment['label'],
+            ], $attachments),
+        ];
+    }
+
     private function generateConversationTitle(string $firstMessage): string
     {
         // Simple title generation based on first message
@@ -38,7 +38,10 @@ public function __construct(
         $this->codeAnalysisService = $codeAnalysisService;
     }
 
-    public function indexWorkspace(int $userId, string $workspacePath): array
+    /**
+     * $excludeGlobs are the editor's deny globs: matching files are never read or embedded.
+     */
+    public function indexWorkspace(int $userId, string $workspacePath, bool $force = false, array $excludeGlobs = []): array
     {
         $user = User::findOrFail($userId);
         $stats = [
@@ -50,11 +53,11 @@ public function indexWorkspace(int $userId, string $workspacePath): array
         ];
 
         try {
-            $files = $this->scanWorkspaceFiles($workspacePath);
+            $files = $this->scanWorkspaceFiles($workspacePath, $excludeGlobs);
             
             foreach ($files as $filePath) {
                 try {
-                    $result = $this->indexFile($user, $workspacePath, $filePath);
+                    $result = $this->indexFile($user, $workspacePath, $filePath, $force);
                     
                     if ($result['updated']) {
                         $stats['files_updated']++;
@@ -92,6 +95,82 @@ public function indexWorkspace(int $userId, string $workspacePath): array
         return $stats;
     }
 
+    /**
+     * Index only the given files and drop the deleted ones, as sent by the
+     * editor's file watcher, instead of rescanning the whole workspace.
+     */
+    public function indexFiles(int $userId, string $workspacePath, array $files, array $deleted = []): array
+    {
+        $user = User::findOrFail($userId);
+        $stats = [
+            'files_processed' => 0,
+            'files_updated' => 0,
+            'files_skipped' => 0,
+            'files_removed' => 0,
+            'embeddings_created' => 0,
+            'errors' => [],
+        ];
+
+        $relevantFiles = $this->filterRelevantFiles($files);
+        $stats['files_skipped'] = count($files) - count($relevantFiles);
+
+        foreach ($relevantFiles as $filePath) {
+            if (!$this->isWithinWorkspace($workspacePath, $filePath)) {
+                $stats['files_skipped']++;
+                continue;
+            }
+
+            try {
+                $result = $this->indexFile($user, $workspacePath, $filePath);
+
+                if ($result['updated']) {
+                    $stats['files_updated']++;
+                    $stats['embeddings_created'] += $result['embeddings_count'];
+                } else {
+                    $stats['files_skipped']++;
+                }
+
+                $stats['files_processed']++;
+            } catch (\Exception $e) {
+                $stats['errors'][] = [
+                    'file' => $filePath,
+                    'error' => $e->getMessage(),
+                ];
+                Log::error('File indexing error', [
+                    'file' => $filePath,
+                    'error' => $e->getMessage(),
+                    'user_id' => $userId,
+                ]);
+            }
+        }
+
+        $stats['files_removed'] = $this->removeFiles($userId, $deleted);
+
+        return $stats;
+    }
+
+    public function removeFiles(int $userId, array $filePaths): int
+    {
+        $indexes = CodebaseIndex::where('user_id', $userId)
+            ->whereIn('file_path', $filePaths)
+            ->get();
+
+        foreach ($indexes as $index) {
+            $index->embeddings()->delete();
+            $index->delete();
+        }
+
+        return $indexes->count();
+    }
+
+    private function isWithinWorkspace(string $workspacePath, string $filePath): bool
+    {
+        $realWorkspace = realpath($workspacePath);
+        $realFile = realpath($filePath);
+
+        return $realWorkspace && $realFile && str_starts_with($realFile, $realWorkspace . DIRECTORY_SEPARATOR);
+    }
+
     public function extractContextualInformation(string $content, array $analysis): array
     {
         $contextualInfo = [
@@ -449,7 +528,7 @@ private function detectFramework(string $workspacePath, string $type): ?string
         return null;
     }
 
-    public function indexFile(User $user, string $workspacePath, string $filePath): array
+    public function indexFile(User $user, string $workspacePath, string $filePath, bool $force = false): array
     {
         if (!file_exists($filePath)) {
             throw new \InvalidArgumentException("File does not exist: {$filePath}");
@@ -463,7 +542,7 @@ public function indexFile(User $user, string $workspacePath, string $filePath):
             ->where('file_path', $filePath)
             ->first();
 
-        if ($existingIndex && $existingIndex->content_hash === $contentHash) {
+        if (!$force && $existingIndex && $existingIndex->content_hash === $contentHash) {
             return ['updated' => false, 'embeddings_count' => 0];
         }
 
@@ -628,7 +707,7 @@ public function getContextualCode(int $userId, string $currentFile, int $context
         return $context;
     }
 
-    private function scanWorkspaceFiles(string $workspacePath): array
+    private function scanWorkspaceFiles(string $workspacePath, array $excludeGlobs = []): array
     {
         $files = [];
         $excludePatterns = [
@@ -669,7 +748,7 @@ private function scanWorkspaceFiles(string $workspacePath): array
                         }
                     }
                     
-                    if ($skip) {
+                    if ($skip || $this->matchesAnyGlob(ltrim(str_replace('\\', '/', $relativePath), '/'), $excludeGlobs)) {
                         continue;
                     }
 
@@ -691,6 +770,26 @@ private function scanWorkspaceFiles(string $workspacePath): array
         return $files;
     }
 
+    /**
+     * Match a workspace-relative path, or its basename, against the editor's deny globs.
+     * fnmatch() lets a star cross directories, so a leading double-star segment only
+     * needs dropping for the glob to match at the workspace root as well.
+     */
+    private function matchesAnyGlob(string $relativePath, array $globs): bool
+    {
+        $basename = basename($relativePath);
+
+        foreach ($globs as $glob) {
+            foreach (array_unique([$glob, preg_replace('#^(\*\*/)+#', '', $glob)]) as $pattern) {
+                if (fnmatch($pattern, $relativePath) || fnmatch($pattern, $basename)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
     private function getFileInfo(string $workspacePath, string $filePath): array
     {
         $content = file_get_contents($filePath);
@@ -0,0 +1,62 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('messages', function (Blueprint $table) {
+            // No foreign key: a self-referencing cascade would hit MySQL's depth limit on long conversations
+            $table->uuid('parent_id')->nullable()->after('conversation_id');
+            $table->index('parent_id');
+        });
+
+        Schema::table('conversations', function (Blueprint $table) {
+            $table->uuid('active_message_id')->nullable()->after('model');
+        });
+
+        // Existing conversations are linear: chain each message to the one before it
+        DB::table('conversations')->orderBy('id')->chunk(100, function ($conversations) {
+            foreach ($conversations as $conversation) {
+                $previousId = null;
+
+                $messageIds = DB::table('messages')
+                    ->where('conversation_id', $conversation->id)
+                    ->orderBy('created_at')
+                    ->orderBy('id')
+                    ->pluck('id');
+
+                foreach ($messageIds as $messageId) {
+                    if ($previousId) {
+                        DB::table('messages')->where('id', $messageId)->update(['parent_id' => $previousId]);
+                    }
+                    $previousId = $messageId;
+                }
+
+                DB::table('conversations')->where('id', $conversation->id)->update(['active_message_id' => $previousId]);
+            }
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('conversations', function (Blueprint $table) {
+            $table->dropColumn('active_message_id');
+        });
+
+        Schema::table('messages', function (Blueprint $table) {
+            $table->dropIndex(['parent_id']);
+            $table->dropColumn('parent_id');
+        });
+    }
+};
@@ -44,8 +44,12 @@
         Route::post('/explain', [AIController::class, 'explain']);
         Route::post('/generate-tests', [AIController::class, 'generateTests']);
         Route::post('/refactor', [AIController::class, 'refactor']);
+        Route::post('/edit', [AIController::class, 'edit']);
+        Route::post('/document', [AIController::class, 'document']);
+        Route::post('/review', [AIController::class, 'review']);
         Route::post('/completions', [AIController::class, 'completions']);
         Route::post('/index-workspace', [AIController::class, 'indexWorkspace']);
+        Route::post('/index-files', [AIController::class, 'indexFiles']);
         Route::get('/models', [AIController::class, 'models']);
     });
 
@@ -55,8 +59,12 @@
         Route::get('/conversations', [ChatController::class, 'getConversations']);
         Route::get('/conversations/search', [ChatController::class, 'searchConversations']);
         Route::get('/conversations/{conversationId}', [ChatController::class, 'getConversation']);
+        Route::patch('/conversations/{conversationId}', [ChatController::class, 'renameConversation']);
         Route::delete('/conversations/{conversationId}', [ChatController::class, 'deleteConversation']);
         Route::put('/conversations/{conversationId}/model', [ChatController::class, 'updateConversationModel']);
+        Route::put('/conversations/{conversationId}/branch', [ChatController::class, 'selectBranch']);
+        Route::post('/conversations/{conversationId}/messages/{messageId}/regenerate', [ChatController::class, 'regenerateMessage']);
+        Route::post('/conversations/{conversationId}/messages/{messageId}/edit', [ChatController::class, 'editMessage']);
         Route::get('/conversations/{conversationId}/export', [ChatController::class, 'exportConversation']);
     });
 
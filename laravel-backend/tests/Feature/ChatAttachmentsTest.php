@@ -0,0 +1,52 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\User;
+use App\Services\AIModelService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Laravel\Sanctum\Sanctum;
+use Mockery\MockInterface;
+use Tests\TestCase;
+
+class ChatAttachmentsTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_an_empty_attachment_is_accepted_and_sent_as_context(): void
+    {
+        Sanctum::actingAs(User::factory()->create());
+
+        $this->mock(AIModelService::class, function (MockInterface $mock) {
+            $mock->shouldReceive('isModelAvailable')->andReturn(true);
+            $mock->shouldReceive('askQuestion')
+                ->once()
+                ->withArgs(fn (string $prompt, string $context) => $prompt === 'Why is this file empty?'
+                    && str_contains($context, "### file: src/empty.ts\n```typescript\n\n```"))
+                ->andReturn(['response' => 'It has no code yet.', 'model' => 'deepseek-r1']);
+        });
+
+        $response = $this->postJson('/api/chat', [
+            'message' => 'Why is this file empty?',
+            'attachments' => [
+                ['kind' => 'file', 'label' => 'src/empty.ts', 'language' => 'typescript', 'content' => ''],
+            ],
+        ]);
+
+        $response->assertOk()->assertJsonPath('response', 'It has no code yet.');
+    }
+
+    public function test_an_attachment_without_content_is_rejected(): void
+    {
+        Sanctum::actingAs(User::factory()->create());
+
+        $response = $this->postJson('/api/chat', [
+            'message' => 'Look at this',
+            'attachments' => [
+                ['kind' => 'file', 'label' => 'src/app.ts'],
+            ],
+        ]);
+
+        $response->assertStatus(422)->assertJsonValidationErrors(['attachments.0.content'], 'details');
+    }
+}
@@ -0,0 +1,197 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Conversation;
+use App\Models\Message;
+use App\Models\User;
+use App\Services\AIModelService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Str;
+use Laravel\Sanctum\Sanctum;
+use Mockery\MockInterface;
+use Tests\TestCase;
+
+class ChatBranchingTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Sanctum::actingAs(User::factory()->create());
+    }
+
+    /**
+     * Answer every question with the next of $responses.
+     */
+    private function answerWith(string ...$responses): void
+    {
+        $this->mock(AIModelService::class, function (MockInterface $mock) use ($responses) {
+            $mock->shouldReceive('isModelAvailable')->andReturn(true);
+            $mock->shouldReceive('askQuestion')->andReturnValues(array_map(
+                fn (string $response) => ['response' => $response, 'model' => 'deepseek-r1'],
+                $responses
+            ));
+        });
+    }
+
+    /**
+     * The selected branch as [role, content, branches] rows.
+     */
+    private function selectedBranch(string $conversationId): array
+    {
+        return collect($this->getJson("/api/chat/conversations/{$conversationId}")->assertOk()->json('conversation.messages'))
+            ->map(fn (array $message) => [$message['role'], $message['content'], $message['branches']])
+            ->all();
+    }
+
+    public function test_regenerate_edit_and_select_branch(): void
+    {
+        $this->answerWith('First answer', 'Second answer', 'Answer to the edit', 'Follow-up answer');
+
+        $sent = $this->postJson('/api/chat', ['message' => 'Question'])->assertOk()->json();
+        $conversationId = $sent['conversationId'];
+        $question = $sent['userMessageId'];
+        $firstAnswer = $sent['messageId'];
+
+        $this->travel(1)->seconds();
+        $secondAnswer = $this->postJson("/api/chat/conversations/{$conversationId}/messages/{$firstAnswer}/regenerate")
+            ->assertOk()
+            ->assertJsonPath('userMessageId', $question)
+            ->json('messageId');
+
+        $this->assertSame([
+            ['user', 'Question', [$question]],
+            ['assistant', 'Second answer', [$firstAnswer, $secondAnswer]],
+        ], $this->selectedBranch($conversationId));
+
+        $this->travel(1)->seconds();
+        $edited = $this->postJson("/api/chat/conversations/{$conversationId}/messages/{$question}/edit", ['message' => 'Edited question'])
+            ->assertOk()
+            ->json();
+
+        $this->assertSame([
+            ['user', 'Edited question', [$question, $edited['userMessageId']]],
+            ['assistant', 'Answer to the edit', [$edited['messageId']]],
+        ], $this->selectedBranch($conversationId));
+
+        // A new message continues the selected branch
+        $this->travel(1)->seconds();
+        $this->postJson('/api/chat', ['message' => 'Follow-up', 'conversationId' => $conversationId])->assertOk();
+
+        $this->assertSame(
+            ['Edited question', 'Answer to the edit', 'Follow-up', 'Follow-up answer'],
+            array_column($this->selectedBranch($conversationId), 1)
+        );
+
+        // Selecting the original question walks down to its newest answer
+        $this->putJson("/api/chat/conversations/{$conversationId}/branch", ['messageId' => $question])->assertOk();
+
+        $this->assertSame([
+            ['user', 'Question', [$question, $edited['userMessageId']]],
+            ['assistant', 'Second answer', [$firstAnswer, $secondAnswer]],
+        ], $this->selectedBranch($conversationId));
+
+        // An older answer can be selected directly
+        $this->putJson("/api/chat/conversations/{$conversationId}/branch", ['messageId' => $firstAnswer])->assertOk();
+
+        $this->assertSame('First answer', $this->selectedBranch($conversationId)[1][1]);
+    }
+
+    public function test_a_failed_streamed_answer_keeps_the_text_so_far_as_the_reply(): void
+    {
+        $this->mock(AIModelService::class, function (MockInterface $mock) {
+            $mock->shouldReceive('isModelAvailable')->andReturn(true);
+            $mock->shouldReceive('streamQuestion')->once()->andReturnUsing(function ($prompt, $context, $model, callable $onDelta) {
+                $onDelta('Partial');
+                throw new \RuntimeException('The model went away');
+            });
+            $mock->shouldReceive('askQuestion')->andReturn(['response' => 'Next answer', 'model' => 'deepseek-r1']);
+        });
+
+        $response = $this->postJson('/api/chat', ['message' => 'Question', 'stream' => true]);
+
+        $this->assertStringContainsString('"error":"Failed to get AI response. Please try again."', $response->streamedContent());
+
+        $conversation = Conversation::sole();
+        $reply = Message::where('role', 'assistant')->sole();
+
+        $this->assertSame('Partial', $reply->content);
+        $this->assertTrue($reply->metadata['error']);
+        $this->assertSame($reply->id, $conversation->active_message_id);
+
+        // The next message follows the reply instead of becoming a sibling of the question
+        $this->postJson('/api/chat', ['message' => 'Again', 'conversationId' => $conversation->id])->assertOk();
+
+        $this->assertSame(
+            [['Question', 1], ['Partial', 1], ['Again', 1], ['Next answer', 1]],
+            array_map(
+                fn (array $message) => [$message[1], count($message[2])],
+                $this->selectedBranch($conversation->id)
+            )
+        );
+    }
+
+    public function test_a_failed_edit_still_answers_the_edited_message(): void
+    {
+        $this->mock(AIModelService::class, function (MockInterface $mock) {
+            $mock->shouldReceive('isModelAvailable')->andReturn(true);
+            $mock->shouldReceive('askQuestion')->twice()->andReturnUsing(
+                fn () => ['response' => 'Answer', 'model' => 'deepseek-r1'],
+                fn () => throw new \RuntimeException('The model went away')
+            );
+        });
+
+        $sent = $this->postJson('/api/chat', ['message' => 'Question'])->assertOk()->json();
+
+        $this->travel(1)->seconds();
+        $this->postJson("/api/chat/conversations/{$sent['conversationId']}/messages/{$sent['userMessageId']}/edit", ['message' => 'Edited'])
+            ->assertStatus(500);
+
+        $branch = $this->selectedBranch($sent['conversationId']);
+
+        $this->assertSame('Edited', $branch[0][1]);
+        $this->assertSame('I apologize, but I encountered an error while processing your request. Please try again.', $branch[1][1]);
+    }
+
+    public function test_the_migration_chains_the_messages_of_existing_conversations(): void
+    {
+        $migration = require database_path('migrations/2026_10_19_000000_add_branching_to_messages_table.php');
+        $migration->down();
+
+        $user = User::factory()->create();
+        $conversationId = (string) Str::uuid();
+
+        DB::table('conversations')->insert([
+            'id' => $conversationId,
+            'user_id' => $user->id,
+            'title' => 'Before branching',
+            'created_at' => now(),
+            'updated_at' => now(),
+        ]);
+
+        $ids = [];
+        foreach (['user', 'assistant', 'user', 'assistant'] as $i => $role) {
+            $ids[] = $id = (string) Str::uuid();
+            DB::table('messages')->insert([
+                'id' => $id,
+                'conversation_id' => $conversationId,
+                'role' => $role,
+                'content' => "Message {$i}",
+                'created_at' => now()->addSeconds($i),
+                'updated_at' => now()->addSeconds($i),
+            ]);
+        }
+
+        $migration->up();
+
+        $this->assertSame(
+            [null, $ids[0], $ids[1], $ids[2]],
+            array_map(fn (string $id) => DB::table('messages')->where('id', $id)->value('parent_id'), $ids)
+        );
+        $this->assertSame($ids[3], DB::table('conversations')->where('id', $conversationId)->value('active_message_id'));
+    }
+}
@@ -12,25 +12,68 @@ const HoverProvider_1 = require("./providers/HoverProvider");
 const CodeLensProvider_1 = require("./providers/CodeLensProvider");
 const CodeAnalyzer_1 = require("./services/CodeAnalyzer");
 const APIClient_1 = require("./services/APIClient");
+const Logger_1 = require("./services/Logger");
+const IndexingManager_1 = require("./services/IndexingManager");
+const ConnectionStatusBar_1 = require("./providers/ConnectionStatusBar");
+const CodasisAuthenticationProvider_1 = require("./providers/CodasisAuthenticationProvider");
+const RequestLogPanel_1 = require("./providers/RequestLogPanel");
+const ConversationHistoryProvider_1 = require("./providers/ConversationHistoryProvider");
+const ConversationExporter_1 = require("./services/ConversationExporter");
+const MarkdownRenderer_1 = require("./services/MarkdownRenderer");
+const CodeApplier_1 = require("./services/CodeApplier");
+const SlashCommands_1 = require("./services/SlashCommands");
+const InlineEditProvider_1 = require("./providers/InlineEditProvider");
+const TestGenerator_1 = require("./services/TestGenerator");
+const TestVerifier_1 = require("./services/TestVerifier");
+const DocumentationGenerator_1 = require("./services/DocumentationGenerator");
+const FileReviewer_1 = require("./services/FileReviewer");
+// Shared by the explanation and analysis panels
+const markdownRenderer = new MarkdownRenderer_1.MarkdownRenderer();
 function activate(context) {
     console.log('🧠 Codasis is now active!');
     // Initialize services
-    const apiClient = new APIClient_1.APIClient();
+    const logger = new Logger_1.Logger();
+    const apiClient = new APIClient_1.APIClient(logger);
+    apiClient.auditLog.setStorage(context.globalStorageUri);
+    const indexingManager = new IndexingManager_1.IndexingManager(apiClient, context.workspaceState, logger);
+    const statusBar = new ConnectionStatusBar_1.ConnectionStatusBar(apiClient, indexingManager);
+    context.subscriptions.push(logger, indexingManager, statusBar);
+    // Authentication: Sanctum tokens live in SecretStorage, accounts show in the Accounts menu
+    const authProvider = new CodasisAuthenticationProvider_1.CodasisAuthenticationProvider(context.secrets, apiClient, logger);
+    apiClient.setAuthProvider(authProvider);
+    context.subscriptions.push(authProvider, vscode.authentication.registerAuthenticationProvider(CodasisAuthenticationProvider_1.CodasisAuthenticationProvider.id, CodasisAuthenticationProvider_1.CodasisAuthenticationProvider.label, authProvider, { supportsMultipleAccounts: false }));
+    // Ask for the session silently so an existing account appears in the Accounts menu
+    vscode.authentication.getSession(CodasisAuthenticationProvider_1.CodasisAuthenticationProvider.id, [], { silent: true }).then(() => authProvider.validateSession(), error => logger.error('Failed to restore Codasis session', error));
     const codeAnalyzer = new CodeAnalyzer_1.CodeAnalyzer();
     const codasisProvider = new CodasisProvider_1.CodasisProvider(apiClient, codeAnalyzer);
     // Initialize view providers
-    const chatProvider = new ChatViewProvider_1.ChatViewProvider(context.extensionUri, apiClient);
-    const contextProvider = new ContextExplorerProvider_1.ContextExplorerProvider(apiClient, codeAnalyzer);
-    const insightsProvider = new ProjectInsightsProvider_1.ProjectInsightsProvider(apiClient, codeAnalyzer);
+    const codeApplier = new CodeApplier_1.CodeApplier(apiClient.redactor);
+    const testGenerator = new TestGenerator_1.TestGenerator(apiClient, codeApplier);
+    const testVerifier = new TestVerifier_1.TestVerifier(testGenerator, logger);
+    context.subscriptions.push(testVerifier);
+    const documentationGenerator = new DocumentationGenerator_1.DocumentationGenerator(apiClient, codeAnalyzer, codeApplier, logger);
+    const fileReviewer = new FileReviewer_1.FileReviewer(apiClient);
+    context.subscriptions.push(fileReviewer);
+    context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(CodeApplier_1.CodeApplier.scheme, codeApplier));
+    const chatProvider = new ChatViewProvider_1.ChatViewProvider(context.extensionUri, apiClient, codeApplier, new SlashCommands_1.SlashCommands(codasisProvider, testGenerator));
+    const contextProvider = new ContextExplorerProvider_1.ContextExplorerProvider(apiClient, codeAnalyzer, indexingManager);
+    const insightsProvider = new ProjectInsightsProvider_1.ProjectInsightsProvider(apiClient, codeAnalyzer, indexingManager);
     const modelProvider = new ModelManagerProvider_1.ModelManagerProvider(apiClient);
+    const historyProvider = new ConversationHistoryProvider_1.ConversationHistoryProvider(apiClient);
+    // New conversations get their id from the first reply; refresh so they show up
+    context.subscriptions.push(chatProvider.onDidChangeConversation(conversationId => historyProvider.setActiveConversation(conversationId)), chatProvider.onDidChangeModel(() => historyProvider.refresh()));
     // Initialize inline providers
     const inlineProvider = new InlineCompletionProvider_1.InlineCompletionProvider(apiClient, codeAnalyzer);
     const hoverProvider = new HoverProvider_1.HoverProvider(apiClient, codeAnalyzer);
     const codeLensProvider = new CodeLensProvider_1.CodeLensProvider(apiClient, codeAnalyzer);
+    const inlineEditProvider = new InlineEditProvider_1.InlineEditProvider(apiClient);
     // Register view providers
-    context.subscriptions.push(vscode.window.registerWebviewViewProvider('codasis-chat', chatProvider), vscode.window.registerTreeDataProvider('codasis-context', contextProvider), vscode.window.registerTreeDataProvider('codasis-insights', insightsProvider), vscode.window.registerTreeDataProvider('codasis-models', modelProvider));
+    context.subscriptions.push(vscode.window.registerWebviewViewProvider('codasis-chat', chatProvider, {
+        // The transcript is also kept in webview state, but this avoids re-rendering on every switch
+        webviewOptions: { retainContextWhenHidden: true }
+    }), vscode.window.registerTreeDataProvider('codasis-context', contextProvider), vscode.window.registerTreeDataProvider('codasis-insights', insightsProvider), vscode.window.registerTreeDataProvider('codasis-models', modelProvider), vscode.window.registerTreeDataProvider('codasis-history', historyProvider));
     // Register inline providers
-    context.subscriptions.push(vscode.languages.registerInlineCompletionItemProvider({ scheme: 'file' }, inlineProvider), vscode.languages.registerHoverProvider({ scheme: 'file' }, hoverProvider), vscode.languages.registerCodeLensProvider({ scheme: 'file' }, codeLensProvider));
+    context.subscriptions.push(vscode.languages.registerInlineCompletionItemProvider({ scheme: 'file' }, inlineProvider), vscode.languages.registerHoverProvider({ scheme: 'file' }, hoverProvider), vscode.languages.registerCodeLensProvider({ scheme: 'file' }, codeLensProvider), inlineEditProvider, vscode.languages.registerCodeLensProvider([{ scheme: 'file' }, { scheme: 'untitled' }], inlineEditProvider));
     // Register commands
     const commands = [
         vscode.commands.registerCommand('codasis.askQuestion', async () => {
@@ -52,8 +95,17 @@ function activate(context) {
             }
         }),
         vscode.commands.registerCommand('codasis.analyzeCode', async (uri) => {
+            uri = uri ?? vscode.window.activeTextEditor?.document.uri;
+            if (!uri) {
+                vscode.window.showErrorMessage('No active editor');
+                return;
+            }
+            if (apiClient.redactor.isDenied(uri.fsPath)) {
+                vscode.window.showErrorMessage(`${vscode.workspace.asRelativePath(uri)} is excluded from Codasis by codasis.redaction.denyGlobs`);
+                return;
+            }
             const document = await vscode.workspace.openTextDocument(uri);
-            const analysis = await codasisProvider.analyzeCode(document.getText(), document.languageId);
+            const analysis = await codasisProvider.analyzeCode(document.getText(), document.languageId, undefined, uri.fsPath);
             // Show analysis in output channel
             const outputChannel = vscode.window.createOutputChannel('Codasis Analysis');
             outputChannel.clear();
@@ -74,10 +126,10 @@ function activate(context) {
                 vscode.window.showErrorMessage('Please select some code to explain');
                 return;
             }
-            const explanation = await codasisProvider.explainCode(selectedText, editor.document.languageId);
             // Show explanation in webview panel
             const panel = vscode.window.createWebviewPanel('codasisExplanation', 'Code Explanation', vscode.ViewColumn.Beside, { enableScripts: true });
-            panel.webview.html = getExplanationWebviewContent(explanation, selectedText, editor.document.languageId);
+            panel.webview.html = getExplanationWebviewContent(panel.webview, selectedText, editor.document.languageId);
+            await streamIntoPanel(panel, (onChunk, token) => codasisProvider.explainCode(selectedText, editor.document.languageId, onChunk, token, editor.document.uri.fsPath));
         }),
         vscode.commands.registerCommand('codasis.generateTests', async () => {
             const editor = vscode.window.activeTextEditor;
@@ -91,40 +143,57 @@ function activate(context) {
                 vscode.window.showErrorMessage('Please select some code to generate tests for');
                 return;
             }
-            vscode.window.withProgress({
-                location: vscode.ProgressLocation.Notification,
-                title: "🧪 Generating tests...",
-                cancellable: false
-            }, async (progress) => {
-                progress.report({ increment: 0, message: "Analyzing code structure..." });
-                const tests = await codasisProvider.generateTests(selectedText, editor.document.languageId);
-                progress.report({ increment: 100, message: "Tests generated!" });
-                // Create new document with tests
-                const testDocument = await vscode.workspace.openTextDocument({
-                    content: tests,
-                    language: editor.document.languageId
-                });
-                await vscode.window.showTextDocument(testDocument, vscode.ViewColumn.Beside);
-            });
+            try {
+                const plan = await runCancellable(() => testGenerator.generateInto(editor.document, selectedText, 'the selection'));
+                if (plan) {
+                    await testVerifier.offer(plan, selectedText, editor.document.languageId);
+                }
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Test generation failed: ${error.message}`);
+            }
         }),
-        vscode.commands.registerCommand('augment-ai.refactorCode', async () => {
+        vscode.commands.registerCommand('codasis.refactorCode', async () => {
             const editor = vscode.window.activeTextEditor;
             if (!editor) {
                 vscode.window.showErrorMessage('No active editor');
                 return;
             }
+            const document = editor.document;
             const selection = editor.selection;
-            const selectedText = editor.document.getText(selection);
-            if (!selectedText) {
+            const selectedText = document.getText(selection);
+            if (!selectedText.trim()) {
                 vscode.window.showErrorMessage('Please select some code to refactor');
                 return;
             }
-            const refactoredCode = await codasisProvider.refactorCode(selectedText, editor.document.languageId);
-            // Replace selected text with refactored code
-            await editor.edit(editBuilder => {
-                editBuilder.replace(selection, refactoredCode);
+            const goal = await vscode.window.showQuickPick(CodasisProvider_1.CodasisProvider.refactorGoals, {
+                title: 'Refactor Code',
+                placeHolder: 'What should the refactoring improve?'
             });
+            if (!goal) {
+                return;
+            }
+            try {
+                await proposeRefactoring(codasisProvider, codeApplier, document, selection, goal.id, {
+                    progress: `🔧 Refactoring for ${goal.label.toLowerCase()}...`,
+                    done: `Refactored for ${goal.label.toLowerCase()}`
+                });
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Refactoring failed: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.editWithInstruction', async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) {
+                vscode.window.showErrorMessage('No active editor');
+                return;
+            }
+            await inlineEditProvider.start(editor);
         }),
+        vscode.commands.registerCommand('codasis.acceptInlineEdit', (uri) => inlineEditProvider.accept(uri)),
+        vscode.commands.registerCommand('codasis.rejectInlineEdit', (uri) => inlineEditProvider.reject(uri)),
+        vscode.commands.registerCommand('codasis.retryInlineEdit', (uri) => inlineEditProvider.retry(uri)),
         vscode.commands.registerCommand('codasis.openChat', () => {
             vscode.commands.executeCommand('workbench.view.extension.codasis');
         }),
@@ -140,31 +209,22 @@ function activate(context) {
             config.update('inlineSuggestions', !current, vscode.ConfigurationTarget.Global);
             vscode.window.showInformationMessage(`Inline suggestions ${!current ? 'enabled' : 'disabled'}`);
         }),
-        vscode.commands.registerCommand('codasis.indexWorkspace', async () => {
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (!workspaceFolders || workspaceFolders.length === 0) {
-                vscode.window.showErrorMessage('No workspace folder is open');
+        vscode.commands.registerCommand('codasis.indexWorkspace', (force = false) => indexWorkspace(force)),
+        vscode.commands.registerCommand('codasis.forceReindexWorkspace', () => indexWorkspace(true)),
+        vscode.commands.registerCommand('codasis.indexWorkspaceFolder', async (item) => {
+            const folder = item?.folder ?? await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select the folder to index' });
+            if (folder) {
+                await indexWorkspace(false, folder);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.toggleFolderIndexing', async (item) => {
+            const folder = item?.folder ?? await vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select the folder to enable or disable indexing for' });
+            if (!folder) {
                 return;
             }
-            const workspacePath = workspaceFolders[0].uri.fsPath;
-            // Show progress
-            vscode.window.withProgress({
-                location: vscode.ProgressLocation.Notification,
-                title: "Indexing workspace for AI context...",
-                cancellable: false
-            }, async (progress) => {
-                try {
-                    progress.report({ increment: 0, message: "Analyzing project structure..." });
-                    const result = await apiClient.indexWorkspace(workspacePath);
-                    progress.report({ increment: 100, message: "Indexing complete!" });
-                    vscode.window.showInformationMessage(`Workspace indexed successfully! Processed ${result.stats.files_processed} files, ` +
-                        `updated ${result.stats.files_updated} files.`);
-                }
-                catch (error) {
-                    console.error('Workspace indexing failed:', error);
-                    vscode.window.showErrorMessage(`Failed to index workspace: ${error.message}`);
-                }
-            });
+            const enabled = !indexingManager.isEnabled(folder);
+            await indexingManager.setEnabled(folder, enabled);
+            vscode.window.showInformationMessage(`Indexing ${enabled ? 'enabled' : 'disabled'} for ${folder.name}`);
         }),
         vscode.commands.registerCommand('codasis.smartAnalyze', async () => {
             const editor = vscode.window.activeTextEditor;
@@ -180,20 +240,20 @@ function activate(context) {
                 return;
             }
             try {
-                vscode.window.withProgress({
+                await vscode.window.withProgress({
                     location: vscode.ProgressLocation.Notification,
                     title: "Performing intelligent code analysis...",
-                    cancellable: false
-                }, async (progress) => {
+                    cancellable: true
+                }, async (progress, token) => {
                     progress.report({ increment: 0, message: "Gathering context..." });
-                    const analysis = await codasisProvider.smartAnalyzeCode(selectedText, document.languageId, {
+                    // Show analysis in webview panel
+                    const panel = vscode.window.createWebviewPanel('codasisSmartAnalysis', '🧠 Smart Analysis', vscode.ViewColumn.Beside, { enableScripts: true });
+                    panel.webview.html = getAnalysisWebviewContent(panel.webview, selectedText, document.languageId);
+                    await streamIntoPanel(panel, (onChunk, streamToken) => codasisProvider.smartAnalyzeCode(selectedText, document.languageId, {
                         focus_area: 'general',
                         include_tests: false
-                    });
+                    }, onChunk, streamToken), token);
                     progress.report({ increment: 100, message: "Analysis complete!" });
-                    // Show analysis in webview panel
-                    const panel = vscode.window.createWebviewPanel('codasisSmartAnalysis', '🧠 Smart Analysis', vscode.ViewColumn.Beside, { enableScripts: true });
-                    panel.webview.html = getAnalysisWebviewContent(analysis, selectedText, document.languageId);
                 });
             }
             catch (error) {
@@ -206,9 +266,9 @@ function activate(context) {
             try {
                 const document = await vscode.workspace.openTextDocument(uri);
                 const functionCode = extractFunctionCode(document, functionName, line);
-                const explanation = await codasisProvider.explainCode(functionCode, document.languageId);
                 const panel = vscode.window.createWebviewPanel('codasisFunctionExplanation', `Function: ${functionName}`, vscode.ViewColumn.Beside, { enableScripts: true });
-                panel.webview.html = getExplanationWebviewContent(explanation, functionCode, document.languageId);
+                panel.webview.html = getExplanationWebviewContent(panel.webview, functionCode, document.languageId);
+                await streamIntoPanel(panel, (onChunk, token) => codasisProvider.explainCode(functionCode, document.languageId, onChunk, token, document.uri.fsPath));
             }
             catch (error) {
                 vscode.window.showErrorMessage(`Failed to explain function: ${error.message}`);
@@ -218,19 +278,317 @@ function activate(context) {
             try {
                 const document = await vscode.workspace.openTextDocument(uri);
                 const functionCode = extractFunctionCode(document, functionName, line);
-                const tests = await codasisProvider.generateTests(functionCode, document.languageId);
-                const testDocument = await vscode.workspace.openTextDocument({
-                    content: tests,
-                    language: document.languageId
-                });
-                await vscode.window.showTextDocument(testDocument, vscode.ViewColumn.Beside);
+                const plan = await runCancellable(() => testGenerator.generateInto(document, functionCode, functionName));
+                if (plan) {
+                    await testVerifier.offer(plan, functionCode, document.languageId);
+                }
             }
             catch (error) {
                 vscode.window.showErrorMessage(`Failed to generate tests: ${error.message}`);
             }
         }),
+        vscode.commands.registerCommand('codasis.optimizeFunction', async (uri, functionName, line) => {
+            try {
+                const document = await vscode.workspace.openTextDocument(uri);
+                await proposeRefactoring(codasisProvider, codeApplier, document, extractBlockRange(document, line, functionName), 'performance', {
+                    progress: `⚡ Optimizing ${functionName}...`,
+                    done: `Optimized ${functionName}`
+                });
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Failed to optimize function: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.explainClass', async (uri, className, line) => {
+            try {
+                const document = await vscode.workspace.openTextDocument(uri);
+                const classCode = document.getText(extractBlockRange(document, line, className));
+                const panel = vscode.window.createWebviewPanel('codasisClassExplanation', `Class: ${className}`, vscode.ViewColumn.Beside, { enableScripts: true });
+                panel.webview.html = getExplanationWebviewContent(panel.webview, classCode, document.languageId);
+                await streamIntoPanel(panel, (onChunk, token) => codasisProvider.explainCode(classCode, document.languageId, onChunk, token, document.uri.fsPath));
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Failed to explain class: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.simplifyCode', async (uri, line, content) => {
+            try {
+                const document = await vscode.workspace.openTextDocument(uri);
+                // The lens may predate later edits; find the line it was shown on
+                const lines = document.getText().split(/\r?\n/);
+                const candidates = lines.map((text, index) => text.trim() === content ? index : -1).filter(index => index >= 0);
+                const target = candidates.sort((a, b) => Math.abs(a - (line - 1)) - Math.abs(b - (line - 1)))[0];
+                if (target === undefined) {
+                    vscode.window.showWarningMessage('The code changed since the lens was shown; try again');
+                    return;
+                }
+                await proposeRefactoring(codasisProvider, codeApplier, document, extractBlockRange(document, target + 1), 'simplify', {
+                    progress: `🔧 Simplifying line ${target + 1}...`,
+                    done: `Simplified the code at line ${target + 1}`
+                });
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Failed to simplify code: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.analyzeFile', async (uri) => {
+            try {
+                uri = uri ?? vscode.window.activeTextEditor?.document.uri;
+                if (!uri) {
+                    vscode.window.showErrorMessage('No active editor');
+                    return;
+                }
+                await runCancellable(() => fileReviewer.review(uri));
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Analysis failed: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.summarizeFile', async (uri) => {
+            try {
+                const document = await vscode.workspace.openTextDocument(uri);
+                const fileName = vscode.workspace.asRelativePath(uri);
+                apiClient.assertSendable(uri.fsPath);
+                const panel = vscode.window.createWebviewPanel('codasisFileSummary', `Summary: ${uri.path.split('/').pop()}`, vscode.ViewColumn.Beside, { enableScripts: true });
+                panel.webview.html = getExplanationWebviewContent(panel.webview, undefined, document.languageId, { title: 'File Summary', heading: 'Summary', fileName });
+                await streamIntoPanel(panel, (onChunk, token) => codasisProvider.summarizeFile(document.getText(), document.languageId, uri, onChunk, token));
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Failed to summarize file: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.generateDocumentation', async (uri, symbolName, line) => {
+            try {
+                if (uri && symbolName) {
+                    await runCancellable(() => documentationGenerator.documentSymbol(uri, symbolName, line));
+                    return;
+                }
+                const editor = vscode.window.activeTextEditor;
+                if (!editor) {
+                    vscode.window.showErrorMessage('No active editor');
+                    return;
+                }
+                await runCancellable(() => documentationGenerator.documentEditor(editor));
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Failed to generate documentation: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.generateDocumentationForFiles', async (uri) => {
+            try {
+                uri = uri ?? (await vscode.window.showOpenDialog({
+                    title: 'Generate Documentation',
+                    openLabel: 'Document',
+                    canSelectFiles: true,
+                    canSelectFolders: true,
+                    canSelectMany: false,
+                    defaultUri: vscode.workspace.workspaceFolders?.[0]?.uri
+                }))?.[0];
+                if (uri) {
+                    await runCancellable(() => documentationGenerator.documentResources(uri));
+                }
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(`Failed to generate documentation: ${error.message}`);
+            }
+        }),
         vscode.commands.registerCommand('codasis.switchModel', async (modelId) => {
             await modelProvider.switchModel(modelId);
+        }),
+        vscode.commands.registerCommand('codasis.showRequestLog', () => {
+            RequestLogPanel_1.RequestLogPanel.createOrShow(apiClient.auditLog);
+        }),
+        vscode.commands.registerCommand('codasis.showLog', () => {
+            logger.show();
+        }),
+        vscode.commands.registerCommand('codasis.showStatusMenu', async () => {
+            await statusBar.showMenu();
+        }),
+        vscode.commands.registerCommand('codasis.signIn', async () => {
+            try {
+                const session = await vscode.authentication.getSession(CodasisAuthenticationProvider_1.CodasisAuthenticationProvider.id, [], { createIfNone: true });
+                vscode.window.showInformationMessage(`Signed in to Codasis as ${session.account.label}`);
+            }
+            catch (error) {
+                logger.info(`Sign in did not complete: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.signOut', async () => {
+            const [session] = await authProvider.getSessions();
+            if (!session) {
+                vscode.window.showInformationMessage('You are not signed in to Codasis');
+                return;
+            }
+            await authProvider.removeSession(session.id);
+            vscode.window.showInformationMessage('Signed out of Codasis');
+        }),
+        vscode.commands.registerCommand('codasis.createAccount', async () => {
+            await authProvider.createAccount();
+        }),
+        vscode.commands.registerCommand('codasis.refreshConversations', () => {
+            historyProvider.refresh();
+        }),
+        vscode.commands.registerCommand('codasis.searchConversations', async () => {
+            const query = await vscode.window.showInputBox({
+                prompt: 'Search conversation titles and messages',
+                placeHolder: 'e.g. database migration',
+                value: historyProvider.query
+            });
+            if (query !== undefined) {
+                historyProvider.setQuery(query);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.clearConversationSearch', () => {
+            historyProvider.setQuery(undefined);
+        }),
+        vscode.commands.registerCommand('codasis.openConversation', async (item) => {
+            try {
+                await chatProvider.loadConversation(item.conversation.id);
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(error.message);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.renameConversation', async (item) => {
+            const title = await vscode.window.showInputBox({
+                prompt: 'Rename conversation',
+                value: item.conversation.title,
+                validateInput: value => value.trim() ? undefined : 'Title cannot be empty'
+            });
+            if (!title || title.trim() === item.conversation.title) {
+                return;
+            }
+            try {
+                await apiClient.renameConversation(item.conversation.id, title.trim());
+                historyProvider.refresh();
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(error.message);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.exportConversation', async (item) => {
+            const conversationId = item?.conversation?.id ?? chatProvider.conversationId ?? await pickConversation(apiClient);
+            if (!conversationId) {
+                return;
+            }
+            const format = await pickExportFormat();
+            if (!format) {
+                return;
+            }
+            try {
+                const exporter = new ConversationExporter_1.ConversationExporter();
+                const conversation = await apiClient.exportConversation(conversationId);
+                const folder = vscode.workspace.workspaceFolders?.[0]?.uri;
+                const fileName = exporter.fileName(conversation, format.id);
+                const uri = await vscode.window.showSaveDialog({
+                    defaultUri: folder ? vscode.Uri.joinPath(folder, fileName) : vscode.Uri.file(fileName),
+                    filters: format.filter
+                });
+                if (!uri) {
+                    return;
+                }
+                await vscode.workspace.fs.writeFile(uri, Buffer.from(exporter.format(conversation, format.id), 'utf8'));
+                const choice = await vscode.window.showInformationMessage(`Exported "${conversation.title}" to ${vscode.workspace.asRelativePath(uri)}`, 'Open');
+                if (choice === 'Open') {
+                    await vscode.commands.executeCommand('vscode.open', uri);
+                }
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(error.message);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.exportAllConversations', async () => {
+            const format = await pickExportFormat();
+            if (!format) {
+                return;
+            }
+            const [folder] = await vscode.window.showOpenDialog({
+                canSelectFiles: false,
+                canSelectFolders: true,
+                canSelectMany: false,
+                openLabel: 'Export Here'
+            }) ?? [];
+            if (!folder) {
+                return;
+            }
+            const exporter = new ConversationExporter_1.ConversationExporter();
+            const failed = [];
+            let exported = 0;
+            let skipped = 0;
+            try {
+                await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: 'Exporting conversations',
+                    cancellable: true
+                }, async (progress, token) => {
+                    const conversations = await apiClient.getConversations(ConversationExporter_1.ConversationExporter.maxConversations, token);
+                    const existing = new Set();
+                    for (const summary of conversations) {
+                        const uri = vscode.Uri.joinPath(folder, exporter.fileName(summary, format.id));
+                        if (await vscode.workspace.fs.stat(uri).then(() => true, () => false)) {
+                            existing.add(uri.toString());
+                        }
+                    }
+                    let overwrite = false;
+                    if (existing.size) {
+                        const choice = await vscode.window.showWarningMessage(`${existing.size} of the exported files already exist in ${folder.fsPath}`, { modal: true }, 'Overwrite', 'Skip Existing');
+                        if (!choice) {
+                            throw new vscode.CancellationError();
+                        }
+                        overwrite = choice === 'Overwrite';
+                    }
+                    for (const summary of conversations) {
+                        if (token.isCancellationRequested) {
+                            break;
+                        }
+                        progress.report({ increment: 100 / conversations.length, message: summary.title });
+                        const uri = vscode.Uri.joinPath(folder, exporter.fileName(summary, format.id));
+                        if (!overwrite && existing.has(uri.toString())) {
+                            skipped++;
+                            continue;
+                        }
+                        try {
+                            const conversation = await apiClient.exportConversation(summary.id, token);
+                            await vscode.workspace.fs.writeFile(uri, Buffer.from(exporter.format(conversation, format.id), 'utf8'));
+                            exported++;
+                        }
+                        catch (error) {
+                            if (error instanceof vscode.CancellationError) {
+                                break;
+                            }
+                            failed.push(summary.title);
+                            logger.error(`Failed to export conversation ${summary.id}`, error);
+                        }
+                    }
+                });
+            }
+            catch (error) {
+                if (!(error instanceof vscode.CancellationError)) {
+                    vscode.window.showErrorMessage(error.message);
+                }
+                return;
+            }
+            const skippedNote = skipped ? `, skipped ${skipped} already there` : '';
+            if (failed.length) {
+                vscode.window.showWarningMessage(`Exported ${exported} conversations${skippedNote}; ${failed.length} failed: ${failed.join(', ')}`);
+            }
+            else {
+                vscode.window.showInformationMessage(`Exported ${exported} conversations to ${folder.fsPath}${skippedNote}`);
+            }
+        }),
+        vscode.commands.registerCommand('codasis.deleteConversation', async (item) => {
+            const choice = await vscode.window.showWarningMessage(`Delete conversation "${item.conversation.title}"?`, { modal: true }, 'Delete');
+            if (choice !== 'Delete') {
+                return;
+            }
+            try {
+                await apiClient.deleteConversation(item.conversation.id);
+                chatProvider.forgetConversation(item.conversation.id);
+                historyProvider.refresh();
+            }
+            catch (error) {
+                vscode.window.showErrorMessage(error.message);
+            }
         })
     ];
     context.subscriptions.push(...commands);
@@ -244,7 +602,7 @@ function activate(context) {
                 return [];
             }
             try {
-                const suggestions = await codasisProvider.getCodeSuggestions(document, position);
+                const suggestions = await codasisProvider.getCodeSuggestions(document, position, token);
                 return suggestions;
             }
             catch (error) {
@@ -255,64 +613,257 @@ function activate(context) {
     }, '.', '(', '[', '"', "'" // Multiple trigger characters
     );
     context.subscriptions.push(completionProvider);
-    // Initialize workspace indexing on startup
-    setTimeout(async () => {
-        const workspaceFolders = vscode.workspace.workspaceFolders;
-        if (workspaceFolders && workspaceFolders.length > 0) {
+    // Keep the workspace index up to date: catch up on startup, then follow file changes
+    indexingManager.start();
+    /**
+     * Sync the index of `folder`, or of every enabled workspace folder;
+     * `force` re-embeds every file.
+     */
+    async function indexWorkspace(force, folder) {
+        if (!vscode.workspace.workspaceFolders?.length) {
+            vscode.window.showErrorMessage('No workspace folder is open');
+            return;
+        }
+        const folders = folder ? [folder] : indexingManager.getFolders().filter(folder => indexingManager.isEnabled(folder));
+        if (folders.length === 0) {
+            vscode.window.showWarningMessage('Indexing is disabled for every workspace folder.');
+            return;
+        }
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: force ? "Re-indexing workspace for AI context..." : "Indexing workspace for AI context...",
+            cancellable: true
+        }, async (progress, token) => {
             try {
-                await apiClient.indexWorkspace(workspaceFolders[0].uri.fsPath);
-                console.log('🧠 Codasis: Workspace indexed successfully');
+                const summaries = [];
+                const failures = [];
+                for (const folder of folders) {
+                    progress.report({ increment: 100 / folders.length, message: folders.length > 1 ? folder.name : "Analyzing project structure..." });
+                    try {
+                        const stats = force
+                            ? await indexingManager.reindex(folder, true, token)
+                            : await indexingManager.sync(folder, token);
+                        summaries.push(`${folders.length > 1 ? `${folder.name}: ` : ''}processed ${stats.files_processed} files, ` +
+                            `updated ${stats.files_updated}` + (stats.files_removed ? `, removed ${stats.files_removed}` : ''));
+                    }
+                    catch (error) {
+                        if (error instanceof vscode.CancellationError) {
+                            throw error;
+                        }
+                        console.error(`Indexing ${folder.name} failed:`, error);
+                        failures.push(`${folder.name}: ${error.message}`);
+                    }
+                }
+                if (summaries.length) {
+                    vscode.window.showInformationMessage(`Workspace indexed successfully! ${summaries.join('; ')}.`);
+                }
+                if (failures.length) {
+                    vscode.window.showErrorMessage(`Failed to index workspace: ${failures.join('; ')}`);
+                }
             }
             catch (error) {
-                console.log('🧠 Codasis: Workspace indexing failed:', error);
+                if (error instanceof vscode.CancellationError) {
+                    vscode.window.showInformationMessage('Workspace indexing cancelled');
+                    return;
+                }
+                console.error('Workspace indexing failed:', error);
+                vscode.window.showErrorMessage(`Failed to index workspace: ${error.message}`);
             }
-        }
-    }, 2000);
+        });
+    }
 }
 exports.activate = activate;
 // Helper function to extract function code
 function extractFunctionCode(document, functionName, line) {
-    const startLine = Math.max(0, line - 1);
+    return document.getText(extractBlockRange(document, line, functionName));
+}
+// Helper to find the lines of the function, class or statement declared at `line` (1-based).
+// Braces are counted from the first opening one; Python blocks end where the indentation does.
+function extractBlockRange(document, line, name) {
+    const lines = document.getText().split(/\r?\n/);
+    let startLine = Math.min(Math.max(0, line - 1), lines.length - 1);
+    if (name && !lines[startLine].includes(name)) {
+        const found = lines.findIndex((text, index) => index > startLine && text.includes(name));
+        startLine = found >= 0 ? found : startLine;
+    }
     let endLine = startLine;
-    // Simple function extraction - find the function and its closing brace
-    const text = document.getText();
-    const lines = text.split('\n');
-    // Find the end of the function by counting braces
-    let braceCount = 0;
-    let foundStart = false;
-    for (let i = startLine; i < lines.length; i++) {
-        const currentLine = lines[i];
-        if (!foundStart && currentLine.includes(functionName)) {
-            foundStart = true;
+    if (document.languageId === 'python') {
+        const indentOf = (text) => /^\s*/.exec(text)[0].length;
+        const parens = (text) => (text.match(/[([{]/g)?.length ?? 0) - (text.match(/[)\]}]/g)?.length ?? 0);
+        // A signature may span lines until its brackets close
+        let header = startLine;
+        for (let open = parens(lines[header]); open > 0 && header < lines.length - 1;) {
+            open += parens(lines[++header]);
         }
-        if (foundStart) {
-            // Count opening and closing braces
-            for (const char of currentLine) {
-                if (char === '{')
-                    braceCount++;
-                if (char === '}')
-                    braceCount--;
+        endLine = header;
+        if (/:\s*(#.*)?$/.test(lines[header])) {
+            for (let i = header + 1; i < lines.length; i++) {
+                if (!lines[i].trim()) {
+                    continue;
+                }
+                if (indentOf(lines[i]) <= indentOf(lines[startLine])) {
+                    break;
+                }
+                endLine = i;
             }
+        }
+    }
+    else {
+        let depth = 0;
+        let opened = false;
+        for (let i = startLine; i < lines.length; i++) {
             endLine = i;
-            // If we've closed all braces, we've found the end
-            if (braceCount === 0 && foundStart) {
+            for (const char of lines[i]) {
+                if (char === '{') {
+                    depth++;
+                    opened = true;
+                }
+                else if (char === '}' && opened) {
+                    depth--;
+                }
+            }
+            if (opened && depth <= 0) {
+                break;
+            }
+            // Before any brace, continue only while the statement is unfinished
+            if (!opened && !/([(\[,=&|?:+\-]|=>)\s*$/.test(lines[i]) && !/^[{.&|?:+\-]/.test(lines[i + 1]?.trim() ?? '')) {
                 break;
             }
         }
     }
-    // Extract the function code
-    const functionRange = new vscode.Range(startLine, 0, endLine, lines[endLine]?.length || 0);
-    return document.getText(functionRange);
+    return new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length);
 }
-// Helper function for explanation webview
-function getExplanationWebviewContent(explanation, code, language) {
+// Helper to refactor a range towards a goal and propose the result as a diff
+async function proposeRefactoring(codasisProvider, codeApplier, document, range, goal, messages) {
+    const original = document.getText(range);
+    // Whole lines go out without their common indentation, which is added back to the result
+    const indent = range.start.character === 0 ? commonIndent(original) : '';
+    const code = original.split('\n').map(line => line.slice(indent.length)).join('\n');
+    const refactored = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: messages.progress,
+        cancellable: true
+    }, (_progress, token) => runCancellable(() => codasisProvider.refactorCode(code, document.languageId, token, goal, document.uri.fsPath)));
+    if (refactored === undefined) {
+        return;
+    }
+    const reindented = indent ? refactored.split('\n').map(line => line.trim() ? `${indent}${line}` : line).join('\n') : refactored;
+    if (reindented.trim() === original.trim()) {
+        vscode.window.showInformationMessage('The refactoring proposed no changes');
+        return;
+    }
+    // Keep a trailing line break the range ended with
+    const replacement = original.endsWith('\n') ? `${reindented}\n` : reindented;
+    // Side-by-side preview; the change is applied as one undoable edit
+    if (await codeApplier.proposeEdit(document, range, replacement)) {
+        const choice = await vscode.window.showInformationMessage(messages.done, 'Undo');
+        if (choice === 'Undo') {
+            await vscode.window.showTextDocument(document);
+            await vscode.commands.executeCommand('undo');
+        }
+    }
+}
+// Helper for the indentation shared by every non-blank line
+function commonIndent(text) {
+    const indents = text.split('\n').filter(line => line.trim()).map(line => /^[ \t]*/.exec(line)[0]);
+    return indents.reduce((shortest, indent) => indent.length < shortest.length ? indent : shortest, indents[0] ?? '');
+}
+// Helper function to stream an AI response into a webview panel that has a Stop button
+async function streamIntoPanel(panel, produce, token) {
+    const cancellation = new vscode.CancellationTokenSource();
+    const outerCancellation = token?.onCancellationRequested(() => cancellation.cancel());
+    const listener = panel.webview.onDidReceiveMessage(message => {
+        if (message.type === 'stop') {
+            cancellation.cancel();
+        }
+    });
+    const disposeListener = panel.onDidDispose(() => cancellation.cancel());
+    try {
+        const text = await produce((_delta, text) => {
+            panel.webview.postMessage({ type: 'chunk', html: markdownRenderer.render(text) });
+        }, cancellation.token);
+        const aborted = cancellation.token.isCancellationRequested;
+        panel.webview.postMessage({ type: 'done', html: markdownRenderer.render(aborted ? `${text} *(stopped)*` : text) });
+    }
+    catch (error) {
+        if (!(error instanceof vscode.CancellationError)) {
+            throw error;
+        }
+        panel.webview.postMessage({ type: 'done', html: markdownRenderer.render('*(stopped)*') });
+    }
+    finally {
+        outerCancellation?.dispose();
+        listener.dispose();
+        disposeListener.dispose();
+        cancellation.dispose();
+    }
+}
+// Helper to run a cancellable request, resolving to undefined when it was cancelled
+async function runCancellable(request) {
+    try {
+        return await request();
+    }
+    catch (error) {
+        if (error instanceof vscode.CancellationError) {
+            return undefined;
+        }
+        throw error;
+    }
+}
+async function pickConversation(apiClient) {
+    try {
+        const conversations = await apiClient.getConversations();
+        if (!conversations.length) {
+            vscode.window.showInformationMessage('There are no conversations to export yet');
+            return undefined;
+        }
+        const picked = await vscode.window.showQuickPick(conversations.map(conversation => ({
+            label: conversation.title,
+            description: [conversation.model, new Date(conversation.last_message_at || conversation.created_at).toLocaleDateString()].filter(Boolean).join(' · '),
+            id: conversation.id
+        })), { placeHolder: 'Select the conversation to export' });
+        return picked?.id;
+    }
+    catch (error) {
+        vscode.window.showErrorMessage(error.message);
+        return undefined;
+    }
+}
+async function pickExportFormat() {
+    return vscode.window.showQuickPick(ConversationExporter_1.ConversationExporter.formats.map(format => ({ ...format, description: `.${format.id}` })), { placeHolder: 'Export format' });
+}
+// Shared script for webviews that receive streamed output, already rendered by markdownRenderer
+function getStreamingScript(nonce) {
+    return `<script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+        const output = document.getElementById('output');
+        const stopButton = document.getElementById('stopButton');
+        stopButton.addEventListener('click', () => vscode.postMessage({ type: 'stop' }));
+        window.addEventListener('message', event => {
+            const message = event.data;
+            switch (message.type) {
+                case 'chunk':
+                    output.innerHTML = message.html;
+                    break;
+                case 'done':
+                    output.innerHTML = message.html;
+                    stopButton.style.display = 'none';
+                    break;
+            }
+        });
+    </script>`;
+}
+// Helper function for explanation webview; without `code` only the explanation of `fileName` is shown
+function getExplanationWebviewContent(webview, code, language, { title = 'Code Explanation', heading = 'AI Explanation', fileName } = {}) {
+    const nonce = MarkdownRenderer_1.MarkdownRenderer.nonce();
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${MarkdownRenderer_1.MarkdownRenderer.csp(webview, nonce)}">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Code Explanation</title>
-    <style>
+    <title>${MarkdownRenderer_1.MarkdownRenderer.escape(title)}</title>
+    <style nonce="${nonce}">
         body {
             font-family: var(--vscode-font-family);
             color: var(--vscode-foreground);
@@ -346,35 +897,50 @@ function getExplanationWebviewContent(explanation, code, language) {
         h1, h2, h3 {
             color: var(--vscode-textLink-foreground);
         }
+        #stopButton {
+            float: right;
+            background-color: var(--vscode-button-secondaryBackground);
+            color: var(--vscode-button-secondaryForeground);
+            border: none;
+            border-radius: 3px;
+            padding: 4px 10px;
+            cursor: pointer;
+            font-size: 0.6em;
+        }
+${MarkdownRenderer_1.MarkdownRenderer.styles}
     </style>
 </head>
 <body>
     <div class="header">
-        <h1>🧠 Code Explanation</h1>
-        <p>Language: <strong>${language}</strong></p>
+        <h1>🧠 ${MarkdownRenderer_1.MarkdownRenderer.escape(title)}</h1>
+        ${fileName ? `<p>File: <strong>${MarkdownRenderer_1.MarkdownRenderer.escape(fileName)}</strong></p>` : ''}
+        <p>Language: <strong>${MarkdownRenderer_1.MarkdownRenderer.escape(language)}</strong></p>
     </div>
-
+${code === undefined ? '' : `
     <h2>📝 Original Code</h2>
     <div class="code-block">
-        <pre><code>${code}</code></pre>
+        ${markdownRenderer.renderCode(code, language)}
     </div>
-
-    <h2>💡 AI Explanation</h2>
-    <div class="explanation">
-        ${explanation.replace(/\n/g, '<br>')}
+`}
+    <h2>💡 ${MarkdownRenderer_1.MarkdownRenderer.escape(heading)} <button id="stopButton">Stop</button></h2>
+    <div class="explanation markdown-body" id="output">
+        <em>Thinking...</em>
     </div>
+    ${getStreamingScript(nonce)}
 </body>
 </html>`;
 }
 // Helper function for analysis webview
-function getAnalysisWebviewContent(analysis, code, language) {
+function getAnalysisWebviewContent(webview, code, language) {
+    const nonce = MarkdownRenderer_1.MarkdownRenderer.nonce();
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${MarkdownRenderer_1.MarkdownRenderer.csp(webview, nonce)}">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Smart Analysis</title>
-    <style>
+    <style nonce="${nonce}">
         body {
             font-family: var(--vscode-font-family);
             color: var(--vscode-foreground);
@@ -417,24 +983,36 @@ function getAnalysisWebviewContent(analysis, code, language) {
         h1, h2, h3 {
             color: var(--vscode-textLink-foreground);
         }
+        #stopButton {
+            float: right;
+            background-color: var(--vscode-button-secondaryBackground);
+            color: var(--vscode-button-secondaryForeground);
+            border: none;
+            border-radius: 3px;
+            padding: 4px 10px;
+            cursor: pointer;
+            font-size: 0.6em;
+        }
+${MarkdownRenderer_1.MarkdownRenderer.styles}
     </style>
 </head>
 <body>
     <div class="header">
         <h1>🧠 Smart Code Analysis</h1>
-        <span class="badge">${language}</span>
+        <span class="badge">${MarkdownRenderer_1.MarkdownRenderer.escape(language)}</span>
         <span class="badge">Context-Aware</span>
     </div>
 
     <h2>📝 Analyzed Code</h2>
     <div class="code-block">
-        <pre><code>${code}</code></pre>
+        ${markdownRenderer.renderCode(code, language)}
     </div>
 
-    <h2>🔍 AI Analysis</h2>
-    <div class="analysis">
-        ${analysis.replace(/\n/g, '<br>')}
+    <h2>🔍 AI Analysis <button id="stopButton">Stop</button></h2>
+    <div class="analysis markdown-body" id="output">
+        <em>Analyzing...</em>
     </div>
+    ${getStreamingScript(nonce)}
 </body>
 </html>`;
 }
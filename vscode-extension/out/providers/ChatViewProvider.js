@@ -2,10 +2,24 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.ChatViewProvider = void 0;
 const vscode = require("vscode");
+const MarkdownRenderer_1 = require("../services/MarkdownRenderer");
+const MentionResolver_1 = require("../services/MentionResolver");
 class ChatViewProvider {
-    constructor(_extensionUri, apiClient) {
+    constructor(_extensionUri, apiClient, codeApplier, slashCommands) {
         this._extensionUri = _extensionUri;
         this.apiClient = apiClient;
+        this.codeApplier = codeApplier;
+        this.slashCommands = slashCommands;
+        this.renderer = new MarkdownRenderer_1.MarkdownRenderer({ codeActions: true });
+        this.mentions = new MentionResolver_1.MentionResolver(apiClient.redactor);
+        // @-mention attachments waiting to go out with the next message
+        this.attachments = [];
+        // Attachments already sent in this conversation, used to place applied code
+        this.sentAttachments = [];
+        this._onDidChangeConversation = new vscode.EventEmitter();
+        this.onDidChangeConversation = this._onDidChangeConversation.event;
+        this._onDidChangeModel = new vscode.EventEmitter();
+        this.onDidChangeModel = this._onDidChangeModel.event;
     }
     resolveWebviewView(webviewView, context, _token) {
         this._view = webviewView;
@@ -14,66 +28,475 @@ class ChatViewProvider {
             localResourceRoots: [this._extensionUri]
         };
         webviewView.webview.html = this._getHtmlForWebview(webviewView.webview);
+        const configListener = vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('codasis.chat.customCommands')) {
+                this.postSlashCommands();
+            }
+            if (event.affectsConfiguration('codasis.transport')) {
+                this.postModels();
+            }
+        });
+        webviewView.onDidDispose(() => {
+            configListener.dispose();
+            if (this._view === webviewView) {
+                this._view = undefined;
+            }
+        });
         webviewView.webview.onDidReceiveMessage(async (data) => {
             switch (data.type) {
+                case 'ready':
+                    await this.handleReady(data.conversationId);
+                    break;
                 case 'sendMessage':
                     await this.handleSendMessage(data.message);
                     break;
                 case 'clearChat':
-                    this.conversationId = undefined;
+                    // A reply still streaming would otherwise re-attach the cleared conversation
+                    this.activeRequest?.cancel();
+                    this.activeRequest = undefined;
+                    this.setConversationId(undefined);
+                    this.setAttachments([]);
+                    this.sentAttachments = [];
+                    // A new chat starts from codasis.preferredModel again
+                    this.conversationModel = undefined;
+                    this.pendingModel = undefined;
                     this.sendMessageToWebview({ type: 'chatCleared' });
+                    this.postModelSelection();
+                    break;
+                case 'selectModel':
+                    await this.selectModel(data.model);
+                    break;
+                case 'mentionQuery':
+                    await this.suggestMentions(data.kind, data.query, data.requestId);
+                    break;
+                case 'addMention':
+                    await this.addMention(data.kind, data.value);
+                    break;
+                case 'removeAttachment':
+                    this.setAttachments(this.attachments.filter(attachment => attachment.id !== data.id));
                     break;
-                case 'insertCode':
-                    await this.insertCodeIntoEditor(data.code);
+                case 'applyCode':
+                    await this.applyCode(() => this.codeApplier.applyBlock(data.block, this.sentAttachments));
+                    break;
+                case 'applyAll':
+                    await this.applyCode(() => this.codeApplier.applyBlocks(data.blocks, this.sentAttachments));
+                    break;
+                case 'regenerate':
+                    await this.regenerate(data.messageId, data.chooseModel);
+                    break;
+                case 'editMessage':
+                    await this.editMessage(data.messageId, data.message);
+                    break;
+                case 'selectBranch':
+                    await this.selectBranch(data.messageId);
+                    break;
+                case 'stopGeneration':
+                    this.activeRequest?.cancel();
                     break;
             }
         });
     }
     async handleSendMessage(message) {
-        try {
+        const command = this.slashCommands.parse(message);
+        if (command?.builtin) {
+            await this.handleSlashCommand(command, message);
+            return;
+        }
+        let attachments = this.attachments;
+        this.setAttachments([]);
+        await this.withRequest(async (request) => {
+            let prompt = message;
+            if (command?.custom) {
+                // Workspace commands act on the selection when nothing was mentioned
+                const selection = attachments.length ? undefined : this.selectionAttachment();
+                attachments = selection ? [selection] : attachments;
+                prompt = this.slashCommands.expand(command, [...attachments].reverse().find(attachment => attachment.source));
+            }
+            this.sentAttachments.push(...attachments);
             // Show user message immediately
             this.sendMessageToWebview({
                 type: 'userMessage',
-                message: message,
+                html: this.renderer.render(message),
+                text: message,
+                attachments: attachments.map(ChatViewProvider.describeAttachment),
                 timestamp: new Date().toISOString()
             });
             // Show typing indicator
             this.sendMessageToWebview({ type: 'typing', isTyping: true });
-            // Get AI response
-            const response = await this.apiClient.sendChatMessage(message, this.conversationId);
-            this.conversationId = response.conversationId;
-            // Hide typing indicator and show AI response
-            this.sendMessageToWebview({ type: 'typing', isTyping: false });
+            // The backend only reads the model when this message starts a conversation
+            const model = this.conversationId ? undefined : this.selectedModel();
+            const result = await this.respond(request, (onChunk, token) => this.apiClient.streamChatMessage(prompt, this.conversationId, onChunk, token, attachments, model), token => this.apiClient.sendChatMessage(prompt, this.conversationId, token, attachments, model));
+            if (result && model) {
+                this.conversationModel = model;
+            }
+            if (result) {
+                // Ids let the webview offer edit and regenerate on the new turn
+                this.sendMessageToWebview({ type: 'messageIds', userMessageId: result.userMessageId, messageId: result.messageId });
+            }
+        }, () => 'Failed to send message. Please check your connection and try again.');
+    }
+    /**
+     * Answer the turn behind an assistant message again, as a new branch.
+     * With `chooseModel` the user picks the model for this answer only.
+     */
+    async regenerate(messageId, chooseModel) {
+        if (!this.conversationId || !messageId) {
+            return;
+        }
+        const model = chooseModel ? await this.pickModel() : undefined;
+        if (chooseModel && !model) {
+            return;
+        }
+        const conversationId = this.conversationId;
+        await this.withRequest(async (request) => {
+            this.sendMessageToWebview({ type: 'truncate', messageId });
+            this.sendMessageToWebview({ type: 'typing', isTyping: true });
+            await this.respond(request, (onChunk, token) => this.apiClient.streamRegeneratedMessage(conversationId, messageId, model, onChunk, token), token => this.apiClient.regenerateMessage(conversationId, messageId, model, token));
+        }, () => 'Failed to regenerate the response. Please try again.');
+        // Reload so the branch switcher counts the new answer
+        await this.syncConversation();
+    }
+    /**
+     * Resend an earlier user message with new text; the original turn and
+     * everything after it stay on their own branch.
+     */
+    async editMessage(messageId, message) {
+        if (!this.conversationId || !messageId || !message?.trim()) {
+            return;
+        }
+        const conversationId = this.conversationId;
+        await this.withRequest(async (request) => {
+            this.sendMessageToWebview({ type: 'truncate', messageId });
             this.sendMessageToWebview({
-                type: 'aiMessage',
-                message: response.response,
+                type: 'userMessage',
+                html: this.renderer.render(message),
+                text: message,
                 timestamp: new Date().toISOString()
             });
+            this.sendMessageToWebview({ type: 'typing', isTyping: true });
+            await this.respond(request, (onChunk, token) => this.apiClient.streamEditedMessage(conversationId, messageId, message, onChunk, token), token => this.apiClient.editMessage(conversationId, messageId, message, token));
+        }, () => 'Failed to resend the edited message. Please try again.');
+        await this.syncConversation();
+    }
+    async selectBranch(messageId) {
+        if (!this.conversationId || this.activeRequest) {
+            return;
+        }
+        try {
+            await this.apiClient.selectBranch(this.conversationId, messageId);
+            await this.syncConversation();
         }
         catch (error) {
-            console.error('Error sending chat message:', error);
+            this.sendMessageToWebview({ type: 'error', message: error.message });
+        }
+    }
+    /**
+     * The chat header's model. It changes the current conversation only;
+     * before the first message it is kept for the conversation to be created.
+     */
+    async selectModel(model) {
+        if (!this.conversationId) {
+            this.pendingModel = model;
+            return;
+        }
+        try {
+            await this.apiClient.updateConversationModel(this.conversationId, model);
+            this.conversationModel = model;
+            this._onDidChangeModel.fire(model);
+        }
+        catch (error) {
+            this.sendMessageToWebview({ type: 'error', message: error.message });
+            this.postModelSelection();
+        }
+    }
+    selectedModel() {
+        return this.conversationModel ?? this.pendingModel ?? vscode.workspace.getConfiguration('codasis').get('preferredModel', 'deepseek-r1');
+    }
+    async postModels() {
+        // The local transport always uses codasis.localModel.model
+        if (this.apiClient.isLocalTransport()) {
+            this.sendMessageToWebview({ type: 'models', models: [] });
+            return;
+        }
+        try {
+            const models = await this.apiClient.getModels();
+            this.sendMessageToWebview({ type: 'models', models, selected: this.selectedModel() });
+        }
+        catch (error) {
+            console.warn('Could not load models for the chat header:', error);
+        }
+    }
+    postModelSelection() {
+        this.sendMessageToWebview({ type: 'modelSelected', model: this.selectedModel() });
+    }
+    async pickModel() {
+        try {
+            const models = await this.apiClient.getModels();
+            const picked = await vscode.window.showQuickPick(models.map(model => ({
+                label: model.id,
+                description: model.available ? undefined : 'unavailable'
+            })), { title: 'Regenerate with model' });
+            return picked?.label;
+        }
+        catch (error) {
+            vscode.window.showErrorMessage(error.message);
+            return undefined;
+        }
+    }
+    /**
+     * Run `run` as the chat's active request, replacing any request still
+     * in flight. Replies that arrive after a newer request started are
+     * dropped by `respond`; failures are shown in the chat using `failure`.
+     */
+    async withRequest(run, failure) {
+        this.activeRequest?.cancel();
+        const request = this.activeRequest = new vscode.CancellationTokenSource();
+        try {
+            await run(request);
+        }
+        catch (error) {
+            if (this.activeRequest !== request) {
+                return;
+            }
+            this.sendMessageToWebview({ type: 'typing', isTyping: false });
+            if (error instanceof vscode.CancellationError) {
+                this.sendMessageToWebview({ type: 'error', message: 'Request cancelled.' });
+                return;
+            }
+            console.error('Error in chat request:', error);
+            this.sendMessageToWebview({ type: 'error', message: failure(error) });
+        }
+        finally {
+            request.dispose();
+            if (this.activeRequest === request) {
+                this.activeRequest = undefined;
+            }
+        }
+    }
+    /**
+     * Show an assistant reply, streamed when enabled. `stream` and `send`
+     * produce it with and without streaming. Resolves with the backend's
+     * result, or undefined when another request took over meanwhile.
+     */
+    async respond(request, stream, send) {
+        if (!this.apiClient.isStreamingEnabled()) {
+            const response = await send(request.token);
+            if (this.activeRequest !== request) {
+                return undefined;
+            }
+            if (response.conversationId) {
+                this.setConversationId(response.conversationId);
+            }
+            // Hide typing indicator and show AI response
             this.sendMessageToWebview({ type: 'typing', isTyping: false });
             this.sendMessageToWebview({
-                type: 'error',
-                message: 'Failed to send message. Please check your connection and try again.'
+                type: 'aiMessage',
+                html: this.renderer.render(response.response),
+                model: response.model,
+                timestamp: new Date().toISOString()
             });
+            return response;
+        }
+        let started = false;
+        const start = () => {
+            if (!started) {
+                started = true;
+                this.sendMessageToWebview({ type: 'typing', isTyping: false });
+                this.sendMessageToWebview({ type: 'aiMessageStart', timestamp: new Date().toISOString() });
+            }
+        };
+        const result = await stream((_delta, text) => {
+            if (this.activeRequest === request) {
+                start();
+                this.sendMessageToWebview({ type: 'aiMessageChunk', html: this.renderer.render(text) });
+            }
+        }, request.token);
+        if (this.activeRequest !== request) {
+            // Another conversation was loaded while this reply was streaming
+            return undefined;
+        }
+        if (result.conversationId) {
+            this.setConversationId(result.conversationId);
         }
+        start();
+        this.sendMessageToWebview({ type: 'aiMessageEnd', html: this.renderer.render(result.aborted ? `${result.text} *(stopped)*` : result.text), model: result.model });
+        return result;
     }
-    async insertCodeIntoEditor(code) {
-        const editor = vscode.window.activeTextEditor;
-        if (editor) {
-            const position = editor.selection.active;
-            await editor.edit(editBuilder => {
-                editBuilder.insert(position, code);
+    /**
+     * Run a built-in slash command on the newest @-mention, else the editor
+     * selection, and show the result as an assistant message. Results are
+     * not part of the stored conversation.
+     */
+    async handleSlashCommand(command, message) {
+        await this.withRequest(async (request) => {
+            const target = [...this.attachments].reverse().find(attachment => attachment.kind !== 'problems') ?? this.selectionAttachment();
+            if (!target) {
+                this.sendMessageToWebview({ type: 'error', message: `Select code in the editor or @-mention a file or symbol to run /${command.name}.` });
+                return;
+            }
+            this.setAttachments(this.attachments.filter(attachment => attachment !== target));
+            this.sentAttachments.push(target);
+            this.sendMessageToWebview({
+                type: 'userMessage',
+                html: this.renderer.render(message),
+                attachments: [ChatViewProvider.describeAttachment(target)],
+                timestamp: new Date().toISOString()
             });
+            this.sendMessageToWebview({ type: 'typing', isTyping: true });
+            await this.respond(request, async (onChunk, token) => {
+                const text = await this.slashCommands.run(command, target, onChunk, token);
+                return { text, aborted: token.isCancellationRequested };
+            }, async (token) => ({ response: await this.slashCommands.run(command, target, undefined, token) }));
+        }, error => `/${command.name} failed: ${error.message}`);
+    }
+    /**
+     * The active editor's selection as an attachment, if there is one.
+     */
+    selectionAttachment() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || editor.selection.isEmpty || editor.document.uri.scheme !== 'file') {
+            return undefined;
+        }
+        return this.mentions.resolveSelection(editor);
+    }
+    postSlashCommands() {
+        this.sendMessageToWebview({ type: 'slashCommands', commands: this.slashCommands.list() });
+    }
+    async suggestMentions(kind, query, requestId) {
+        try {
+            const items = await this.mentions.suggest(kind, query ?? '');
+            this.sendMessageToWebview({ type: 'mentionSuggestions', requestId, items });
+        }
+        catch (error) {
+            console.error('Error suggesting mentions:', error);
+            this.sendMessageToWebview({ type: 'mentionSuggestions', requestId, items: [] });
+        }
+    }
+    async addMention(kind, value) {
+        try {
+            const attachment = await this.mentions.resolve(kind, value);
+            this.setAttachments([...this.attachments, attachment]);
+            if (attachment.truncated) {
+                vscode.window.showWarningMessage(`@${kind} ${attachment.label} was truncated to ${attachment.tokens} tokens (codasis.chat.maxAttachmentTokens)`);
+            }
+        }
+        catch (error) {
+            vscode.window.showWarningMessage(`Could not attach @${kind}: ${error.message}`);
+        }
+    }
+    setAttachments(attachments) {
+        this.attachments = attachments;
+        this.sendMessageToWebview({ type: 'attachments', attachments: attachments.map(ChatViewProvider.describeAttachment) });
+    }
+    async applyCode(run) {
+        try {
+            await run();
+        }
+        catch (error) {
+            vscode.window.showErrorMessage(`Could not apply code: ${error.message}`);
+        }
+    }
+    /**
+     * What the webview needs for a chip; the content stays in the extension.
+     */
+    static describeAttachment(attachment) {
+        return { id: attachment.id, kind: attachment.kind, label: attachment.label, tokens: attachment.tokens, truncated: attachment.truncated };
+    }
+    /**
+     * Replace the chat with a stored conversation so it can be continued.
+     */
+    async loadConversation(conversationId) {
+        const conversation = await this.apiClient.getConversation(conversationId);
+        this.activeRequest?.cancel();
+        this.activeRequest = undefined;
+        this.setConversationId(conversation.id);
+        this.conversationModel = conversation.model;
+        this.sentAttachments = [];
+        const message = this.conversationLoadedMessage(conversation);
+        if (this._view) {
+            this._view.show(true);
+            this.sendMessageToWebview(message);
         }
         else {
-            // Create new untitled document with the code
-            const document = await vscode.workspace.openTextDocument({
-                content: code,
-                language: 'plaintext'
-            });
-            await vscode.window.showTextDocument(document);
+            // The view is created lazily; deliver once it resolves
+            this.pendingConversation = message;
+            await vscode.commands.executeCommand('codasis-chat.focus');
+        }
+    }
+    /**
+     * The webview script has started, either fresh or restored from its
+     * saved state after a reload. `savedConversationId` is the conversation
+     * that state belongs to.
+     */
+    async handleReady(savedConversationId) {
+        this.postSlashCommands();
+        await this.postModels();
+        this.setAttachments(this.attachments);
+        if (this.pendingConversation) {
+            this.sendMessageToWebview(this.pendingConversation);
+            this.pendingConversation = undefined;
+            return;
+        }
+        if (!this.conversationId && savedConversationId) {
+            // The extension host restarted; pick up where the transcript left off
+            this.setConversationId(savedConversationId);
+        }
+        await this.syncConversation();
+    }
+    /**
+     * Refresh the restored transcript from the backend. When the backend is
+     * unreachable the saved transcript stays as it is.
+     */
+    async syncConversation() {
+        const conversationId = this.conversationId;
+        if (!conversationId || this.activeRequest || this.apiClient.isLocalTransport()) {
+            return;
+        }
+        try {
+            const conversation = await this.apiClient.getConversation(conversationId);
+            // Skip if the user moved on while the request was in flight
+            if (this.conversationId === conversationId && !this.activeRequest) {
+                this.conversationModel = conversation.model;
+                this.sendMessageToWebview({ ...this.conversationLoadedMessage(conversation), restored: true });
+            }
+        }
+        catch (error) {
+            console.warn('Could not re-sync chat conversation:', error);
+        }
+    }
+    conversationLoadedMessage(conversation) {
+        return {
+            type: 'conversationLoaded',
+            title: conversation.title,
+            model: conversation.model,
+            messages: conversation.messages.map(item => ({
+                id: item.id,
+                branches: item.branches,
+                text: item.role === 'user' ? item.content : undefined,
+                model: item.metadata?.model,
+                role: item.role,
+                html: this.renderer.render(item.content),
+                attachments: item.metadata?.attachments,
+                timestamp: item.created_at
+            }))
+        };
+    }
+    /**
+     * Called when the open conversation is deleted elsewhere.
+     */
+    forgetConversation(conversationId) {
+        if (this.conversationId === conversationId) {
+            this.setConversationId(undefined);
+            this.conversationModel = undefined;
+            this.sendMessageToWebview({ type: 'chatCleared' });
+            this.postModelSelection();
+        }
+    }
+    setConversationId(conversationId) {
+        if (this.conversationId !== conversationId) {
+            this.conversationId = conversationId;
+            this._onDidChangeConversation.fire(conversationId);
+            this.sendMessageToWebview({ type: 'conversationChanged', conversationId });
         }
     }
     sendMessageToWebview(message) {
@@ -82,13 +505,15 @@ class ChatViewProvider {
         }
     }
     _getHtmlForWebview(webview) {
+        const nonce = MarkdownRenderer_1.MarkdownRenderer.nonce();
         return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="${MarkdownRenderer_1.MarkdownRenderer.csp(webview, nonce)}">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>AI Chat</title>
-    <style>
+    <style nonce="${nonce}">
         body {
             font-family: var(--vscode-font-family);
             font-size: var(--vscode-font-size);
@@ -161,6 +586,67 @@ class ChatViewProvider {
             font-size: 0.8em;
         }
 
+        .apply-all {
+            margin-top: 6px;
+        }
+
+        #chatHeader {
+            display: none;
+            align-items: center;
+            gap: 6px;
+            margin-bottom: 8px;
+            font-size: 0.9em;
+        }
+
+        #modelSelect {
+            color: var(--vscode-dropdown-foreground);
+            background-color: var(--vscode-dropdown-background);
+            border: 1px solid var(--vscode-dropdown-border);
+            padding: 2px 4px;
+        }
+
+        .message-model:not(:only-child)::after {
+            content: ' · ';
+        }
+
+        .message-actions {
+            display: flex;
+            gap: 4px;
+            align-items: center;
+            justify-content: flex-end;
+            margin-top: 4px;
+            font-size: 0.8em;
+        }
+
+        .ai-message .message-actions {
+            justify-content: flex-start;
+        }
+
+        .message-actions button {
+            background: transparent;
+            color: inherit;
+            padding: 2px 6px;
+            font-size: inherit;
+            opacity: 0.7;
+        }
+
+        .message-actions button:hover:not(:disabled) {
+            opacity: 1;
+            background: var(--vscode-toolbar-hoverBackground);
+        }
+
+        .edit-box textarea {
+            width: 100%;
+            min-height: 60px;
+            box-sizing: border-box;
+            font-family: inherit;
+            color: var(--vscode-input-foreground);
+            background-color: var(--vscode-input-background);
+            border: 1px solid var(--vscode-input-border);
+            border-radius: 2px;
+            padding: 6px;
+        }
+
         .code-action-btn:hover {
             background-color: var(--vscode-button-hoverBackground);
         }
@@ -196,6 +682,87 @@ class ChatViewProvider {
             border-color: var(--vscode-focusBorder);
         }
 
+        #composer {
+            position: relative;
+        }
+
+        #attachments {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin-bottom: 6px;
+        }
+
+        .chip {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+            padding: 2px 4px 2px 8px;
+            border-radius: 10px;
+            background-color: var(--vscode-badge-background);
+            color: var(--vscode-badge-foreground);
+            font-size: 0.85em;
+            max-width: 100%;
+        }
+
+        .chip-label {
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+
+        .chip-tokens {
+            opacity: 0.75;
+        }
+
+        .chip button {
+            padding: 0 4px;
+            background: transparent;
+            color: inherit;
+        }
+
+        .message-attachments {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            justify-content: flex-end;
+            margin-top: 4px;
+        }
+
+        #mentionMenu {
+            display: none;
+            position: absolute;
+            bottom: 100%;
+            left: 0;
+            right: 0;
+            max-height: 220px;
+            overflow-y: auto;
+            margin-bottom: 4px;
+            background-color: var(--vscode-editorSuggestWidget-background, var(--vscode-input-background));
+            border: 1px solid var(--vscode-editorSuggestWidget-border, var(--vscode-panel-border));
+            border-radius: 4px;
+            z-index: 10;
+        }
+
+        .mention-item {
+            padding: 4px 8px;
+            cursor: pointer;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+
+        .mention-item.active {
+            background-color: var(--vscode-editorSuggestWidget-selectedBackground, var(--vscode-list-activeSelectionBackground));
+            color: var(--vscode-editorSuggestWidget-selectedForeground, var(--vscode-list-activeSelectionForeground));
+        }
+
+        .mention-description {
+            opacity: 0.7;
+            margin-left: 8px;
+            font-size: 0.9em;
+        }
+
         button {
             padding: 8px 16px;
             border: none;
@@ -215,6 +782,10 @@ class ChatViewProvider {
             cursor: not-allowed;
         }
 
+        #stopButton {
+            display: none;
+        }
+
         #typingIndicator {
             display: none;
             font-style: italic;
@@ -230,9 +801,15 @@ class ChatViewProvider {
             border-radius: 4px;
             margin-bottom: 10px;
         }
+${MarkdownRenderer_1.MarkdownRenderer.styles}
     </style>
 </head>
 <body>
+    <div id="chatHeader">
+        <label for="modelSelect">Model</label>
+        <select id="modelSelect" title="Model for this conversation"></select>
+    </div>
+
     <div id="chatContainer">
         <div class="ai-message">
             <div>Hello! I'm your AI coding assistant. How can I help you today?</div>
@@ -242,19 +819,55 @@ class ChatViewProvider {
     
     <div id="typingIndicator">AI is typing...</div>
     
-    <div id="inputContainer">
-        <input type="text" id="messageInput" placeholder="Ask me anything about your code..." />
-        <button id="sendButton" onclick="sendMessage()">Send</button>
-        <button id="clearButton" onclick="clearChat()">Clear</button>
+    <div id="composer">
+        <div id="mentionMenu" role="listbox"></div>
+        <div id="attachments"></div>
+        <div id="inputContainer">
+            <input type="text" id="messageInput" placeholder="Ask me anything about your code... (@ to attach context, / for commands)" />
+            <button id="sendButton">Send</button>
+            <button id="stopButton">Stop</button>
+            <button id="clearButton">Clear</button>
+        </div>
     </div>
 
-    <script>
+    <script nonce="${nonce}">
         const vscode = acquireVsCodeApi();
         const chatContainer = document.getElementById('chatContainer');
         const messageInput = document.getElementById('messageInput');
         const sendButton = document.getElementById('sendButton');
         const clearButton = document.getElementById('clearButton');
+        const stopButton = document.getElementById('stopButton');
         const typingIndicator = document.getElementById('typingIndicator');
+        const attachmentsContainer = document.getElementById('attachments');
+        const mentionMenu = document.getElementById('mentionMenu');
+        const chatHeader = document.getElementById('chatHeader');
+        const modelSelect = document.getElementById('modelSelect');
+        let streamingMessage = null;
+        const mentionKinds = [
+            { kind: 'file', description: 'Attach a workspace file', searchable: true },
+            { kind: 'symbol', description: 'Attach a function, class or other symbol', searchable: true },
+            { kind: 'selection', description: 'Attach the current editor selection' },
+            { kind: 'problems', description: 'Attach current diagnostics' },
+            { kind: 'folder', description: 'Attach the files in a folder', searchable: true }
+        ];
+        let mention = null;
+        let suggestions = [];
+        let activeSuggestion = 0;
+        let mentionRequestId = 0;
+        let slashCommands = [];
+        // Transcript, draft and scroll position survive hidden views and window reloads
+        let state = vscode.getState() || {};
+        let scrollTimer;
+        const transcriptUpdates = ['userMessage', 'aiMessageEnd', 'aiMessage', 'error', 'chatCleared', 'conversationLoaded', 'messageIds'];
+
+        function saveState(changes) {
+            state = { ...state, ...changes };
+            vscode.setState(state);
+        }
+
+        function saveTranscript() {
+            saveState({ transcript: chatContainer.innerHTML, scrollTop: chatContainer.scrollTop });
+        }
 
         function sendMessage() {
             const message = messageInput.value.trim();
@@ -265,44 +878,312 @@ class ChatViewProvider {
                 });
                 messageInput.value = '';
                 sendButton.disabled = true;
+                saveState({ draft: '' });
             }
         }
 
+        function stopGeneration() {
+            vscode.postMessage({ type: 'stopGeneration' });
+        }
+
+        function setGenerating(isGenerating) {
+            stopButton.style.display = isGenerating ? 'inline-block' : 'none';
+            sendButton.style.display = isGenerating ? 'none' : 'inline-block';
+        }
+
         function clearChat() {
             chatContainer.innerHTML = '';
             vscode.postMessage({ type: 'clearChat' });
         }
 
-        function insertCode(code) {
-            vscode.postMessage({
-                type: 'insertCode',
-                code: code
-            });
+        function createChip(attachment, removable) {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.title = '@' + attachment.kind + ' ' + attachment.label + (attachment.truncated ? ' (truncated)' : '');
+            const label = document.createElement('span');
+            label.className = 'chip-label';
+            label.textContent = '@' + attachment.kind + ' ' + attachment.label;
+            chip.appendChild(label);
+            // Stored conversations keep only the reference, not the size
+            if (attachment.tokens !== undefined) {
+                const tokens = document.createElement('span');
+                tokens.className = 'chip-tokens';
+                tokens.textContent = '~' + attachment.tokens.toLocaleString() + ' tokens';
+                chip.appendChild(tokens);
+            }
+            if (removable) {
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.title = 'Remove';
+                remove.addEventListener('click', () => vscode.postMessage({ type: 'removeAttachment', id: attachment.id }));
+                chip.appendChild(remove);
+            }
+            return chip;
+        }
+
+        function renderAttachments(attachments) {
+            attachmentsContainer.replaceChildren(...attachments.map(attachment => createChip(attachment, true)));
+        }
+
+        // Mentions look like "@kind" or "@kind:query" ending at the cursor
+        function findMention() {
+            const beforeCursor = messageInput.value.slice(0, messageInput.selectionStart);
+            const match = /(^|\\s)@(\\w*)(?::(\\S*))?$/.exec(beforeCursor);
+            if (!match) {
+                return null;
+            }
+            return {
+                start: match.index + match[1].length,
+                end: messageInput.selectionStart,
+                kind: match[2].toLowerCase(),
+                query: match[3]
+            };
+        }
+
+        // A command name being typed at the very start of the message
+        function findSlashCommand() {
+            const beforeCursor = messageInput.value.slice(0, messageInput.selectionStart);
+            const match = /^\\/([\\w-]*)$/.exec(beforeCursor);
+            return match ? { start: 0, end: messageInput.selectionStart, name: match[1].toLowerCase() } : null;
+        }
+
+        function updateMention() {
+            const slash = findSlashCommand();
+            if (slash) {
+                mention = slash;
+                showSuggestions(slashCommands
+                    .filter(item => item.name.startsWith(slash.name))
+                    .map(item => ({ label: '/' + item.name, description: item.description, command: item.name })));
+                return;
+            }
+            mention = findMention();
+            if (!mention) {
+                hideMentionMenu();
+                return;
+            }
+            if (mention.query === undefined) {
+                showSuggestions(mentionKinds
+                    .filter(item => item.kind.startsWith(mention.kind))
+                    .map(item => ({ label: '@' + item.kind, description: item.description, kind: item.kind, searchable: item.searchable })));
+                return;
+            }
+            const kind = mentionKinds.find(item => item.kind === mention.kind);
+            if (!kind || !kind.searchable) {
+                hideMentionMenu();
+                return;
+            }
+            vscode.postMessage({ type: 'mentionQuery', kind: kind.kind, query: mention.query, requestId: ++mentionRequestId });
+        }
+
+        function showSuggestions(items) {
+            suggestions = items;
+            activeSuggestion = 0;
+            renderSuggestions();
         }
 
-        function addMessage(content, isUser, timestamp) {
+        function renderSuggestions() {
+            mentionMenu.replaceChildren(...suggestions.map((item, index) => {
+                const row = document.createElement('div');
+                row.className = 'mention-item' + (index === activeSuggestion ? ' active' : '');
+                row.setAttribute('role', 'option');
+                row.textContent = item.label;
+                if (item.description) {
+                    const description = document.createElement('span');
+                    description.className = 'mention-description';
+                    description.textContent = item.description;
+                    row.appendChild(description);
+                }
+                // mousedown keeps focus in the input
+                row.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    chooseSuggestion(item);
+                });
+                return row;
+            }));
+            mentionMenu.style.display = suggestions.length ? 'block' : 'none';
+            mentionMenu.querySelector('.active')?.scrollIntoView({ block: 'nearest' });
+        }
+
+        function hideMentionMenu() {
+            suggestions = [];
+            mentionMenu.style.display = 'none';
+        }
+
+        function replaceMention(text) {
+            const value = messageInput.value;
+            messageInput.value = value.slice(0, mention.start) + text + value.slice(mention.end);
+            const cursor = mention.start + text.length;
+            messageInput.setSelectionRange(cursor, cursor);
+            sendButton.disabled = !messageInput.value.trim();
+            saveState({ draft: messageInput.value });
+        }
+
+        function chooseSuggestion(item) {
+            if (item.command) {
+                replaceMention('/' + item.command + ' ');
+                hideMentionMenu();
+                return;
+            }
+            if (item.searchable && item.value === undefined) {
+                // Picked a kind that needs a target: continue with "@kind:" and search
+                replaceMention('@' + item.kind + ':');
+                updateMention();
+                return;
+            }
+            const kind = item.kind || mention.kind;
+            replaceMention('');
+            hideMentionMenu();
+            vscode.postMessage({ type: 'addMention', kind, value: item.value });
+        }
+
+        function codeBlockData(codeBlock) {
+            return {
+                code: codeBlock.querySelector('pre code').textContent.replace(/\\n$/, ''),
+                info: codeBlock.dataset.info
+            };
+        }
+
+        // Answers touching several files get one button to review them together
+        function addApplyAll(messageDiv) {
+            if (!messageDiv || messageDiv.querySelectorAll('.code-block').length < 2) {
+                return;
+            }
+            const button = document.createElement('button');
+            button.className = 'code-action-btn apply-all';
+            button.dataset.action = 'applyAll';
+            button.textContent = 'Apply all…';
+            messageDiv.querySelector('.message-content').after(button);
+        }
+
+        function actionButton(label, action, title, target) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.dataset.action = action;
+            if (target) {
+                button.dataset.target = target;
+            }
+            else if (action === 'branch') {
+                button.disabled = true;
+            }
+            return button;
+        }
+
+        // Messages with a backend id can be edited or regenerated; alternatives get a switcher
+        function setMessageMeta(messageDiv, meta) {
+            if (meta.text !== undefined) {
+                messageDiv.dataset.text = meta.text;
+            }
+            if (!meta.id) {
+                return;
+            }
+            messageDiv.dataset.id = meta.id;
+            messageDiv.querySelector('.message-actions')?.remove();
+            const actions = document.createElement('div');
+            actions.className = 'message-actions';
+            const branches = meta.branches || [meta.id];
+            const index = branches.indexOf(meta.id);
+            if (branches.length > 1 && index !== -1) {
+                const position = document.createElement('span');
+                position.textContent = (index + 1) + '/' + branches.length;
+                actions.append(
+                    actionButton('‹', 'branch', 'Previous version', branches[index - 1]),
+                    position,
+                    actionButton('›', 'branch', 'Next version', branches[index + 1]));
+            }
+            if (messageDiv.classList.contains('user-message')) {
+                actions.append(actionButton('Edit', 'edit', 'Edit and resend as a new branch'));
+            }
+            else {
+                actions.append(
+                    actionButton('Regenerate', 'regenerate', 'Answer this again'),
+                    actionButton('Regenerate with…', 'regenerateWith', 'Answer this again with another model'));
+            }
+            messageDiv.appendChild(actions);
+        }
+
+        function startEdit(messageDiv) {
+            if (messageDiv.querySelector('.edit-box')) {
+                return;
+            }
+            const content = messageDiv.querySelector('.message-content');
+            const box = document.createElement('div');
+            box.className = 'edit-box';
+            const textarea = document.createElement('textarea');
+            textarea.value = messageDiv.dataset.text ?? content.textContent;
+            box.append(textarea, actionButton('Save & Resend', 'saveEdit', 'Resend as a new branch'), actionButton('Cancel', 'cancelEdit', 'Keep the message as it is'));
+            content.style.display = 'none';
+            content.after(box);
+            textarea.focus();
+        }
+
+        function endEdit(messageDiv) {
+            messageDiv.querySelector('.edit-box')?.remove();
+            messageDiv.querySelector('.message-content').style.display = '';
+        }
+
+        // Which model wrote a reply, shown in front of its time
+        function setReplyModel(messageDiv, model) {
+            if (!messageDiv || !model) {
+                return;
+            }
+            let time = messageDiv.querySelector('.message-time');
+            if (!time) {
+                time = document.createElement('div');
+                time.className = 'message-time';
+                messageDiv.insertBefore(time, messageDiv.querySelector('.message-actions'));
+            }
+            let label = time.querySelector('.message-model');
+            if (!label) {
+                label = document.createElement('span');
+                label.className = 'message-model';
+                time.prepend(label);
+            }
+            label.textContent = model;
+        }
+
+        function lastMessage(className) {
+            const messages = chatContainer.querySelectorAll('.message.' + className);
+            return messages[messages.length - 1];
+        }
+
+        // html is rendered and sanitised by the extension before it is posted here
+        function addMessage(html, isUser, timestamp, attachments, meta) {
             const messageDiv = document.createElement('div');
             messageDiv.className = \`message \${isUser ? 'user-message' : 'ai-message'}\`;
-            
-            // Process code blocks
-            const processedContent = content.replace(/\`\`\`([\\s\\S]*?)\`\`\`/g, (match, code) => {
-                const codeId = 'code_' + Math.random().toString(36).substr(2, 9);
-                return \`<div class="code-block">
-                    <div class="code-actions">
-                        <button class="code-action-btn" onclick="insertCode(\\\`\${code.trim()}\\\`)">Insert</button>
-                        <button class="code-action-btn" onclick="navigator.clipboard.writeText(\\\`\${code.trim()}\\\`)">Copy</button>
-                    </div>
-                    <pre><code>\${code.trim()}</code></pre>
-                </div>\`;
-            });
-            
-            messageDiv.innerHTML = \`
-                <div>\${processedContent}</div>
-                <div class="message-time">\${new Date(timestamp).toLocaleTimeString()}</div>
-            \`;
-            
+            const content = document.createElement('div');
+            content.className = 'message-content markdown-body';
+            content.innerHTML = html;
+            messageDiv.appendChild(content);
+            if (attachments && attachments.length) {
+                const list = document.createElement('div');
+                list.className = 'message-attachments';
+                attachments.forEach(attachment => list.appendChild(createChip(attachment, false)));
+                messageDiv.appendChild(list);
+            }
+            if (timestamp) {
+                const time = document.createElement('div');
+                time.className = 'message-time';
+                time.textContent = new Date(timestamp).toLocaleTimeString();
+                messageDiv.appendChild(time);
+            }
+            if (meta) {
+                setMessageMeta(messageDiv, meta);
+            }
             chatContainer.appendChild(messageDiv);
             chatContainer.scrollTop = chatContainer.scrollHeight;
+            return messageDiv;
+        }
+
+        function updateStreamingMessage(html) {
+            if (!streamingMessage) {
+                return;
+            }
+            const pinnedToBottom = chatContainer.scrollHeight - chatContainer.scrollTop - chatContainer.clientHeight < 40;
+            streamingMessage.querySelector('.message-content').innerHTML = html;
+            if (pinnedToBottom) {
+                chatContainer.scrollTop = chatContainer.scrollHeight;
+            }
         }
 
         function showError(message) {
@@ -313,8 +1194,77 @@ class ChatViewProvider {
             chatContainer.scrollTop = chatContainer.scrollHeight;
         }
 
-        // Handle Enter key
-        messageInput.addEventListener('keypress', function(e) {
+        modelSelect.addEventListener('change', () => vscode.postMessage({ type: 'selectModel', model: modelSelect.value }));
+        sendButton.addEventListener('click', sendMessage);
+        stopButton.addEventListener('click', stopGeneration);
+        clearButton.addEventListener('click', clearChat);
+
+        // Code block buttons are rendered without handlers; dispatch on data-action
+        chatContainer.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (!button) {
+                return;
+            }
+            const messageDiv = button.closest('.message');
+            switch (button.dataset.action) {
+                case 'applyAll': {
+                    const blocks = [...messageDiv.querySelectorAll('.code-block')].map(codeBlockData);
+                    vscode.postMessage({ type: 'applyAll', blocks });
+                    return;
+                }
+                case 'regenerate':
+                case 'regenerateWith':
+                    vscode.postMessage({ type: 'regenerate', messageId: messageDiv.dataset.id, chooseModel: button.dataset.action === 'regenerateWith' });
+                    return;
+                case 'branch':
+                    vscode.postMessage({ type: 'selectBranch', messageId: button.dataset.target });
+                    return;
+                case 'edit':
+                    startEdit(messageDiv);
+                    return;
+                case 'saveEdit': {
+                    const text = messageDiv.querySelector('.edit-box textarea').value.trim();
+                    if (text) {
+                        vscode.postMessage({ type: 'editMessage', messageId: messageDiv.dataset.id, message: text });
+                    }
+                    return;
+                }
+                case 'cancelEdit':
+                    endEdit(messageDiv);
+                    return;
+            }
+            const block = codeBlockData(button.closest('.code-block'));
+            switch (button.dataset.action) {
+                case 'apply':
+                    vscode.postMessage({ type: 'applyCode', block });
+                    break;
+                case 'copy':
+                    navigator.clipboard.writeText(block.code);
+                    break;
+            }
+        });
+
+        // Handle Enter key, unless it picks a mention suggestion
+        messageInput.addEventListener('keydown', function(e) {
+            if (suggestions.length) {
+                switch (e.key) {
+                    case 'ArrowDown':
+                    case 'ArrowUp':
+                        e.preventDefault();
+                        activeSuggestion = (activeSuggestion + (e.key === 'ArrowDown' ? 1 : suggestions.length - 1)) % suggestions.length;
+                        renderSuggestions();
+                        return;
+                    case 'Enter':
+                    case 'Tab':
+                        e.preventDefault();
+                        chooseSuggestion(suggestions[activeSuggestion]);
+                        return;
+                    case 'Escape':
+                        e.preventDefault();
+                        hideMentionMenu();
+                        return;
+                }
+            }
             if (e.key === 'Enter' && !sendButton.disabled) {
                 sendMessage();
             }
@@ -323,6 +1273,13 @@ class ChatViewProvider {
         // Enable send button when there's text
         messageInput.addEventListener('input', function() {
             sendButton.disabled = !messageInput.value.trim();
+            saveState({ draft: messageInput.value });
+            updateMention();
+        });
+        messageInput.addEventListener('blur', hideMentionMenu);
+        chatContainer.addEventListener('scroll', () => {
+            clearTimeout(scrollTimer);
+            scrollTimer = setTimeout(() => saveState({ scrollTop: chatContainer.scrollTop }), 200);
         });
 
         // Handle messages from extension
@@ -331,28 +1288,132 @@ class ChatViewProvider {
             
             switch (message.type) {
                 case 'userMessage':
-                    addMessage(message.message, true, message.timestamp);
+                    addMessage(message.html, true, message.timestamp, message.attachments, { text: message.text });
+                    setGenerating(true);
+                    break;
+                case 'messageIds': {
+                    const userDiv = lastMessage('user-message');
+                    const aiDiv = lastMessage('ai-message');
+                    if (message.userMessageId && userDiv) {
+                        setMessageMeta(userDiv, { id: message.userMessageId });
+                    }
+                    if (message.messageId && aiDiv) {
+                        setMessageMeta(aiDiv, { id: message.messageId });
+                    }
+                    break;
+                }
+                case 'truncate': {
+                    // Drop the turn being redone and everything after it
+                    const from = [...chatContainer.querySelectorAll('.message')].find(item => item.dataset.id === message.messageId);
+                    while (from && from.nextSibling) {
+                        from.nextSibling.remove();
+                    }
+                    from?.remove();
+                    setGenerating(true);
                     break;
-                case 'aiMessage':
-                    addMessage(message.message, false, message.timestamp);
+                }
+                case 'aiMessageStart':
+                    streamingMessage = addMessage('', false, message.timestamp);
+                    break;
+                case 'aiMessageChunk':
+                    updateStreamingMessage(message.html);
+                    break;
+                case 'aiMessageEnd':
+                    updateStreamingMessage(message.html);
+                    addApplyAll(streamingMessage);
+                    setReplyModel(streamingMessage, message.model);
+                    streamingMessage = null;
+                    setGenerating(false);
+                    sendButton.disabled = !messageInput.value.trim();
+                    break;
+                case 'aiMessage': {
+                    const messageDiv = addMessage(message.html, false, message.timestamp);
+                    addApplyAll(messageDiv);
+                    setReplyModel(messageDiv, message.model);
+                    setGenerating(false);
                     sendButton.disabled = false;
                     break;
+                }
                 case 'typing':
                     typingIndicator.style.display = message.isTyping ? 'block' : 'none';
                     break;
                 case 'error':
                     showError(message.message);
+                    streamingMessage = null;
+                    setGenerating(false);
                     sendButton.disabled = false;
                     break;
                 case 'chatCleared':
                     chatContainer.innerHTML = '';
-                    addMessage('Chat cleared. How can I help you?', false);
+                    addMessage('<p>Chat cleared. How can I help you?</p>', false);
+                    break;
+                case 'mentionSuggestions':
+                    // Ignore answers to queries the user has typed past
+                    if (message.requestId === mentionRequestId && mention) {
+                        showSuggestions(message.items.map(item => ({ ...item, kind: mention.kind })));
+                    }
+                    break;
+                case 'attachments':
+                    renderAttachments(message.attachments);
+                    break;
+                case 'slashCommands':
+                    slashCommands = message.commands;
+                    break;
+                case 'models':
+                    modelSelect.replaceChildren(...message.models.map(model => {
+                        const option = document.createElement('option');
+                        option.value = model.id;
+                        option.textContent = model.id + (model.available ? '' : ' (unavailable)');
+                        option.disabled = !model.available && model.id !== message.selected;
+                        return option;
+                    }));
+                    modelSelect.value = message.selected;
+                    chatHeader.style.display = message.models.length ? 'flex' : 'none';
+                    break;
+                case 'modelSelected':
+                    modelSelect.value = message.model;
+                    break;
+                case 'conversationLoaded':
+                    if (message.model) {
+                        modelSelect.value = message.model;
+                    }
+                    chatContainer.innerHTML = '';
+                    streamingMessage = null;
+                    typingIndicator.style.display = 'none';
+                    setGenerating(false);
+                    for (const item of message.messages) {
+                        const messageDiv = addMessage(item.html, item.role === 'user', item.timestamp, item.attachments, item);
+                        if (item.role !== 'user') {
+                            addApplyAll(messageDiv);
+                            setReplyModel(messageDiv, item.model);
+                        }
+                    }
+                    sendButton.disabled = !messageInput.value.trim();
+                    if (message.restored) {
+                        // A re-sync after restore keeps the reader where they were
+                        chatContainer.scrollTop = state.scrollTop ?? chatContainer.scrollHeight;
+                    }
+                    else {
+                        messageInput.focus();
+                    }
+                    break;
+                case 'conversationChanged':
+                    saveState({ conversationId: message.conversationId });
                     break;
             }
+            if (transcriptUpdates.includes(message.type)) {
+                saveTranscript();
+            }
         });
 
-        // Initial state
-        sendButton.disabled = true;
+        // Initial state, restored if the view was hidden or the window reloaded
+        if (state.transcript) {
+            chatContainer.innerHTML = state.transcript;
+            chatContainer.scrollTop = state.scrollTop ?? chatContainer.scrollHeight;
+        }
+        messageInput.value = state.draft || '';
+        sendButton.disabled = !messageInput.value.trim();
+        vscode.postMessage({ type: 'ready', conversationId: state.conversationId });
     </script>
 </body>
 </html>`;
@@ -0,0 +1,218 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CodasisAuthenticationProvider = void 0;
+const vscode = require("vscode");
+/**
+ * Signs in against the backend's /auth routes and keeps the Sanctum token in
+ * SecretStorage, exposing the account through the VS Code Accounts menu.
+ */
+class CodasisAuthenticationProvider {
+    constructor(secrets, apiClient, logger) {
+        this.secrets = secrets;
+        this.apiClient = apiClient;
+        this.logger = logger;
+        this._onDidChangeSessions = new vscode.EventEmitter();
+        this.onDidChangeSessions = this._onDidChangeSessions.event;
+        this.secretsListener = secrets.onDidChange(e => {
+            if (e.key === CodasisAuthenticationProvider.secretKey) {
+                this.cachedSession = undefined;
+            }
+        });
+    }
+    async getSessions(_scopes) {
+        const session = await this.getStoredSession();
+        return session ? [session] : [];
+    }
+    async getToken() {
+        return (await this.getStoredSession())?.accessToken;
+    }
+    async createSession(scopes) {
+        const email = await vscode.window.showInputBox({
+            title: 'Codasis: Sign In',
+            prompt: 'Email address',
+            placeHolder: 'you@example.com',
+            ignoreFocusOut: true
+        });
+        if (!email) {
+            throw new Error('Sign in cancelled');
+        }
+        const password = await vscode.window.showInputBox({
+            title: 'Codasis: Sign In',
+            prompt: `Password for ${email}`,
+            password: true,
+            ignoreFocusOut: true
+        });
+        if (!password) {
+            throw new Error('Sign in cancelled');
+        }
+        try {
+            const result = await this.apiClient.login(email, password);
+            return await this.storeSession(result, scopes);
+        }
+        catch (error) {
+            vscode.window.showErrorMessage(`Sign in failed: ${this.describeError(error)}`);
+            throw error;
+        }
+    }
+    async createAccount() {
+        const name = await vscode.window.showInputBox({ title: 'Codasis: Create Account', prompt: 'Your name', ignoreFocusOut: true });
+        if (!name) {
+            return undefined;
+        }
+        const email = await vscode.window.showInputBox({ title: 'Codasis: Create Account', prompt: 'Email address', ignoreFocusOut: true });
+        if (!email) {
+            return undefined;
+        }
+        const password = await vscode.window.showInputBox({
+            title: 'Codasis: Create Account',
+            prompt: 'Password (at least 8 characters)',
+            password: true,
+            ignoreFocusOut: true,
+            validateInput: value => value.length < 8 ? 'Password must be at least 8 characters' : undefined
+        });
+        if (!password) {
+            return undefined;
+        }
+        const confirmation = await vscode.window.showInputBox({
+            title: 'Codasis: Create Account',
+            prompt: 'Confirm password',
+            password: true,
+            ignoreFocusOut: true,
+            validateInput: value => value !== password ? 'Passwords do not match' : undefined
+        });
+        if (!confirmation) {
+            return undefined;
+        }
+        try {
+            const result = await this.apiClient.register(name, email, password);
+            const session = await this.storeSession(result, []);
+            vscode.window.showInformationMessage(`Welcome to Codasis, ${session.account.label}!`);
+            return session;
+        }
+        catch (error) {
+            vscode.window.showErrorMessage(`Account creation failed: ${this.describeError(error)}`);
+            return undefined;
+        }
+    }
+    async removeSession(_sessionId) {
+        const session = await this.getStoredSession();
+        if (!session) {
+            return;
+        }
+        try {
+            await this.apiClient.logout();
+        }
+        catch (error) {
+            // The token is discarded locally either way
+            console.error('Error revoking token:', error);
+        }
+        await this.clearSession();
+    }
+    /**
+     * Called by APIClient when the backend rejects the stored token.
+     * Only one prompt is shown at a time. Never rejects, since APIClient
+     * does not wait for it.
+     */
+    async handleUnauthorized() {
+        if (this.reauthenticating) {
+            return;
+        }
+        this.reauthenticating = true;
+        try {
+            const hadSession = !!(await this.getStoredSession());
+            await this.clearSession();
+            const choice = await vscode.window.showWarningMessage(hadSession ? 'Your Codasis session has expired. Sign in again to continue.' : 'Codasis requires you to sign in.', 'Sign In', 'Create Account');
+            if (choice === 'Sign In') {
+                await vscode.authentication.getSession(CodasisAuthenticationProvider.id, [], { createIfNone: true });
+            }
+            else if (choice === 'Create Account') {
+                await this.createAccount();
+            }
+        }
+        catch (error) {
+            this.logger.info(`Sign in did not complete: ${error.message}`);
+        }
+        finally {
+            this.reauthenticating = false;
+        }
+    }
+    /**
+     * Check the stored token against /auth/user and drop it if it was revoked.
+     */
+    async validateSession() {
+        const session = await this.getStoredSession();
+        if (!session) {
+            return;
+        }
+        try {
+            const result = await this.apiClient.getCurrentUser();
+            if (result.user?.name && result.user.name !== session.account.label) {
+                await this.storeSession({ user: result.user, token: session.accessToken }, session.scopes);
+            }
+        }
+        catch (error) {
+            if (error.response?.status === 401) {
+                await this.clearSession();
+            }
+        }
+    }
+    async storeSession(result, scopes) {
+        const session = {
+            id: String(result.user.id),
+            accessToken: result.token,
+            account: {
+                id: String(result.user.id),
+                label: result.user.name || result.user.email
+            },
+            scopes: [...scopes]
+        };
+        const previous = await this.getStoredSession();
+        await this.secrets.store(CodasisAuthenticationProvider.secretKey, JSON.stringify(session));
+        this.cachedSession = session;
+        this._onDidChangeSessions.fire(previous
+            ? { added: [], removed: [], changed: [session] }
+            : { added: [session], removed: [], changed: [] });
+        return session;
+    }
+    async clearSession() {
+        const session = await this.getStoredSession();
+        if (!session) {
+            return;
+        }
+        await this.secrets.delete(CodasisAuthenticationProvider.secretKey);
+        this.cachedSession = undefined;
+        this._onDidChangeSessions.fire({ added: [], removed: [session], changed: [] });
+    }
+    async getStoredSession() {
+        if (this.cachedSession) {
+            return this.cachedSession;
+        }
+        const stored = await this.secrets.get(CodasisAuthenticationProvider.secretKey);
+        if (!stored) {
+            return undefined;
+        }
+        try {
+            this.cachedSession = JSON.parse(stored);
+            return this.cachedSession;
+        }
+        catch {
+            return undefined;
+        }
+    }
+    describeError(error) {
+        const data = error.response?.data;
+        if (data?.details) {
+            return Object.values(data.details).flat().join(' ');
+        }
+        return data?.message || data?.error || error.message;
+    }
+    dispose() {
+        this.secretsListener.dispose();
+        this._onDidChangeSessions.dispose();
+    }
+}
+exports.CodasisAuthenticationProvider = CodasisAuthenticationProvider;
+CodasisAuthenticationProvider.id = 'codasis';
+CodasisAuthenticationProvider.label = 'Codasis';
+CodasisAuthenticationProvider.secretKey = 'codasis.session';
+//# sourceMappingURL=CodasisAuthenticationProvider.js.map
@@ -2,12 +2,13 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.CodasisProvider = void 0;
 const vscode = require("vscode");
+const ModelOutput_1 = require("../services/ModelOutput");
 class CodasisProvider {
     constructor(apiClient, codeAnalyzer) {
         this.apiClient = apiClient;
         this.codeAnalyzer = codeAnalyzer;
     }
-    async askQuestion(question, context) {
+    async askQuestion(question, context, token) {
         try {
             const config = vscode.workspace.getConfiguration('codasis');
             const preferredModel = config.get('preferredModel', 'deepseek-r1');
@@ -18,17 +19,20 @@ class CodasisProvider {
                 model: preferredModel,
                 maxTokens: 2000,
                 temperature: 0.7
-            });
+            }, token);
             return response.response;
         }
         catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                throw error;
+            }
             console.error('Error asking question:', error);
             return 'Sorry, I encountered an error while processing your question. Please try again.';
         }
     }
-    async analyzeCode(code, language) {
+    async analyzeCode(code, language, token, filePath) {
         try {
-            const analysis = await this.apiClient.analyzeCode(code, language);
+            const analysis = await this.apiClient.analyzeCode(code, language, token, filePath);
             const complexity = this.codeAnalyzer.analyzeCodeComplexity(code);
             return `# Code Analysis Report
 
@@ -46,50 +50,57 @@ ${this.generateRecommendations(complexity)}
 `;
         }
         catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                throw error;
+            }
             console.error('Error analyzing code:', error);
             return 'Failed to analyze code. Please check your connection and try again.';
         }
     }
-    async explainCode(code, language) {
+    async explainCode(code, language, onChunk, token, filePath) {
         try {
-            return await this.apiClient.explainCode(code, language);
+            if (onChunk && this.apiClient.isStreamingEnabled()) {
+                const result = await this.apiClient.streamExplanation(code, language, onChunk, token, filePath);
+                return result.text;
+            }
+            return await this.apiClient.explainCode(code, language, token, filePath);
         }
         catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                throw error;
+            }
             console.error('Error explaining code:', error);
             return 'Failed to explain code. Please check your connection and try again.';
         }
     }
-    async generateTests(code, language) {
-        try {
-            return await this.apiClient.generateTests(code, language);
-        }
-        catch (error) {
-            console.error('Error generating tests:', error);
-            return `// Failed to generate tests for ${language} code
-// Please check your connection and try again.
-
-// Original code:
-${code}`;
+    /**
+     * Refactored code without fences. Unlike the other actions, failures are
+     * thrown: falling back to the input would look like a refactoring that
+     * found nothing to change.
+     */
+    async refactorCode(code, language, token, goal, filePath) {
+        const refactored = ModelOutput_1.ModelOutput.stripFences(await this.apiClient.refactorCode(code, language, token, goal, filePath) ?? '');
+        if (!refactored) {
+            throw new Error('The refactoring returned no code');
         }
+        return refactored;
     }
-    async refactorCode(code, language) {
+    async getCompletions(prefix, context, language, token) {
         try {
-            return await this.apiClient.refactorCode(code, language);
-        }
-        catch (error) {
-            console.error('Error refactoring code:', error);
-            return code; // Return original code if refactoring fails
-        }
-    }
-    async getCompletions(prefix, context, language) {
-        try {
-            return await this.apiClient.getCompletions(prefix, context, language);
+            return await this.apiClient.getCompletions(prefix, context, language, token);
         }
         catch (error) {
             console.error('Error getting completions:', error);
             return [];
         }
     }
+    async streamQuestion(request, onChunk, token) {
+        const result = await this.apiClient.streamQuestion(request, onChunk, token);
+        return {
+            response: result.text,
+            context_used: result.context_used
+        };
+    }
     formatContext(context) {
         // Format context for better AI understanding
         return `Context Information:\n${context}`;
@@ -113,11 +124,11 @@ ${code}`;
         }
         return recommendations.join('\n');
     }
-    async getCodeSuggestions(document, position) {
+    async getCodeSuggestions(document, position, token) {
         try {
             const context = await this.codeAnalyzer.getCompletionContext(document, position);
             const linePrefix = document.lineAt(position).text.substr(0, position.character);
-            const suggestions = await this.getCompletions(linePrefix, context, document.languageId);
+            const suggestions = await this.getCompletions(linePrefix, context, document.languageId, token);
             return suggestions.map((suggestion) => {
                 const item = new vscode.CompletionItem(suggestion.text, vscode.CompletionItemKind.Snippet);
                 item.detail = suggestion.description;
@@ -132,16 +143,16 @@ ${code}`;
             return [];
         }
     }
-    async validateConfiguration() {
+    async validateConfiguration(token) {
         try {
-            return await this.apiClient.healthCheck();
+            return await this.apiClient.healthCheck(token);
         }
         catch (error) {
             console.error('Configuration validation failed:', error);
             return false;
         }
     }
-    async smartAnalyzeCode(code, language, options = {}) {
+    async smartAnalyzeCode(code, language, options = {}, onChunk, token) {
         try {
             const workspaceFolders = vscode.workspace.workspaceFolders;
             const activeEditor = vscode.window.activeTextEditor;
@@ -161,7 +172,9 @@ ${code}
                 focus_area: options.focus_area || 'general',
                 include_tests: options.include_tests || false
             };
-            const response = await this.apiClient.askQuestion(request);
+            const response = onChunk && this.apiClient.isStreamingEnabled()
+                ? await this.streamQuestion(request, onChunk, token)
+                : await this.apiClient.askQuestion(request, token);
             // Format the response with context information
             let analysis = response.response;
             if (response.context_used) {
@@ -174,10 +187,91 @@ ${code}
             return analysis;
         }
         catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                throw error;
+            }
             console.error('Error in smart analysis:', error);
             return `Failed to perform smart analysis: ${error.message}`;
         }
     }
+    async fixCode(code, language, diagnostics = [], instructions, filePath, onChunk, token, sourcePath) {
+        const problems = diagnostics.length ? `Reported problems:\n${diagnostics.join('\n')}` : 'No problems are reported; look for bugs and edge cases.';
+        return this.askForCode(`Fix the following ${language} code.
+${problems}
+${instructions ? `\nThe user adds: ${instructions}\n` : ''}
+Reply with the corrected code in a single fenced code block${filePath ? ` whose info string is \`${language} ${filePath}\`` : ''}, followed by a short list of what was changed and why.
+
+\`\`\`${language}
+${code}
+\`\`\``, 'debugging', onChunk, token, sourcePath);
+    }
+    async documentCode(code, language, filePath, onChunk, token, sourcePath) {
+        return this.askForCode(`Add documentation comments to the following ${language} code using the idiomatic style for ${language} (for example JSDoc, PHPDoc or docstrings). Document every public function, method and class with its purpose, parameters, return value and thrown errors. Keep existing comments and do not change behaviour.
+
+Reply with the complete documented code in a single fenced code block${filePath ? ` whose info string is \`${language} ${filePath}\`` : ''}.
+
+\`\`\`${language}
+${code}
+\`\`\``, 'general', onChunk, token, sourcePath);
+    }
+    /**
+     * A Markdown overview of a whole file: its purpose, main parts and how
+     * they fit together, for readers new to the code.
+     */
+    async summarizeFile(code, language, uri, onChunk, token) {
+        try {
+            const request = {
+                prompt: `Summarize the following ${language} file (${vscode.workspace.asRelativePath(uri)}) for a developer who is new to it. Start with one or two sentences on its purpose, then list its main classes and functions with one line each, then describe how they work together, its dependencies and side effects (I/O, network, global state), and anything surprising. Keep it brief and use Markdown headings.
+
+\`\`\`${language}
+${code}
+\`\`\``,
+                focus_area: 'general',
+                current_file: uri.fsPath
+            };
+            const response = onChunk && this.apiClient.isStreamingEnabled()
+                ? await this.streamQuestion(request, onChunk, token)
+                : await this.apiClient.askQuestion(request, token);
+            return response.response;
+        }
+        catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                throw error;
+            }
+            console.error('Error summarizing file:', error);
+            return `Failed to summarize the file: ${error.message}`;
+        }
+    }
+    /**
+     * `sourcePath` is the file the code came from; without it the backend
+     * context and deny globs fall back to the active editor.
+     */
+    async askForCode(prompt, focusArea, onChunk, token, sourcePath) {
+        try {
+            const request = { prompt, focus_area: focusArea };
+            if (sourcePath) {
+                request.current_file = sourcePath;
+            }
+            const response = onChunk && this.apiClient.isStreamingEnabled()
+                ? await this.streamQuestion(request, onChunk, token)
+                : await this.apiClient.askQuestion(request, token);
+            return response.response;
+        }
+        catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                throw error;
+            }
+            console.error('Error generating code:', error);
+            return `Failed to generate code: ${error.message}`;
+        }
+    }
 }
 exports.CodasisProvider = CodasisProvider;
+CodasisProvider.refactorGoals = [
+    { id: 'readability', label: 'Readability', detail: 'Clearer names, smaller functions and simpler control flow' },
+    { id: 'performance', label: 'Performance', detail: 'Avoid unnecessary work, allocations and repeated lookups' },
+    { id: 'extract-function', label: 'Extract Function', detail: 'Move cohesive parts into well-named functions' },
+    { id: 'modernize', label: 'Modernise Syntax', detail: 'Use current idioms and language features' },
+    { id: 'simplify', label: 'Simplify', detail: 'Flatten nesting and simplify conditions' }
+];
 //# sourceMappingURL=CodasisProvider.js.map
\ No newline at end of file
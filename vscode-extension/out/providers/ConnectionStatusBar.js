@@ -0,0 +1,177 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ConnectionStatusBar = void 0;
+const vscode = require("vscode");
+/**
+ * Status bar item showing backend health (polled from /health and
+ * /public/status), the active model and workspace index freshness.
+ * Failures of background features are surfaced here instead of as popups.
+ */
+class ConnectionStatusBar {
+    constructor(apiClient, indexingManager) {
+        this.apiClient = apiClient;
+        this.indexingManager = indexingManager;
+        this.disposables = [];
+        this.state = 'connecting';
+        this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+        this.item.command = 'codasis.showStatusMenu';
+        this.disposables.push(this.item, apiClient.circuitBreaker.onDidChangeState(state => {
+            if (state === 'open') {
+                this.state = 'offline';
+            }
+            this.update();
+        }), indexingManager.onDidChangeStatus(() => this.update()), apiClient.onDidFailInBackground(error => {
+            this.lastError = error;
+            this.update();
+        }), vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('codasis')) {
+                this.poll();
+            }
+        }));
+        this.update();
+        this.item.show();
+        this.poll();
+        this.timer = setInterval(() => this.poll(), ConnectionStatusBar.pollInterval);
+    }
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+        try {
+            if (!(await this.apiClient.healthCheck())) {
+                this.state = 'offline';
+                return;
+            }
+            if (this.apiClient.isLocalTransport()) {
+                this.state = 'connected';
+                return;
+            }
+            const status = await this.apiClient.getPublicStatus().catch(() => undefined);
+            const model = this.getPreferredModel();
+            const modelAvailable = !status?.models_available || status.models_available.includes(model);
+            this.state = status?.api_status === 'operational' && modelAvailable ? 'connected' : 'degraded';
+            this.statusDetail = !modelAvailable ? `Model ${model} is not available on the backend` : status ? undefined : '/public/status did not respond';
+        }
+        finally {
+            this.polling = false;
+            this.update();
+        }
+    }
+    /**
+     * Reset the circuit breaker and poll immediately.
+     */
+    async reconnect() {
+        this.apiClient.circuitBreaker.recordSuccess();
+        this.lastError = undefined;
+        this.state = 'connecting';
+        this.update();
+        await this.poll();
+        if (this.state === 'offline') {
+            vscode.window.showWarningMessage('Codasis backend is still unreachable.');
+        }
+    }
+    update() {
+        const model = this.getPreferredModel();
+        const index = this.getIndexState();
+        switch (this.state) {
+            case 'connected':
+                this.item.text = `$(pulse) Codasis · ${model}${index.indexing ? ' $(sync~spin)' : index.fresh ? '' : ' $(history)'}`;
+                this.item.backgroundColor = undefined;
+                break;
+            case 'degraded':
+                this.item.text = `$(warning) Codasis · ${model}`;
+                this.item.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+                break;
+            case 'offline':
+                this.item.text = '$(debug-disconnect) Codasis: offline';
+                this.item.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+                break;
+            default:
+                this.item.text = '$(sync~spin) Codasis';
+                this.item.backgroundColor = undefined;
+        }
+        const tooltip = new vscode.MarkdownString();
+        tooltip.appendMarkdown(`**Codasis** — ${this.state}\n\n`);
+        tooltip.appendMarkdown(`- Transport: ${this.apiClient.isLocalTransport() ? 'local model' : 'backend'}\n`);
+        tooltip.appendMarkdown(`- Model: ${model}\n`);
+        if (index.folders.length > 1) {
+            tooltip.appendMarkdown(`- Index:\n`);
+            index.folders.forEach(({ folder, label }) => tooltip.appendMarkdown(`  - ${folder.name}: ${label}\n`));
+        }
+        else {
+            tooltip.appendMarkdown(`- Index: ${index.label}\n`);
+        }
+        if (this.state === 'offline') {
+            tooltip.appendMarkdown(`\nBackground features are paused.\n`);
+        }
+        if (this.statusDetail && this.state === 'degraded') {
+            tooltip.appendMarkdown(`\n${this.statusDetail}\n`);
+        }
+        if (this.lastError) {
+            tooltip.appendMarkdown(`\nLast background error: ${this.lastError.message}\n`);
+        }
+        tooltip.appendMarkdown('\nClick for options.');
+        this.item.tooltip = tooltip;
+    }
+    async showMenu() {
+        const items = [
+            { label: '$(refresh) Reconnect', description: this.state, action: 'reconnect' },
+            { label: '$(database) Re-index Workspace', description: this.getIndexState().label, action: 'reindex' },
+            { label: '$(hubot) Switch Model', description: this.getPreferredModel(), action: 'switchModel' },
+            { label: '$(gear) Open Settings', action: 'settings' },
+            { label: '$(output) Show Log', action: 'log' }
+        ];
+        const choice = await vscode.window.showQuickPick(items, { title: 'Codasis', placeHolder: 'Connection options' });
+        switch (choice?.action) {
+            case 'reconnect':
+                await this.reconnect();
+                break;
+            case 'reindex':
+                await vscode.commands.executeCommand('codasis.indexWorkspace');
+                break;
+            case 'switchModel': {
+                const models = ['deepseek-r1', 'gpt-4', 'claude-3', 'gemini-pro'];
+                const model = await vscode.window.showQuickPick(models.map(id => ({ label: id, description: id === this.getPreferredModel() ? 'current' : undefined })), { placeHolder: 'Select the preferred AI model' });
+                if (model) {
+                    await vscode.commands.executeCommand('codasis.switchModel', model.label);
+                }
+                break;
+            }
+            case 'settings':
+                await vscode.commands.executeCommand('workbench.action.openSettings', '@ext:codasis.codasis');
+                break;
+            case 'log':
+                await vscode.commands.executeCommand('codasis.showLog');
+                break;
+        }
+    }
+    /**
+     * Index state of every workspace folder; the workspace counts as fresh
+     * only when every enabled root was indexed recently.
+     */
+    getIndexState() {
+        const folders = this.indexingManager.getFolders().map(folder => ({ folder, ...this.indexingManager.describeFolderStatus(folder) }));
+        const enabled = folders.filter(folder => folder.state !== 'disabled');
+        const indexing = enabled.some(folder => folder.state === 'indexing');
+        const fresh = enabled.length > 0 && enabled.every(folder => folder.fresh);
+        let label = folders.length === 1 ? folders[0].label : `${enabled.filter(folder => folder.fresh).length}/${enabled.length} folders fresh`;
+        if (folders.length === 0) {
+            label = 'no workspace folder';
+        }
+        return { fresh, indexing, label, folders };
+    }
+    getPreferredModel() {
+        const config = vscode.workspace.getConfiguration('codasis');
+        return this.apiClient.isLocalTransport()
+            ? config.get('localModel.model', 'llama3')
+            : config.get('preferredModel', 'deepseek-r1');
+    }
+    dispose() {
+        clearInterval(this.timer);
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+exports.ConnectionStatusBar = ConnectionStatusBar;
+ConnectionStatusBar.pollInterval = 30000;
+//# sourceMappingURL=ConnectionStatusBar.js.map
@@ -2,10 +2,12 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.ContextExplorerProvider = void 0;
 const vscode = require("vscode");
+const WorkspaceFolderItems_1 = require("./WorkspaceFolderItems");
 class ContextExplorerProvider {
-    constructor(apiClient, codeAnalyzer) {
+    constructor(apiClient, codeAnalyzer, indexingManager) {
         this.apiClient = apiClient;
         this.codeAnalyzer = codeAnalyzer;
+        this.indexingManager = indexingManager;
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
         this.contextData = null;
@@ -17,8 +19,16 @@ class ContextExplorerProvider {
         vscode.workspace.onDidSaveTextDocument(() => {
             this.refresh();
         });
+        // Folder nodes show index status
+        indexingManager.onDidChangeStatus(() => {
+            this._onDidChangeTreeData.fire();
+        });
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            this.refresh();
+        });
     }
     refresh() {
+        this.contextData = null;
         this._onDidChangeTreeData.fire();
     }
     getTreeItem(element) {
@@ -32,9 +42,16 @@ class ContextExplorerProvider {
                 new ContextItem('Related Files', vscode.TreeItemCollapsibleState.Expanded, 'related-files'),
                 new ContextItem('Dependencies', vscode.TreeItemCollapsibleState.Expanded, 'dependencies'),
                 new ContextItem('Similar Code', vscode.TreeItemCollapsibleState.Expanded, 'similar-code'),
-                new ContextItem('Project Context', vscode.TreeItemCollapsibleState.Expanded, 'project-context')
+                new ContextItem('Project Context', vscode.TreeItemCollapsibleState.Expanded, 'project-context'),
+                new ContextItem('Workspace Folders', vscode.TreeItemCollapsibleState.Collapsed, 'workspace-folders')
             ];
         }
+        if (element instanceof WorkspaceFolderItems_1.WorkspaceFolderItem) {
+            return (0, WorkspaceFolderItems_1.getFolderSettingItems)(this.indexingManager, element.folder);
+        }
+        if (element.contextType === 'workspace-folders') {
+            return this.getWorkspaceFolderItems();
+        }
         // Get context data if not already loaded
         if (!this.contextData) {
             await this.loadContextData();
@@ -61,9 +78,9 @@ class ContextExplorerProvider {
                 this.contextData = null;
                 return;
             }
-            // Get current context from the API
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (workspaceFolders && workspaceFolders.length > 0) {
+            // Context is scoped to the workspace folder that owns the current file
+            const folder = this.indexingManager.getFolderFor(editor.document.uri);
+            if (folder) {
                 // This would call the context retrieval service
                 // For now, we'll use mock data
                 this.contextData = {
@@ -87,6 +104,7 @@ class ContextExplorerProvider {
                         { file_path: 'similar2.js', similarity_score: 0.72 }
                     ],
                     project_context: {
+                        folder: folder.name,
                         total_files: 127,
                         languages: ['JavaScript', 'TypeScript'],
                         frameworks: ['React']
@@ -167,6 +185,9 @@ class ContextExplorerProvider {
         }
         const context = this.contextData.project_context;
         const items = [];
+        if (context.folder) {
+            items.push(new ContextItem(`📁 Folder: ${context.folder}`, vscode.TreeItemCollapsibleState.None, 'project-info'));
+        }
         items.push(new ContextItem(`📊 Total Files: ${context.total_files}`, vscode.TreeItemCollapsibleState.None, 'project-info'));
         if (context.languages?.length > 0) {
             items.push(new ContextItem(`🔤 Languages: ${context.languages.join(', ')}`, vscode.TreeItemCollapsibleState.None, 'project-info'));
@@ -176,6 +197,14 @@ class ContextExplorerProvider {
         }
         return items;
     }
+    getWorkspaceFolderItems() {
+        const folders = this.indexingManager.getFolders();
+        if (folders.length === 0) {
+            return [new ContextItem('No workspace folder open', vscode.TreeItemCollapsibleState.None, 'info')];
+        }
+        const active = vscode.window.activeTextEditor && this.indexingManager.getFolderFor(vscode.window.activeTextEditor.document.uri);
+        return folders.map(folder => new WorkspaceFolderItems_1.WorkspaceFolderItem(folder, this.indexingManager, folder.uri.fsPath === active?.uri.fsPath ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed));
+    }
 }
 exports.ContextExplorerProvider = ContextExplorerProvider;
 class ContextItem extends vscode.TreeItem {
@@ -0,0 +1,87 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ConversationItem = exports.ConversationHistoryProvider = void 0;
+const vscode = require("vscode");
+/**
+ * Past chat conversations from the backend, newest first, optionally
+ * narrowed by a full-text search across titles and messages.
+ */
+class ConversationHistoryProvider {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+    setQuery(query) {
+        this.query = query?.trim() || undefined;
+        vscode.commands.executeCommand('setContext', 'codasis.historySearchActive', !!this.query);
+        this.refresh();
+    }
+    setActiveConversation(conversationId) {
+        if (this.activeConversationId !== conversationId) {
+            this.activeConversationId = conversationId;
+            this.refresh();
+        }
+    }
+    getTreeItem(element) {
+        return element;
+    }
+    async getChildren(element) {
+        if (element) {
+            return [];
+        }
+        if (this.apiClient.isLocalTransport()) {
+            return [ConversationHistoryProvider.message('Conversation history requires the backend transport', 'info')];
+        }
+        const items = [];
+        if (this.query) {
+            const clear = ConversationHistoryProvider.message(`Results for "${this.query}"`, 'search');
+            clear.tooltip = 'Click to clear the search';
+            clear.command = { command: 'codasis.clearConversationSearch', title: 'Clear Search' };
+            items.push(clear);
+        }
+        try {
+            const conversations = this.query
+                ? await this.apiClient.searchConversations(this.query)
+                : await this.apiClient.getConversations();
+            if (!conversations.length) {
+                items.push(ConversationHistoryProvider.message(this.query ? 'No matching conversations' : 'No conversations yet', 'comment'));
+            }
+            for (const conversation of conversations) {
+                items.push(new ConversationItem(conversation, conversation.id === this.activeConversationId));
+            }
+        }
+        catch (error) {
+            items.push(ConversationHistoryProvider.message(error.message, 'warning'));
+        }
+        return items;
+    }
+    static message(label, icon) {
+        const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
+        item.iconPath = new vscode.ThemeIcon(icon);
+        return item;
+    }
+}
+exports.ConversationHistoryProvider = ConversationHistoryProvider;
+class ConversationItem extends vscode.TreeItem {
+    constructor(conversation, active) {
+        super(conversation.title || 'Untitled conversation', vscode.TreeItemCollapsibleState.None);
+        this.conversation = conversation;
+        const date = new Date(conversation.last_message_at || conversation.created_at);
+        this.description = [conversation.model, date.toLocaleDateString()].filter(Boolean).join(' · ');
+        this.tooltip = [
+            conversation.title,
+            `Model: ${conversation.model || 'default'}`,
+            `Last message: ${date.toLocaleString()}`,
+            conversation.message_count !== undefined ? `${conversation.message_count} messages` : undefined
+        ].filter(Boolean).join('\n');
+        this.iconPath = new vscode.ThemeIcon(active ? 'comment-discussion' : 'comment');
+        this.contextValue = 'conversation';
+        this.command = { command: 'codasis.openConversation', title: 'Open Conversation', arguments: [this] };
+    }
+}
+exports.ConversationItem = ConversationItem;
+//# sourceMappingURL=ConversationHistoryProvider.js.map
@@ -12,7 +12,7 @@ class HoverProvider {
     async provideHover(document, position, token) {
         // Check if hover info is enabled
         const config = vscode.workspace.getConfiguration('codasis');
-        if (!config.get('enableHoverInfo', true)) {
+        if (!config.get('enableHoverInfo', true) || this.apiClient.isBackgroundPaused() || this.apiClient.redactor.isDenied(document.uri.fsPath)) {
             return undefined;
         }
         try {
@@ -41,6 +41,9 @@ class HoverProvider {
             if (!symbolInfo.shouldProvideHover) {
                 return undefined;
             }
+            if (token.isCancellationRequested) {
+                return undefined;
+            }
             // Prepare request for AI explanation
             const hoverRequest = {
                 prompt: this.buildHoverPrompt(word, symbolInfo, context, document.languageId),
@@ -52,7 +55,7 @@ class HoverProvider {
                 focus_area: 'explanation'
             };
             // Get AI explanation
-            const response = await this.apiClient.askQuestion(hoverRequest);
+            const response = await this.apiClient.askQuestion(hoverRequest, token, { background: true });
             if (token.isCancellationRequested) {
                 return undefined;
             }
@@ -69,6 +72,9 @@ class HoverProvider {
             return hover;
         }
         catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                return undefined;
+            }
             console.error('Error providing hover info:', error);
             return undefined;
         }
@@ -20,7 +20,11 @@ class InlineCompletionProvider {
             // Add a small delay to avoid too many requests
             await new Promise(resolve => setTimeout(resolve, 300));
         }
-        if (token.isCancellationRequested) {
+        if (token.isCancellationRequested || this.apiClient.isBackgroundPaused()) {
+            return undefined;
+        }
+        // Never send files excluded by codasis.redaction.denyGlobs
+        if (this.apiClient.redactor.isDenied(document.uri.fsPath)) {
             return undefined;
         }
         try {
@@ -54,7 +58,7 @@ class InlineCompletionProvider {
                 current_file: document.uri.fsPath
             };
             // Get AI suggestions
-            const response = await this.apiClient.askQuestion(completionRequest);
+            const response = await this.apiClient.askQuestion(completionRequest, token, { background: true });
             if (token.isCancellationRequested) {
                 return undefined;
             }
@@ -70,6 +74,9 @@ class InlineCompletionProvider {
             return completionItems;
         }
         catch (error) {
+            if (error instanceof vscode.CancellationError) {
+                return undefined;
+            }
             console.error('Error providing inline completions:', error);
             return undefined;
         }
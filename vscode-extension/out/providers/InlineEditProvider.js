@@ -0,0 +1,302 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.InlineEditProvider = void 0;
+const vscode = require("vscode");
+const ModelOutput_1 = require("../services/ModelOutput");
+/**
+ * Edit with Instruction: rewrites the selected lines (or writes code at the
+ * cursor line) and puts the proposal straight into the editor, marked up as
+ * an inline diff. Accept/Reject/Retry code lenses sit above it until the
+ * proposal is settled; typing in the document or undoing it settles it too.
+ */
+class InlineEditProvider {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+        this.sessions = new Map();
+        this.applying = false;
+        this._onDidChangeCodeLenses = new vscode.EventEmitter();
+        this.onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+        this.addedDecoration = vscode.window.createTextEditorDecorationType({
+            isWholeLine: true,
+            backgroundColor: new vscode.ThemeColor('diffEditor.insertedLineBackground'),
+            overviewRulerColor: new vscode.ThemeColor('editorOverviewRuler.addedForeground'),
+            overviewRulerLane: vscode.OverviewRulerLane.Left
+        });
+        this.removedDecoration = vscode.window.createTextEditorDecorationType({
+            overviewRulerColor: new vscode.ThemeColor('editorOverviewRuler.deletedForeground'),
+            overviewRulerLane: vscode.OverviewRulerLane.Left,
+            after: {
+                color: new vscode.ThemeColor('gitDecoration.deletedResourceForeground'),
+                margin: '0 0 0 2em',
+                fontStyle: 'italic'
+            }
+        });
+        this.disposables = [
+            vscode.workspace.onDidChangeTextDocument(event => {
+                const session = this.sessions.get(event.document.uri.toString());
+                if (session && !this.applying && event.contentChanges.length) {
+                    this.end(session);
+                }
+            }),
+            vscode.workspace.onDidCloseTextDocument(document => {
+                const session = this.sessions.get(document.uri.toString());
+                if (session) {
+                    this.end(session);
+                }
+            }),
+            vscode.window.onDidChangeVisibleTextEditors(editors => editors.forEach(editor => this.decorate(editor))),
+            vscode.window.onDidChangeActiveTextEditor(() => this.updateContext())
+        ];
+    }
+    provideCodeLenses(document) {
+        const session = this.sessions.get(document.uri.toString());
+        if (!session) {
+            return [];
+        }
+        const range = new vscode.Range(session.range.start, session.range.start);
+        return [
+            new vscode.CodeLens(range, { title: '$(check) Accept', tooltip: 'Keep the proposed edit', command: 'codasis.acceptInlineEdit', arguments: [document.uri] }),
+            new vscode.CodeLens(range, { title: '$(discard) Reject', tooltip: 'Restore the original code', command: 'codasis.rejectInlineEdit', arguments: [document.uri] }),
+            new vscode.CodeLens(range, { title: '$(refresh) Retry', tooltip: `Run "${session.instruction}" again or change it`, command: 'codasis.retryInlineEdit', arguments: [document.uri] })
+        ];
+    }
+    /**
+     * Prompt for an instruction (unless one is given) and propose an edit
+     * for the selected lines, or for the cursor line when nothing is selected.
+     */
+    async start(editor, instruction, range = InlineEditProvider.targetRange(editor)) {
+        if (this.sessions.has(editor.document.uri.toString())) {
+            vscode.window.showInformationMessage('Accept or reject the pending edit first');
+            return;
+        }
+        const hasCode = !!editor.document.getText(range).trim();
+        instruction = instruction ?? await vscode.window.showInputBox({
+            title: 'Codasis: Edit with Instruction',
+            prompt: hasCode ? `Describe how to change lines ${range.start.line + 1}-${range.end.line + 1}` : 'Describe the code to write here',
+            placeHolder: hasCode ? 'e.g. handle the empty list case' : 'e.g. a function that parses ISO dates',
+            ignoreFocusOut: true
+        });
+        if (!instruction?.trim()) {
+            return;
+        }
+        await this.propose(editor, instruction.trim(), range);
+    }
+    async accept(uri) {
+        const session = this.sessionFor(uri);
+        if (session) {
+            this.end(session);
+        }
+    }
+    async reject(uri) {
+        const session = this.sessionFor(uri);
+        if (session) {
+            await this.restore(session);
+        }
+    }
+    /**
+     * Put the original code back and run the instruction again, offering it
+     * for editing first.
+     */
+    async retry(uri) {
+        const session = this.sessionFor(uri);
+        if (!session) {
+            return;
+        }
+        const instruction = await vscode.window.showInputBox({
+            title: 'Codasis: Retry Edit',
+            prompt: 'Run the instruction again, or change it',
+            value: session.instruction,
+            ignoreFocusOut: true
+        });
+        if (!instruction?.trim() || !this.sessions.has(session.key)) {
+            return;
+        }
+        const range = await this.restore(session);
+        const editor = await vscode.window.showTextDocument(session.document, { preserveFocus: false });
+        await this.propose(editor, instruction.trim(), range);
+    }
+    async propose(editor, instruction, range) {
+        const document = editor.document;
+        const original = document.getText(range);
+        const version = document.version;
+        let proposed;
+        try {
+            proposed = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: '✏️ Editing with Codasis...',
+                cancellable: true
+            }, (_progress, token) => this.request(document, range, instruction, token));
+        }
+        catch (error) {
+            if (!(error instanceof vscode.CancellationError)) {
+                vscode.window.showErrorMessage(`Edit failed: ${error.message}`);
+            }
+            return;
+        }
+        if (document.version !== version) {
+            vscode.window.showWarningMessage('The document changed while the edit was being generated; run it again');
+            return;
+        }
+        if (proposed === original) {
+            vscode.window.showInformationMessage('Codasis proposed no changes');
+            return;
+        }
+        const proposedRange = await this.replace(document, range, proposed);
+        if (!proposedRange) {
+            vscode.window.showErrorMessage('The proposed edit could not be applied');
+            return;
+        }
+        const session = { key: document.uri.toString(), document, range: proposedRange, original, proposed, instruction };
+        // Code written at a blank line is all new; there is nothing to show as removed
+        session.diff = original.trim()
+            ? InlineEditProvider.diffLines(original.split('\n'), proposed.split('\n'))
+            : { added: proposed.split('\n').map((_line, index) => index), removed: [] };
+        this.sessions.set(session.key, session);
+        this.refresh(session);
+    }
+    async request(document, range, instruction, token) {
+        const code = document.getText(range);
+        const before = Math.max(0, range.start.line - InlineEditProvider.contextLines);
+        const after = Math.min(document.lineCount - 1, range.end.line + InlineEditProvider.contextLines);
+        const prefix = document.getText(new vscode.Range(before, 0, range.start.line, 0));
+        const suffix = range.end.line < after ? document.getText(new vscode.Range(range.end.line + 1, 0, after, document.lineAt(after).text.length)) : '';
+        const result = await this.apiClient.editCode({
+            instruction,
+            code: code.trim() ? code : '',
+            language: document.languageId,
+            prefix,
+            suffix,
+            file_path: document.uri.scheme === 'file' ? vscode.workspace.asRelativePath(document.uri) : undefined
+        }, token, document.uri.fsPath);
+        if (!result?.trim()) {
+            throw new Error('The model returned no code');
+        }
+        return ModelOutput_1.ModelOutput.stripFences(result);
+    }
+    /**
+     * Replace whole lines and return the range the new text occupies.
+     */
+    async replace(document, range, text) {
+        const edit = new vscode.WorkspaceEdit();
+        edit.replace(document.uri, range, text);
+        this.applying = true;
+        try {
+            if (!await vscode.workspace.applyEdit(edit)) {
+                return undefined;
+            }
+        }
+        finally {
+            this.applying = false;
+        }
+        const lines = text.split('\n');
+        const endLine = range.start.line + lines.length - 1;
+        return new vscode.Range(range.start.line, 0, endLine, document.lineAt(endLine).text.length);
+    }
+    async restore(session) {
+        this.end(session);
+        return this.replace(session.document, session.range, session.original);
+    }
+    end(session) {
+        this.sessions.delete(session.key);
+        this.refresh(session);
+    }
+    refresh(session) {
+        vscode.window.visibleTextEditors
+            .filter(editor => editor.document.uri.toString() === session.key)
+            .forEach(editor => this.decorate(editor));
+        this._onDidChangeCodeLenses.fire();
+        this.updateContext();
+    }
+    decorate(editor) {
+        const session = this.sessions.get(editor.document.uri.toString());
+        if (!session) {
+            editor.setDecorations(this.addedDecoration, []);
+            editor.setDecorations(this.removedDecoration, []);
+            return;
+        }
+        const first = session.range.start.line;
+        const last = session.range.end.line;
+        editor.setDecorations(this.addedDecoration, session.diff.added.map(index => new vscode.Range(first + index, 0, first + index, 0)));
+        editor.setDecorations(this.removedDecoration, session.diff.removed.map(group => {
+            // Removed lines are listed on the line that took their place
+            const line = Math.min(first + group.line, last);
+            const hoverMessage = new vscode.MarkdownString(`**Removed by this edit**`);
+            hoverMessage.appendCodeblock(group.lines.join('\n'), editor.document.languageId);
+            return {
+                range: new vscode.Range(line, editor.document.lineAt(line).text.length, line, editor.document.lineAt(line).text.length),
+                hoverMessage,
+                renderOptions: { after: { contentText: `− ${group.lines.length} line${group.lines.length === 1 ? '' : 's'} removed` } }
+            };
+        }));
+    }
+    updateContext() {
+        const uri = vscode.window.activeTextEditor?.document.uri.toString();
+        vscode.commands.executeCommand('setContext', 'codasis.inlineEditActive', !!uri && this.sessions.has(uri));
+    }
+    sessionFor(uri) {
+        return this.sessions.get((uri ?? vscode.window.activeTextEditor?.document.uri)?.toString());
+    }
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.addedDecoration.dispose();
+        this.removedDecoration.dispose();
+        this._onDidChangeCodeLenses.dispose();
+    }
+    /**
+     * The selection extended to whole lines, or the cursor line.
+     */
+    static targetRange(editor) {
+        const { selection, document } = editor;
+        // A selection ending at the start of a line does not include that line
+        const endLine = !selection.isEmpty && selection.end.character === 0 && selection.end.line > selection.start.line
+            ? selection.end.line - 1
+            : selection.end.line;
+        return new vscode.Range(selection.start.line, 0, endLine, document.lineAt(endLine).text.length);
+    }
+    /**
+     * Line diff by longest common subsequence: the indexes of added lines in
+     * `proposed`, and runs of removed lines with the index they were at.
+     */
+    static diffLines(original, proposed) {
+        const n = original.length;
+        const m = proposed.length;
+        if (n * m > InlineEditProvider.maxDiffCells) {
+            return { added: proposed.map((_line, index) => index), removed: [{ line: 0, lines: original }] };
+        }
+        const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i][j] = original[i] === proposed[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        const added = [];
+        const removed = [];
+        let group;
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && original[i] === proposed[j]) {
+                i++;
+                j++;
+                group = undefined;
+            }
+            else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                // Removals first, so a run is anchored on the line that replaces it
+                if (!group) {
+                    group = { line: j, lines: [] };
+                    removed.push(group);
+                }
+                group.lines.push(original[i++]);
+            }
+            else {
+                added.push(j++);
+            }
+        }
+        return { added, removed };
+    }
+}
+exports.InlineEditProvider = InlineEditProvider;
+// Lines on either side of the edit sent along as context
+InlineEditProvider.contextLines = 50;
+InlineEditProvider.maxDiffCells = 250000;
+//# sourceMappingURL=InlineEditProvider.js.map
@@ -2,68 +2,95 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.ProjectInsightsProvider = void 0;
 const vscode = require("vscode");
+const WorkspaceFolderItems_1 = require("./WorkspaceFolderItems");
 class ProjectInsightsProvider {
-    constructor(apiClient, codeAnalyzer) {
+    constructor(apiClient, codeAnalyzer, indexingManager) {
         this.apiClient = apiClient;
         this.codeAnalyzer = codeAnalyzer;
+        this.indexingManager = indexingManager;
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
-        this.insights = null;
+        // Insights per workspace folder, keyed by folder path
+        this.insights = new Map();
+        indexingManager.onDidChangeStatus(() => {
+            this._onDidChangeTreeData.fire();
+        });
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            this.refresh();
+        });
         // Refresh insights periodically
         setInterval(() => {
             this.refresh();
         }, 30000); // Every 30 seconds
     }
     refresh() {
-        this.insights = null;
+        this.insights.clear();
         this._onDidChangeTreeData.fire();
     }
     getTreeItem(element) {
         return element;
     }
     async getChildren(element) {
+        const folders = this.indexingManager.getFolders();
         if (!element) {
-            // Root level categories
-            return [
-                new InsightItem('📊 Code Quality', vscode.TreeItemCollapsibleState.Expanded, 'code-quality'),
-                new InsightItem('🚀 Performance', vscode.TreeItemCollapsibleState.Expanded, 'performance'),
-                new InsightItem('🔒 Security', vscode.TreeItemCollapsibleState.Expanded, 'security'),
-                new InsightItem('🧪 Testing', vscode.TreeItemCollapsibleState.Expanded, 'testing'),
-                new InsightItem('📈 Metrics', vscode.TreeItemCollapsibleState.Expanded, 'metrics'),
-                new InsightItem('💡 Suggestions', vscode.TreeItemCollapsibleState.Expanded, 'suggestions')
-            ];
+            if (folders.length === 0) {
+                return [new InsightItem('No workspace folder open', vscode.TreeItemCollapsibleState.None, 'info')];
+            }
+            // Multi-root workspaces get one node per folder
+            if (folders.length > 1) {
+                const active = vscode.window.activeTextEditor && this.indexingManager.getFolderFor(vscode.window.activeTextEditor.document.uri);
+                return folders.map(folder => new WorkspaceFolderItems_1.WorkspaceFolderItem(folder, this.indexingManager, folder.uri.fsPath === active?.uri.fsPath ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed));
+            }
+            return this.getCategoryItems(folders[0]);
+        }
+        if (element instanceof WorkspaceFolderItems_1.WorkspaceFolderItem) {
+            return this.getCategoryItems(element.folder);
+        }
+        if (element.insightType === 'settings') {
+            return (0, WorkspaceFolderItems_1.getFolderSettingItems)(this.indexingManager, element.folder);
+        }
+        if (!element.folder) {
+            return [];
         }
         // Load insights if not already loaded
-        if (!this.insights) {
-            await this.loadInsights();
+        const key = element.folder.uri.fsPath;
+        if (!this.insights.has(key)) {
+            this.insights.set(key, await this.loadInsights(element.folder));
         }
+        const insights = this.insights.get(key);
         switch (element.insightType) {
             case 'code-quality':
-                return this.getCodeQualityItems();
+                return this.getCodeQualityItems(insights);
             case 'performance':
-                return this.getPerformanceItems();
+                return this.getPerformanceItems(insights);
             case 'security':
-                return this.getSecurityItems();
+                return this.getSecurityItems(insights);
             case 'testing':
-                return this.getTestingItems();
+                return this.getTestingItems(insights);
             case 'metrics':
-                return this.getMetricsItems();
+                return this.getMetricsItems(insights);
             case 'suggestions':
-                return this.getSuggestionItems();
+                return this.getSuggestionItems(insights);
             default:
                 return [];
         }
     }
-    async loadInsights() {
+    getCategoryItems(folder) {
+        return [
+            new InsightItem('📊 Code Quality', vscode.TreeItemCollapsibleState.Expanded, 'code-quality', folder),
+            new InsightItem('🚀 Performance', vscode.TreeItemCollapsibleState.Expanded, 'performance', folder),
+            new InsightItem('🔒 Security', vscode.TreeItemCollapsibleState.Expanded, 'security', folder),
+            new InsightItem('🧪 Testing', vscode.TreeItemCollapsibleState.Expanded, 'testing', folder),
+            new InsightItem('📈 Metrics', vscode.TreeItemCollapsibleState.Expanded, 'metrics', folder),
+            new InsightItem('💡 Suggestions', vscode.TreeItemCollapsibleState.Expanded, 'suggestions', folder),
+            new InsightItem('⚙️ Settings', vscode.TreeItemCollapsibleState.Collapsed, 'settings', folder)
+        ];
+    }
+    async loadInsights(folder) {
         try {
-            const workspaceFolders = vscode.workspace.workspaceFolders;
-            if (!workspaceFolders || workspaceFolders.length === 0) {
-                this.insights = null;
-                return;
-            }
-            // In a real implementation, this would call the backend API
+            // In a real implementation, this would call the backend API for `folder`
             // For now, we'll use mock data
-            this.insights = {
+            return {
                 codeQuality: {
                     score: 85,
                     issues: [
@@ -103,15 +130,15 @@ class ProjectInsightsProvider {
             };
         }
         catch (error) {
-            console.error('Error loading insights:', error);
-            this.insights = null;
+            console.error(`Error loading insights for ${folder.name}:`, error);
+            return null;
         }
     }
-    getCodeQualityItems() {
-        if (!this.insights?.codeQuality) {
+    getCodeQualityItems(insights) {
+        if (!insights?.codeQuality) {
             return [new InsightItem('No data available', vscode.TreeItemCollapsibleState.None, 'info')];
         }
-        const quality = this.insights.codeQuality;
+        const quality = insights.codeQuality;
         const items = [];
         // Overall score
         const scoreIcon = quality.score >= 80 ? '🟢' : quality.score >= 60 ? '🟡' : '🔴';
@@ -125,11 +152,11 @@ class ProjectInsightsProvider {
         }
         return items;
     }
-    getPerformanceItems() {
-        if (!this.insights?.performance) {
+    getPerformanceItems(insights) {
+        if (!insights?.performance) {
             return [new InsightItem('No data available', vscode.TreeItemCollapsibleState.None, 'info')];
         }
-        const perf = this.insights.performance;
+        const perf = insights.performance;
         const items = [];
         // Overall score
         const scoreIcon = perf.score >= 80 ? '🟢' : perf.score >= 60 ? '🟡' : '🔴';
@@ -143,11 +170,11 @@ class ProjectInsightsProvider {
         }
         return items;
     }
-    getSecurityItems() {
-        if (!this.insights?.security) {
+    getSecurityItems(insights) {
+        if (!insights?.security) {
             return [new InsightItem('No data available', vscode.TreeItemCollapsibleState.None, 'info')];
         }
-        const security = this.insights.security;
+        const security = insights.security;
         const items = [];
         // Overall score
         const scoreIcon = security.score >= 90 ? '🟢' : security.score >= 70 ? '🟡' : '🔴';
@@ -164,11 +191,11 @@ class ProjectInsightsProvider {
         }
         return items;
     }
-    getTestingItems() {
-        if (!this.insights?.testing) {
+    getTestingItems(insights) {
+        if (!insights?.testing) {
             return [new InsightItem('No data available', vscode.TreeItemCollapsibleState.None, 'info')];
         }
-        const testing = this.insights.testing;
+        const testing = insights.testing;
         const items = [];
         // Coverage
         const coverageIcon = testing.coverage >= 80 ? '🟢' : testing.coverage >= 60 ? '🟡' : '🔴';
@@ -177,11 +204,11 @@ class ProjectInsightsProvider {
         items.push(new InsightItem(`🧪 Test Files: ${testing.testFiles}/${testing.totalFiles}`, vscode.TreeItemCollapsibleState.None, 'test-files'));
         return items;
     }
-    getMetricsItems() {
-        if (!this.insights?.metrics) {
+    getMetricsItems(insights) {
+        if (!insights?.metrics) {
             return [new InsightItem('No data available', vscode.TreeItemCollapsibleState.None, 'info')];
         }
-        const metrics = this.insights.metrics;
+        const metrics = insights.metrics;
         const items = [];
         items.push(new InsightItem(`📄 Total Lines: ${metrics.totalLines.toLocaleString()}`, vscode.TreeItemCollapsibleState.None, 'metric'));
         items.push(new InsightItem(`📁 Total Files: ${metrics.totalFiles}`, vscode.TreeItemCollapsibleState.None, 'metric'));
@@ -189,11 +216,11 @@ class ProjectInsightsProvider {
         items.push(new InsightItem(`⏱️ Tech Debt: ${metrics.techDebt}`, vscode.TreeItemCollapsibleState.None, 'metric'));
         return items;
     }
-    getSuggestionItems() {
-        if (!this.insights?.suggestions?.length) {
+    getSuggestionItems(insights) {
+        if (!insights?.suggestions?.length) {
             return [new InsightItem('No suggestions available', vscode.TreeItemCollapsibleState.None, 'info')];
         }
-        return this.insights.suggestions.map((suggestion) => {
+        return insights.suggestions.map((suggestion) => {
             const priorityIcon = suggestion.priority === 'high' ? '🔴' : suggestion.priority === 'medium' ? '🟡' : '🟢';
             const typeIcon = suggestion.type === 'refactor' ? '🔧' : suggestion.type === 'optimize' ? '⚡' : '🧪';
             const item = new InsightItem(`${priorityIcon} ${typeIcon} ${suggestion.description}`, vscode.TreeItemCollapsibleState.None, 'suggestion');
@@ -204,11 +231,12 @@ class ProjectInsightsProvider {
 }
 exports.ProjectInsightsProvider = ProjectInsightsProvider;
 class InsightItem extends vscode.TreeItem {
-    constructor(label, collapsibleState, insightType) {
+    constructor(label, collapsibleState, insightType, folder) {
         super(label, collapsibleState);
         this.label = label;
         this.collapsibleState = collapsibleState;
         this.insightType = insightType;
+        this.folder = folder;
         this.contextValue = insightType;
     }
 }
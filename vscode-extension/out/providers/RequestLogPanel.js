@@ -0,0 +1,217 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.RequestLogPanel = void 0;
+const vscode = require("vscode");
+const crypto_1 = require("crypto");
+const AuditLog_1 = require("../services/AuditLog");
+/**
+ * Webview listing the outbound request audit log, with filtering, entry
+ * details and JSON/CSV export of the filtered entries.
+ */
+class RequestLogPanel {
+    constructor(panel, auditLog) {
+        this.panel = panel;
+        this.auditLog = auditLog;
+        this.disposables = [];
+        this.panel.webview.html = this.getHtml();
+        this.disposables.push(this.panel.onDidDispose(() => this.dispose()), this.panel.webview.onDidReceiveMessage(message => this.handleMessage(message)), this.auditLog.onDidAppend(entry => this.panel.webview.postMessage({ type: 'append', entry })), vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('codasis.auditLog')) {
+                this.load();
+            }
+        }));
+    }
+    static createOrShow(auditLog) {
+        if (RequestLogPanel.currentPanel) {
+            RequestLogPanel.currentPanel.panel.reveal();
+            RequestLogPanel.currentPanel.load();
+            return;
+        }
+        const panel = vscode.window.createWebviewPanel(RequestLogPanel.viewType, 'Codasis Request Log', vscode.ViewColumn.Active, { enableScripts: true, retainContextWhenHidden: true });
+        RequestLogPanel.currentPanel = new RequestLogPanel(panel, auditLog);
+    }
+    async handleMessage(message) {
+        try {
+            switch (message.type) {
+                case 'ready':
+                    await this.load();
+                    break;
+                case 'export':
+                    await this.export(message.format, message.ids);
+                    break;
+                case 'clear': {
+                    const choice = await vscode.window.showWarningMessage('Delete all request log entries?', { modal: true }, 'Delete');
+                    if (choice === 'Delete') {
+                        await this.auditLog.clear();
+                        await this.load();
+                    }
+                    break;
+                }
+                case 'enable':
+                    await vscode.workspace.getConfiguration('codasis').update('auditLog.enabled', true, vscode.ConfigurationTarget.Global);
+                    break;
+            }
+        }
+        catch (error) {
+            vscode.window.showErrorMessage(`Request log: ${error.message}`);
+        }
+    }
+    async load() {
+        const entries = await this.auditLog.read();
+        this.panel.webview.postMessage({ type: 'entries', entries, enabled: this.auditLog.isEnabled() });
+    }
+    async export(format, ids) {
+        const wanted = new Set(ids);
+        const entries = (await this.auditLog.read()).filter(entry => wanted.has(entry.id));
+        const uri = await vscode.window.showSaveDialog({
+            defaultUri: vscode.Uri.file(`codasis-request-log.${format}`),
+            filters: format === 'csv' ? { CSV: ['csv'] } : { JSON: ['json'] }
+        });
+        if (!uri) {
+            return;
+        }
+        const content = format === 'csv' ? AuditLog_1.AuditLog.toCsv(entries) : JSON.stringify(entries, null, 2);
+        await vscode.workspace.fs.writeFile(uri, Buffer.from(content, 'utf8'));
+        vscode.window.showInformationMessage(`Exported ${entries.length} request log entries to ${vscode.workspace.asRelativePath(uri)}`);
+    }
+    getHtml() {
+        const nonce = (0, crypto_1.randomBytes)(16).toString('base64');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Codasis Request Log</title>
+    <style nonce="${nonce}">
+        body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 12px; }
+        .toolbar { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin-bottom: 12px; }
+        input, select { background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 4px 6px; }
+        button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 5px 10px; cursor: pointer; }
+        button.secondary { background: var(--vscode-button-secondaryBackground); color: var(--vscode-button-secondaryForeground); }
+        table { width: 100%; border-collapse: collapse; font-size: 12px; }
+        th, td { text-align: left; padding: 4px 6px; border-bottom: 1px solid var(--vscode-panel-border); vertical-align: top; }
+        tr.entry { cursor: pointer; }
+        tr.entry:hover, tr.selected { background: var(--vscode-list-hoverBackground); }
+        .notice { padding: 8px; margin-bottom: 12px; background: var(--vscode-textBlockQuote-background); border-left: 3px solid var(--vscode-textLink-foreground); }
+        .summary { opacity: 0.8; margin-left: auto; }
+        pre { white-space: pre-wrap; word-break: break-all; background: var(--vscode-textCodeBlock-background); padding: 8px; max-height: 40vh; overflow: auto; }
+        .hidden { display: none; }
+    </style>
+</head>
+<body>
+    <div id="disabledNotice" class="notice hidden">
+        Request logging is off. <button id="enableButton">Enable request log</button>
+    </div>
+    <div class="toolbar">
+        <input id="search" type="search" placeholder="Filter by endpoint, model, file or hash">
+        <select id="transport">
+            <option value="">All transports</option>
+            <option value="backend">Backend</option>
+            <option value="local">Local model</option>
+        </select>
+        <label>From <input id="from" type="date"></label>
+        <label>To <input id="to" type="date"></label>
+        <button id="exportJson">Export JSON</button>
+        <button id="exportCsv">Export CSV</button>
+        <button id="clearButton" class="secondary">Clear</button>
+        <span id="summary" class="summary"></span>
+    </div>
+    <table>
+        <thead>
+            <tr><th>Time</th><th>Endpoint</th><th>Model</th><th>Files</th><th>Bytes</th><th>Tokens</th><th>Hash</th></tr>
+        </thead>
+        <tbody id="rows"></tbody>
+    </table>
+    <pre id="details" class="hidden"></pre>
+    <script nonce="${nonce}">
+        const vscode = acquireVsCodeApi();
+        let entries = [];
+        let selectedId;
+        const $ = id => document.getElementById(id);
+
+        function filtered() {
+            const search = $('search').value.toLowerCase();
+            const transport = $('transport').value;
+            const from = $('from').value ? Date.parse($('from').value) : -Infinity;
+            const to = $('to').value ? Date.parse($('to').value) + 24 * 60 * 60 * 1000 : Infinity;
+            return entries.filter(entry => {
+                const time = Date.parse(entry.timestamp);
+                const haystack = [entry.endpoint, entry.model, entry.hash, ...(entry.files || [])].join(' ').toLowerCase();
+                return (!transport || entry.transport === transport)
+                    && time >= from && time < to
+                    && (!search || haystack.includes(search));
+            });
+        }
+
+        function cell(row, text, title) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            if (title) {
+                td.title = title;
+            }
+            row.appendChild(td);
+        }
+
+        function render() {
+            const visible = filtered();
+            const rows = $('rows');
+            rows.replaceChildren();
+            for (const entry of visible) {
+                const row = document.createElement('tr');
+                row.className = 'entry' + (entry.id === selectedId ? ' selected' : '');
+                cell(row, new Date(entry.timestamp).toLocaleString());
+                cell(row, entry.method + ' ' + entry.endpoint);
+                cell(row, entry.model || '');
+                cell(row, (entry.files || []).map(file => file.split(/[\\\\/]/).pop()).join(', '), (entry.files || []).join('\\n'));
+                cell(row, String(entry.bytes));
+                cell(row, String(entry.tokens));
+                cell(row, entry.hash.slice(0, 12), entry.hash);
+                row.addEventListener('click', () => {
+                    selectedId = entry.id;
+                    $('details').textContent = JSON.stringify(entry, null, 2);
+                    $('details').classList.remove('hidden');
+                    render();
+                });
+                rows.appendChild(row);
+            }
+            const bytes = visible.reduce((sum, entry) => sum + entry.bytes, 0);
+            const tokens = visible.reduce((sum, entry) => sum + entry.tokens, 0);
+            $('summary').textContent = visible.length + ' of ' + entries.length + ' requests · ' + bytes.toLocaleString() + ' bytes · ~' + tokens.toLocaleString() + ' tokens';
+        }
+
+        for (const id of ['search', 'transport', 'from', 'to']) {
+            $(id).addEventListener('input', render);
+        }
+        $('exportJson').addEventListener('click', () => vscode.postMessage({ type: 'export', format: 'json', ids: filtered().map(entry => entry.id) }));
+        $('exportCsv').addEventListener('click', () => vscode.postMessage({ type: 'export', format: 'csv', ids: filtered().map(entry => entry.id) }));
+        $('clearButton').addEventListener('click', () => vscode.postMessage({ type: 'clear' }));
+        $('enableButton').addEventListener('click', () => vscode.postMessage({ type: 'enable' }));
+
+        window.addEventListener('message', event => {
+            const message = event.data;
+            switch (message.type) {
+                case 'entries':
+                    entries = message.entries;
+                    $('disabledNotice').classList.toggle('hidden', message.enabled);
+                    render();
+                    break;
+                case 'append':
+                    entries.unshift(message.entry);
+                    render();
+                    break;
+            }
+        });
+        vscode.postMessage({ type: 'ready' });
+    </script>
+</body>
+</html>`;
+    }
+    dispose() {
+        RequestLogPanel.currentPanel = undefined;
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.panel.dispose();
+    }
+}
+exports.RequestLogPanel = RequestLogPanel;
+RequestLogPanel.viewType = 'codasisRequestLog';
+//# sourceMappingURL=RequestLogPanel.js.map
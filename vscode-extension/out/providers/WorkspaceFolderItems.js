@@ -0,0 +1,43 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.getFolderSettingItems = exports.WorkspaceFolderItem = void 0;
+const vscode = require("vscode");
+/**
+ * A workspace folder node shared by the Context Explorer and Project
+ * Insights trees, showing the folder's index status.
+ */
+class WorkspaceFolderItem extends vscode.TreeItem {
+    constructor(folder, indexingManager, collapsibleState) {
+        super(folder.name, collapsibleState);
+        this.folder = folder;
+        const status = indexingManager.describeFolderStatus(folder);
+        this.description = status.label;
+        this.tooltip = `${folder.uri.fsPath}\nIndex: ${status.label}`;
+        this.resourceUri = folder.uri;
+        this.iconPath = new vscode.ThemeIcon(status.state === 'error' ? 'warning' : status.state === 'indexing' ? 'sync~spin' : 'root-folder');
+        this.contextValue = status.state === 'disabled' ? 'workspaceFolder.disabled' : 'workspaceFolder';
+    }
+}
+exports.WorkspaceFolderItem = WorkspaceFolderItem;
+/**
+ * Per-folder settings rows: index status, the indexing toggle and a link
+ * to the folder's own settings.
+ */
+function getFolderSettingItems(indexingManager, folder) {
+    const status = indexingManager.describeFolderStatus(folder);
+    const enabled = status.state !== 'disabled';
+    const index = new vscode.TreeItem(`Index: ${status.label}`, vscode.TreeItemCollapsibleState.None);
+    index.iconPath = new vscode.ThemeIcon('database');
+    index.tooltip = 'Click to sync this folder\'s index';
+    index.command = { command: 'codasis.indexWorkspaceFolder', title: 'Index Folder', arguments: [{ folder }] };
+    const toggle = new vscode.TreeItem(`Indexing ${enabled ? 'enabled' : 'disabled'}`, vscode.TreeItemCollapsibleState.None);
+    toggle.iconPath = new vscode.ThemeIcon(enabled ? 'check' : 'circle-slash');
+    toggle.tooltip = `Click to ${enabled ? 'disable' : 'enable'} indexing for ${folder.name}`;
+    toggle.command = { command: 'codasis.toggleFolderIndexing', title: 'Toggle Indexing', arguments: [{ folder }] };
+    const settings = new vscode.TreeItem('Folder Settings', vscode.TreeItemCollapsibleState.None);
+    settings.iconPath = new vscode.ThemeIcon('gear');
+    settings.command = { command: 'workbench.action.openFolderSettings', title: 'Open Folder Settings' };
+    return [index, toggle, settings];
+}
+exports.getFolderSettingItems = getFolderSettingItems;
+//# sourceMappingURL=WorkspaceFolderItems.js.map
@@ -3,68 +3,234 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.APIClient = void 0;
 const axios_1 = require("axios");
 const vscode = require("vscode");
+const LocalModelTransport_1 = require("./LocalModelTransport");
+const CircuitBreaker_1 = require("./CircuitBreaker");
+const Logger_1 = require("./Logger");
+const Redactor_1 = require("./Redactor");
+const AuditLog_1 = require("./AuditLog");
 class APIClient {
-    constructor() {
+    constructor(logger = new Logger_1.Logger()) {
+        this.logger = logger;
         this.client = axios_1.default.create();
+        this.local = new LocalModelTransport_1.LocalModelTransport();
+        // Secrets and PII are stripped from every payload on both transports;
+        // the audit log is installed first so it records the redacted payload
+        this.auditLog = new AuditLog_1.AuditLog(logger);
+        this.auditLog.install(this.client, 'backend');
+        this.auditLog.install(this.local.client, 'local');
+        this.redactor = new Redactor_1.Redactor(logger);
+        this.redactor.install(this.client);
+        this.redactor.install(this.local.client);
+        this.circuitBreaker = new CircuitBreaker_1.CircuitBreaker();
+        this._onDidFailInBackground = new vscode.EventEmitter();
+        this.onDidFailInBackground = this._onDidFailInBackground.event;
         this.setupInterceptors();
+        // Registered after the retry interceptor, so it sees the final outcome
+        this.releaseOnSettle(this.client);
+        this.releaseOnSettle(this.local.client);
+    }
+    /**
+     * True when `codasis.transport` points at a local OpenAI-compatible or
+     * Ollama endpoint instead of the Laravel backend.
+     */
+    isLocalTransport() {
+        const transport = vscode.workspace.getConfiguration('codasis').get('transport', 'backend');
+        return transport !== 'backend';
+    }
+    /**
+     * Supplies the signed-in Sanctum token and handles 401 responses.
+     */
+    setAuthProvider(auth) {
+        this.auth = auth;
+    }
+    /**
+     * Background features (inline completions, hovers, startup indexing) should
+     * stay quiet while the circuit breaker reports the backend as unhealthy.
+     */
+    isBackgroundPaused() {
+        return !this.isLocalTransport() && this.circuitBreaker.isOpen();
     }
     setupInterceptors() {
         // Request interceptor to add auth and base URL
-        this.client.interceptors.request.use((config) => {
+        this.client.interceptors.request.use(async (config) => {
+            if (config.background && !this.circuitBreaker.allowRequest()) {
+                throw new axios_1.AxiosError('Backend unavailable, background request skipped', APIClient.CIRCUIT_OPEN, config);
+            }
             const vsConfig = vscode.workspace.getConfiguration('codasis');
             const apiUrl = vsConfig.get('apiUrl', 'http://localhost:8000/api');
-            const apiKey = vsConfig.get('apiKey', '');
+            // Prefer the signed-in session; the plaintext apiKey setting is a legacy fallback
+            const token = (await this.auth?.getToken()) || vsConfig.get('apiKey', '');
             config.baseURL = apiUrl;
-            if (apiKey) {
-                config.headers.Authorization = `Bearer ${apiKey}`;
+            if (token) {
+                config.headers.Authorization = `Bearer ${token}`;
             }
             config.headers['Content-Type'] = 'application/json';
-            config.timeout = 30000; // 30 seconds
+            if (config.responseType !== 'stream') {
+                config.timeout = 30000; // 30 seconds
+            }
             return config;
         });
-        // Response interceptor for error handling
-        this.client.interceptors.response.use((response) => response, (error) => {
-            if (error.response?.status === 401) {
-                vscode.window.showErrorMessage('Authentication failed. Please check your API key in settings.');
+        // Response interceptor for retries and error handling
+        this.client.interceptors.response.use((response) => {
+            this.circuitBreaker.recordSuccess();
+            return response;
+        }, async (error) => {
+            if (axios_1.default.isCancel(error) || error.code === APIClient.CIRCUIT_OPEN) {
+                throw error;
             }
-            else if (error.response?.status === 429) {
-                vscode.window.showErrorMessage('Rate limit exceeded. Please try again later.');
+            const config = error.config;
+            if (config && this.shouldRetry(error, config)) {
+                config.retryCount = (config.retryCount || 0) + 1;
+                await this.delay(this.getRetryDelay(error, config.retryCount), config.signal);
+                return this.client.request(config);
             }
-            else if (error.code === 'ECONNREFUSED') {
-                vscode.window.showErrorMessage('Cannot connect to backend. Make sure the server is running.');
+            if (!error.response || error.response.status >= 500) {
+                this.circuitBreaker.recordFailure();
             }
             else {
-                vscode.window.showErrorMessage(`API Error: ${error.message}`);
+                this.circuitBreaker.recordSuccess();
+            }
+            if (config?.background) {
+                this.reportBackgroundFailure(error, config);
+            }
+            else if (error.response?.status === 401 && this.auth && !config?.silent) {
+                this.auth.handleUnauthorized();
+            }
+            else if (!config?.silent) {
+                this.showErrorMessage(error);
             }
             throw error;
         });
     }
-    async askQuestion(request) {
+    showErrorMessage(error) {
+        if (error.response?.status === 401) {
+            vscode.window.showErrorMessage('Authentication failed. Please check your API key in settings.');
+        }
+        else if (error.response?.status === 429) {
+            vscode.window.showErrorMessage('Rate limit exceeded. Please try again later.');
+        }
+        else if (error.code === 'ECONNREFUSED') {
+            vscode.window.showErrorMessage('Cannot connect to backend. Make sure the server is running.');
+        }
+        else {
+            vscode.window.showErrorMessage(`API Error: ${error.message}`);
+        }
+    }
+    reportBackgroundFailure(error, config) {
+        const status = error.response?.status ?? error.code ?? 'network error';
+        this.logger.warn(`Background request ${config.method?.toUpperCase()} ${config.url} failed (${status}): ${error.message}`);
+        this._onDidFailInBackground.fire(error);
+    }
+    /**
+     * 429s are always safe to retry because the server did not process the
+     * request; network errors and 502/503/504 are only retried for requests
+     * marked idempotent (GETs and side-effect-free POSTs).
+     */
+    shouldRetry(error, config) {
+        const maxRetries = vscode.workspace.getConfiguration('codasis').get('maxRetries', 2);
+        if ((config.retryCount || 0) >= maxRetries || config.responseType === 'stream') {
+            return false;
+        }
+        const status = error.response?.status;
+        if (status === 429) {
+            return true;
+        }
+        const idempotent = config.idempotent || ['get', 'head', 'options'].includes(config.method ?? 'get');
+        if (!idempotent || this.circuitBreaker.isOpen()) {
+            return false;
+        }
+        return !error.response || [502, 503, 504].includes(status);
+    }
+    getRetryDelay(error, attempt) {
+        const retryAfter = error.response?.headers?.['retry-after'];
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (delay >= 0) {
+                return Math.min(delay, APIClient.MAX_RETRY_DELAY);
+            }
+        }
+        // Exponential backoff with jitter: ~0.5s, 1s, 2s, ...
+        const base = 500 * Math.pow(2, attempt - 1);
+        return Math.min(base + Math.random() * 250, APIClient.MAX_RETRY_DELAY);
+    }
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new axios_1.CanceledError());
+            });
+        });
+    }
+    async login(email, password) {
+        const response = await this.client.post('/auth/login', { email, password }, { silent: true, redact: false, audit: false });
+        return response.data;
+    }
+    async register(name, email, password) {
+        const response = await this.client.post('/auth/register', {
+            name,
+            email,
+            password,
+            password_confirmation: password
+        }, { silent: true, redact: false, audit: false });
+        return response.data;
+    }
+    async logout() {
+        await this.client.post('/auth/logout', {}, { silent: true, redact: false, audit: false });
+    }
+    async getCurrentUser() {
+        const response = await this.client.get('/auth/user', { silent: true, redact: false, audit: false });
+        return response.data;
+    }
+    /**
+     * Code from files matching `codasis.redaction.denyGlobs` is never sent.
+     * `filePath` is the file the code comes from; there is none for untitled
+     * documents.
+     */
+    assertSendable(filePath) {
+        this.redactor.assertAllowed(filePath);
+    }
+    async askQuestion(request, token, options = {}) {
+        this.assertSendable(request.current_file);
         try {
-            // Add workspace context if available
-            const workspaceContext = await this.getWorkspaceContext();
+            if (this.isLocalTransport()) {
+                return await this.local.askQuestion(request, this.requestOptions(token));
+            }
+            // Add workspace context if available, without overriding what the caller set
+            const workspaceContext = await this.getWorkspaceContext(request.current_file);
             const enhancedRequest = {
-                ...request,
-                ...workspaceContext
+                ...workspaceContext,
+                ...request
             };
-            const response = await this.client.post('/ai/ask', enhancedRequest);
+            const response = await this.client.post('/ai/ask', enhancedRequest, this.requestOptions(token, { idempotent: true, ...options }));
             return response.data;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error asking question:', error);
             throw new Error('Failed to get AI response');
         }
     }
-    async getWorkspaceContext() {
+    /**
+     * Context for the workspace folder that owns `currentFile` (or the
+     * active editor), so multi-root workspaces are scoped per root.
+     */
+    async getWorkspaceContext(currentFile) {
         try {
-            const workspaceFolders = vscode.workspace.workspaceFolders;
+            const workspaceFolders = vscode.workspace.workspaceFolders ?? [];
             const activeEditor = vscode.window.activeTextEditor;
             const context = {};
-            if (workspaceFolders && workspaceFolders.length > 0) {
-                context.workspace_path = workspaceFolders[0].uri.fsPath;
+            const fileUri = currentFile ? vscode.Uri.file(currentFile) : activeEditor?.document.uri;
+            const folder = (fileUri && vscode.workspace.getWorkspaceFolder(fileUri))
+                ?? (workspaceFolders.length === 1 ? workspaceFolders[0] : undefined);
+            if (folder) {
+                context.workspace_path = folder.uri.fsPath;
+            }
+            if (fileUri) {
+                context.current_file = fileUri.fsPath;
             }
-            if (activeEditor) {
-                context.current_file = activeEditor.document.uri.fsPath;
+            if (activeEditor && !currentFile) {
                 context.language = activeEditor.document.languageId;
             }
             return context;
@@ -74,101 +240,574 @@ class APIClient {
             return {};
         }
     }
-    async indexWorkspace(workspacePath, forceReindex = false) {
+    async indexWorkspace(workspacePath, forceReindex = false, token, options = {}) {
+        if (this.isLocalTransport()) {
+            throw new Error('Workspace indexing requires the Codasis backend transport');
+        }
         try {
             const response = await this.client.post('/ai/index-workspace', {
                 workspace_path: workspacePath,
-                force_reindex: forceReindex
-            });
+                force_reindex: forceReindex,
+                // The backend reads the files itself, so it has to skip these too
+                exclude_globs: this.redactor.getDenyGlobs()
+            }, this.requestOptions(token, { idempotent: true, ...options }));
             return response.data;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error indexing workspace:', error);
             throw new Error('Failed to index workspace');
         }
     }
-    async analyzeCode(code, language) {
+    async indexFiles(workspacePath, files, deleted = [], token, options = {}) {
+        if (this.isLocalTransport()) {
+            throw new Error('Workspace indexing requires the Codasis backend transport');
+        }
         try {
+            const response = await this.client.post('/ai/index-files', {
+                workspace_path: workspacePath,
+                files,
+                deleted
+            }, this.requestOptions(token, { idempotent: true, ...options }));
+            return response.data;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error indexing files:', error);
+            throw new Error('Failed to index files');
+        }
+    }
+    async analyzeCode(code, language, token, filePath) {
+        this.assertSendable(filePath);
+        try {
+            if (this.isLocalTransport()) {
+                return await this.local.analyzeCode(code, language, this.requestOptions(token));
+            }
             const response = await this.client.post('/ai/analyze', {
                 code,
                 language
-            });
+            }, this.requestOptions(token, { idempotent: true }));
             return response.data.analysis;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error analyzing code:', error);
             throw new Error('Failed to analyze code');
         }
     }
-    async explainCode(code, language) {
+    async explainCode(code, language, token, filePath) {
+        this.assertSendable(filePath);
         try {
+            if (this.isLocalTransport()) {
+                return await this.local.explainCode(code, language, this.requestOptions(token));
+            }
             const response = await this.client.post('/ai/explain', {
                 code,
                 language
-            });
+            }, this.requestOptions(token, { idempotent: true }));
             return response.data.explanation;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error explaining code:', error);
             throw new Error('Failed to explain code');
         }
     }
-    async generateTests(code, language) {
+    /**
+     * `context` may carry framework, source_path, test_path, import_hint,
+     * existing_tests (the current test file, which the reply then replaces)
+     * and failures (output from running it, to have the tests repaired).
+     */
+    async generateTests(code, language, token, context = {}, filePath) {
+        this.assertSendable(filePath);
         try {
+            if (this.isLocalTransport()) {
+                return await this.local.generateTests(code, language, this.requestOptions(token), context);
+            }
             const response = await this.client.post('/ai/generate-tests', {
                 code,
-                language
-            });
+                language,
+                ...context
+            }, this.requestOptions(token, { idempotent: true }));
             return response.data.tests;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error generating tests:', error);
             throw new Error('Failed to generate tests');
         }
     }
-    async refactorCode(code, language) {
+    async refactorCode(code, language, token, goal, filePath) {
+        this.assertSendable(filePath);
         try {
+            if (this.isLocalTransport()) {
+                return await this.local.refactorCode(code, language, this.requestOptions(token), goal);
+            }
             const response = await this.client.post('/ai/refactor', {
                 code,
-                language
-            });
-            return response.data.refactored_code;
+                language,
+                goal
+            }, this.requestOptions(token, { idempotent: true }));
+            return response.data.refactoredCode;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error refactoring code:', error);
             throw new Error('Failed to refactor code');
         }
     }
-    async getCompletions(prefix, context, language) {
+    /**
+     * Rewrite `request.code` (or write code to insert, when it is empty)
+     * following `request.instruction`; `prefix` and `suffix` carry the
+     * surrounding lines as context.
+     */
+    async editCode(request, token, filePath) {
+        this.assertSendable(filePath);
+        try {
+            if (this.isLocalTransport()) {
+                return await this.local.editCode(request, this.requestOptions(token));
+            }
+            const response = await this.client.post('/ai/edit', request, this.requestOptions(token, { idempotent: true }));
+            return response.data.code;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error editing code:', error);
+            throw new Error('Failed to edit code');
+        }
+    }
+    /**
+     * Doc comments for `request.symbols` ({line, name, kind}) of
+     * `request.code`, as [{line, name, comment}] with unindented comments.
+     */
+    async documentSymbols(request, token) {
+        this.assertSendable(request.uri?.fsPath);
+        try {
+            const { uri, ...payload } = request;
+            if (this.isLocalTransport()) {
+                return await this.local.documentSymbols(payload, this.requestOptions(token));
+            }
+            const response = await this.client.post('/ai/document', payload, this.requestOptions(token, { idempotent: true }));
+            return response.data.comments;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error generating documentation:', error);
+            throw new Error(`Failed to generate documentation: ${error.message}`);
+        }
+    }
+    /**
+     * Issues found in `request.code`, as [{line, end_line, severity,
+     * category, message, suggestion}] with 1-based lines.
+     */
+    async reviewFile(request, token) {
+        this.assertSendable(request.uri?.fsPath);
+        try {
+            const { uri, ...payload } = request;
+            if (this.isLocalTransport()) {
+                return await this.local.reviewFile(payload, this.requestOptions(token));
+            }
+            const response = await this.client.post('/ai/review', payload, this.requestOptions(token, { idempotent: true }));
+            return response.data.findings;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error reviewing file:', error);
+            throw new Error(`Failed to review the file: ${error.message}`);
+        }
+    }
+    async getCompletions(prefix, context, language, token) {
+        if (this.redactor.isDenied(vscode.window.activeTextEditor?.document.uri.fsPath)) {
+            return [];
+        }
         try {
+            if (this.isLocalTransport()) {
+                return await this.local.getCompletions(prefix, context, language, this.requestOptions(token));
+            }
             const response = await this.client.post('/ai/completions', {
                 prefix,
                 context,
                 language
-            });
+            }, this.requestOptions(token, { idempotent: true, background: true }));
             return response.data.suggestions;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error getting completions:', error);
             return [];
         }
     }
-    async sendChatMessage(message, conversationId) {
+    /**
+     * `attachments` are the chat composer's @-mentions, sent as structured context.
+     * `model` is only used by the backend when the message starts a new conversation.
+     */
+    async sendChatMessage(message, conversationId, token, attachments = [], model) {
         try {
+            if (this.isLocalTransport()) {
+                return await this.local.sendChatMessage(message, conversationId, this.requestOptions(token), attachments);
+            }
             const response = await this.client.post('/chat/', {
                 message,
-                conversationId
-            });
+                conversationId,
+                model,
+                attachments: APIClient.toAttachmentPayload(attachments)
+            }, this.requestOptions(token));
             return response.data;
         }
         catch (error) {
+            this.rethrowIfCancelled(error);
             console.error('Error sending chat message:', error);
             throw new Error('Failed to send chat message');
         }
     }
-    async healthCheck() {
+    async getConversations(limit = 50, token) {
+        this.assertBackendHistory();
+        try {
+            const response = await this.client.get('/chat/conversations', this.requestOptions(token, { idempotent: true, params: { limit } }));
+            return response.data.conversations;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error getting conversations:', error);
+            throw new Error('Failed to load conversations');
+        }
+    }
+    async searchConversations(query, limit = 50, token) {
+        this.assertBackendHistory();
+        try {
+            const response = await this.client.get('/chat/conversations/search', this.requestOptions(token, { idempotent: true, params: { query, limit } }));
+            return response.data.conversations;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error searching conversations:', error);
+            throw new Error('Failed to search conversations');
+        }
+    }
+    async getConversation(conversationId, token) {
+        this.assertBackendHistory();
+        try {
+            const response = await this.client.get(`/chat/conversations/${encodeURIComponent(conversationId)}`, this.requestOptions(token, { idempotent: true }));
+            return response.data.conversation;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error getting conversation:', error);
+            throw new Error('Failed to load conversation');
+        }
+    }
+    async exportConversation(conversationId, token) {
+        this.assertBackendHistory();
+        try {
+            const response = await this.client.get(`/chat/conversations/${encodeURIComponent(conversationId)}/export`, this.requestOptions(token, { idempotent: true }));
+            return response.data.conversation;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error exporting conversation:', error);
+            throw new Error('Failed to export conversation');
+        }
+    }
+    async renameConversation(conversationId, title) {
+        this.assertBackendHistory();
+        try {
+            await this.client.patch(`/chat/conversations/${encodeURIComponent(conversationId)}`, { title });
+        }
+        catch (error) {
+            console.error('Error renaming conversation:', error);
+            throw new Error('Failed to rename conversation');
+        }
+    }
+    async deleteConversation(conversationId) {
+        this.assertBackendHistory();
+        try {
+            await this.client.delete(`/chat/conversations/${encodeURIComponent(conversationId)}`);
+        }
+        catch (error) {
+            console.error('Error deleting conversation:', error);
+            throw new Error('Failed to delete conversation');
+        }
+    }
+    /**
+     * Answer the turn behind `messageId` again as a new branch, with `model`
+     * instead of the conversation's model when given.
+     */
+    async regenerateMessage(conversationId, messageId, model, token) {
+        this.assertBackendHistory();
+        try {
+            const response = await this.client.post(`${APIClient.messagePath(conversationId, messageId)}/regenerate`, { model }, this.requestOptions(token));
+            return response.data;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error regenerating message:', error);
+            throw new Error('Failed to regenerate response');
+        }
+    }
+    async streamRegeneratedMessage(conversationId, messageId, model, onChunk, token) {
+        this.assertBackendHistory();
+        return this.streamRequest(`${APIClient.messagePath(conversationId, messageId)}/regenerate`, { model }, onChunk, token);
+    }
+    /**
+     * Resend an earlier user message with new text, forking a branch.
+     */
+    async editMessage(conversationId, messageId, message, token) {
+        this.assertBackendHistory();
+        try {
+            const response = await this.client.post(`${APIClient.messagePath(conversationId, messageId)}/edit`, { message }, this.requestOptions(token));
+            return response.data;
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error editing message:', error);
+            throw new Error('Failed to resend edited message');
+        }
+    }
+    async streamEditedMessage(conversationId, messageId, message, onChunk, token) {
+        this.assertBackendHistory();
+        return this.streamRequest(`${APIClient.messagePath(conversationId, messageId)}/edit`, { message }, onChunk, token);
+    }
+    async updateConversationModel(conversationId, model) {
+        this.assertBackendHistory();
+        try {
+            await this.client.put(`/chat/conversations/${encodeURIComponent(conversationId)}/model`, { model });
+        }
+        catch (error) {
+            console.error('Error updating conversation model:', error);
+            throw new Error(`Failed to switch this conversation to ${model}`);
+        }
+    }
+    async selectBranch(conversationId, messageId) {
+        this.assertBackendHistory();
+        try {
+            await this.client.put(`/chat/conversations/${encodeURIComponent(conversationId)}/branch`, { messageId });
+        }
+        catch (error) {
+            console.error('Error selecting branch:', error);
+            throw new Error('Failed to switch branch');
+        }
+    }
+    /**
+     * Models the backend knows about, each with whether it is currently usable.
+     */
+    async getModels(token) {
+        if (this.isLocalTransport()) {
+            throw new Error('Model selection requires the Codasis backend transport');
+        }
+        try {
+            const response = await this.client.get('/ai/models', this.requestOptions(token, { idempotent: true, silent: true }));
+            return response.data.models.map(id => ({ id, available: response.data.status?.[id] !== false }));
+        }
+        catch (error) {
+            this.rethrowIfCancelled(error);
+            console.error('Error getting models:', error);
+            throw new Error('Failed to load models');
+        }
+    }
+    static messagePath(conversationId, messageId) {
+        return `/chat/conversations/${encodeURIComponent(conversationId)}/messages/${encodeURIComponent(messageId)}`;
+    }
+    assertBackendHistory() {
+        if (this.isLocalTransport()) {
+            throw new Error('Conversation history requires the Codasis backend transport');
+        }
+    }
+    /**
+     * Map a VS Code CancellationToken onto an axios AbortSignal so that
+     * cancelling the token aborts the HTTP request itself. `options` carries
+     * the `idempotent`, `background` and `silent` flags read by the interceptors.
+     */
+    requestOptions(token, options = {}) {
+        if (!token) {
+            return options;
+        }
+        const controller = new AbortController();
+        if (token.isCancellationRequested) {
+            controller.abort();
+            return { ...options, signal: controller.signal };
+        }
+        const listener = token.onCancellationRequested(() => controller.abort());
+        return { ...options, signal: controller.signal, release: () => listener.dispose() };
+    }
+    /**
+     * Dispose the token listener added by requestOptions once the request
+     * has settled; long-lived tokens would otherwise keep one per request.
+     */
+    releaseOnSettle(client) {
+        client.interceptors.response.use((response) => {
+            response.config.release?.();
+            return response;
+        }, (error) => {
+            error.config?.release?.();
+            throw error;
+        });
+    }
+    rethrowIfCancelled(error) {
+        if (axios_1.default.isCancel(error) || error instanceof vscode.CancellationError) {
+            throw new vscode.CancellationError();
+        }
+    }
+    async streamChatMessage(message, conversationId, onChunk, token, attachments = [], model) {
+        if (this.isLocalTransport()) {
+            return this.streamLocal(signal => this.local.streamChatMessage(message, conversationId, this.restoring(onChunk), signal, attachments), token);
+        }
+        return this.streamRequest('/chat/', {
+            message,
+            conversationId,
+            model,
+            attachments: APIClient.toAttachmentPayload(attachments)
+        }, onChunk, token);
+    }
+    static toAttachmentPayload(attachments) {
+        return attachments.map(({ kind, label, language, content }) => ({ kind, label, language, content }));
+    }
+    async streamQuestion(request, onChunk, token) {
+        this.assertSendable(request.current_file);
+        if (this.isLocalTransport()) {
+            return this.streamLocal(signal => this.local.streamQuestion(request, this.restoring(onChunk), signal), token);
+        }
+        const workspaceContext = await this.getWorkspaceContext(request.current_file);
+        return this.streamRequest('/ai/ask', {
+            ...workspaceContext,
+            ...request
+        }, onChunk, token);
+    }
+    async streamExplanation(code, language, onChunk, token, filePath) {
+        this.assertSendable(filePath);
+        if (this.isLocalTransport()) {
+            return this.streamLocal(signal => this.local.streamExplanation(code, language, this.restoring(onChunk), signal), token);
+        }
+        return this.streamRequest('/ai/explain', {
+            code,
+            language
+        }, onChunk, token);
+    }
+    isStreamingEnabled() {
+        return vscode.workspace.getConfiguration('codasis').get('streamResponses', true);
+    }
+    /**
+     * POST a request with `stream: true` and feed every text delta to `onChunk`.
+     * Accepts both Server-Sent Events (`data: {...}`) and newline-delimited JSON.
+     * Resolves with the full text plus whatever metadata the final event carried.
+     */
+    async streamRequest(url, payload, onChunk, token) {
+        const controller = new AbortController();
+        if (token?.isCancellationRequested) {
+            controller.abort();
+        }
+        const cancellation = token?.onCancellationRequested(() => controller.abort());
+        const result = { text: '', aborted: false };
+        try {
+            const response = await this.client.post(url, { ...payload, stream: true }, {
+                responseType: 'stream',
+                headers: { Accept: 'text/event-stream, application/x-ndjson' },
+                signal: controller.signal,
+                timeout: 0
+            });
+            await new Promise((resolve, reject) => {
+                let buffer = '';
+                const handleLine = (line) => {
+                    const event = this.parseStreamLine(line);
+                    if (!event) {
+                        return;
+                    }
+                    if (event.error) {
+                        reject(new Error(event.error));
+                        return;
+                    }
+                    if (event.delta) {
+                        result.text += event.delta;
+                        onChunk(event.delta, this.redactor.restore(result.text));
+                    }
+                    if (event.done) {
+                        Object.assign(result, event, { text: result.text });
+                    }
+                };
+                response.data.on('data', (chunk) => {
+                    buffer += chunk.toString('utf8');
+                    const lines = buffer.split(/\r?\n/);
+                    buffer = lines.pop() ?? '';
+                    lines.forEach(handleLine);
+                });
+                response.data.on('end', () => {
+                    if (buffer) {
+                        handleLine(buffer);
+                    }
+                    resolve();
+                });
+                response.data.on('error', reject);
+                controller.signal.addEventListener('abort', () => {
+                    response.data.destroy();
+                    resolve();
+                });
+            });
+        }
+        catch (error) {
+            if (!controller.signal.aborted) {
+                console.error(`Error streaming ${url}:`, error);
+                throw new Error(error.message || 'Failed to stream AI response');
+            }
+        }
+        finally {
+            cancellation?.dispose();
+        }
+        result.aborted = controller.signal.aborted;
+        result.text = this.redactor.restore(result.text);
+        return result;
+    }
+    async streamLocal(run, token) {
+        const controller = new AbortController();
+        if (token?.isCancellationRequested) {
+            controller.abort();
+        }
+        const cancellation = token?.onCancellationRequested(() => controller.abort());
         try {
-            await this.client.get('/health');
+            const result = await run(controller.signal);
+            return { ...result, text: this.redactor.restore(result.text), aborted: controller.signal.aborted };
+        }
+        catch (error) {
+            if (controller.signal.aborted) {
+                return { text: '', aborted: true };
+            }
+            console.error('Error streaming from local model:', error);
+            throw new Error(error.message || 'Failed to stream AI response');
+        }
+        finally {
+            cancellation?.dispose();
+        }
+    }
+    /**
+     * Wrap a stream callback so the accumulated text has placeholders restored.
+     */
+    restoring(onChunk) {
+        return (delta, text) => onChunk(delta, this.redactor.restore(text));
+    }
+    parseStreamLine(line) {
+        if (!line.trim() || line.startsWith(':') || line.startsWith('event:')) {
+            return undefined;
+        }
+        const data = line.startsWith('data:') ? line.slice(5).replace(/^ /, '') : line;
+        if (data === '[DONE]') {
+            return { done: true };
+        }
+        try {
+            return JSON.parse(data);
+        }
+        catch {
+            // Plain text chunks are treated as raw deltas
+            return { delta: data };
+        }
+    }
+    async getPublicStatus(token) {
+        const response = await this.client.get('/public/status', this.requestOptions(token, { silent: true, audit: false }));
+        return response.data;
+    }
+    async healthCheck(token) {
+        try {
+            if (this.isLocalTransport()) {
+                return await this.local.healthCheck(this.requestOptions(token));
+            }
+            await this.client.get('/health', this.requestOptions(token, { silent: true, audit: false }));
             return true;
         }
         catch (error) {
@@ -177,4 +816,6 @@ class APIClient {
     }
 }
 exports.APIClient = APIClient;
+APIClient.CIRCUIT_OPEN = 'ECIRCUITOPEN';
+APIClient.MAX_RETRY_DELAY = 30000;
 //# sourceMappingURL=APIClient.js.map
\ No newline at end of file
@@ -0,0 +1,208 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AuditLog = void 0;
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const crypto_1 = require("crypto");
+/**
+ * Opt-in record of every request that leaves the editor, written as JSON
+ * lines to the extension's global storage. Entries are captured after
+ * redaction, so they show exactly what the model received.
+ */
+class AuditLog {
+    constructor(logger) {
+        this.logger = logger;
+        this.writes = Promise.resolve();
+        this._onDidAppend = new vscode.EventEmitter();
+        this.onDidAppend = this._onDidAppend.event;
+        this.configListener = vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('codasis.auditLog.retentionDays')) {
+                this.schedulePrune();
+            }
+        });
+    }
+    /**
+     * Must be installed before the Redactor: axios runs request interceptors
+     * in reverse order, so this one then sees the redacted payload.
+     */
+    install(client, transport) {
+        client.interceptors.request.use((config) => {
+            if (this.isEnabled() && config.audit !== false) {
+                this.record(config, transport);
+            }
+            return config;
+        });
+    }
+    setStorage(storageUri) {
+        this.file = path.join(storageUri.fsPath, 'request-log.jsonl');
+        this.schedulePrune();
+    }
+    isEnabled() {
+        return vscode.workspace.getConfiguration('codasis').get('auditLog.enabled', false);
+    }
+    record(config, transport) {
+        const body = config.data === undefined ? '' : typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+        const payload = typeof config.data === 'object' && config.data ? config.data : {};
+        const bytes = Buffer.byteLength(body, 'utf8');
+        const entry = {
+            id: (0, crypto_1.randomUUID)(),
+            timestamp: new Date().toISOString(),
+            transport,
+            method: (config.method ?? 'get').toUpperCase(),
+            endpoint: `${config.baseURL ?? ''}${config.url ?? ''}`,
+            model: payload.model ?? (transport === 'backend' ? vscode.workspace.getConfiguration('codasis').get('preferredModel', 'deepseek-r1') : undefined),
+            files: this.collectFiles(payload),
+            bytes,
+            // Rough estimate; close enough for most tokenizers on code
+            tokens: Math.ceil(bytes / 4),
+            hash: (0, crypto_1.createHash)('sha256').update(body).digest('hex'),
+            attempt: (config.retryCount ?? 0) + 1
+        };
+        if (vscode.workspace.getConfiguration('codasis').get('auditLog.includeBody', false)) {
+            entry.body = body;
+        }
+        this.append(entry);
+    }
+    collectFiles(payload) {
+        const files = new Set();
+        for (const key of ['current_file', 'file_path']) {
+            if (typeof payload[key] === 'string') {
+                files.add(payload[key]);
+            }
+        }
+        for (const key of ['files', 'deleted']) {
+            if (Array.isArray(payload[key])) {
+                payload[key].forEach(file => files.add(file));
+            }
+        }
+        if (Array.isArray(payload.attachments)) {
+            payload.attachments.filter(attachment => attachment.kind === 'file').forEach(attachment => files.add(attachment.label));
+        }
+        // Editor commands send the selection without a path; it comes from the active editor
+        const active = vscode.window.activeTextEditor?.document.uri;
+        if (typeof payload.code === 'string' && active?.scheme === 'file') {
+            files.add(active.fsPath);
+        }
+        return [...files];
+    }
+    append(entry) {
+        if (!this.file) {
+            return;
+        }
+        this.writes = this.writes
+            .then(async () => {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n', 'utf8');
+            this._onDidAppend.fire(entry);
+        })
+            .catch(error => this.logger.error('Failed to write request log', error));
+        if (this.oldest === undefined) {
+            this.oldest = Date.parse(entry.timestamp);
+        }
+        else if (this.oldest < this.retentionCutoff()) {
+            this.schedulePrune();
+        }
+    }
+    /**
+     * All retained entries, newest first.
+     */
+    async read() {
+        await this.writes;
+        return (await this.readEntries()).reverse();
+    }
+    /**
+     * The entries on disk, oldest first, without waiting for pending writes.
+     */
+    async readEntries() {
+        if (!this.file) {
+            return [];
+        }
+        let content;
+        try {
+            content = await fs.promises.readFile(this.file, 'utf8');
+        }
+        catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        return content
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+            try {
+                return JSON.parse(line);
+            }
+            catch {
+                return undefined;
+            }
+        })
+            .filter(Boolean);
+    }
+    /**
+     * Drop entries older than `codasis.auditLog.retentionDays`. Runs at
+     * startup, when the setting changes and when an append finds the oldest
+     * entry expired, queued behind pending writes so none are lost.
+     */
+    async prune() {
+        if (!this.file) {
+            return;
+        }
+        const prune = this.writes.then(async () => {
+            const cutoff = this.retentionCutoff();
+            const entries = await this.readEntries().catch(() => []);
+            const kept = entries.filter(entry => Date.parse(entry.timestamp) >= cutoff);
+            this.oldest = kept.length ? Date.parse(kept[0].timestamp) : undefined;
+            if (kept.length !== entries.length) {
+                await fs.promises.writeFile(this.file, kept.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+                this.logger.info(`Pruned ${entries.length - kept.length} request log entries older than ${this.retentionDays()} days`);
+            }
+        });
+        this.writes = prune.catch(() => undefined);
+        await prune;
+    }
+    schedulePrune() {
+        if (!this.pruning) {
+            this.pruning = this.prune()
+                .catch(error => this.logger.error('Failed to prune request log', error))
+                .finally(() => this.pruning = undefined);
+        }
+    }
+    retentionDays() {
+        return vscode.workspace.getConfiguration('codasis').get('auditLog.retentionDays', 30);
+    }
+    retentionCutoff() {
+        return Date.now() - this.retentionDays() * 24 * 60 * 60 * 1000;
+    }
+    async clear() {
+        await this.rewrite([]);
+        this.oldest = undefined;
+    }
+    async rewrite(entries) {
+        if (!this.file) {
+            return;
+        }
+        const write = this.writes.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.writeFile(this.file, entries.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+        });
+        this.writes = write.catch(() => undefined);
+        await write;
+    }
+    static toCsv(entries) {
+        const columns = ['timestamp', 'transport', 'method', 'endpoint', 'model', 'files', 'bytes', 'tokens', 'hash', 'attempt'];
+        const escape = (value) => {
+            const text = Array.isArray(value) ? value.join(';') : value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...entries.map(entry => columns.map(column => escape(entry[column])).join(','))].join('\n') + '\n';
+    }
+    dispose() {
+        this.configListener.dispose();
+        this._onDidAppend.dispose();
+    }
+}
+exports.AuditLog = AuditLog;
+//# sourceMappingURL=AuditLog.js.map
@@ -0,0 +1,52 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CircuitBreaker = void 0;
+const vscode = require("vscode");
+/**
+ * Tracks backend health. After `failureThreshold` consecutive failures the
+ * circuit opens and background features pause until `cooldownMs` has passed;
+ * the next request then probes the backend (half-open) and closes the
+ * circuit again on success.
+ */
+class CircuitBreaker {
+    constructor(failureThreshold = 3, cooldownMs = 30000) {
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this._onDidChangeState = new vscode.EventEmitter();
+        this.onDidChangeState = this._onDidChangeState.event;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+    }
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.setState('half-open');
+        }
+        return this.state !== 'open';
+    }
+    isOpen() {
+        return !this.allowRequest();
+    }
+    recordSuccess() {
+        this.failures = 0;
+        this.setState('closed');
+    }
+    recordFailure() {
+        this.failures++;
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.setState('open');
+        }
+    }
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this._onDidChangeState.fire(state);
+        }
+    }
+    dispose() {
+        this._onDidChangeState.dispose();
+    }
+}
+exports.CircuitBreaker = CircuitBreaker;
+//# sourceMappingURL=CircuitBreaker.js.map
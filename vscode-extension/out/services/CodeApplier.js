@@ -0,0 +1,344 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.CodeApplier = void 0;
+const vscode = require("vscode");
+const path = require("path");
+/**
+ * Applies code blocks from chat answers to the workspace. Each block is
+ * mapped to a file and region, previewed with `vscode.diff` against a
+ * virtual document, and written as one undoable WorkspaceEdit once accepted.
+ */
+class CodeApplier {
+    constructor(redactor) {
+        this.redactor = redactor;
+        this.proposals = new Map();
+        this.nextId = 0;
+    }
+    provideTextDocumentContent(uri) {
+        return this.proposals.get(uri.query) ?? '';
+    }
+    /**
+     * Apply a single block: preview it, then accept or reject.
+     * `context` lists the chat's attachments, newest last.
+     */
+    async applyBlock(block, context = []) {
+        const [file] = await this.plan([block], context);
+        if (file) {
+            await this.review(file);
+        }
+    }
+    /**
+     * Apply every block of a multi-file answer, with a per-file accept list.
+     * Only blocks that name their file take part.
+     */
+    async applyBlocks(blocks, context = []) {
+        const named = blocks.filter(block => this.targetOf(block));
+        if (!named.length) {
+            vscode.window.showInformationMessage('None of the code blocks name a target file; use Apply on a single block instead');
+            return;
+        }
+        await this.reviewAll(await this.plan(named, context));
+    }
+    /**
+     * Preview several files at once: a checklist with a diff button per
+     * file, applied together. A single file gets the plain review.
+     */
+    async reviewAll(files) {
+        if (!files.length) {
+            return [];
+        }
+        if (files.length === 1) {
+            return await this.review(files[0]) ? files : [];
+        }
+        const picker = vscode.window.createQuickPick();
+        const previewButton = { iconPath: new vscode.ThemeIcon('diff'), tooltip: 'Preview diff' };
+        picker.title = 'Apply proposed changes';
+        picker.placeholder = 'Uncheck files to reject, then press Enter to apply the rest';
+        picker.canSelectMany = true;
+        picker.ignoreFocusOut = true;
+        picker.items = files.map(file => ({ label: file.label, description: file.description, file, buttons: [previewButton] }));
+        picker.selectedItems = picker.items;
+        const accepted = await new Promise(resolve => {
+            picker.onDidTriggerItemButton(event => this.showDiff(event.item.file, true));
+            picker.onDidAccept(() => {
+                resolve(picker.selectedItems.map(item => item.file));
+                picker.hide();
+            });
+            picker.onDidHide(() => resolve(undefined));
+            picker.show();
+        });
+        picker.dispose();
+        await Promise.all(files.map(file => this.closeDiff(file)));
+        if (!accepted?.length) {
+            return [];
+        }
+        await this.apply(accepted);
+        vscode.window.showInformationMessage(`Applied changes to ${accepted.length} of ${files.length} files`);
+        return accepted;
+    }
+    /**
+     * Preview replacing `range` of an open document with `text`; resolves
+     * to true once the change is accepted and applied.
+     */
+    async proposeEdit(document, range, text) {
+        return this.review(this.proposal(document, [{ range, text }]));
+    }
+    /**
+     * A reviewable file for several non-overlapping replacements in an open
+     * document (an empty range inserts).
+     */
+    proposal(document, replacements) {
+        return this.describe({ uri: document.uri, document, version: document.version, replacements });
+    }
+    /**
+     * Preview replacing the whole of `uri`, or creating it.
+     */
+    async proposeFile(uri, text) {
+        const document = await CodeApplier.openIfExists(uri);
+        return this.review(this.describe({ uri, document, version: document?.version, replacements: [{ range: undefined, text }] }));
+    }
+    async review(file) {
+        await this.showDiff(file, false);
+        const choice = await vscode.window.showInformationMessage(`Apply the proposed change to ${file.label}?`, 'Accept', 'Reject');
+        await this.closeDiff(file);
+        if (choice !== 'Accept') {
+            return false;
+        }
+        await this.apply([file]);
+        await vscode.window.showTextDocument(file.uri, { preview: false });
+        return true;
+    }
+    /**
+     * Work out where each block goes and what each file would look like
+     * afterwards. Blocks for the same file are merged.
+     */
+    async plan(blocks, context) {
+        const files = new Map();
+        for (const block of blocks) {
+            const target = await this.resolveTarget(block, context);
+            if (!target) {
+                continue;
+            }
+            this.redactor.assertAllowed(target.uri.fsPath);
+            const key = target.uri.toString();
+            const file = files.get(key) ?? { uri: target.uri, document: target.document, version: target.document?.version, replacements: [] };
+            file.replacements.push({ range: target.range, text: CodeApplier.stripTargetComment(block.code) });
+            files.set(key, file);
+        }
+        return [...files.values()].map(file => this.describe(file));
+    }
+    describe(file) {
+        const original = file.document?.getText() ?? '';
+        let proposed = original;
+        const regions = [];
+        // Apply from the end so earlier offsets stay valid; overlapping blocks keep the first
+        const ordered = file.replacements
+            .map(replacement => ({
+            ...replacement,
+            start: replacement.range ? file.document.offsetAt(replacement.range.start) : 0,
+            end: replacement.range ? file.document.offsetAt(replacement.range.end) : original.length
+        }))
+            .sort((a, b) => b.start - a.start);
+        let limit = Infinity;
+        for (const replacement of ordered) {
+            if (replacement.end > limit) {
+                continue;
+            }
+            proposed = proposed.slice(0, replacement.start) + replacement.text + proposed.slice(replacement.end);
+            limit = replacement.start;
+            regions.push(CodeApplier.describeRange(replacement.range, !!file.document));
+        }
+        const id = String(++this.nextId);
+        this.proposals.set(id, proposed);
+        return {
+            ...file,
+            label: vscode.workspace.asRelativePath(file.uri),
+            description: regions.reverse().join(', '),
+            proposedText: proposed,
+            proposalUri: vscode.Uri.from({ scheme: CodeApplier.scheme, path: file.uri.path, query: id }),
+            originalUri: file.document ? file.uri : vscode.Uri.from({ scheme: CodeApplier.scheme, path: file.uri.path, query: 'empty' })
+        };
+    }
+    /**
+     * Target file from the fence info or a `// file:` first line, then the
+     * newest attachment from the conversation, then the active editor.
+     * The region is a mentioned selection or symbol when there is one, else
+     * the matching symbol in the file, else the whole file.
+     */
+    async resolveTarget(block, context) {
+        const named = this.targetOf(block);
+        let uri = named ? await CodeApplier.resolvePath(named) : undefined;
+        let range;
+        let cursor;
+        if (!uri) {
+            const attachment = [...context].reverse().find(item => item.source?.uri);
+            const editor = vscode.window.activeTextEditor;
+            if (attachment) {
+                uri = attachment.source.uri;
+                range = attachment.source.range;
+            }
+            else if (editor && editor.document.uri.scheme === 'file') {
+                uri = editor.document.uri;
+                range = editor.selection.isEmpty ? undefined : editor.selection;
+                cursor = editor.selection.active;
+            }
+        }
+        else {
+            range = [...context].reverse().find(item => item.source?.range && item.source.uri.toString() === uri.toString())?.source.range;
+        }
+        if (!uri) {
+            const picked = await vscode.window.showSaveDialog({ title: 'Apply code block to file', saveLabel: 'Apply Here' });
+            if (!picked) {
+                return undefined;
+            }
+            uri = picked;
+        }
+        const document = await CodeApplier.openIfExists(uri);
+        if (document && !range) {
+            range = await this.findSymbolRange(document, block.code);
+        }
+        if (document && !range && cursor) {
+            // Nothing to replace in the active editor: insert at the cursor, as Insert used to
+            range = new vscode.Range(cursor, cursor);
+        }
+        return { uri, document, range: document ? range : undefined };
+    }
+    static describeRange(range, exists) {
+        if (!range) {
+            return exists ? 'whole file' : 'new file';
+        }
+        return range.isEmpty ? `insert at line ${range.start.line + 1}` : `lines ${range.start.line + 1}-${range.end.line + 1}`;
+    }
+    targetOf(block) {
+        return CodeApplier.parseFenceInfo(block.info) ?? CodeApplier.parseTargetComment(block.code);
+    }
+    /**
+     * The document symbol whose name appears in the block's first code line,
+     * so that an answer containing one rewritten function replaces only it.
+     */
+    async findSymbolRange(document, code) {
+        const firstLine = code.split('\n').map(line => line.trim()).find(line => line && !CodeApplier.commentLine.test(line));
+        if (!firstLine) {
+            return undefined;
+        }
+        const symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri) ?? [];
+        const flatten = (items) => items.flatMap(item => [item, ...flatten(item.children ?? [])]);
+        const candidates = flatten(symbols)
+            .map(symbol => ({ name: symbol.name, range: symbol.range ?? symbol.location?.range }))
+            .filter(symbol => symbol.range && new RegExp(`\\b${symbol.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(firstLine));
+        // Prefer the symbol whose declaration line reads the same as the block's
+        const normalise = (text) => text.replace(/\s+/g, ' ').trim();
+        const exact = candidates.find(symbol => normalise(document.lineAt(symbol.range.start.line).text) === normalise(firstLine));
+        const match = exact ?? candidates[0];
+        if (!match) {
+            return undefined;
+        }
+        // Extend to whole lines so indentation is replaced together with the code
+        return new vscode.Range(match.range.start.line, 0, match.range.end.line, document.lineAt(match.range.end.line).text.length);
+    }
+    async showDiff(file, preserveFocus) {
+        await vscode.commands.executeCommand('vscode.diff', file.originalUri, file.proposalUri, `${path.basename(file.uri.fsPath)} (proposed)`, { preview: true, preserveFocus });
+    }
+    async closeDiff(file) {
+        const tabs = vscode.window.tabGroups.all.flatMap(group => group.tabs).filter(tab => tab.input instanceof vscode.TabInputTextDiff && tab.input.modified.toString() === file.proposalUri.toString());
+        if (tabs.length) {
+            await vscode.window.tabGroups.close(tabs);
+        }
+        this.proposals.delete(file.proposalUri.query);
+    }
+    async apply(files) {
+        const edit = new vscode.WorkspaceEdit();
+        for (const file of files) {
+            if (!file.document) {
+                edit.createFile(file.uri, { ignoreIfExists: true });
+                edit.insert(file.uri, new vscode.Position(0, 0), file.proposedText);
+                continue;
+            }
+            if (file.document.version !== file.version) {
+                throw new Error(`${file.label} changed after the preview was created; apply the block again`);
+            }
+            const fullRange = new vscode.Range(file.document.positionAt(0), file.document.positionAt(file.document.getText().length));
+            edit.replace(file.uri, fullRange, file.proposedText);
+        }
+        if (!await vscode.workspace.applyEdit(edit)) {
+            throw new Error('The edit could not be applied; the files may have changed');
+        }
+    }
+    /**
+     * Accepts ```ts src/a.ts, ```ts:src/a.ts, ```ts title="src/a.ts" and
+     * ```ts file=src/a.ts.
+     */
+    static parseFenceInfo(info) {
+        if (!info) {
+            return undefined;
+        }
+        const attribute = /\b(?:title|file|path|filename)=["']?([^"'\s]+)["']?/.exec(info);
+        if (attribute) {
+            return attribute[1];
+        }
+        const [language, ...rest] = info.trim().split(/\s+/);
+        const colon = language.indexOf(':');
+        if (colon > 0 && CodeApplier.looksLikePath(language.slice(colon + 1))) {
+            return language.slice(colon + 1);
+        }
+        return rest.find(CodeApplier.looksLikePath);
+    }
+    static parseTargetComment(code) {
+        const firstLine = code.split('\n', 1)[0];
+        return CodeApplier.targetComment.exec(firstLine)?.[1];
+    }
+    static stripTargetComment(code) {
+        const withoutTrailingNewline = code.replace(/\n$/, '');
+        return CodeApplier.targetComment.test(withoutTrailingNewline.split('\n', 1)[0])
+            ? withoutTrailingNewline.slice(withoutTrailingNewline.indexOf('\n') + 1)
+            : withoutTrailingNewline;
+    }
+    static looksLikePath(value) {
+        return /^[\w@.~-][\w@.\/\\~-]*\.[\w]+$/.test(value) && !/^\d+(\.\d+)*$/.test(value);
+    }
+    /**
+     * Resolve a workspace-relative or absolute path; relative paths that do
+     * not exist yet are created in the first workspace folder. Paths come
+     * from the model, so anything outside the workspace folders is refused.
+     */
+    static async resolvePath(filePath) {
+        const folders = vscode.workspace.workspaceFolders ?? [];
+        const uri = await CodeApplier.locate(filePath, folders);
+        if (uri && !folders.some(folder => CodeApplier.contains(folder.uri, uri))) {
+            throw new Error(`${filePath} is outside the workspace; code blocks can only be applied to workspace files`);
+        }
+        return uri;
+    }
+    static async locate(filePath, folders) {
+        if (path.isAbsolute(filePath)) {
+            return vscode.Uri.file(filePath);
+        }
+        for (const folder of folders) {
+            const uri = vscode.Uri.joinPath(folder.uri, filePath);
+            if (await CodeApplier.openIfExists(uri)) {
+                return uri;
+            }
+        }
+        const [match] = await vscode.workspace.findFiles(`**/${filePath}`, undefined, 1);
+        return match ?? (folders[0] ? vscode.Uri.joinPath(folders[0].uri, filePath) : undefined);
+    }
+    static contains(folder, uri) {
+        const relative = path.relative(folder.fsPath, uri.fsPath);
+        return !!relative && relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative);
+    }
+    static async openIfExists(uri) {
+        try {
+            await vscode.workspace.fs.stat(uri);
+        }
+        catch {
+            return undefined;
+        }
+        return vscode.workspace.openTextDocument(uri);
+    }
+}
+exports.CodeApplier = CodeApplier;
+CodeApplier.scheme = 'codasis-proposal';
+CodeApplier.commentLine = /^(\/\/|#|\/\*|\*|<!--|--)/;
+// "// file: src/a.ts", "# path: app/x.py", "<!-- file: index.html -->"
+CodeApplier.targetComment = /^\s*(?:\/\/|#|\/\*|<!--|--)\s*(?:file(?:name)?|path)\s*:\s*([^\s*>]+)/i;
+//# sourceMappingURL=CodeApplier.js.map
@@ -0,0 +1,103 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ConversationExporter = void 0;
+const MarkdownRenderer_1 = require("./MarkdownRenderer");
+/**
+ * Turns the backend's conversation export into Markdown, JSON or a
+ * standalone HTML page suitable for attaching to tickets and reviews.
+ */
+class ConversationExporter {
+    constructor() {
+        this.renderer = new MarkdownRenderer_1.MarkdownRenderer();
+    }
+    format(conversation, format) {
+        switch (format) {
+            case 'md':
+                return this.toMarkdown(conversation);
+            case 'html':
+                return this.toHtml(conversation);
+            default:
+                return JSON.stringify(conversation, null, 2) + '\n';
+        }
+    }
+    fileName(conversation, format) {
+        const slug = (conversation.title || 'conversation')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 60) || 'conversation';
+        return `${slug}-${String(conversation.id).slice(0, 8)}.${format}`;
+    }
+    toMarkdown(conversation) {
+        const lines = [
+            `# ${conversation.title || 'Untitled conversation'}`,
+            '',
+            `- Model: ${conversation.model || 'default'}`,
+            `- Started: ${ConversationExporter.formatDate(conversation.created_at)}`,
+            `- Messages: ${conversation.messages.length}`,
+            ''
+        ];
+        for (const message of conversation.messages) {
+            const heading = [ConversationExporter.roleLabel(message.role), ConversationExporter.formatDate(message.created_at)].filter(Boolean).join(' · ');
+            lines.push(`## ${heading}`, '');
+            // Message content is already Markdown, code blocks included
+            lines.push(message.content.trimEnd(), '');
+        }
+        return lines.join('\n');
+    }
+    toHtml(conversation) {
+        const title = MarkdownRenderer_1.MarkdownRenderer.escape(conversation.title || 'Untitled conversation');
+        const messages = conversation.messages.map(message => `    <section class="message ${message.role === 'user' ? 'user' : 'assistant'}">
+        <header>${ConversationExporter.roleLabel(message.role)} <time>${MarkdownRenderer_1.MarkdownRenderer.escape(ConversationExporter.formatDate(message.created_at))}</time></header>
+        <div class="content">${this.renderer.render(message.content)}</div>
+    </section>`).join('\n');
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline';">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 860px; margin: 2em auto; padding: 0 1em; color: #1f2328; line-height: 1.5; }
+        .meta { color: #656d76; }
+        .message { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.5em 1em; margin: 1em 0; }
+        .message.user { background: #f6f8fa; }
+        header { font-weight: 600; }
+        time { font-weight: normal; color: #656d76; margin-left: 0.5em; }
+        pre { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; padding: 0.75em; overflow-x: auto; }
+        code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+        table { border-collapse: collapse; }
+        th, td { border: 1px solid #d0d7de; padding: 4px 8px; }
+        .hljs-keyword, .hljs-built_in { color: #cf222e; }
+        .hljs-string { color: #0a3069; }
+        .hljs-comment { color: #6e7781; font-style: italic; }
+        .hljs-title { color: #8250df; }
+        .hljs-number, .hljs-literal { color: #0550ae; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p class="meta">Model: ${MarkdownRenderer_1.MarkdownRenderer.escape(conversation.model || 'default')} · Started ${MarkdownRenderer_1.MarkdownRenderer.escape(ConversationExporter.formatDate(conversation.created_at))} · ${conversation.messages.length} messages</p>
+${messages}
+</body>
+</html>
+`;
+    }
+    static roleLabel(role) {
+        return role === 'user' ? 'You' : 'Assistant';
+    }
+    static formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? '' : date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    }
+}
+exports.ConversationExporter = ConversationExporter;
+ConversationExporter.formats = [
+    { id: 'md', label: 'Markdown', filter: { Markdown: ['md'] } },
+    { id: 'json', label: 'JSON', filter: { JSON: ['json'] } },
+    { id: 'html', label: 'HTML', filter: { HTML: ['html'] } }
+];
+// Upper bound for "export all"; the backend returns the most recent first
+ConversationExporter.maxConversations = 1000;
+//# sourceMappingURL=ConversationExporter.js.map
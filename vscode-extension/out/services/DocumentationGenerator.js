@@ -0,0 +1,359 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.DocumentationGenerator = void 0;
+const vscode = require("vscode");
+/**
+ * Generates doc comments (JSDoc, TSDoc, PHPDoc, docstrings, ...) for the
+ * functions, methods and classes of a file. The model only writes the
+ * comments; they are placed above each declaration here (inside the body
+ * for Python), so the code itself is never rewritten. Symbols that already
+ * have documentation keep it unless the user chooses to rewrite it, and
+ * every change goes through a CodeApplier diff preview.
+ */
+class DocumentationGenerator {
+    constructor(apiClient, codeAnalyzer, codeApplier, logger) {
+        this.apiClient = apiClient;
+        this.codeAnalyzer = codeAnalyzer;
+        this.codeApplier = codeApplier;
+        this.logger = logger;
+    }
+    /**
+     * Document one symbol and its members, as from the "Document" lens.
+     * `line` is 1-based.
+     */
+    async documentSymbol(uri, name, line) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const symbols = await this.symbolsOf(document);
+        const target = symbols.find(symbol => symbol.name === name && symbol.line === line - 1)
+            ?? symbols.find(symbol => symbol.line === line - 1)
+            ?? symbols.find(symbol => symbol.name === name);
+        if (!target) {
+            throw new Error(`Could not find ${name} in ${vscode.workspace.asRelativePath(uri)}`);
+        }
+        await this.documentIn(document, symbols.filter(symbol => symbol === target || DocumentationGenerator.contains(target, symbol)), name);
+    }
+    /**
+     * Document the symbol at the cursor or the whole file, whichever is picked.
+     */
+    async documentEditor(editor) {
+        const document = editor.document;
+        const symbols = await this.symbolsOf(document);
+        if (!symbols.length) {
+            vscode.window.showInformationMessage('No functions or classes were found to document');
+            return;
+        }
+        const cursor = editor.selection.active.line;
+        const [enclosing] = symbols
+            .filter(symbol => symbol.start <= cursor && cursor <= symbol.end)
+            .sort((a, b) => (a.end - a.start) - (b.end - b.start));
+        const choices = [
+            ...(enclosing ? [{ label: `$(symbol-${enclosing.kind === 'class' ? 'class' : 'method'}) ${enclosing.name}`, description: 'The symbol at the cursor and its members', symbols: symbols.filter(symbol => symbol === enclosing || DocumentationGenerator.contains(enclosing, symbol)) }] : []),
+            { label: '$(file-code) Whole file', description: `${symbols.length} symbol${symbols.length === 1 ? '' : 's'}`, symbols }
+        ];
+        const choice = choices.length === 1 ? choices[0] : await vscode.window.showQuickPick(choices, { title: 'Generate Documentation', placeHolder: 'What should be documented?' });
+        if (choice) {
+            await this.documentIn(document, choice.symbols, choice === choices[choices.length - 1] ? vscode.workspace.asRelativePath(document.uri) : enclosing.name);
+        }
+    }
+    async documentIn(document, symbols, label) {
+        const documented = symbols.filter(symbol => DocumentationGenerator.existingDoc(document, symbol)).length;
+        const overwrite = documented ? await DocumentationGenerator.askOverwrite(`${documented} of ${symbols.length} symbols already have documentation`) : false;
+        if (overwrite === undefined) {
+            return;
+        }
+        if (!overwrite && documented === symbols.length) {
+            vscode.window.showInformationMessage(`${label} is already documented`);
+            return;
+        }
+        const replacements = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `📝 Documenting ${label}...`,
+            cancellable: true
+        }, (_progress, token) => this.plan(document, symbols, overwrite, token));
+        if (!replacements.length) {
+            vscode.window.showInformationMessage('No documentation was generated');
+            return;
+        }
+        await this.codeApplier.review(this.codeApplier.proposal(document, replacements));
+    }
+    /**
+     * Batch mode: every supported file in a folder (or a single file), with
+     * one checklist of proposed changes at the end.
+     */
+    async documentResources(uri) {
+        const stat = await vscode.workspace.fs.stat(uri);
+        const found = stat.type & vscode.FileType.Directory
+            ? await vscode.workspace.findFiles(new vscode.RelativePattern(uri, `**/*.{${DocumentationGenerator.extensions.join(',')}}`), DocumentationGenerator.excludes, DocumentationGenerator.maxBatchFiles + 1)
+            : [uri];
+        const files = found.filter(file => !this.apiClient.redactor.isDenied(file.fsPath));
+        if (!files.length) {
+            vscode.window.showInformationMessage(`No files to document in ${vscode.workspace.asRelativePath(uri)}`);
+            return;
+        }
+        if (files.length > DocumentationGenerator.maxBatchFiles) {
+            files.length = DocumentationGenerator.maxBatchFiles;
+            vscode.window.showWarningMessage(`Only the first ${DocumentationGenerator.maxBatchFiles} files are documented in one run`);
+        }
+        const overwrite = await DocumentationGenerator.askOverwrite('Some symbols may already have documentation');
+        if (overwrite === undefined) {
+            return;
+        }
+        const proposals = [];
+        const failed = [];
+        await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: '📝 Generating documentation',
+            cancellable: true
+        }, async (progress, token) => {
+            for (const file of files) {
+                if (token.isCancellationRequested) {
+                    break;
+                }
+                progress.report({ increment: 100 / files.length, message: vscode.workspace.asRelativePath(file) });
+                try {
+                    const document = await vscode.workspace.openTextDocument(file);
+                    const replacements = await this.plan(document, await this.symbolsOf(document), overwrite, token);
+                    if (replacements.length) {
+                        proposals.push(this.codeApplier.proposal(document, replacements));
+                    }
+                }
+                catch (error) {
+                    if (error instanceof vscode.CancellationError) {
+                        break;
+                    }
+                    this.logger.error(`Documentation failed for ${vscode.workspace.asRelativePath(file)}`, error);
+                    failed.push(`${vscode.workspace.asRelativePath(file)}: ${error.message}`);
+                }
+            }
+        });
+        if (failed.length) {
+            vscode.window.showWarningMessage(`Documentation could not be generated for ${failed.length} file${failed.length === 1 ? '' : 's'}: ${failed.join('; ')}`);
+        }
+        if (!proposals.length) {
+            vscode.window.showInformationMessage('No documentation was generated');
+            return;
+        }
+        await this.codeApplier.reviewAll(proposals);
+    }
+    /**
+     * Replacements that insert (or, with `overwrite`, replace) the doc
+     * comment of each symbol.
+     */
+    async plan(document, symbols, overwrite, token) {
+        const targets = symbols
+            .map(symbol => ({ symbol, existing: DocumentationGenerator.existingDoc(document, symbol) }))
+            .filter(target => overwrite || !target.existing);
+        if (!targets.length) {
+            return [];
+        }
+        const code = document.getText();
+        if (code.length > DocumentationGenerator.maxFileLength) {
+            throw new Error('the file is too large to document in one request');
+        }
+        const comments = await this.apiClient.documentSymbols({
+            uri: document.uri,
+            code,
+            language: document.languageId,
+            file_path: vscode.workspace.asRelativePath(document.uri),
+            symbols: targets.map(({ symbol }) => ({ line: symbol.line + 1, name: symbol.name, kind: symbol.kind }))
+        }, token);
+        const replacements = [];
+        for (const { symbol, existing } of targets) {
+            const comment = comments.find(candidate => candidate.line === symbol.line + 1) ?? comments.find(candidate => candidate.name === symbol.name);
+            const replacement = comment?.comment?.trim() && DocumentationGenerator.placement(document, symbol, existing, comment.comment);
+            if (replacement) {
+                replacements.push(replacement);
+            }
+        }
+        return replacements;
+    }
+    /**
+     * Functions, methods and classes from the language's symbol provider,
+     * falling back to CodeAnalyzer's patterns when there is none. Lines are
+     * 0-based; `line` is the declaration's name.
+     */
+    async symbolsOf(document) {
+        const provided = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri) ?? [];
+        const flatten = (items) => items.flatMap(item => [item, ...flatten(item.children ?? [])]);
+        const symbols = flatten(provided)
+            .filter(symbol => DocumentationGenerator.documentedKinds.includes(symbol.kind))
+            .map(symbol => {
+            const range = symbol.range ?? symbol.location.range;
+            return {
+                name: symbol.name.replace(/\(.*$/, ''),
+                kind: vscode.SymbolKind[symbol.kind].toLowerCase(),
+                line: (symbol.selectionRange ?? range).start.line,
+                start: range.start.line,
+                end: range.end.line
+            };
+        });
+        if (symbols.length) {
+            return symbols.sort((a, b) => a.line - b.line);
+        }
+        const text = document.getText();
+        return [
+            ...this.codeAnalyzer.extractClasses(text, document.languageId).map(symbol => ({ ...symbol, kind: 'class' })),
+            ...this.codeAnalyzer.extractFunctions(text, document.languageId).map(symbol => ({ ...symbol, kind: 'function' }))
+        ]
+            .map(symbol => ({ name: symbol.name, kind: symbol.kind, line: symbol.line - 1, start: symbol.line - 1, end: symbol.line - 1 }))
+            .sort((a, b) => a.line - b.line);
+    }
+    static contains(outer, inner) {
+        return inner !== outer && inner.start >= outer.start && inner.end <= outer.end && outer.end > outer.start;
+    }
+    /**
+     * The range of the doc comment a symbol already has: a block comment
+     * or run of line comments directly above its declaration (and its
+     * decorators), or a Python docstring.
+     */
+    static existingDoc(document, symbol) {
+        if (document.languageId === 'python') {
+            const body = DocumentationGenerator.pythonBodyLine(document, symbol);
+            return body === undefined ? undefined : DocumentationGenerator.docstringAt(document, body);
+        }
+        const line = DocumentationGenerator.headLine(document, symbol.line) - 1;
+        if (line < 0) {
+            return undefined;
+        }
+        const text = document.lineAt(line).text.trim();
+        if (text.endsWith('*/')) {
+            let start = line;
+            while (start > 0 && !document.lineAt(start).text.trim().startsWith('/*')) {
+                start--;
+            }
+            return document.lineAt(start).text.trim().startsWith('/**') ? new vscode.Range(start, 0, line, document.lineAt(line).text.length) : undefined;
+        }
+        const isDocLine = (value) => DocumentationGenerator.lineComment.test(value) && !DocumentationGenerator.directiveComment.test(value);
+        if (!isDocLine(text)) {
+            return undefined;
+        }
+        let start = line;
+        while (start > 0 && isDocLine(document.lineAt(start - 1).text.trim())) {
+            start--;
+        }
+        return new vscode.Range(start, 0, line, document.lineAt(line).text.length);
+    }
+    /**
+     * Where a comment goes and its indented text: above the declaration's
+     * decorators, or as the first statement of a Python body.
+     */
+    static placement(document, symbol, existing, comment) {
+        const python = document.languageId === 'python';
+        const lines = DocumentationGenerator.dedent(comment.replace(/\r\n/g, '\n').trim().split('\n'));
+        let anchor;
+        let indent;
+        if (python) {
+            anchor = existing?.start.line ?? DocumentationGenerator.pythonBodyLine(document, symbol);
+            if (anchor === undefined) {
+                return undefined;
+            }
+            const declarationIndent = DocumentationGenerator.indentOf(document.lineAt(symbol.line).text);
+            const next = anchor < document.lineCount ? document.lineAt(anchor).text : '';
+            indent = next.trim() && DocumentationGenerator.indentOf(next).length > declarationIndent.length
+                ? DocumentationGenerator.indentOf(next)
+                : `${declarationIndent}    `;
+        }
+        else {
+            anchor = existing?.start.line ?? DocumentationGenerator.headLine(document, symbol.line);
+            indent = DocumentationGenerator.indentOf(document.lineAt(DocumentationGenerator.headLine(document, symbol.line)).text);
+        }
+        const text = `${lines.map(line => line ? `${indent}${line}` : line).join('\n')}\n`;
+        const range = existing ? new vscode.Range(existing.start.line, 0, existing.end.line + 1, 0) : new vscode.Range(anchor, 0, anchor, 0);
+        return { range, text };
+    }
+    /**
+     * First line of the decorators, attributes and tool directives above a
+     * declaration, else the declaration itself.
+     */
+    static headLine(document, line) {
+        let head = line;
+        while (head > 0 && (/^\s*(@\w|#\[|\[[A-Z]\w*[(\]])/.test(document.lineAt(head - 1).text)
+            || DocumentationGenerator.directiveComment.test(document.lineAt(head - 1).text.trim()))) {
+            head--;
+        }
+        return head;
+    }
+    /**
+     * The line after a Python signature (which may span a few lines), or
+     * undefined for one-line bodies such as `def f(): pass`.
+     */
+    static pythonBodyLine(document, symbol) {
+        const last = Math.min(document.lineCount - 1, symbol.line + 10);
+        for (let line = symbol.line; line <= last; line++) {
+            const text = document.lineAt(line).text.replace(/#.*$/, '').trimEnd();
+            if (text.endsWith(':')) {
+                return line + 1 < document.lineCount ? line + 1 : undefined;
+            }
+            if (/\)\s*(->[^:]*)?:\s*\S/.test(text)) {
+                return undefined;
+            }
+        }
+        return undefined;
+    }
+    static docstringAt(document, line) {
+        while (line < document.lineCount && !document.lineAt(line).text.trim()) {
+            line++;
+        }
+        if (line >= document.lineCount) {
+            return undefined;
+        }
+        const text = document.lineAt(line).text.trim();
+        const quote = /^[rRuUbB]?("""|''')/.exec(text)?.[1];
+        if (!quote) {
+            return undefined;
+        }
+        let end = line;
+        if (text.indexOf(quote, text.indexOf(quote) + 3) < 0) {
+            end++;
+            while (end < document.lineCount && !document.lineAt(end).text.includes(quote)) {
+                end++;
+            }
+        }
+        return end < document.lineCount ? new vscode.Range(line, 0, end, document.lineAt(end).text.length) : undefined;
+    }
+    /**
+     * Strip the indentation the model kept from the source. The first line
+     * has none after trimming, so the rest is dedented on its own; the
+     * ` * ` of block comments is aligned again afterwards.
+     */
+    static dedent(lines) {
+        const [first, ...rest] = lines;
+        const width = Math.min(...rest.filter(line => line.trim()).map(line => DocumentationGenerator.indentOf(line).length));
+        const dedented = rest.map(line => (Number.isFinite(width) ? line.slice(width) : line).trimEnd());
+        return [first.trim(), ...(first.trim().startsWith('/*') ? dedented.map(line => line.startsWith('*') ? ` ${line}` : line) : dedented)];
+    }
+    static indentOf(text) {
+        return /^\s*/.exec(text)[0];
+    }
+    /**
+     * True to rewrite existing documentation, false to keep it, undefined
+     * when cancelled.
+     */
+    static async askOverwrite(title) {
+        const choice = await vscode.window.showQuickPick([
+            { label: 'Keep existing documentation', description: 'Only document what has none', overwrite: false },
+            { label: 'Rewrite existing documentation', description: 'Replace hand-written doc comments too', overwrite: true }
+        ], { title, placeHolder: 'What should happen to existing doc comments?' });
+        return choice?.overwrite;
+    }
+}
+exports.DocumentationGenerator = DocumentationGenerator;
+DocumentationGenerator.documentedKinds = [
+    vscode.SymbolKind.Class,
+    vscode.SymbolKind.Interface,
+    vscode.SymbolKind.Enum,
+    vscode.SymbolKind.Struct,
+    vscode.SymbolKind.Function,
+    vscode.SymbolKind.Method,
+    vscode.SymbolKind.Constructor
+];
+DocumentationGenerator.extensions = ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'php', 'py', 'java', 'cs', 'go', 'rs', 'rb'];
+DocumentationGenerator.excludes = '**/{node_modules,vendor,dist,build,out,.git}/**';
+DocumentationGenerator.maxBatchFiles = 50;
+// Matches the code limit of the /ai/document endpoint
+DocumentationGenerator.maxFileLength = 50000;
+// `//`, `///` and `#` comments, but not `#[attributes]` or `#!` lines
+DocumentationGenerator.lineComment = /^(\/\/|#(?![[!]))/;
+// Tool directives above a declaration are not its documentation
+DocumentationGenerator.directiveComment = /^(\/\/|#)\s*(eslint|@ts-|prettier-ignore|istanbul|phpcs|noinspection|noqa|pylint|type:)/;
+//# sourceMappingURL=DocumentationGenerator.js.map
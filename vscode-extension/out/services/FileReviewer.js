@@ -0,0 +1,139 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FileReviewer = void 0;
+const vscode = require("vscode");
+/**
+ * Analyze File: asks the model for concrete issues in a file and reports
+ * them as diagnostics, so they are underlined in the editor and listed in
+ * the Problems view with links to their lines. Findings follow edits made
+ * around them and are dropped when the lines they point at change.
+ */
+class FileReviewer {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+        this.diagnostics = vscode.languages.createDiagnosticCollection('codasis');
+        this.disposables = [
+            vscode.workspace.onDidChangeTextDocument(event => this.track(event)),
+            vscode.workspace.onDidCloseTextDocument(document => this.diagnostics.delete(document.uri))
+        ];
+    }
+    async review(uri) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const code = document.getText();
+        if (!code.trim()) {
+            vscode.window.showInformationMessage(`${vscode.workspace.asRelativePath(uri)} is empty`);
+            return;
+        }
+        if (code.length > FileReviewer.maxFileLength) {
+            throw new Error('the file is too large to analyze in one request');
+        }
+        const version = document.version;
+        const findings = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `🔍 Analyzing ${vscode.workspace.asRelativePath(uri)}...`,
+            cancellable: true
+        }, (_progress, token) => this.apiClient.reviewFile({
+            uri,
+            code,
+            language: document.languageId,
+            file_path: vscode.workspace.asRelativePath(uri)
+        }, token));
+        if (document.version !== version) {
+            vscode.window.showWarningMessage('The file changed while it was being analyzed; run the analysis again');
+            return;
+        }
+        const diagnostics = findings.map(finding => FileReviewer.toDiagnostic(document, finding));
+        this.diagnostics.set(uri, diagnostics);
+        if (!diagnostics.length) {
+            vscode.window.showInformationMessage(`No issues found in ${vscode.workspace.asRelativePath(uri)}`);
+            return;
+        }
+        const counts = [['error', vscode.DiagnosticSeverity.Error], ['warning', vscode.DiagnosticSeverity.Warning], ['suggestion', vscode.DiagnosticSeverity.Information]]
+            .map(([name, severity]) => [name, diagnostics.filter(diagnostic => diagnostic.severity === severity).length])
+            .filter(([, count]) => count)
+            .map(([name, count]) => `${count} ${name}${count === 1 ? '' : 's'}`);
+        const choice = await vscode.window.showInformationMessage(`Analysis of ${vscode.workspace.asRelativePath(uri)}: ${counts.join(', ')}`, 'Go to Findings', 'Show Problems');
+        if (choice === 'Go to Findings') {
+            await this.pick(document, diagnostics);
+        }
+        else if (choice === 'Show Problems') {
+            await vscode.commands.executeCommand('workbench.actions.view.problems');
+        }
+    }
+    async pick(document, diagnostics) {
+        const icons = {
+            [vscode.DiagnosticSeverity.Error]: '$(error)',
+            [vscode.DiagnosticSeverity.Warning]: '$(warning)',
+            [vscode.DiagnosticSeverity.Information]: '$(info)'
+        };
+        const picked = await vscode.window.showQuickPick(diagnostics.map(diagnostic => ({
+            label: `${icons[diagnostic.severity]} ${diagnostic.message.split('\n')[0]}`,
+            description: `Line ${diagnostic.range.start.line + 1}${diagnostic.code ? ` · ${diagnostic.code}` : ''}`,
+            detail: diagnostic.message.split('\n').slice(1).join(' '),
+            diagnostic
+        })), { title: `Findings in ${vscode.workspace.asRelativePath(document.uri)}`, matchOnDescription: true, matchOnDetail: true });
+        if (picked) {
+            const editor = await vscode.window.showTextDocument(document);
+            editor.selection = new vscode.Selection(picked.diagnostic.range.start, picked.diagnostic.range.start);
+            editor.revealRange(picked.diagnostic.range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+        }
+    }
+    /**
+     * Keep findings on the lines they were reported for: shift those below
+     * an edit and drop those the edit touches.
+     */
+    track(event) {
+        const current = this.diagnostics.get(event.document.uri);
+        if (!current?.length || !event.contentChanges.length) {
+            return;
+        }
+        let diagnostics = [...current];
+        for (const change of event.contentChanges) {
+            const start = change.range.start.line;
+            const end = change.range.end.line;
+            const delta = change.text.split('\n').length - 1 - (end - start);
+            diagnostics = diagnostics
+                .filter(diagnostic => diagnostic.range.end.line < start || diagnostic.range.start.line > end)
+                .map(diagnostic => {
+                if (diagnostic.range.start.line <= end || !delta) {
+                    return diagnostic;
+                }
+                const moved = new vscode.Diagnostic(new vscode.Range(diagnostic.range.start.line + delta, diagnostic.range.start.character, diagnostic.range.end.line + delta, diagnostic.range.end.character), diagnostic.message, diagnostic.severity);
+                moved.source = diagnostic.source;
+                moved.code = diagnostic.code;
+                return moved;
+            });
+        }
+        this.diagnostics.set(event.document.uri, diagnostics);
+    }
+    dispose() {
+        this.disposables.forEach(disposable => disposable.dispose());
+        this.diagnostics.dispose();
+    }
+    /**
+     * A diagnostic over the finding's lines, without their indentation;
+     * lines are 1-based and clamped to the document.
+     */
+    static toDiagnostic(document, finding) {
+        const last = document.lineCount - 1;
+        const startLine = Math.min(Math.max((Number(finding.line) || 1) - 1, 0), last);
+        const endLine = Math.min(Math.max((Number(finding.end_line) || 0) - 1, startLine), last);
+        const range = new vscode.Range(startLine, document.lineAt(startLine).firstNonWhitespaceCharacterIndex, endLine, document.lineAt(endLine).text.length);
+        const message = finding.suggestion ? `${finding.message}\n${finding.suggestion}` : finding.message;
+        const diagnostic = new vscode.Diagnostic(range, message, FileReviewer.severities[finding.severity] ?? vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = 'Codasis';
+        if (finding.category) {
+            diagnostic.code = finding.category;
+        }
+        return diagnostic;
+    }
+}
+exports.FileReviewer = FileReviewer;
+FileReviewer.severities = {
+    error: vscode.DiagnosticSeverity.Error,
+    warning: vscode.DiagnosticSeverity.Warning,
+    info: vscode.DiagnosticSeverity.Information
+};
+// Matches the code limit of the /ai/review endpoint
+FileReviewer.maxFileLength = 50000;
+//# sourceMappingURL=FileReviewer.js.map
@@ -0,0 +1,402 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IndexingManager = void 0;
+const vscode = require("vscode");
+const path = require("path");
+const crypto_1 = require("crypto");
+/**
+ * Keeps the backend index in step with every workspace folder. A manifest
+ * of content hashes per root lives in workspaceState; file system events
+ * are queued, debounced and sent to /ai/index-files as batches of only the
+ * files whose hash actually changed, scoped to the root that owns them. A
+ * full /ai/index-workspace run is only needed the first time a root is seen
+ * or when the user forces a re-index. Files matching
+ * `codasis.redaction.denyGlobs` are never indexed.
+ */
+class IndexingManager {
+    constructor(apiClient, workspaceState, logger) {
+        this.apiClient = apiClient;
+        this.workspaceState = workspaceState;
+        this.logger = logger;
+        this.pending = new Map();
+        this.status = new Map();
+        this.disposables = [];
+        this._onDidChangeStatus = new vscode.EventEmitter();
+        this.onDidChangeStatus = this._onDidChangeStatus.event;
+    }
+    /**
+     * Start watching the workspace and catch up with changes made while
+     * the editor was closed.
+     */
+    start() {
+        const watcher = vscode.workspace.createFileSystemWatcher(IndexingManager.includeGlob);
+        this.disposables.push(watcher, watcher.onDidCreate(uri => this.enqueue(uri, 'changed')), watcher.onDidChange(uri => this.enqueue(uri, 'changed')), watcher.onDidDelete(uri => this.enqueue(uri, 'deleted')),
+        // Folder renames only produce a single watcher event for the folder,
+        // so rescan after any rename done through the editor.
+        vscode.workspace.onDidRenameFiles(() => this.scheduleSync()), vscode.workspace.onDidChangeWorkspaceFolders(e => {
+            e.removed.forEach(folder => this.forget(folder));
+            if (e.added.length) {
+                this.scheduleSync();
+            }
+        }), vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('codasis.indexing.enabled')) {
+                this._onDidChangeStatus.fire(undefined);
+                this.scheduleSync();
+            }
+        }), this._onDidChangeStatus);
+        this.scheduleSync();
+    }
+    getFolders() {
+        return vscode.workspace.workspaceFolders ?? [];
+    }
+    /**
+     * The workspace folder that owns `uri`. With a single root, files
+     * outside it (untitled, external) still resolve to that root.
+     */
+    getFolderFor(uri) {
+        const folder = uri && vscode.workspace.getWorkspaceFolder(uri);
+        if (folder) {
+            return folder;
+        }
+        const folders = this.getFolders();
+        return folders.length === 1 ? folders[0] : undefined;
+    }
+    isEnabled(folder) {
+        return vscode.workspace.getConfiguration('codasis', folder.uri).get('indexing.enabled', true)
+            && !this.apiClient.isLocalTransport();
+    }
+    async setEnabled(folder, enabled) {
+        await vscode.workspace.getConfiguration('codasis', folder.uri)
+            .update('indexing.enabled', enabled, vscode.ConfigurationTarget.WorkspaceFolder);
+    }
+    getFolderStatus(folder) {
+        const manifest = this.getManifest(folder);
+        const status = this.status.get(folder.uri.fsPath);
+        const state = status?.state
+            ?? (!this.isEnabled(folder) ? 'disabled' : manifest.lastIndexedAt ? 'indexed' : 'not-indexed');
+        return {
+            state,
+            error: status?.error,
+            lastIndexedAt: manifest.lastIndexedAt,
+            fileCount: Object.keys(manifest.files).length
+        };
+    }
+    /**
+     * Status of `folder` as a short label for trees and tooltips.
+     */
+    describeFolderStatus(folder) {
+        const status = this.getFolderStatus(folder);
+        switch (status.state) {
+            case 'indexing':
+                return { state: status.state, fresh: false, label: 'indexing…' };
+            case 'disabled':
+                return { state: status.state, fresh: false, label: 'indexing disabled' };
+            case 'error':
+                return { state: status.state, fresh: false, label: `failed (${status.error})` };
+            case 'not-indexed':
+                return { state: status.state, fresh: false, label: 'not indexed' };
+        }
+        const age = Date.now() - status.lastIndexedAt;
+        const fresh = age < IndexingManager.freshFor;
+        return { state: status.state, fresh, label: `${fresh ? 'fresh' : 'stale'} (${status.fileCount} files, indexed ${this.formatAge(age)} ago)` };
+    }
+    formatAge(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) {
+            return `${minutes}m`;
+        }
+        const hours = Math.round(minutes / 60);
+        return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
+    }
+    /**
+     * Sync every enabled root. Failures are collected per root so one
+     * unreachable folder does not stop the others.
+     */
+    async syncAll(token, options = {}) {
+        return this.forEachFolder(folder => this.sync(folder, token, options), token);
+    }
+    async reindexAll(force = false, token, options = {}) {
+        return this.forEachFolder(folder => this.reindex(folder, force, token, options), token);
+    }
+    /**
+     * Send everything in `folder` that differs from its manifest. Falls
+     * back to a full index when the root has no manifest yet.
+     */
+    async sync(folder, token, options = {}) {
+        const manifest = this.getManifest(folder);
+        if (!manifest.lastIndexedAt) {
+            return this.reindex(folder, false, token, options);
+        }
+        return this.track(folder, async () => {
+            const files = await this.findFiles(folder, token);
+            const seen = new Set(files.map(uri => uri.fsPath));
+            const changed = [];
+            for (const uri of files) {
+                const entry = manifest.files[uri.fsPath];
+                if (!entry) {
+                    changed.push(uri);
+                    continue;
+                }
+                const stat = await this.stat(uri);
+                if (stat && (stat.mtime !== entry.mtime || stat.size !== entry.size)) {
+                    changed.push(uri);
+                }
+            }
+            const deleted = Object.keys(manifest.files).filter(fsPath => !seen.has(fsPath));
+            return this.send(folder, changed, deleted, token, options);
+        });
+    }
+    /**
+     * Run a full backend index of `folder` and rebuild its manifest.
+     * `force` makes the backend re-embed files whose hash is unchanged.
+     */
+    async reindex(folder, force = false, token, options = {}) {
+        return this.track(folder, async () => {
+            for (const fsPath of this.pending.keys()) {
+                if (this.getFolderFor(vscode.Uri.file(fsPath))?.uri.fsPath === folder.uri.fsPath) {
+                    this.pending.delete(fsPath);
+                }
+            }
+            const result = await this.apiClient.indexWorkspace(folder.uri.fsPath, force, token, options);
+            const files = {};
+            for (const uri of await this.findFiles(folder, token)) {
+                const entry = await this.describe(uri);
+                if (entry) {
+                    files[uri.fsPath] = entry;
+                }
+            }
+            await this.saveManifest(folder, { files, lastIndexedAt: Date.now() });
+            return result.stats;
+        });
+    }
+    async forEachFolder(run, token) {
+        const results = [];
+        for (const folder of this.getFolders().filter(folder => this.isEnabled(folder))) {
+            try {
+                results.push({ folder, stats: await run(folder) });
+            }
+            catch (error) {
+                if (error instanceof vscode.CancellationError || token?.isCancellationRequested) {
+                    throw error;
+                }
+                results.push({ folder, error });
+            }
+        }
+        return results;
+    }
+    async track(folder, run) {
+        this.setStatus(folder, { state: 'indexing' });
+        try {
+            const stats = await run();
+            this.setStatus(folder, undefined);
+            return stats;
+        }
+        catch (error) {
+            this.setStatus(folder, error instanceof vscode.CancellationError ? undefined : { state: 'error', error: error.message });
+            throw error;
+        }
+    }
+    setStatus(folder, status) {
+        if (status) {
+            this.status.set(folder.uri.fsPath, status);
+        }
+        else {
+            this.status.delete(folder.uri.fsPath);
+        }
+        this._onDidChangeStatus.fire(folder);
+    }
+    enqueue(uri, kind) {
+        // Deleting a folder fires a single event, for the folder itself
+        const paths = this.isIndexable(uri) ? [uri.fsPath] : kind === 'deleted' ? this.indexedUnder(uri) : [];
+        if (!paths.length) {
+            return;
+        }
+        paths.forEach(fsPath => this.pending.set(fsPath, kind));
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), this.getDebounce());
+    }
+    /**
+     * The manifest entries inside the folder at `uri`.
+     */
+    indexedUnder(uri) {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (!folder) {
+            return [];
+        }
+        const prefix = uri.fsPath.endsWith(path.sep) ? uri.fsPath : uri.fsPath + path.sep;
+        return Object.keys(this.getManifest(folder).files).filter(fsPath => fsPath.startsWith(prefix));
+    }
+    scheduleSync() {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(async () => {
+            if (this.apiClient.isBackgroundPaused()) {
+                return;
+            }
+            for (const { folder, stats, error } of await this.syncAll(undefined, { background: true })) {
+                if (error) {
+                    this.logger.error(`Index sync failed for ${folder.name}`, error);
+                }
+                else {
+                    this.logger.info(`Index synced for ${folder.name}: ${stats.files_updated ?? 0} updated, ${stats.files_removed ?? 0} removed`);
+                }
+            }
+        }, this.getDebounce());
+    }
+    async flush() {
+        if (this.pending.size === 0 || this.flushing || this.apiClient.isBackgroundPaused()) {
+            // Keep the queue; the next event or sync picks it up.
+            return;
+        }
+        const batch = new Map(this.pending);
+        this.pending.clear();
+        this.flushing = true;
+        try {
+            const byFolder = new Map();
+            batch.forEach((kind, fsPath) => {
+                const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(fsPath));
+                if (!folder || !this.isEnabled(folder) || !this.getManifest(folder).lastIndexedAt) {
+                    return;
+                }
+                const group = byFolder.get(folder.uri.fsPath) ?? { folder, entries: new Map() };
+                group.entries.set(fsPath, kind);
+                byFolder.set(folder.uri.fsPath, group);
+            });
+            for (const { folder, entries } of byFolder.values()) {
+                try {
+                    const changed = [...entries].filter(([, kind]) => kind === 'changed').map(([fsPath]) => vscode.Uri.file(fsPath));
+                    const deleted = [...entries].filter(([, kind]) => kind === 'deleted').map(([fsPath]) => fsPath);
+                    const stats = await this.track(folder, () => this.send(folder, changed, deleted, undefined, { background: true }));
+                    if (stats.files_updated || stats.files_removed) {
+                        this.logger.info(`Indexed ${stats.files_updated} changed files in ${folder.name}, removed ${stats.files_removed}`);
+                    }
+                }
+                catch (error) {
+                    // Re-queue without overwriting newer events for the same files.
+                    entries.forEach((kind, fsPath) => {
+                        if (!this.pending.has(fsPath)) {
+                            this.pending.set(fsPath, kind);
+                        }
+                    });
+                    this.logger.error(`Incremental indexing failed for ${folder.name}`, error);
+                }
+            }
+        }
+        finally {
+            this.flushing = false;
+        }
+    }
+    /**
+     * Hash the candidates, drop those matching the manifest and post the
+     * rest in batches, updating the manifest after each batch succeeds.
+     */
+    async send(folder, candidates, deleted, token, options) {
+        const manifest = this.getManifest(folder);
+        const files = { ...manifest.files };
+        const changed = [];
+        for (const uri of candidates) {
+            // Files denied after they were indexed are taken out of the index
+            const entry = this.apiClient.redactor.isDenied(uri.fsPath) ? undefined : await this.describe(uri);
+            if (!entry) {
+                if (files[uri.fsPath]) {
+                    deleted.push(uri.fsPath);
+                }
+                continue;
+            }
+            if (files[uri.fsPath]?.hash === entry.hash) {
+                files[uri.fsPath] = entry;
+                continue;
+            }
+            changed.push({ fsPath: uri.fsPath, entry });
+        }
+        const stats = { files_processed: 0, files_updated: 0, files_skipped: 0, files_removed: 0, errors: [] };
+        const removals = deleted.filter(fsPath => files[fsPath]);
+        for (let i = 0; i < Math.max(changed.length, removals.length); i += IndexingManager.batchSize) {
+            const batch = changed.slice(i, i + IndexingManager.batchSize);
+            const removed = removals.slice(i, i + IndexingManager.batchSize);
+            const result = await this.apiClient.indexFiles(folder.uri.fsPath, batch.map(file => file.fsPath), removed, token, options);
+            batch.forEach(file => { files[file.fsPath] = file.entry; });
+            removed.forEach(fsPath => { delete files[fsPath]; });
+            await this.saveManifest(folder, { ...manifest, files });
+            for (const key of ['files_processed', 'files_updated', 'files_skipped', 'files_removed']) {
+                stats[key] += result.stats?.[key] ?? 0;
+            }
+            stats.errors.push(...(result.stats?.errors ?? []));
+        }
+        await this.saveManifest(folder, {
+            files,
+            lastIndexedAt: changed.length || removals.length ? Date.now() : manifest.lastIndexedAt
+        });
+        return stats;
+    }
+    async findFiles(folder, token) {
+        const files = await vscode.workspace.findFiles(new vscode.RelativePattern(folder, IndexingManager.includeGlob), IndexingManager.excludeGlob, IndexingManager.maxFiles, token);
+        return files.filter(uri => !this.apiClient.redactor.isDenied(uri.fsPath));
+    }
+    async stat(uri) {
+        try {
+            return await vscode.workspace.fs.stat(uri);
+        }
+        catch {
+            return undefined;
+        }
+    }
+    async describe(uri) {
+        try {
+            const stat = await vscode.workspace.fs.stat(uri);
+            const content = await vscode.workspace.fs.readFile(uri);
+            const hash = (0, crypto_1.createHash)('sha256').update(content).digest('hex');
+            return { hash, mtime: stat.mtime, size: stat.size };
+        }
+        catch {
+            return undefined;
+        }
+    }
+    isIndexable(uri) {
+        const segments = uri.fsPath.split(/[\\/]/);
+        if (segments.some(segment => IndexingManager.excludedDirectories.includes(segment))) {
+            return false;
+        }
+        const extension = uri.fsPath.split('.').pop()?.toLowerCase();
+        return IndexingManager.extensions.includes(extension) && !this.apiClient.redactor.isDenied(uri.fsPath);
+    }
+    getManifest(folder) {
+        const manifests = this.workspaceState.get(IndexingManager.manifestKey, {});
+        return manifests[folder.uri.fsPath] ?? { files: {} };
+    }
+    async saveManifest(folder, manifest) {
+        const manifests = this.workspaceState.get(IndexingManager.manifestKey, {});
+        await this.workspaceState.update(IndexingManager.manifestKey, { ...manifests, [folder.uri.fsPath]: manifest });
+    }
+    async forget(folder) {
+        const { [folder.uri.fsPath]: _removed, ...manifests } = this.workspaceState.get(IndexingManager.manifestKey, {});
+        this.status.delete(folder.uri.fsPath);
+        await this.workspaceState.update(IndexingManager.manifestKey, manifests);
+        this._onDidChangeStatus.fire(undefined);
+    }
+    getDebounce() {
+        return vscode.workspace.getConfiguration('codasis').get('indexing.debounceMs', 2000);
+    }
+    dispose() {
+        clearTimeout(this.flushTimer);
+        clearTimeout(this.syncTimer);
+        this.disposables.forEach(disposable => disposable.dispose());
+    }
+}
+exports.IndexingManager = IndexingManager;
+IndexingManager.manifestKey = 'codasis.indexManifest';
+IndexingManager.batchSize = 50;
+IndexingManager.maxFiles = 10000;
+IndexingManager.freshFor = 24 * 60 * 60 * 1000;
+// Mirrors the backend's CodebaseIndexingService filters.
+IndexingManager.extensions = [
+    'php', 'js', 'jsx', 'ts', 'tsx', 'py', 'java', 'kt', 'swift',
+    'go', 'rs', 'cpp', 'c', 'cs', 'rb', 'vue', 'html', 'css',
+    'scss', 'json', 'xml', 'yaml', 'yml', 'md', 'sql'
+];
+IndexingManager.excludedDirectories = [
+    'node_modules', 'vendor', '.git', 'dist', 'build', 'coverage',
+    '.next', '.nuxt', '__pycache__', '.pytest_cache', 'target', 'bin', 'obj', '.vs'
+];
+IndexingManager.includeGlob = `**/*.{${IndexingManager.extensions.join(',')}}`;
+IndexingManager.excludeGlob = `**/{${IndexingManager.excludedDirectories.join(',')}}/**`;
+//# sourceMappingURL=IndexingManager.js.map
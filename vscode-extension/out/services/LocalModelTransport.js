@@ -0,0 +1,236 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.LocalModelTransport = void 0;
+const axios_1 = require("axios");
+const crypto_1 = require("crypto");
+const vscode = require("vscode");
+const PromptBuilder_1 = require("./PromptBuilder");
+/**
+ * Talks to a local OpenAI-compatible (`/chat/completions`) or Ollama (`/api/chat`)
+ * endpoint directly, bypassing the Laravel backend.
+ */
+class LocalModelTransport {
+    constructor() {
+        this.client = axios_1.default.create();
+        this.prompts = new PromptBuilder_1.PromptBuilder();
+        this.conversations = new Map();
+    }
+    getSettings() {
+        const config = vscode.workspace.getConfiguration('codasis');
+        return {
+            kind: config.get('transport', 'backend'),
+            url: config.get('localModel.url', 'http://localhost:11434').replace(/\/+$/, ''),
+            model: config.get('localModel.model', 'llama3'),
+            apiKey: config.get('localModel.apiKey', '')
+        };
+    }
+    async askQuestion(request, options = {}) {
+        const prompt = this.prompts.withContext(request.prompt, request.context);
+        const response = await this.complete([{ role: 'user', content: prompt }], {
+            ...options,
+            maxTokens: request.maxTokens,
+            temperature: request.temperature
+        });
+        return {
+            response,
+            model: this.getSettings().model
+        };
+    }
+    async analyzeCode(code, language, options) {
+        return this.complete([{ role: 'user', content: this.prompts.analyze(code, language) }], options);
+    }
+    async explainCode(code, language, options) {
+        return this.complete([{ role: 'user', content: this.prompts.explain(code, language) }], options);
+    }
+    async generateTests(code, language, options, context) {
+        return this.complete([{ role: 'user', content: this.prompts.generateTests(code, language, context) }], options);
+    }
+    async refactorCode(code, language, options, goal) {
+        return this.complete([{ role: 'user', content: this.prompts.refactor(code, language, goal) }], options);
+    }
+    async editCode(request, options) {
+        return this.complete([{ role: 'user', content: this.prompts.edit(request) }], options);
+    }
+    async documentSymbols(request, options) {
+        const response = await this.complete([{ role: 'user', content: this.prompts.documentation(request) }], options);
+        let comments;
+        try {
+            comments = JSON.parse(response.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+        }
+        catch {
+            comments = undefined;
+        }
+        if (!Array.isArray(comments)) {
+            throw new Error('The model did not return documentation as JSON');
+        }
+        return comments.filter(comment => typeof comment?.comment === 'string');
+    }
+    async reviewFile(request, options) {
+        const response = await this.complete([{ role: 'user', content: this.prompts.review(request) }], options);
+        let findings;
+        try {
+            findings = JSON.parse(response.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+        }
+        catch {
+            findings = undefined;
+        }
+        if (!Array.isArray(findings)) {
+            throw new Error('The model did not return findings as JSON');
+        }
+        return findings.filter(finding => typeof finding?.message === 'string' && finding.message);
+    }
+    async getCompletions(prefix, context, language, options) {
+        const response = await this.complete([{ role: 'user', content: this.prompts.completions(prefix, context, language) }], options);
+        try {
+            const suggestions = JSON.parse(response.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+            return Array.isArray(suggestions) ? suggestions : [];
+        }
+        catch {
+            return [];
+        }
+    }
+    async sendChatMessage(message, conversationId, options, attachments = []) {
+        const id = conversationId && this.conversations.has(conversationId) ? conversationId : (0, crypto_1.randomUUID)();
+        const history = this.conversations.get(id) || [];
+        history.push({ role: 'user', content: this.prompts.withAttachments(message, attachments) });
+        const response = await this.complete(history, options);
+        history.push({ role: 'assistant', content: response });
+        this.conversations.set(id, history);
+        return {
+            response,
+            conversationId: id
+        };
+    }
+    async streamChatMessage(message, conversationId, onChunk, signal, attachments = []) {
+        const id = conversationId && this.conversations.has(conversationId) ? conversationId : (0, crypto_1.randomUUID)();
+        const history = this.conversations.get(id) || [];
+        history.push({ role: 'user', content: this.prompts.withAttachments(message, attachments) });
+        const text = await this.stream(history, onChunk, signal);
+        history.push({ role: 'assistant', content: text });
+        this.conversations.set(id, history);
+        return { text, conversationId: id };
+    }
+    async streamQuestion(request, onChunk, signal) {
+        const prompt = this.prompts.withContext(request.prompt, request.context);
+        const text = await this.stream([{ role: 'user', content: prompt }], onChunk, signal);
+        return { text };
+    }
+    async streamExplanation(code, language, onChunk, signal) {
+        const text = await this.stream([{ role: 'user', content: this.prompts.explain(code, language) }], onChunk, signal);
+        return { text };
+    }
+    async healthCheck(options = {}) {
+        const settings = this.getSettings();
+        const path = settings.kind === 'ollama' ? '/api/tags' : '/models';
+        await this.client.get(`${settings.url}${path}`, {
+            ...options,
+            audit: false,
+            headers: this.getHeaders(settings),
+            timeout: 5000
+        });
+        return true;
+    }
+    async complete(messages, options = {}) {
+        const settings = this.getSettings();
+        const response = await this.client.post(this.getEndpoint(settings), this.buildBody(settings, messages, options, false), {
+            signal: options.signal,
+            release: options.release,
+            headers: this.getHeaders(settings),
+            timeout: 120000
+        });
+        return settings.kind === 'ollama'
+            ? response.data.message?.content ?? ''
+            : response.data.choices?.[0]?.message?.content ?? '';
+    }
+    /**
+     * Stream a completion. OpenAI-compatible servers send SSE `data:` lines,
+     * Ollama sends newline-delimited JSON; both are handled line by line.
+     */
+    async stream(messages, onChunk, signal) {
+        const settings = this.getSettings();
+        const response = await this.client.post(this.getEndpoint(settings), this.buildBody(settings, messages, {}, true), {
+            signal,
+            headers: this.getHeaders(settings),
+            responseType: 'stream'
+        });
+        let text = '';
+        await new Promise((resolve, reject) => {
+            let buffer = '';
+            const handleLine = (line) => {
+                const delta = this.parseDelta(settings.kind, line);
+                if (delta) {
+                    text += delta;
+                    onChunk(delta, text);
+                }
+            };
+            response.data.on('data', (chunk) => {
+                buffer += chunk.toString('utf8');
+                const lines = buffer.split(/\r?\n/);
+                buffer = lines.pop() ?? '';
+                lines.forEach(handleLine);
+            });
+            response.data.on('end', () => {
+                if (buffer) {
+                    handleLine(buffer);
+                }
+                resolve();
+            });
+            // axios fails the stream itself on abort; a stopped reply keeps its text
+            response.data.on('error', (error) => signal?.aborted ? resolve() : reject(error));
+            signal?.addEventListener('abort', () => {
+                response.data.destroy();
+                resolve();
+            });
+        });
+        return text;
+    }
+    parseDelta(kind, line) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : line.trim();
+        if (!data || data === '[DONE]') {
+            return '';
+        }
+        try {
+            const chunk = JSON.parse(data);
+            return kind === 'ollama'
+                ? chunk.message?.content ?? ''
+                : chunk.choices?.[0]?.delta?.content ?? '';
+        }
+        catch {
+            return '';
+        }
+    }
+    getEndpoint(settings) {
+        return settings.kind === 'ollama'
+            ? `${settings.url}/api/chat`
+            : `${settings.url}/chat/completions`;
+    }
+    getHeaders(settings) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) {
+            headers.Authorization = `Bearer ${settings.apiKey}`;
+        }
+        return headers;
+    }
+    buildBody(settings, messages, options, stream) {
+        if (settings.kind === 'ollama') {
+            return {
+                model: settings.model,
+                messages,
+                stream,
+                options: {
+                    temperature: options.temperature ?? 0.7,
+                    num_predict: options.maxTokens ?? 2000
+                }
+            };
+        }
+        return {
+            model: settings.model,
+            messages,
+            stream,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.maxTokens ?? 2000
+        };
+    }
+}
+exports.LocalModelTransport = LocalModelTransport;
+//# sourceMappingURL=LocalModelTransport.js.map
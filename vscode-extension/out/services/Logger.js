@@ -0,0 +1,33 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Logger = void 0;
+const vscode = require("vscode");
+/**
+ * Writes timestamped lines to the shared "Codasis" output channel.
+ */
+class Logger {
+    constructor() {
+        this.channel = vscode.window.createOutputChannel('Codasis');
+    }
+    info(message) {
+        this.write('INFO', message);
+    }
+    warn(message) {
+        this.write('WARN', message);
+    }
+    error(message, error) {
+        const detail = error instanceof Error ? `: ${error.message}` : error ? `: ${String(error)}` : '';
+        this.write('ERROR', `${message}${detail}`);
+    }
+    show() {
+        this.channel.show(true);
+    }
+    write(level, message) {
+        this.channel.appendLine(`[${new Date().toISOString()}] ${level} ${message}`);
+    }
+    dispose() {
+        this.channel.dispose();
+    }
+}
+exports.Logger = Logger;
+//# sourceMappingURL=Logger.js.map
@@ -0,0 +1,135 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MarkdownRenderer = void 0;
+const crypto_1 = require("crypto");
+const MarkdownIt = require("markdown-it");
+const hljs = require("highlight.js/lib/common");
+/**
+ * Renders model output for webviews. Raw HTML in the Markdown is escaped
+ * rather than passed through, unsafe link schemes are dropped by
+ * markdown-it, and code is highlighted here so webviews never need to run
+ * a parser themselves. Pair the output with `csp()` so nothing but the
+ * nonce-tagged script can execute.
+ */
+class MarkdownRenderer {
+    /**
+     * `codeActions` adds Apply/Copy buttons to fenced code blocks; the
+     * webview handles them through `data-action` attributes and passes the
+     * fence info (which may name the target file) back with the code.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.md = new MarkdownIt({
+            html: false,
+            linkify: false,
+            breaks: true,
+            highlight: (code, language) => this.highlight(code, language)
+        });
+        if (options.codeActions) {
+            const fence = this.md.renderer.rules.fence;
+            this.md.renderer.rules.fence = (tokens, index, ...rest) => {
+                const info = tokens[index].info.trim();
+                return `<div class="code-block" data-info="${this.md.utils.escapeHtml(info)}">`
+                    + '<div class="code-actions">'
+                    + '<button class="code-action-btn" data-action="apply" title="Preview and apply this change">Apply</button>'
+                    + '<button class="code-action-btn" data-action="copy">Copy</button>'
+                    + '</div>'
+                    + fence(tokens, index, ...rest)
+                    + '</div>';
+            };
+        }
+    }
+    render(markdown) {
+        return this.md.render(markdown ?? '');
+    }
+    /**
+     * A highlighted `<pre>` for source shown outside of Markdown.
+     */
+    renderCode(code, language) {
+        const name = MarkdownRenderer.resolveLanguage(language);
+        const className = name ? ` class="hljs language-${name}"` : ' class="hljs"';
+        return `<pre><code${className}>${this.highlight(code, language) || this.md.utils.escapeHtml(code)}</code></pre>`;
+    }
+    highlight(code, language) {
+        const name = MarkdownRenderer.resolveLanguage(language);
+        if (!name) {
+            // markdown-it escapes the code itself when given an empty string
+            return '';
+        }
+        try {
+            return hljs.highlight(code, { language: name, ignoreIllegals: true }).value;
+        }
+        catch {
+            return '';
+        }
+    }
+    /**
+     * Map a fence info string or VS Code language id onto a highlight.js language.
+     */
+    static resolveLanguage(language) {
+        if (!language) {
+            return undefined;
+        }
+        // Fence info like "ts:src/app.ts" names the file after the language
+        const id = language.toLowerCase().split(':')[0];
+        const name = MarkdownRenderer.languageAliases[id] ?? id;
+        return hljs.getLanguage(name) ? name : undefined;
+    }
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    static nonce() {
+        return (0, crypto_1.randomBytes)(16).toString('base64');
+    }
+    /**
+     * Content-Security-Policy allowing only nonce-tagged scripts and styles.
+     */
+    static csp(webview, nonce) {
+        return `default-src 'none'; img-src ${webview.cspSource} data:; font-src ${webview.cspSource}; style-src ${webview.cspSource} 'nonce-${nonce}'; script-src 'nonce-${nonce}';`;
+    }
+}
+exports.MarkdownRenderer = MarkdownRenderer;
+MarkdownRenderer.languageAliases = {
+    'javascriptreact': 'javascript',
+    'typescriptreact': 'typescript',
+    'jsx': 'javascript',
+    'tsx': 'typescript',
+    'shellscript': 'bash',
+    'sh': 'bash',
+    'zsh': 'bash',
+    'blade': 'php',
+    'vue': 'xml',
+    'html': 'xml',
+    'jsonc': 'json',
+    'dockerfile': 'bash',
+    'c#': 'csharp',
+    'py': 'python'
+};
+// Markdown and token colours mapped onto the active VS Code theme
+MarkdownRenderer.styles = `
+        .markdown-body h1, .markdown-body h2, .markdown-body h3, .markdown-body h4 { margin: 0.8em 0 0.4em; }
+        .markdown-body p { margin: 0.4em 0; }
+        .markdown-body ul, .markdown-body ol { margin: 0.4em 0; padding-left: 1.6em; }
+        .markdown-body table { border-collapse: collapse; margin: 0.6em 0; }
+        .markdown-body th, .markdown-body td { border: 1px solid var(--vscode-panel-border); padding: 4px 8px; }
+        .markdown-body blockquote { margin: 0.4em 0; padding: 0 0.8em; border-left: 3px solid var(--vscode-textBlockQuote-border); background: var(--vscode-textBlockQuote-background); }
+        .markdown-body a { color: var(--vscode-textLink-foreground); }
+        .markdown-body :not(pre) > code { background: var(--vscode-textCodeBlock-background); padding: 1px 4px; border-radius: 3px; }
+        .markdown-body pre { background: var(--vscode-textCodeBlock-background); padding: 10px; border-radius: 4px; overflow-x: auto; }
+        code { font-family: var(--vscode-editor-font-family); }
+        .hljs-keyword, .hljs-selector-tag, .hljs-built_in, .hljs-type { color: var(--vscode-symbolIcon-keywordForeground, #569cd6); }
+        .hljs-string, .hljs-regexp, .hljs-attr-value, .hljs-template-string { color: var(--vscode-symbolIcon-stringForeground, #ce9178); }
+        .hljs-number, .hljs-literal { color: var(--vscode-symbolIcon-numberForeground, #b5cea8); }
+        .hljs-comment, .hljs-quote { color: var(--vscode-descriptionForeground, #6a9955); font-style: italic; }
+        .hljs-title, .hljs-title.function_, .hljs-section { color: var(--vscode-symbolIcon-functionForeground, #dcdcaa); }
+        .hljs-title.class_, .hljs-class .hljs-title { color: var(--vscode-symbolIcon-classForeground, #4ec9b0); }
+        .hljs-variable, .hljs-params, .hljs-attr, .hljs-property { color: var(--vscode-symbolIcon-variableForeground, #9cdcfe); }
+        .hljs-meta, .hljs-doctag, .hljs-tag { color: var(--vscode-symbolIcon-constantForeground, #c586c0); }
+        .hljs-addition { color: var(--vscode-gitDecoration-addedResourceForeground, #81b88b); }
+        .hljs-deletion { color: var(--vscode-gitDecoration-deletedResourceForeground, #c74e39); }`;
+//# sourceMappingURL=MarkdownRenderer.js.map
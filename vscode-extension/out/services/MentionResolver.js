@@ -0,0 +1,220 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MentionResolver = void 0;
+const vscode = require("vscode");
+const path = require("path");
+const crypto_1 = require("crypto");
+const IndexingManager_1 = require("./IndexingManager");
+/**
+ * Backs the chat composer's @-mentions: suggests files, folders and
+ * workspace symbols while typing and turns a chosen mention into a chat
+ * attachment. Files matching `codasis.redaction.denyGlobs` are never offered
+ * or attached.
+ */
+class MentionResolver {
+    constructor(redactor) {
+        this.redactor = redactor;
+    }
+    async suggest(kind, query) {
+        const needle = query.toLowerCase();
+        switch (kind) {
+            case 'file':
+                return (await this.listFiles())
+                    .map(uri => ({ uri, relative: vscode.workspace.asRelativePath(uri) }))
+                    .filter(file => file.relative.toLowerCase().includes(needle))
+                    .sort((a, b) => MentionResolver.rank(a.relative, needle) - MentionResolver.rank(b.relative, needle))
+                    .slice(0, MentionResolver.maxSuggestions)
+                    .map(file => ({ label: path.basename(file.relative), description: path.dirname(file.relative), value: file.uri.toString() }));
+            case 'folder': {
+                const folders = new Map();
+                for (const uri of await this.listFiles()) {
+                    const folder = vscode.Uri.joinPath(uri, '..');
+                    folders.set(folder.toString(), folder);
+                }
+                return [...folders.values()]
+                    .map(uri => ({ uri, relative: vscode.workspace.asRelativePath(uri) }))
+                    .filter(folder => folder.relative.toLowerCase().includes(needle))
+                    .sort((a, b) => a.relative.length - b.relative.length)
+                    .slice(0, MentionResolver.maxSuggestions)
+                    .map(folder => ({ label: folder.relative, value: folder.uri.toString() }));
+            }
+            case 'symbol': {
+                if (!query) {
+                    return [];
+                }
+                const symbols = await vscode.commands.executeCommand('vscode.executeWorkspaceSymbolProvider', query) ?? [];
+                return symbols
+                    .filter(symbol => !this.redactor.isDenied(symbol.location.uri.fsPath))
+                    .slice(0, MentionResolver.maxSuggestions)
+                    .map(symbol => ({
+                    label: symbol.name,
+                    description: `${vscode.SymbolKind[symbol.kind]} · ${vscode.workspace.asRelativePath(symbol.location.uri)}`,
+                    value: JSON.stringify({ uri: symbol.location.uri.toString(), line: symbol.location.range.start.line, name: symbol.name })
+                }));
+            }
+            default:
+                return [];
+        }
+    }
+    /**
+     * Build the attachment for a mention. `value` comes from `suggest()` and
+     * is ignored for selection and problems, which read the editor state.
+     */
+    async resolve(kind, value) {
+        switch (kind) {
+            case 'file': {
+                const uri = vscode.Uri.parse(value);
+                this.redactor.assertAllowed(uri.fsPath);
+                const document = await vscode.workspace.openTextDocument(uri);
+                return this.attachment(kind, vscode.workspace.asRelativePath(uri), document.getText(), document.languageId, { uri });
+            }
+            case 'folder':
+                return this.resolveFolder(vscode.Uri.parse(value));
+            case 'symbol':
+                return this.resolveSymbol(JSON.parse(value));
+            case 'selection': {
+                const editor = vscode.window.activeTextEditor;
+                if (!editor || editor.selection.isEmpty) {
+                    throw new Error('Select some code in the editor first');
+                }
+                return this.resolveSelection(editor);
+            }
+            case 'problems':
+                return this.resolveProblems();
+            default:
+                throw new Error(`Unknown mention @${kind}`);
+        }
+    }
+    resolveSelection(editor) {
+        this.redactor.assertAllowed(editor.document.uri.fsPath);
+        const { start, end } = editor.selection;
+        const label = `${vscode.workspace.asRelativePath(editor.document.uri)}:${start.line + 1}-${end.line + 1}`;
+        return this.attachment('selection', label, editor.document.getText(editor.selection), editor.document.languageId, {
+            uri: editor.document.uri,
+            range: new vscode.Range(start, end)
+        });
+    }
+    async resolveSymbol(symbol) {
+        const uri = vscode.Uri.parse(symbol.uri);
+        this.redactor.assertAllowed(uri.fsPath);
+        const document = await vscode.workspace.openTextDocument(uri);
+        // Workspace symbols often carry only the name's range; take the enclosing document symbol
+        const outline = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', uri) ?? [];
+        const match = MentionResolver.findSymbol(outline, symbol.name, symbol.line);
+        const range = match?.range ?? document.lineAt(symbol.line).range;
+        const label = `${symbol.name} (${vscode.workspace.asRelativePath(uri)}:${range.start.line + 1})`;
+        return this.attachment('symbol', label, document.getText(range), document.languageId, { uri, range });
+    }
+    async resolveFolder(folder) {
+        const files = (await this.listFiles()).filter(uri => uri.toString().startsWith(folder.toString() + '/'));
+        const budget = this.getMaxTokens() * 4;
+        const sections = [];
+        let size = 0;
+        let skipped = 0;
+        for (const [index, uri] of files.entries()) {
+            if (size >= budget) {
+                skipped += files.length - index;
+                break;
+            }
+            let text;
+            try {
+                text = (await vscode.workspace.openTextDocument(uri)).getText();
+            }
+            catch {
+                // Binary files cannot be opened as text documents
+                continue;
+            }
+            const section = `--- ${vscode.workspace.asRelativePath(uri)} ---\n${text}`;
+            if (size + section.length > budget) {
+                skipped++;
+                continue;
+            }
+            sections.push(section);
+            size += section.length;
+        }
+        if (!sections.length && !skipped) {
+            throw new Error(`${vscode.workspace.asRelativePath(folder)} has no readable files`);
+        }
+        if (skipped) {
+            sections.push(`(${skipped} more files omitted to stay within codasis.chat.maxAttachmentTokens)`);
+        }
+        return this.attachment('folder', vscode.workspace.asRelativePath(folder), sections.join('\n\n'));
+    }
+    resolveProblems() {
+        const severities = ['Error', 'Warning', 'Info', 'Hint'];
+        const lines = [];
+        for (const [uri, diagnostics] of vscode.languages.getDiagnostics()) {
+            if (uri.scheme !== 'file' || this.redactor.isDenied(uri.fsPath)) {
+                continue;
+            }
+            for (const diagnostic of diagnostics) {
+                const { line, character } = diagnostic.range.start;
+                lines.push(`${vscode.workspace.asRelativePath(uri)}:${line + 1}:${character + 1} ${severities[diagnostic.severity]}: ${diagnostic.message}${diagnostic.source ? ` (${diagnostic.source})` : ''}`);
+            }
+        }
+        if (!lines.length) {
+            throw new Error('There are no problems in the workspace');
+        }
+        return this.attachment('problems', `${lines.length} problems`, lines.join('\n'));
+    }
+    /**
+     * `source` (uri and range) stays in the extension so chat code blocks can
+     * later be applied back to where the context came from.
+     */
+    attachment(kind, label, content, language, source) {
+        const maxChars = this.getMaxTokens() * 4;
+        const truncated = content.length > maxChars;
+        const text = truncated ? content.slice(0, maxChars) : content;
+        return {
+            id: (0, crypto_1.randomUUID)(),
+            kind,
+            label,
+            language,
+            content: text,
+            truncated,
+            source,
+            // Same rough estimate as the request log
+            tokens: Math.ceil(text.length / 4)
+        };
+    }
+    getMaxTokens() {
+        return vscode.workspace.getConfiguration('codasis').get('chat.maxAttachmentTokens', 8000);
+    }
+    /**
+     * Workspace files, cached briefly so each keystroke does not rescan.
+     */
+    async listFiles() {
+        if (!this.files || Date.now() - this.files.at > MentionResolver.cacheFor) {
+            const uris = await vscode.workspace.findFiles('**/*', IndexingManager_1.IndexingManager.excludeGlob, MentionResolver.maxFiles);
+            this.files = { at: Date.now(), uris: uris.filter(uri => !this.redactor.isDenied(uri.fsPath)) };
+        }
+        return this.files.uris;
+    }
+    static findSymbol(symbols, name, line) {
+        for (const symbol of symbols) {
+            // Providers return either DocumentSymbols or SymbolInformation
+            const range = symbol.range ?? symbol.location?.range;
+            if (symbol.name === name && range && range.start.line <= line && range.end.line >= line) {
+                return { range };
+            }
+            const child = MentionResolver.findSymbol(symbol.children ?? [], name, line);
+            if (child) {
+                return child;
+            }
+        }
+        return undefined;
+    }
+    /**
+     * Basename matches sort before path matches, shorter paths first.
+     */
+    static rank(relative, needle) {
+        const basename = path.basename(relative).toLowerCase();
+        return (basename.startsWith(needle) ? 0 : basename.includes(needle) ? 1000 : 2000) + relative.length;
+    }
+}
+exports.MentionResolver = MentionResolver;
+MentionResolver.kinds = ['file', 'symbol', 'selection', 'problems', 'folder'];
+MentionResolver.maxSuggestions = 20;
+MentionResolver.maxFiles = 5000;
+MentionResolver.cacheFor = 30 * 1000;
+//# sourceMappingURL=MentionResolver.js.map
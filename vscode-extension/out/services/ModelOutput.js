@@ -0,0 +1,18 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ModelOutput = void 0;
+/**
+ * Clean-up of code returned by the model before it is written anywhere.
+ */
+class ModelOutput {
+    /**
+     * Models often fence their answer despite being asked not to; keep the
+     * first fenced block when there is one.
+     */
+    static stripFences(text) {
+        const fenced = /```[^\n]*\n([\s\S]*?)\n?```/.exec(text);
+        return (fenced ? fenced[1] : text).replace(/^\n+/, '').replace(/\s+$/, '');
+    }
+}
+exports.ModelOutput = ModelOutput;
+//# sourceMappingURL=ModelOutput.js.map
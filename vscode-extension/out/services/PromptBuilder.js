@@ -0,0 +1,111 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PromptBuilder = void 0;
+/**
+ * Client-side equivalents of the prompts that AIModelService builds on the
+ * Laravel backend, used when talking to a local model directly.
+ */
+class PromptBuilder {
+    withContext(prompt, context) {
+        return context ? `${context}\n\n${prompt}` : prompt;
+    }
+    /**
+     * Prefix a chat message with its @-mention attachments, matching
+     * ChatService::buildAttachmentContext on the backend.
+     */
+    withAttachments(message, attachments = []) {
+        if (!attachments.length) {
+            return message;
+        }
+        const sections = attachments.map(attachment => `### ${attachment.kind}: ${attachment.label}\n\`\`\`${attachment.language ?? ''}\n${attachment.content}\n\`\`\``);
+        return `The user attached the following context:\n\n${sections.join('\n\n')}\n\n${message}`;
+    }
+    analyze(code, language) {
+        return `Analyze the following ${language} code and provide insights about its structure, potential issues, and suggestions for improvement:\n\n\`\`\`${language}\n${code}\n\`\`\``;
+    }
+    explain(code, language) {
+        return `Explain the following ${language} code in detail, including what it does, how it works, and any important concepts:\n\n\`\`\`${language}\n${code}\n\`\`\``;
+    }
+    generateTests(code, language, context = {}) {
+        const framework = context.framework || PromptBuilder.testFrameworks[language] || 'appropriate testing framework';
+        let prompt = `Generate comprehensive unit tests for the following ${language} code using ${framework}. Include edge cases and error scenarios:\n\n\`\`\`${language}\n${code}\n\`\`\``;
+        if (context.test_path) {
+            prompt += `\n\nThe tests go in ${context.test_path}${context.source_path ? ` for ${context.source_path}` : ''}.`;
+        }
+        if (context.import_hint) {
+            prompt += ` ${context.import_hint}`;
+        }
+        if (context.existing_tests && context.failures) {
+            return `${prompt}\n\nThe test file currently contains:\n\n\`\`\`${language}\n${context.existing_tests}\n\`\`\`\n\nRunning it fails with:\n\n\`\`\`text\n${context.failures}\n\`\`\`\n\n${PromptBuilder.repairInstructions}`;
+        }
+        return context.existing_tests
+            ? `${prompt}\n\nThe test file already contains:\n\n\`\`\`${language}\n${context.existing_tests}\n\`\`\`\n\nReply with the complete updated test file: keep every existing test and import unchanged, add only cases that are not covered yet, and add any imports they need.`
+            : `${prompt}\n\nReply with the complete test file, including the imports it needs, in a single code block.`;
+    }
+    refactor(code, language, goal) {
+        const aim = goal === 'modernize'
+            ? `modernise the syntax using current ${language} idioms and language features`
+            : PromptBuilder.refactorGoals[goal] ?? 'improve readability, performance, and maintainability';
+        return `Refactor the following ${language} code to ${aim} while preserving functionality:\n\n\`\`\`${language}\n${code}\n\`\`\`\n\nProvide only the refactored code without explanations.`;
+    }
+    edit(request) {
+        const { instruction, code, language, prefix, suffix, file_path: filePath } = request;
+        const file = filePath ? ` in ${filePath}` : '';
+        let prompt = `${code ? `Rewrite the following ${language} code${file}.` : `Write new ${language} code to insert at the marked position${file}.`}\n\nInstruction: ${instruction}\n\n`;
+        if (prefix || suffix) {
+            prompt += `Surrounding code, for context only:\n\`\`\`${language}\n${prefix ?? ''}<<<EDIT>>>\n${suffix ?? ''}\n\`\`\`\n\n`;
+        }
+        if (code) {
+            prompt += `Code to rewrite (it replaces <<<EDIT>>>):\n\`\`\`${language}\n${code}\n\`\`\`\n\n`;
+        }
+        return `${prompt}Reply with only the resulting code, keeping the indentation of the surrounding code, without explanations or code fences.`;
+    }
+    documentation(request) {
+        const { code, language, symbols, file_path: filePath } = request;
+        const style = PromptBuilder.docStyles[language] ?? `the idiomatic documentation comment style for ${language}`;
+        const list = symbols.map(symbol => `- line ${symbol.line}: ${symbol.kind ?? 'symbol'} ${symbol.name}`).join('\n');
+        return `Write documentation comments for the following symbols of this ${language} file${filePath ? ` (${filePath})` : ''}, using ${style}. Describe the purpose, parameters, return value and errors where they apply; be concise and do not restate the code.\n\nSymbols:\n${list}\n\n\`\`\`${language}\n${code}\n\`\`\`\n\nReply with only a JSON array of objects with "line" and "name" (as listed above) and "comment" (the complete comment including its delimiters, without indentation).`;
+    }
+    review(request) {
+        const { code, language, file_path: filePath } = request;
+        const lines = code.split('\n');
+        const width = String(lines.length).length;
+        const numbered = lines.map((line, index) => `${String(index + 1).padStart(width)}| ${line}`).join('\n');
+        return `Review this ${language} file${filePath ? ` (${filePath})` : ''} for bugs, security issues, performance problems and maintainability issues. Report only concrete problems worth changing, most important first, and skip style nitpicks a formatter would fix. Each line is prefixed with its number and "| ", which is not part of the code.\n\n\`\`\`${language}\n${numbered}\n\`\`\`\n\nReply with only a JSON array of objects with "line" and "end_line" (the lines the problem spans), "severity" ("error" for bugs and security issues, "warning" for likely problems, "info" for improvements), "category" (bug, security, performance or maintainability), "message" (one sentence describing the problem) and "suggestion" (how to fix it). Reply with [] when there is nothing to report.`;
+    }
+    completions(prefix, context, language) {
+        return `Given the following ${language} code context and current line prefix, suggest 3-5 relevant code completions:\n\nContext:\n\`\`\`${language}\n${context}\n\`\`\`\n\nCurrent line prefix: \`${prefix}\`\n\nProvide suggestions in JSON format with 'text', 'description', and 'confidence' fields.`;
+    }
+}
+exports.PromptBuilder = PromptBuilder;
+PromptBuilder.testFrameworks = {
+    'javascript': 'Jest',
+    'typescript': 'Jest',
+    'python': 'pytest',
+    'php': 'PHPUnit',
+    'java': 'JUnit',
+    'csharp': 'NUnit'
+};
+PromptBuilder.repairInstructions = 'Reply with the complete corrected test file. Fix mistakes in the tests themselves, such as imports, setup, syntax or wrong assumptions about the API. If a failure reveals a real bug in the code under test, keep that test as it is and put a comment starting with "SUSPECTED BUG:" and the reason on the line above it.';
+// Matches AIModelService::documentationPrompt
+PromptBuilder.docStyles = {
+    'javascript': 'JSDoc block comments (/** */) with @param, @returns and @throws tags',
+    'javascriptreact': 'JSDoc block comments (/** */) with @param, @returns and @throws tags',
+    'typescript': 'TSDoc block comments (/** */) with @param, @returns and @throws tags but no types, which TypeScript already declares',
+    'typescriptreact': 'TSDoc block comments (/** */) with @param, @returns and @throws tags but no types, which TypeScript already declares',
+    'php': 'PHPDoc block comments (/** */) with @param, @return and @throws tags',
+    'python': 'PEP 257 docstrings in triple double quotes, with Args, Returns and Raises sections where they apply',
+    'java': 'Javadoc block comments (/** */) with @param, @return and @throws tags',
+    'csharp': 'XML documentation comments (///) with <summary>, <param>, <returns> and <exception> elements',
+    'go': 'Go doc comments (//) that start with the name of the symbol',
+    'rust': 'rustdoc comments (///) with # Errors and # Panics sections where they apply',
+    'ruby': 'YARD comments (#) with @param and @return tags'
+};
+// Matches the goals of AIModelService::refactorCode
+PromptBuilder.refactorGoals = {
+    'readability': 'improve readability with clearer names, smaller functions and simpler control flow',
+    'performance': 'improve performance by avoiding unnecessary work, allocations and repeated lookups',
+    'extract-function': 'extract cohesive parts into well-named functions',
+    'simplify': 'reduce complexity by flattening nested conditionals with early returns, simplifying boolean expressions and removing duplication'
+};
+//# sourceMappingURL=PromptBuilder.js.map
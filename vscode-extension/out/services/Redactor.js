@@ -0,0 +1,186 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.Redactor = void 0;
+const vscode = require("vscode");
+const path = require("path");
+const minimatch = require("minimatch");
+/**
+ * Strips secrets and PII from every outgoing payload before it leaves the
+ * editor. Each distinct value is replaced by a stable placeholder for the
+ * lifetime of the session, so the model sees consistent names and the
+ * original values can be put back into returned code.
+ */
+class Redactor {
+    constructor(logger) {
+        this.logger = logger;
+        this.placeholders = new Map();
+        this.secrets = new Map();
+        this.counters = new Map();
+    }
+    /**
+     * Redact request bodies and restore placeholders in JSON responses.
+     * Requests marked `redact: false` (sign-in) are sent untouched.
+     */
+    install(client) {
+        client.interceptors.request.use((config) => {
+            if (config.redact === false || !config.data || !this.isEnabled()) {
+                return config;
+            }
+            const found = new Set();
+            config.data = this.redactPayload(config.data, found);
+            if (found.size) {
+                this.logger.info(`Redacted ${[...found].join(', ')} from ${config.method?.toUpperCase()} ${config.url}`);
+            }
+            return config;
+        });
+        client.interceptors.response.use((response) => {
+            if (response.config.responseType !== 'stream' && this.secrets.size) {
+                response.data = this.restorePayload(response.data);
+            }
+            return response;
+        });
+    }
+    isEnabled() {
+        return vscode.workspace.getConfiguration('codasis').get('redaction.enabled', true);
+    }
+    /**
+     * True when `filePath` matches one of `codasis.redaction.denyGlobs`.
+     * Globs are matched against the workspace-relative path and the basename.
+     */
+    isDenied(filePath) {
+        if (!filePath) {
+            return false;
+        }
+        const globs = this.getDenyGlobs();
+        const relative = vscode.workspace.asRelativePath(filePath, false).split(path.sep).join('/');
+        const basename = path.basename(filePath);
+        return globs.some(glob => minimatch(relative, glob, { dot: true }) || minimatch(basename, glob, { dot: true }));
+    }
+    getDenyGlobs() {
+        return vscode.workspace.getConfiguration('codasis').get('redaction.denyGlobs', Redactor.defaultDenyGlobs);
+    }
+    /**
+     * Throw before anything is sent when `filePath` must never leave the editor.
+     */
+    assertAllowed(filePath) {
+        if (this.isDenied(filePath)) {
+            throw new Error(`${path.basename(filePath)} is excluded from Codasis by codasis.redaction.denyGlobs`);
+        }
+    }
+    redact(text, found = new Set()) {
+        if (typeof text !== 'string' || !text) {
+            return text;
+        }
+        let result = text;
+        for (const detector of this.getDetectors()) {
+            result = result.replace(detector.pattern, (match) => {
+                if (match.includes(Redactor.prefix) || (detector.accept && !detector.accept(match))) {
+                    return match;
+                }
+                found.add(detector.kind);
+                return this.placeholderFor(detector.kind, match);
+            });
+        }
+        return result;
+    }
+    redactPayload(value, found = new Set()) {
+        if (typeof value === 'string') {
+            return this.redact(value, found);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactPayload(item, found));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactPayload(item, found)]));
+        }
+        return value;
+    }
+    /**
+     * Put the original values back wherever the model kept a placeholder.
+     */
+    restore(text) {
+        if (typeof text !== 'string' || !this.secrets.size) {
+            return text;
+        }
+        return text.replace(Redactor.placeholderPattern, placeholder => this.secrets.get(placeholder) ?? placeholder);
+    }
+    restorePayload(value) {
+        if (typeof value === 'string') {
+            return this.restore(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.restorePayload(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restorePayload(item)]));
+        }
+        return value;
+    }
+    placeholderFor(kind, secret) {
+        const existing = this.placeholders.get(secret);
+        if (existing) {
+            return existing;
+        }
+        const count = (this.counters.get(kind) ?? 0) + 1;
+        this.counters.set(kind, count);
+        const placeholder = `${Redactor.prefix}${kind.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_${count}`;
+        this.placeholders.set(secret, placeholder);
+        this.secrets.set(placeholder, secret);
+        return placeholder;
+    }
+    getDetectors() {
+        const config = vscode.workspace.getConfiguration('codasis');
+        const enabled = config.get('redaction.detectors', Object.keys(Redactor.builtInDetectors));
+        const detectors = enabled
+            .filter(kind => Redactor.builtInDetectors[kind])
+            .map(kind => ({ kind, pattern: Redactor.builtInDetectors[kind] }));
+        for (const custom of config.get('redaction.customPatterns', [])) {
+            try {
+                detectors.push({ kind: custom.name || 'custom', pattern: new RegExp(custom.pattern, 'g') });
+            }
+            catch (error) {
+                this.logger.warn(`Ignoring invalid redaction pattern ${custom.name}: ${error.message}`);
+            }
+        }
+        const threshold = config.get('redaction.entropyThreshold', 4.5);
+        if (threshold > 0) {
+            detectors.push({
+                kind: 'high-entropy',
+                pattern: Redactor.entropyCandidates,
+                accept: (value) => Redactor.entropy(value) >= threshold && /\d/.test(value) && /[a-zA-Z]/.test(value)
+            });
+        }
+        return detectors;
+    }
+    /**
+     * Shannon entropy in bits per character.
+     */
+    static entropy(value) {
+        const counts = new Map();
+        for (const char of value) {
+            counts.set(char, (counts.get(char) ?? 0) + 1);
+        }
+        let entropy = 0;
+        counts.forEach(count => {
+            const p = count / value.length;
+            entropy -= p * Math.log2(p);
+        });
+        return entropy;
+    }
+}
+exports.Redactor = Redactor;
+Redactor.prefix = 'CODASIS_REDACTED_';
+Redactor.placeholderPattern = /CODASIS_REDACTED_[A-Z0-9_]+?_\d+/g;
+// Applied in this order; every detector replaces its whole match.
+Redactor.builtInDetectors = {
+    'private-key': /-----BEGIN ([A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END ([A-Z]+ )*PRIVATE KEY-----/g,
+    'jwt': /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g,
+    'aws-access-key': /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g,
+    'aws-secret-key': /(?<=aws_?secret_?(?:access_?)?key["']?\s*[=:]\s*["']?)[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/gi,
+    'connection-password': /(?<=\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s/]+(?=@[^\s@/]+)/gi,
+    'email': /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+};
+// Quoted literals and the values of `NAME=value` / `name: value` assignments.
+Redactor.entropyCandidates = /(?<=["'`])[A-Za-z0-9+/=_.-]{20,}(?=["'`])|(?<=^\s*[A-Za-z_][A-Za-z0-9_]*\s*[=:]\s*)[A-Za-z0-9+/=_.-]{20,}(?=\s*$)/gm;
+Redactor.defaultDenyGlobs = ['**/.env', '**/.env.*', '**/*.pem', '**/*.key', '**/id_rsa*', '**/secrets/**'];
+//# sourceMappingURL=Redactor.js.map
@@ -0,0 +1,133 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.SlashCommands = void 0;
+const vscode = require("vscode");
+/**
+ * Chat slash commands. The built-ins route to CodasisProvider actions and
+ * run against a target (an @-mentioned file or symbol, else the editor
+ * selection); workspace commands from `codasis.chat.customCommands` expand
+ * a prompt template and go out as an ordinary chat message.
+ */
+class SlashCommands {
+    constructor(codasisProvider, testGenerator) {
+        this.codasisProvider = codasisProvider;
+        this.testGenerator = testGenerator;
+    }
+    /**
+     * Every available command; a workspace command may not shadow a built-in.
+     */
+    list() {
+        const builtins = SlashCommands.builtins.map(command => ({ name: command.name, description: command.description }));
+        const custom = SlashCommands.customCommands()
+            .filter(command => !SlashCommands.builtins.some(builtin => builtin.name === command.name))
+            .map(command => ({ name: command.name, description: command.description || 'Workspace command', custom: true }));
+        return [...builtins, ...custom];
+    }
+    /**
+     * Split "/name rest" into the command and its free-text input. Unknown
+     * names are left alone so messages that merely start with a slash still
+     * reach the chat.
+     */
+    parse(message) {
+        const match = /^\/([\w-]+)(?:\s+([\s\S]*))?$/.exec(message.trim());
+        if (!match) {
+            return undefined;
+        }
+        const name = match[1].toLowerCase();
+        const builtin = SlashCommands.builtins.find(command => command.name === name);
+        if (builtin) {
+            return { name, input: match[2] ?? '', builtin };
+        }
+        const custom = SlashCommands.customCommands().find(command => command.name === name);
+        return custom ? { name, input: match[2] ?? '', custom } : undefined;
+    }
+    /**
+     * Run a built-in command on `target` (an attachment with content,
+     * language and usually a source) and return Markdown for the chat.
+     */
+    async run(command, target, onChunk, token) {
+        const language = target.language || 'plaintext';
+        const filePath = target.source?.uri && vscode.workspace.asRelativePath(target.source.uri);
+        const sourcePath = target.source?.uri?.fsPath;
+        switch (command.name) {
+            case 'explain':
+                return this.codasisProvider.explainCode(target.content, language, onChunk, token, sourcePath);
+            case 'analyze': {
+                // "/analyze testing" narrows the retrieved context like the backend's focus areas
+                const focus = SlashCommands.focusAreas.find(area => area === command.input.trim().toLowerCase()) ?? 'general';
+                return this.codasisProvider.smartAnalyzeCode(target.content, language, { focus_area: focus }, onChunk, token);
+            }
+            case 'tests': {
+                const plan = target.source?.uri?.scheme === 'file' ? await this.testGenerator.plan(target.source.uri, language) : undefined;
+                const tests = await this.testGenerator.generate(target.content, language, plan, token);
+                if (!plan) {
+                    return `Tests for \`${target.label}\`:\n\n${SlashCommands.asCodeBlock(tests, language)}`;
+                }
+                // The block is the whole test file, existing tests included, so Apply can replace it
+                const testPath = vscode.workspace.asRelativePath(plan.testUri);
+                return `${plan.framework.name} tests for \`${target.label}\`${plan.existingTests ? `, added to the existing tests in \`${testPath}\`` : ` in \`${testPath}\``}:\n\n${SlashCommands.asCodeBlock(tests, language, testPath)}`;
+            }
+            case 'refactor': {
+                const refactored = await this.codasisProvider.refactorCode(target.content, language, token, undefined, sourcePath);
+                return `Refactored \`${target.label}\`:\n\n${SlashCommands.asCodeBlock(refactored, language, filePath)}`;
+            }
+            case 'fix': {
+                const diagnostics = target.source?.uri ? SlashCommands.diagnosticsFor(target.source.uri, target.source.range) : [];
+                return this.codasisProvider.fixCode(target.content, language, diagnostics, command.input, filePath, onChunk, token, sourcePath);
+            }
+            case 'doc':
+                return this.codasisProvider.documentCode(target.content, language, filePath, onChunk, token, sourcePath);
+            default:
+                throw new Error(`Unknown command /${command.name}`);
+        }
+    }
+    /**
+     * The chat message for a workspace command: `{input}`, `{file}` and
+     * `{language}` in its prompt are filled in, the code itself travels as an
+     * attachment.
+     */
+    expand(command, target) {
+        const values = {
+            input: command.input,
+            file: target?.source?.uri ? vscode.workspace.asRelativePath(target.source.uri) : target?.label ?? '',
+            language: target?.language ?? ''
+        };
+        const prompt = command.custom.prompt.replace(/\{(input|file|language)\}/g, (_match, key) => values[key]);
+        // Without an {input} placeholder, free text after the command is appended
+        return command.input && !command.custom.prompt.includes('{input}') ? `${prompt}\n\n${command.input}` : prompt;
+    }
+    static customCommands() {
+        const commands = vscode.workspace.getConfiguration('codasis').get('chat.customCommands', []);
+        return (Array.isArray(commands) ? commands : [])
+            .filter(command => command && /^[\w-]+$/.test(command.name ?? '') && typeof command.prompt === 'string')
+            .map(command => ({ ...command, name: command.name.toLowerCase() }));
+    }
+    /**
+     * Fence bare code, or name the file on the first unnamed fence of
+     * Markdown output, so Apply knows where the code belongs.
+     */
+    static asCodeBlock(text, language, filePath) {
+        if (/^```/m.test(text)) {
+            return filePath ? text.replace(/^```([\w#+-]*)[ \t]*$/m, (_match, fenceLanguage) => `\`\`\`${fenceLanguage || language} ${filePath}`) : text;
+        }
+        const info = filePath ? `${language} ${filePath}` : language;
+        return `\`\`\`${info}\n${text.replace(/\n+$/, '')}\n\`\`\``;
+    }
+    static diagnosticsFor(uri, range) {
+        const severities = ['Error', 'Warning', 'Info', 'Hint'];
+        return vscode.languages.getDiagnostics(uri)
+            .filter(diagnostic => !range || range.intersection(diagnostic.range))
+            .map(diagnostic => `Line ${diagnostic.range.start.line + 1}: ${severities[diagnostic.severity]}: ${diagnostic.message}${diagnostic.source ? ` (${diagnostic.source})` : ''}`);
+    }
+}
+exports.SlashCommands = SlashCommands;
+SlashCommands.builtins = [
+    { name: 'explain', description: 'Explain the selected or mentioned code' },
+    { name: 'tests', description: 'Generate unit tests' },
+    { name: 'refactor', description: 'Refactor for readability and maintainability' },
+    { name: 'analyze', description: 'Analyse structure, issues and performance' },
+    { name: 'fix', description: 'Fix problems reported for the code' },
+    { name: 'doc', description: 'Add documentation comments' }
+];
+SlashCommands.focusAreas = ['general', 'debugging', 'refactoring', 'testing'];
+//# sourceMappingURL=SlashCommands.js.map
@@ -0,0 +1,335 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TestGenerator = void 0;
+const vscode = require("vscode");
+const path = require("path");
+const ModelOutput_1 = require("./ModelOutput");
+/**
+ * Writes generated tests into the project's own test file. The framework
+ * comes from the nearest package.json, composer.json or Python project
+ * file, the test path follows the project's conventions, and an existing
+ * test file is sent along so the model extends it instead of repeating it.
+ * The result is previewed as a diff through CodeApplier before it is saved.
+ */
+class TestGenerator {
+    constructor(apiClient, codeApplier) {
+        this.apiClient = apiClient;
+        this.codeApplier = codeApplier;
+    }
+    /**
+     * Generate tests for `code` from `document` and offer them for the
+     * test file. Resolves to the plan once the change is applied. Code
+     * that is not saved in a file gets its tests in an untitled editor.
+     */
+    async generateInto(document, code, label) {
+        const generated = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: `🧪 Generating tests for ${label}...`,
+            cancellable: true
+        }, async (progress, token) => {
+            progress.report({ message: 'Detecting the test framework...' });
+            const plan = document.uri.scheme === 'file' ? await this.plan(document.uri, document.languageId) : undefined;
+            if (plan) {
+                progress.report({ message: `Writing ${plan.framework.name} tests for ${vscode.workspace.asRelativePath(plan.testUri)}...` });
+            }
+            return { plan, tests: await this.generate(code, document.languageId, plan, token) };
+        });
+        if (!generated.plan) {
+            const testDocument = await vscode.workspace.openTextDocument({ content: generated.tests, language: document.languageId });
+            await vscode.window.showTextDocument(testDocument, vscode.ViewColumn.Beside);
+            return undefined;
+        }
+        return await this.codeApplier.proposeFile(generated.plan.testUri, generated.tests) ? generated.plan : undefined;
+    }
+    /**
+     * Test code for `code`; with a plan the reply is the whole test file,
+     * including the tests it already had.
+     */
+    async generate(code, language, plan, token) {
+        const context = plan ? {
+            framework: plan.framework.name,
+            source_path: vscode.workspace.asRelativePath(plan.sourceUri),
+            test_path: vscode.workspace.asRelativePath(plan.testUri),
+            import_hint: plan.importHint,
+            existing_tests: plan.existingTests,
+            failures: plan.failures
+        } : {};
+        const tests = ModelOutput_1.ModelOutput.stripFences(await this.apiClient.generateTests(code, language, token, context, plan?.sourceUri.fsPath) ?? '');
+        if (!tests) {
+            throw new Error('The model returned no tests');
+        }
+        return `${tests}\n`;
+    }
+    /**
+     * Framework, project root, test file and import hint for tests of `uri`.
+     */
+    async plan(uri, language) {
+        const { framework, root } = await this.detectFramework(uri, language);
+        const { testUri, existingTests } = await TestGenerator.extendable(await this.testPathFor(uri, language, framework, root));
+        if (existingTests !== undefined) {
+            // The existing tests are sent to the model, which replies with the whole file
+            this.apiClient.redactor.assertAllowed(testUri.fsPath);
+        }
+        return {
+            sourceUri: uri,
+            framework,
+            root,
+            testUri,
+            existingTests: existingTests || undefined,
+            importHint: this.importHint(uri, testUri, language, framework, root)
+        };
+    }
+    async detectFramework(uri, language) {
+        const folder = vscode.workspace.getWorkspaceFolder(uri)?.uri;
+        switch (language) {
+            case 'javascript':
+            case 'javascriptreact':
+            case 'typescript':
+            case 'typescriptreact': {
+                const manifest = await TestGenerator.findUp(uri, ['package.json'], folder);
+                const json = manifest && await TestGenerator.readJson(manifest);
+                const dependencies = { ...json?.dependencies, ...json?.devDependencies };
+                const framework = TestGenerator.frameworks.find(candidate => candidate.packages?.some(name => name in dependencies))
+                    ?? TestGenerator.frameworks.find(candidate => candidate.id === 'jest');
+                return { framework, root: manifest ? vscode.Uri.joinPath(manifest, '..') : folder };
+            }
+            case 'php': {
+                const manifest = await TestGenerator.findUp(uri, ['composer.json'], folder);
+                const json = manifest && await TestGenerator.readJson(manifest);
+                const id = json && ('pestphp/pest' in { ...json.require, ...json['require-dev'] }) ? 'pest' : 'phpunit';
+                return { framework: { ...TestGenerator.frameworks.find(candidate => candidate.id === id), composer: json }, root: manifest ? vscode.Uri.joinPath(manifest, '..') : folder };
+            }
+            case 'python': {
+                const manifest = await TestGenerator.findUp(uri, ['pyproject.toml', 'pytest.ini', 'setup.cfg', 'setup.py', 'requirements.txt'], folder);
+                return { framework: TestGenerator.frameworks.find(candidate => candidate.id === 'pytest'), root: manifest ? vscode.Uri.joinPath(manifest, '..') : folder };
+            }
+            case 'go': {
+                const manifest = await TestGenerator.findUp(uri, ['go.mod'], folder);
+                return { framework: { id: 'go', name: 'Go testing package' }, root: manifest ? vscode.Uri.joinPath(manifest, '..') : folder };
+            }
+            default: {
+                const name = { java: 'JUnit', csharp: 'NUnit' }[language] ?? 'the appropriate testing framework';
+                return { framework: { id: language, name }, root: folder };
+            }
+        }
+    }
+    /**
+     * An existing test file for the source wins; otherwise the convention
+     * of the language, following the project's layout where it shows one.
+     */
+    async testPathFor(uri, language, framework, root) {
+        const extension = path.posix.extname(uri.path);
+        const base = path.posix.basename(uri.path, extension);
+        const directory = vscode.Uri.joinPath(uri, '..');
+        const candidates = [];
+        let fallback;
+        switch (framework.id) {
+            case 'jest':
+            case 'vitest':
+            case 'mocha': {
+                for (const suffix of ['test', 'spec']) {
+                    candidates.push(vscode.Uri.joinPath(directory, '__tests__', `${base}.${suffix}${extension}`), vscode.Uri.joinPath(directory, `${base}.${suffix}${extension}`));
+                    if (root) {
+                        candidates.push(vscode.Uri.joinPath(root, 'test', `${base}.${suffix}${extension}`), vscode.Uri.joinPath(root, 'tests', `${base}.${suffix}${extension}`));
+                    }
+                }
+                const style = await this.javascriptTestStyle(root);
+                const fileName = `${base}.${style.suffix}${extension}`;
+                fallback = style.location === 'colocated' ? vscode.Uri.joinPath(directory, fileName)
+                    : style.location === 'nested' ? vscode.Uri.joinPath(directory, '__tests__', fileName)
+                        : vscode.Uri.joinPath(root, style.location, fileName);
+                break;
+            }
+            case 'phpunit':
+            case 'pest': {
+                const subdirectory = root ? TestGenerator.autoloadSubdirectory(uri, root, framework.composer) : '';
+                fallback = vscode.Uri.joinPath(root ?? directory, 'tests', 'Unit', subdirectory, `${base}Test.php`);
+                candidates.push(fallback, vscode.Uri.joinPath(root ?? directory, 'tests', 'Feature', subdirectory, `${base}Test.php`));
+                break;
+            }
+            case 'pytest':
+                if (root) {
+                    candidates.push(vscode.Uri.joinPath(root, 'tests', `test_${base}.py`));
+                }
+                candidates.push(vscode.Uri.joinPath(directory, 'tests', `test_${base}.py`), vscode.Uri.joinPath(directory, `test_${base}.py`));
+                fallback = root && await TestGenerator.exists(vscode.Uri.joinPath(root, 'tests'))
+                    ? vscode.Uri.joinPath(root, 'tests', `test_${base}.py`)
+                    : vscode.Uri.joinPath(directory, `test_${base}.py`);
+                break;
+            case 'go':
+                fallback = vscode.Uri.joinPath(directory, `${base}_test.go`);
+                break;
+            case 'java':
+                // Maven and Gradle mirror src/main/java under src/test/java
+                fallback = uri.path.includes('/src/main/')
+                    ? uri.with({ path: path.posix.join(path.posix.dirname(uri.path.replace('/src/main/', '/src/test/')), `${base}Test${extension}`) })
+                    : vscode.Uri.joinPath(directory, `${base}Test${extension}`);
+                break;
+            case 'csharp':
+                fallback = vscode.Uri.joinPath(directory, `${base}Tests${extension}`);
+                break;
+            default:
+                fallback = vscode.Uri.joinPath(directory, `${base}.test${extension}`);
+        }
+        for (const candidate of candidates) {
+            if (await TestGenerator.exists(candidate)) {
+                return candidate;
+            }
+        }
+        return fallback;
+    }
+    /**
+     * `testUri` and its tests, unless they are too large to send; then the
+     * first numbered sibling (FooTest.php → Foo2Test.php, foo.test.ts →
+     * foo2.test.ts) that is new or still small enough.
+     */
+    static async extendable(testUri) {
+        const name = path.posix.basename(testUri.path);
+        const marked = /^(.+?)(Tests?|[._](?:test|spec))(\.\w+)$/.exec(name);
+        for (let n = 1;; n++) {
+            const numbered = n === 1 ? name
+                : marked ? `${marked[1]}${n}${marked[2]}${marked[3]}` : name.replace(/(\.\w+)?$/, `${n}$1`);
+            const candidate = vscode.Uri.joinPath(testUri, '..', numbered);
+            const existingTests = await TestGenerator.readText(candidate);
+            if (existingTests === undefined || existingTests.length <= TestGenerator.maxExistingTests) {
+                return { testUri: candidate, existingTests };
+            }
+        }
+    }
+    /**
+     * Where the project's JavaScript tests live (`__tests__` folders, next
+     * to their sources, or a top-level test/tests folder) and whether they
+     * are named `.test` or `.spec`. Without any tests, `__tests__` it is.
+     */
+    async javascriptTestStyle(root) {
+        const files = root
+            ? await vscode.workspace.findFiles(new vscode.RelativePattern(root, '**/*.{test,spec}.{js,jsx,mjs,cjs,ts,tsx}'), '**/node_modules/**', 50)
+            : [];
+        const specs = files.filter(file => /\.spec\.[^.]+$/.test(file.path)).length;
+        const suffix = specs > files.length / 2 ? 'spec' : 'test';
+        const topLevel = files.map(file => path.posix.relative(root.path, file.path).split('/')[0]).filter(folder => folder === 'test' || folder === 'tests');
+        if (topLevel.length && topLevel.length > files.length / 2) {
+            return { location: topLevel[0], suffix };
+        }
+        const nested = files.filter(file => file.path.includes('/__tests__/')).length;
+        return { location: files.length > 0 && nested === 0 ? 'colocated' : 'nested', suffix };
+    }
+    /**
+     * A sentence telling the model how the test file reaches the code under
+     * test, so imports resolve without editing.
+     */
+    importHint(uri, testUri, language, framework, root) {
+        switch (language) {
+            case 'javascript':
+            case 'javascriptreact':
+            case 'typescript':
+            case 'typescriptreact': {
+                let specifier = path.posix.relative(path.posix.dirname(testUri.path), uri.path).replace(/\.[cm]?[jt]sx?$/, '');
+                specifier = specifier.startsWith('.') ? specifier : `./${specifier}`;
+                return `Import the code under test from '${specifier}'.`;
+            }
+            case 'php': {
+                const composer = root && framework.composer;
+                const className = composer && TestGenerator.phpClassName(uri, root, composer.autoload?.['psr-4']);
+                const testClass = composer && TestGenerator.phpClassName(testUri, root, composer['autoload-dev']?.['psr-4']);
+                if (!className) {
+                    return undefined;
+                }
+                return `The class under test is \\${className}${testClass ? `; the test class is \\${testClass}` : ''}.`;
+            }
+            case 'python': {
+                if (!root) {
+                    return undefined;
+                }
+                const module = path.posix.relative(root.path, uri.path).replace(/\.py$/, '').replace(/^src\//, '').split('/').join('.');
+                return `Import the code under test from the module \`${module}\`.`;
+            }
+            default:
+                return undefined;
+        }
+    }
+    /**
+     * The directories below a PSR-4 source root, e.g. `Services` for
+     * app/Services/Foo.php, mirrored under tests/Unit.
+     */
+    static autoloadSubdirectory(uri, root, composer) {
+        const relative = path.posix.relative(root.path, path.posix.dirname(uri.path));
+        const sourceRoots = Object.values(composer?.autoload?.['psr-4'] ?? {}).flat().map(directory => directory.replace(/\/$/, ''));
+        const sourceRoot = sourceRoots.find(directory => relative === directory || relative.startsWith(`${directory}/`));
+        return sourceRoot ? relative.slice(sourceRoot.length + 1) : relative.split('/').slice(1).join('/');
+    }
+    static phpClassName(uri, root, psr4 = {}) {
+        const relative = path.posix.relative(root.path, uri.path).replace(/\.php$/, '');
+        for (const [namespace, directories] of Object.entries(psr4)) {
+            for (const directory of [directories].flat()) {
+                const prefix = directory.replace(/\/$/, '');
+                if (relative.startsWith(`${prefix}/`)) {
+                    return `${namespace}${relative.slice(prefix.length + 1).split('/').join('\\')}`;
+                }
+            }
+        }
+        return undefined;
+    }
+    /**
+     * The first of `names` in the directory of `uri` or above it, not
+     * leaving `stopAt` (the workspace folder).
+     */
+    static async findUp(uri, names, stopAt) {
+        let directory = vscode.Uri.joinPath(uri, '..');
+        while (true) {
+            for (const name of names) {
+                const candidate = vscode.Uri.joinPath(directory, name);
+                if (await TestGenerator.exists(candidate)) {
+                    return candidate;
+                }
+            }
+            const parent = vscode.Uri.joinPath(directory, '..');
+            if (parent.path === directory.path || (stopAt && directory.path === stopAt.path)) {
+                return undefined;
+            }
+            directory = parent;
+        }
+    }
+    static async exists(uri) {
+        try {
+            await vscode.workspace.fs.stat(uri);
+            return true;
+        }
+        catch {
+            return false;
+        }
+    }
+    static async readText(uri) {
+        // Prefer the open document so unsaved tests are not lost
+        const open = vscode.workspace.textDocuments.find(document => document.uri.toString() === uri.toString());
+        if (open) {
+            return open.getText();
+        }
+        try {
+            return Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        }
+        catch {
+            return undefined;
+        }
+    }
+    static async readJson(uri) {
+        try {
+            return JSON.parse(await TestGenerator.readText(uri));
+        }
+        catch {
+            return undefined;
+        }
+    }
+}
+exports.TestGenerator = TestGenerator;
+TestGenerator.frameworks = [
+    { id: 'vitest', name: 'Vitest', packages: ['vitest'] },
+    { id: 'jest', name: 'Jest', packages: ['jest', 'ts-jest', '@jest/globals'] },
+    { id: 'mocha', name: 'Mocha', packages: ['mocha'] },
+    { id: 'phpunit', name: 'PHPUnit' },
+    { id: 'pest', name: 'Pest' },
+    { id: 'pytest', name: 'pytest' }
+];
+// Larger test files are not sent; the tests are then written to a new file next to them
+TestGenerator.maxExistingTests = 40000;
+//# sourceMappingURL=TestGenerator.js.map
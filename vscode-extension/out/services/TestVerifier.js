@@ -0,0 +1,399 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TestVerifier = void 0;
+const vscode = require("vscode");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const child_process_1 = require("child_process");
+const TestGenerator_1 = require("./TestGenerator");
+/**
+ * Verify mode for generated tests: runs the test file with the project's
+ * runner, sends the failures back for a repaired file and repeats, up to
+ * `codasis.tests.maxRepairRounds` times. Results appear in the Test
+ * Explorer under "Codasis Generated Tests", from where the files can be
+ * run again, and in a final report.
+ */
+class TestVerifier {
+    constructor(testGenerator, logger) {
+        this.testGenerator = testGenerator;
+        this.logger = logger;
+        // Test file uri → what is needed to run it again from the Test Explorer
+        this.files = new Map();
+        this.controller = vscode.tests.createTestController('codasis-generated-tests', 'Codasis Generated Tests');
+        this.controller.createRunProfile('Run', vscode.TestRunProfileKind.Run, (request, token) => this.runFromExplorer(request, token), true);
+        this.report = vscode.window.createOutputChannel('Codasis Tests');
+    }
+    /**
+     * Called once generated tests are written: verifies them straight away
+     * when `codasis.tests.verify` is on, otherwise offers to.
+     */
+    async offer(plan, code, language) {
+        if (!vscode.workspace.getConfiguration('codasis').get('tests.verify', false)) {
+            const choice = await vscode.window.showInformationMessage(`Tests written to ${vscode.workspace.asRelativePath(plan.testUri)}`, 'Run and Repair');
+            if (choice !== 'Run and Repair') {
+                return;
+            }
+        }
+        await this.verify(plan, code, language);
+    }
+    async verify(plan, code, language) {
+        if (!vscode.workspace.isTrusted) {
+            vscode.window.showWarningMessage('Generated tests are only run in trusted workspaces');
+            return;
+        }
+        if (!TestVerifier.commandFor(plan, '')) {
+            vscode.window.showErrorMessage(`Codasis does not know how to run ${plan.framework.name} tests; set codasis.tests.command`);
+            return;
+        }
+        const maxRounds = vscode.workspace.getConfiguration('codasis').get('tests.maxRepairRounds', 3);
+        this.files.set(plan.testUri.toString(), { plan });
+        try {
+            const outcome = await vscode.window.withProgress({
+                location: vscode.ProgressLocation.Notification,
+                title: `🧪 Verifying ${vscode.workspace.asRelativePath(plan.testUri)}`,
+                cancellable: true
+            }, async (progress, token) => {
+                let rounds = 0;
+                while (true) {
+                    progress.report({ message: rounds ? `Running the repaired tests (round ${rounds} of ${maxRounds})...` : 'Running tests...' });
+                    const result = await this.runAndReport(plan, token);
+                    // Failures the model attributes to the code under test are not repaired away
+                    if (!result.tests.some(test => test.status === 'failed' && !test.suspectedBug) || rounds >= maxRounds) {
+                        return { result, rounds };
+                    }
+                    rounds++;
+                    progress.report({ message: `Asking for repairs (round ${rounds} of ${maxRounds})...` });
+                    const existingTests = await TestGenerator_1.TestGenerator.readText(plan.testUri);
+                    const repaired = await this.testGenerator.generate(code, language, { ...plan, existingTests, failures: TestVerifier.describeFailures(result) }, token);
+                    await TestVerifier.write(plan.testUri, repaired);
+                }
+            });
+            await this.showReport(plan, outcome);
+        }
+        catch (error) {
+            if (!(error instanceof vscode.CancellationError)) {
+                vscode.window.showErrorMessage(`Test verification failed: ${error.message}`);
+            }
+        }
+    }
+    /**
+     * Run one test file and publish the outcome as a test run.
+     */
+    async runAndReport(plan, token, request) {
+        const document = vscode.workspace.textDocuments.find(candidate => candidate.uri.toString() === plan.testUri.toString());
+        if (document?.isDirty) {
+            await document.save();
+        }
+        const cwd = (plan.root ?? vscode.Uri.joinPath(plan.testUri, '..')).fsPath;
+        const resultFile = path.join(os.tmpdir(), `codasis-tests-${process.pid}-${Date.now()}`);
+        const command = TestVerifier.commandFor(plan, resultFile);
+        this.logger.info(`Running generated tests: ${command.line}`);
+        const { exitCode, output } = await TestVerifier.exec(command.line, cwd, token);
+        if (token.isCancellationRequested) {
+            throw new vscode.CancellationError();
+        }
+        let tests = [];
+        try {
+            tests = TestVerifier.parse(command.format, command.format === 'go' ? output : await fs.promises.readFile(resultFile, 'utf8'));
+        }
+        catch {
+            // No report: the file did not load, or the runner has no machine-readable output
+        }
+        await fs.promises.rm(resultFile, { force: true });
+        const label = vscode.workspace.asRelativePath(plan.testUri);
+        if (!tests.length) {
+            tests = [{ name: label, title: label, status: exitCode === 0 ? 'passed' : 'failed', message: TestVerifier.tail(output) }];
+        }
+        TestVerifier.markSuspectedBugs(tests, await TestGenerator_1.TestGenerator.readText(plan.testUri) ?? '');
+        const fileItem = this.controller.items.get(plan.testUri.toString()) ?? this.controller.createTestItem(plan.testUri.toString(), label, plan.testUri);
+        this.controller.items.add(fileItem);
+        const items = tests.map(test => this.controller.createTestItem(`${fileItem.id}::${test.name}`, test.name, plan.testUri));
+        fileItem.children.replace(items);
+        const run = this.controller.createTestRun(request ?? new vscode.TestRunRequest([fileItem]), label, false);
+        run.appendOutput(output.replace(/\r?\n/g, '\r\n'));
+        tests.forEach((test, index) => {
+            if (test.status === 'passed') {
+                run.passed(items[index]);
+            }
+            else if (test.status === 'skipped') {
+                run.skipped(items[index]);
+            }
+            else {
+                run.failed(items[index], new vscode.TestMessage(test.suspectedBug ? `Suspected bug in the code under test: ${test.suspectedBug}\n\n${test.message}` : test.message || 'Failed'));
+            }
+        });
+        run.end();
+        return { tests, output, exitCode };
+    }
+    async runFromExplorer(request, token) {
+        const requested = request.include ? [...request.include] : [];
+        if (!request.include) {
+            this.controller.items.forEach(item => requested.push(item));
+        }
+        const files = new Set(requested.map(item => item.parent ?? item));
+        for (const item of files) {
+            const entry = this.files.get(item.id);
+            if (!entry || token.isCancellationRequested) {
+                continue;
+            }
+            try {
+                await this.runAndReport(entry.plan, token, request);
+            }
+            catch (error) {
+                if (!(error instanceof vscode.CancellationError)) {
+                    vscode.window.showErrorMessage(`Could not run ${item.label}: ${error.message}`);
+                }
+            }
+        }
+    }
+    async showReport(plan, { result, rounds }) {
+        const label = vscode.workspace.asRelativePath(plan.testUri);
+        const passing = result.tests.filter(test => test.status === 'passed');
+        const failing = result.tests.filter(test => test.status === 'failed' && !test.suspectedBug);
+        const suspected = result.tests.filter(test => test.status === 'failed' && test.suspectedBug);
+        this.report.clear();
+        this.report.appendLine(`${label} (${plan.framework.name}) after ${rounds} repair round${rounds === 1 ? '' : 's'}`);
+        const section = (title, tests, describe) => {
+            this.report.appendLine('');
+            this.report.appendLine(`${title} (${tests.length})`);
+            tests.forEach(test => this.report.appendLine(`  - ${describe(test)}`));
+        };
+        section('Passing', passing, test => test.name);
+        section('Failing', failing, test => `${test.name}: ${TestVerifier.firstLine(test.message)}`);
+        section('Suspected bugs in the code under test', suspected, test => `${test.name}: ${test.suspectedBug}`);
+        const summary = `${label}: ${passing.length} passing, ${failing.length} failing, ${suspected.length} suspected bug${suspected.length === 1 ? '' : 's'}`;
+        const show = failing.length || suspected.length ? vscode.window.showWarningMessage : vscode.window.showInformationMessage;
+        if (await show(summary, 'Show Report') === 'Show Report') {
+            this.report.show();
+        }
+    }
+    dispose() {
+        this.controller.dispose();
+        this.report.dispose();
+    }
+    /**
+     * The shell command for the test file and how to read its results, or
+     * undefined when the framework has no known runner.
+     */
+    static commandFor(plan, resultFile) {
+        const cwd = (plan.root ?? vscode.Uri.joinPath(plan.testUri, '..')).fsPath;
+        const file = path.relative(cwd, plan.testUri.fsPath);
+        const quote = TestVerifier.quote;
+        const custom = vscode.workspace.getConfiguration('codasis').get('tests.command', '');
+        if (custom) {
+            return { line: custom.replace(/\$\{file\}/g, quote(file)), format: 'exit' };
+        }
+        switch (plan.framework.id) {
+            case 'jest':
+                return { line: `npx jest --ci --json --outputFile=${quote(resultFile)} ${quote(file)}`, format: 'jest' };
+            case 'vitest':
+                // Vitest's JSON reporter writes Jest's format
+                return { line: `npx vitest run --reporter=json --outputFile=${quote(resultFile)} ${quote(file)}`, format: 'jest' };
+            case 'mocha':
+                return { line: `npx mocha --reporter json --reporter-option output=${quote(resultFile)} ${quote(file)}`, format: 'mocha' };
+            case 'phpunit':
+            case 'pest':
+                return { line: `${quote(path.join('vendor', 'bin', plan.framework.id))} --log-junit ${quote(resultFile)} ${quote(file)}`, format: 'junit' };
+            case 'pytest':
+                return { line: `python -m pytest --junitxml=${quote(resultFile)} ${quote(file)}`, format: 'junit' };
+            case 'go':
+                return { line: `go test -json ${quote(`./${path.dirname(file)}`)}`, format: 'go' };
+            default:
+                return undefined;
+        }
+    }
+    /**
+     * Run `command` through the shell in a process group of its own, so a
+     * cancel or the timeout stops the runner and everything it started,
+     * not just the shell.
+     */
+    static exec(command, cwd, token) {
+        return new Promise(resolve => {
+            const child = (0, child_process_1.spawn)(command, {
+                cwd,
+                shell: true,
+                detached: process.platform !== 'win32',
+                windowsHide: true,
+                env: { ...process.env, CI: 'true', FORCE_COLOR: '0', NO_COLOR: '1' }
+            });
+            let output = '';
+            let settled = false;
+            const append = (chunk) => {
+                output += chunk;
+                if (output.length > TestVerifier.maxOutput) {
+                    output = output.slice(-TestVerifier.maxOutput);
+                }
+            };
+            const finish = (exitCode) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                subscription.dispose();
+                resolve({ exitCode, output: output.replace(/\x1b\[[0-9;]*m/g, '') });
+            };
+            const timer = setTimeout(() => {
+                append(`\nStopped after ${TestVerifier.timeout / 60000} minutes\n`);
+                TestVerifier.killTree(child);
+            }, TestVerifier.timeout);
+            const subscription = token.onCancellationRequested(() => TestVerifier.killTree(child));
+            child.stdout.on('data', append);
+            child.stderr.on('data', append);
+            child.on('error', error => {
+                append(error.message);
+                finish(1);
+            });
+            child.on('close', code => finish(code ?? 1));
+        });
+    }
+    static killTree(child) {
+        try {
+            if (process.platform === 'win32') {
+                (0, child_process_1.spawn)('taskkill', ['/pid', String(child.pid), '/t', '/f'], { windowsHide: true });
+            }
+            else {
+                process.kill(-child.pid, 'SIGKILL');
+            }
+        }
+        catch {
+            // Already exited
+        }
+    }
+    static parse(format, text) {
+        switch (format) {
+            case 'jest':
+                return TestVerifier.parseJest(text);
+            case 'mocha':
+                return TestVerifier.parseMocha(text);
+            case 'junit':
+                return TestVerifier.parseJunit(text);
+            case 'go':
+                return TestVerifier.parseGo(text);
+            default:
+                return [];
+        }
+    }
+    static parseJest(text) {
+        const report = JSON.parse(text);
+        const status = (value) => value === 'passed' || value === 'failed' ? value : 'skipped';
+        return report.testResults.flatMap(suite => suite.assertionResults.length
+            ? suite.assertionResults.map(test => ({ name: test.fullName || test.title, title: test.title, status: status(test.status), message: (test.failureMessages ?? []).join('\n') }))
+            // A suite without results failed to load
+            : suite.status === 'failed' ? [{ name: path.basename(suite.name), status: 'failed', message: suite.message }] : []);
+    }
+    static parseMocha(text) {
+        const report = JSON.parse(text);
+        const pending = new Set((report.pending ?? []).map(test => test.fullTitle));
+        return report.tests.map(test => ({
+            name: test.fullTitle,
+            title: test.title,
+            status: test.err && Object.keys(test.err).length ? 'failed' : pending.has(test.fullTitle) ? 'skipped' : 'passed',
+            message: test.err?.stack ?? test.err?.message ?? ''
+        }));
+    }
+    static parseJunit(xml) {
+        const tests = [];
+        for (const match of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+            const attributes = TestVerifier.xmlAttributes(match[1]);
+            const body = match[2] ?? '';
+            const failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+            tests.push({
+                name: attributes.classname ? `${attributes.classname}::${attributes.name}` : attributes.name,
+                title: attributes.name,
+                status: failure ? 'failed' : /<skipped\b/.test(body) ? 'skipped' : 'passed',
+                message: failure ? TestVerifier.unescapeXml(failure[3] ?? TestVerifier.xmlAttributes(failure[2]).message ?? '') : ''
+            });
+        }
+        return tests;
+    }
+    static parseGo(output) {
+        const tests = new Map();
+        for (const line of output.split('\n')) {
+            let event;
+            try {
+                event = JSON.parse(line);
+            }
+            catch {
+                continue;
+            }
+            if (!event.Test) {
+                continue;
+            }
+            const test = tests.get(event.Test) ?? { name: event.Test, title: event.Test, status: 'passed', message: '' };
+            if (event.Action === 'output') {
+                test.message += event.Output;
+            }
+            else if (event.Action in TestVerifier.goActions) {
+                test.status = TestVerifier.goActions[event.Action];
+            }
+            tests.set(event.Test, test);
+        }
+        return [...tests.values()].map(test => test.status === 'failed' ? test : { ...test, message: '' });
+    }
+    /**
+     * Failed tests the model marked with a "SUSPECTED BUG:" comment just
+     * above them are reported as likely bugs in the code under test.
+     */
+    static markSuspectedBugs(tests, source) {
+        const lines = source.split('\n');
+        lines.forEach((line, index) => {
+            const marker = /SUSPECTED BUG:?\s*(.*)/i.exec(line);
+            if (!marker) {
+                return;
+            }
+            const following = lines.slice(index + 1, index + 6).join('\n');
+            const reason = marker[1].replace(/\s*(\*\/|-->)\s*$/, '') || 'flagged while repairing the tests';
+            tests
+                .filter(test => test.status === 'failed' && !test.suspectedBug && test.title && following.includes(test.title))
+                .forEach(test => test.suspectedBug = reason);
+        });
+    }
+    static describeFailures(result) {
+        const failures = result.tests
+            .filter(test => test.status === 'failed' && !test.suspectedBug)
+            .map(test => `${test.name}\n${test.message}`.trim())
+            .join('\n\n');
+        return TestVerifier.tail(failures || result.output);
+    }
+    static xmlAttributes(text) {
+        return Object.fromEntries([...text.matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, key, value]) => [key, TestVerifier.unescapeXml(value)]));
+    }
+    static unescapeXml(text) {
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;|&#39;/g, "'")
+            .replace(/&#10;/g, '\n')
+            .replace(/&amp;/g, '&');
+    }
+    static async write(uri, text) {
+        const document = await vscode.workspace.openTextDocument(uri);
+        const edit = new vscode.WorkspaceEdit();
+        edit.replace(uri, new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length)), text);
+        if (!await vscode.workspace.applyEdit(edit) || !await document.save()) {
+            throw new Error(`Could not update ${vscode.workspace.asRelativePath(uri)}`);
+        }
+    }
+    static quote(value) {
+        return /^[\w@%+=:,./\\-]+$/.test(value) ? value : `"${value.replace(/(["\\$`])/g, '\\$1')}"`;
+    }
+    /**
+     * The end of long output, where runners print their failures.
+     */
+    static tail(text) {
+        return text.length > TestVerifier.maxFailureOutput ? `…\n${text.slice(-TestVerifier.maxFailureOutput)}` : text;
+    }
+    static firstLine(text) {
+        return (text ?? '').split('\n').map(line => line.trim()).find(Boolean) ?? 'failed';
+    }
+}
+exports.TestVerifier = TestVerifier;
+TestVerifier.timeout = 5 * 60 * 1000;
+TestVerifier.maxOutput = 16 * 1024 * 1024;
+TestVerifier.maxFailureOutput = 15000;
+TestVerifier.goActions = { pass: 'passed', fail: 'failed', skip: 'skipped' };
+//# sourceMappingURL=TestVerifier.js.map
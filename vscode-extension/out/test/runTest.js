@@ -0,0 +1,20 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const child_process_1 = require("child_process");
+const fs = require("fs");
+const path = require("path");
+/**
+ * Runs every suite/*.test.js file with Node's built-in test runner. The
+ * tests load ./vscode in place of the editor API, so no VS Code instance
+ * has to be downloaded or started.
+ */
+function main() {
+    const suite = path.join(__dirname, 'suite');
+    const files = fs.readdirSync(suite)
+        .filter(file => file.endsWith('.test.js'))
+        .map(file => path.join(suite, file));
+    const result = (0, child_process_1.spawnSync)(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+    process.exit(result.status ?? 1);
+}
+main();
+//# sourceMappingURL=runTest.js.map
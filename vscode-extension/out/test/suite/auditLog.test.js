@@ -0,0 +1,61 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const node_test_1 = require("node:test");
+const AuditLog_1 = require("../../services/AuditLog");
+const DAY = 24 * 60 * 60 * 1000;
+(0, node_test_1.describe)('AuditLog retention', () => {
+    const onDidChangeConfiguration = vscode_1.vscode.workspace.onDidChangeConfiguration;
+    let dir;
+    let configListeners;
+    let auditLog;
+    const entry = (id, age) => ({ id, timestamp: new Date(Date.now() - age).toISOString(), transport: 'backend', method: 'POST', endpoint: '/api/chat/', files: [], bytes: 0, tokens: 0, hash: '', attempt: 1 });
+    const ids = async () => (await auditLog.read()).map(entry => entry.id);
+    const open = async (entries) => {
+        fs.writeFileSync(path.join(dir, 'request-log.jsonl'), entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+        auditLog = new AuditLog_1.AuditLog({ info() { }, error() { } });
+        auditLog.setStorage(vscode_1.vscode.Uri.file(dir));
+        await auditLog.pruning;
+    };
+    (0, node_test_1.beforeEach)(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codasis-audit-'));
+        configListeners = [];
+        vscode_1.vscode.workspace.onDidChangeConfiguration = (listener) => {
+            configListeners.push(listener);
+            return { dispose() { } };
+        };
+        (0, vscode_1.configure)({ 'auditLog.retentionDays': 30 });
+    });
+    (0, node_test_1.afterEach)(() => {
+        auditLog.dispose();
+        vscode_1.vscode.workspace.onDidChangeConfiguration = onDidChangeConfiguration;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    (0, node_test_1.it)('drops expired entries when storage is set', async () => {
+        await open([entry('old', 40 * DAY), entry('recent', DAY)]);
+        assert.deepStrictEqual(await ids(), ['recent']);
+    });
+    (0, node_test_1.it)('prunes on append once the oldest entry has expired', async () => {
+        await open([entry('a', 10 * DAY), entry('b', 2 * DAY)]);
+        auditLog.append(entry('c', 0));
+        assert.deepStrictEqual(await ids(), ['c', 'b', 'a']);
+        // As if 25 days passed: "a" is now past the cutoff
+        (0, vscode_1.configure)({ 'auditLog.retentionDays': 5 });
+        auditLog.append(entry('d', 0));
+        auditLog.append(entry('e', 0));
+        assert.deepStrictEqual(await ids(), ['e', 'd', 'c', 'b']);
+    });
+    (0, node_test_1.it)('prunes when codasis.auditLog.retentionDays changes', async () => {
+        await open([entry('a', 10 * DAY), entry('b', 2 * DAY), entry('c', 0)]);
+        (0, vscode_1.configure)({ 'auditLog.retentionDays': 1 });
+        configListeners.forEach(listener => listener({ affectsConfiguration: (section) => section === 'codasis.auditLog' }));
+        assert.deepStrictEqual(await ids(), ['c', 'b', 'a'], 'unrelated audit log settings do not prune');
+        configListeners.forEach(listener => listener({ affectsConfiguration: (section) => section === 'codasis.auditLog.retentionDays' }));
+        assert.deepStrictEqual(await ids(), ['c']);
+    });
+});
+//# sourceMappingURL=auditLog.test.js.map
@@ -0,0 +1,53 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const node_test_1 = require("node:test");
+const CodasisAuthenticationProvider_1 = require("../../providers/CodasisAuthenticationProvider");
+(0, node_test_1.describe)('CodasisAuthenticationProvider.handleUnauthorized', () => {
+    const { window, authentication } = vscode_1.vscode;
+    const showWarningMessage = window.showWarningMessage;
+    const getSession = authentication.getSession;
+    let stored;
+    let logged;
+    let provider;
+    (0, node_test_1.beforeEach)(() => {
+        stored = new Map([[CodasisAuthenticationProvider_1.CodasisAuthenticationProvider.secretKey, JSON.stringify({ id: '1', accessToken: 'expired', account: { id: '1', label: 'Dev' }, scopes: [] })]]);
+        logged = [];
+        const secrets = {
+            get: async (key) => stored.get(key),
+            store: async (key, value) => { stored.set(key, value); },
+            delete: async (key) => { stored.delete(key); },
+            onDidChange: () => ({ dispose() { } })
+        };
+        provider = new CodasisAuthenticationProvider_1.CodasisAuthenticationProvider(secrets, {}, { info: (message) => logged.push(message) });
+    });
+    (0, node_test_1.afterEach)(() => {
+        window.showWarningMessage = showWarningMessage;
+        authentication.getSession = getSession;
+    });
+    (0, node_test_1.it)('logs a cancelled sign-in instead of rejecting', async () => {
+        window.showWarningMessage = async () => 'Sign In';
+        authentication.getSession = async () => { throw new Error('Sign in cancelled'); };
+        await provider.handleUnauthorized();
+        assert.deepStrictEqual(logged, ['Sign in did not complete: Sign in cancelled']);
+        assert.strictEqual(stored.size, 0);
+        // The next 401 prompts again
+        let prompts = 0;
+        window.showWarningMessage = async () => { prompts++; return undefined; };
+        await provider.handleUnauthorized();
+        assert.strictEqual(prompts, 1);
+    });
+    (0, node_test_1.it)('shows a single prompt for concurrent 401s', async () => {
+        let prompts = 0;
+        let answer;
+        window.showWarningMessage = () => { prompts++; return new Promise(resolve => answer = resolve); };
+        const first = provider.handleUnauthorized();
+        await new Promise(resolve => setImmediate(resolve));
+        await provider.handleUnauthorized();
+        answer(undefined);
+        await first;
+        assert.strictEqual(prompts, 1);
+    });
+});
+//# sourceMappingURL=authentication.test.js.map
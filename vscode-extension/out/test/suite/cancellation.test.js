@@ -0,0 +1,52 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const http = require("http");
+const node_test_1 = require("node:test");
+const APIClient_1 = require("../../services/APIClient");
+/**
+ * Requests made with a CancellationToken abort with it, and leave no
+ * listener behind on tokens that outlive them.
+ */
+(0, node_test_1.describe)('APIClient cancellation', () => {
+    let server;
+    let respond;
+    (0, node_test_1.before)(async () => {
+        server = http.createServer((request, response) => {
+            request.resume();
+            request.on('end', () => respond(response));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+    (0, node_test_1.after)(() => new Promise(resolve => server.close(resolve)));
+    (0, node_test_1.beforeEach)(() => {
+        (0, vscode_1.configure)({ apiUrl: `http://127.0.0.1:${server.address().port}/api` });
+    });
+    const json = (status, body) => (response) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    };
+    (0, node_test_1.it)('releases the token listener of every settled request', async () => {
+        const source = new vscode_1.vscode.CancellationTokenSource();
+        const client = new APIClient_1.APIClient();
+        respond = json(200, { explanation: 'ok' });
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual(await client.explainCode('x()', 'javascript', source.token), 'ok');
+        }
+        assert.strictEqual(source.listenerCount, 0);
+        respond = json(422, { error: 'Validation failed' });
+        await assert.rejects(client.explainCode('x()', 'javascript', source.token));
+        assert.strictEqual(source.listenerCount, 0);
+    });
+    (0, node_test_1.it)('aborts a request in flight when the token is cancelled', async () => {
+        const source = new vscode_1.vscode.CancellationTokenSource();
+        // Answered only after the client gave up
+        respond = response => setTimeout(json(200, { explanation: 'late' }), 200, response);
+        const request = new APIClient_1.APIClient().explainCode('x()', 'javascript', source.token);
+        setTimeout(() => source.cancel(), 20);
+        await assert.rejects(request, error => error instanceof vscode_1.vscode.CancellationError);
+        assert.strictEqual(source.listenerCount, 0);
+    });
+});
+//# sourceMappingURL=cancellation.test.js.map
@@ -0,0 +1,42 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const node_test_1 = require("node:test");
+const CodeApplier_1 = require("../../services/CodeApplier");
+/**
+ * Target paths named by code blocks must stay inside the workspace.
+ */
+(0, node_test_1.describe)('CodeApplier.resolvePath', () => {
+    let root;
+    let folder;
+    (0, node_test_1.before)(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'codasis-'));
+        folder = path.join(root, 'app');
+        fs.mkdirSync(path.join(folder, 'src'), { recursive: true });
+        fs.writeFileSync(path.join(folder, 'src', 'a.ts'), 'export {};\n');
+        vscode_1.vscode.workspace.workspaceFolders = [{ uri: vscode_1.vscode.Uri.file(folder), name: 'app', index: 0 }];
+    });
+    (0, node_test_1.after)(() => {
+        vscode_1.vscode.workspace.workspaceFolders = undefined;
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    (0, node_test_1.it)('resolves relative and absolute paths inside the workspace', async () => {
+        assert.strictEqual((await CodeApplier_1.CodeApplier.resolvePath('src/a.ts')).fsPath, path.join(folder, 'src', 'a.ts'));
+        assert.strictEqual((await CodeApplier_1.CodeApplier.resolvePath('src/new.ts')).fsPath, path.join(folder, 'src', 'new.ts'));
+        assert.strictEqual((await CodeApplier_1.CodeApplier.resolvePath(path.join(folder, 'b.ts'))).fsPath, path.join(folder, 'b.ts'));
+    });
+    (0, node_test_1.it)('refuses paths outside the workspace', async () => {
+        await assert.rejects(CodeApplier_1.CodeApplier.resolvePath('/etc/passwd'), /outside the workspace/);
+        await assert.rejects(CodeApplier_1.CodeApplier.resolvePath('../../x.ts'), /outside the workspace/);
+        await assert.rejects(CodeApplier_1.CodeApplier.resolvePath('src/../../x.ts'), /outside the workspace/);
+        await assert.rejects(CodeApplier_1.CodeApplier.resolvePath(`${folder}-other/x.ts`), /outside the workspace/);
+    });
+    (0, node_test_1.it)('reads the target of a `// file:` comment', () => {
+        assert.strictEqual(CodeApplier_1.CodeApplier.parseTargetComment('// file: /etc/hosts\n127.0.0.1 x'), '/etc/hosts');
+    });
+});
+//# sourceMappingURL=codeApplier.test.js.map
@@ -0,0 +1,67 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const http = require("http");
+const node_test_1 = require("node:test");
+const APIClient_1 = require("../../services/APIClient");
+const CodasisProvider_1 = require("../../providers/CodasisProvider");
+/**
+ * Code is checked against `codasis.redaction.denyGlobs` by the file it
+ * comes from, whatever file the active editor shows.
+ */
+(0, node_test_1.describe)('APIClient deny globs', () => {
+    let server;
+    let requests;
+    let bodies;
+    (0, node_test_1.before)(async () => {
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                requests.push(request.url);
+                bodies.push(JSON.parse(body));
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ explanation: 'ok', analysis: 'ok', tests: 'ok', refactoredCode: 'ok', code: 'ok', response: 'ok' }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+    (0, node_test_1.after)(() => new Promise(resolve => server.close(resolve)));
+    (0, node_test_1.beforeEach)(() => {
+        requests = [];
+        bodies = [];
+        (0, vscode_1.configure)({ apiUrl: `http://127.0.0.1:${server.address().port}/api`, streamResponses: false });
+    });
+    (0, node_test_1.afterEach)(() => {
+        vscode_1.vscode.window.activeTextEditor = undefined;
+    });
+    (0, node_test_1.it)('refuses code from a denied source file before sending it', async () => {
+        const client = new APIClient_1.APIClient();
+        const denied = /excluded from Codasis/;
+        await assert.rejects(client.explainCode('KEY=1', 'dotenv', undefined, '/work/app/.env'), denied);
+        await assert.rejects(client.analyzeCode('x', 'yaml', undefined, '/work/app/config/secrets/keys.yaml'), denied);
+        await assert.rejects(client.generateTests('x', 'javascript', undefined, {}, '/work/app/certs/server.pem'), denied);
+        await assert.rejects(client.refactorCode('x', 'javascript', undefined, undefined, '/work/app/.env.local'), denied);
+        await assert.rejects(client.editCode({ instruction: 'x', code: 'x' }, undefined, '/work/app/secrets/a.js'), denied);
+        await assert.rejects(client.streamExplanation('x', 'javascript', () => undefined, undefined, '/work/app/id_rsa'), denied);
+        assert.deepStrictEqual(requests, []);
+    });
+    (0, node_test_1.it)('does not judge the code by the active editor', async () => {
+        vscode_1.vscode.window.activeTextEditor = { document: { uri: vscode_1.vscode.Uri.file('/work/app/.env') } };
+        const client = new APIClient_1.APIClient();
+        assert.strictEqual(await client.explainCode('add(1, 2)', 'javascript', undefined, '/work/app/src/a.ts'), 'ok');
+        assert.strictEqual(await client.refactorCode('add(1, 2)', 'javascript'), 'ok');
+        assert.deepStrictEqual(requests, ['/api/ai/explain', '/api/ai/refactor']);
+    });
+    (0, node_test_1.it)('asks /fix and /doc about the source file', async () => {
+        vscode_1.vscode.window.activeTextEditor = { document: { uri: vscode_1.vscode.Uri.file('/work/app/.env'), languageId: 'dotenv' } };
+        const provider = new CodasisProvider_1.CodasisProvider(new APIClient_1.APIClient());
+        assert.strictEqual(await provider.fixCode('add(1, 2)', 'javascript', [], '', 'src/a.ts', undefined, undefined, '/work/app/src/a.ts'), 'ok');
+        assert.strictEqual(await provider.documentCode('add(1, 2)', 'javascript', 'src/a.ts', undefined, undefined, '/work/app/src/a.ts'), 'ok');
+        assert.deepStrictEqual(bodies.map(body => body.current_file), ['/work/app/src/a.ts', '/work/app/src/a.ts']);
+        assert.match(await provider.fixCode('KEY=1', 'dotenv', [], '', '.env', undefined, undefined, '/work/app/.env'), /excluded from Codasis/);
+        assert.strictEqual(requests.length, 2);
+    });
+});
+//# sourceMappingURL=deniedFiles.test.js.map
@@ -0,0 +1,84 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const node_test_1 = require("node:test");
+const IndexingManager_1 = require("../../services/IndexingManager");
+const Redactor_1 = require("../../services/Redactor");
+/**
+ * What IndexingManager sends, with a recording API client and an
+ * in-memory workspaceState.
+ */
+(0, node_test_1.describe)('IndexingManager', () => {
+    const folder = { uri: vscode_1.vscode.Uri.file('/work/app'), name: 'app', index: 0 };
+    let calls;
+    let manager;
+    const indexed = (paths) => {
+        const files = Object.fromEntries(paths.map(fsPath => [fsPath, { hash: fsPath, mtime: 1, size: 1 }]));
+        return new Map([[IndexingManager_1.IndexingManager.manifestKey, { [folder.uri.fsPath]: { files, lastIndexedAt: 1 } }]]);
+    };
+    const createManager = (state) => new IndexingManager_1.IndexingManager({
+        indexFiles: async (_root, files, deleted) => {
+            calls.push({ files, deleted });
+            return { stats: { files_removed: deleted.length } };
+        },
+        isBackgroundPaused: () => false,
+        isLocalTransport: () => false,
+        redactor: new Redactor_1.Redactor({ info: () => undefined, warn: () => undefined })
+    }, {
+        get: (key, defaultValue) => state.has(key) ? state.get(key) : defaultValue,
+        update: async (key, value) => { state.set(key, value); }
+    }, { info: () => undefined, error: () => undefined });
+    (0, node_test_1.beforeEach)(() => {
+        calls = [];
+        vscode_1.vscode.workspace.workspaceFolders = [folder];
+        (0, vscode_1.configure)({ 'indexing.debounceMs': 60000 });
+    });
+    (0, node_test_1.afterEach)(() => {
+        manager?.dispose();
+        vscode_1.vscode.workspace.workspaceFolders = undefined;
+        vscode_1.vscode.workspace.findFiles = async () => [];
+    });
+    (0, node_test_1.it)('sends removals in batches the backend accepts', async () => {
+        const paths = Array.from({ length: 120 }, (_, i) => `/work/app/src/file${i}.ts`);
+        const state = indexed(paths);
+        manager = createManager(state);
+        const stats = await manager.send(folder, [], [...paths], undefined, {});
+        assert.deepStrictEqual(calls.map(call => call.deleted.length), [50, 50, 20]);
+        assert.deepStrictEqual(calls.flatMap(call => call.deleted), paths);
+        assert.strictEqual(stats.files_removed, 120);
+        assert.deepStrictEqual(state.get(IndexingManager_1.IndexingManager.manifestKey)[folder.uri.fsPath].files, {});
+    });
+    (0, node_test_1.it)('expands a deleted folder to the indexed files inside it', () => {
+        manager = createManager(indexed(['/work/app/src/a.ts', '/work/app/src/deep/b.ts', '/work/app/srcx/c.ts', '/work/app/d.ts']));
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/src'), 'deleted');
+        assert.deepStrictEqual([...manager.pending], [['/work/app/src/a.ts', 'deleted'], ['/work/app/src/deep/b.ts', 'deleted']]);
+    });
+    (0, node_test_1.it)('ignores events for other files that are not indexable', () => {
+        manager = createManager(indexed(['/work/app/src/a.ts']));
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/image.png'), 'changed');
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/node_modules/x.js'), 'changed');
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/assets'), 'deleted');
+        assert.strictEqual(manager.pending.size, 0);
+    });
+    (0, node_test_1.it)('ignores watcher events for denied files', () => {
+        manager = createManager(indexed([]));
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/secrets/prod.yaml'), 'changed');
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/config/secrets/keys.json'), 'changed');
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/src/server.key.json'), 'changed');
+        manager.enqueue(vscode_1.vscode.Uri.file('/work/app/src/app.ts'), 'changed');
+        assert.deepStrictEqual([...manager.pending.keys()], ['/work/app/src/server.key.json', '/work/app/src/app.ts']);
+    });
+    (0, node_test_1.it)('leaves denied files out of a sync and drops those indexed before', async () => {
+        const state = indexed(['/work/app/src/app.ts', '/work/app/secrets/prod.yaml']);
+        manager = createManager(state);
+        manager.stat = async () => ({ mtime: 2, size: 2 });
+        manager.describe = async (uri) => ({ hash: `new ${uri.fsPath}`, mtime: 2, size: 2 });
+        vscode_1.vscode.workspace.findFiles = async () => ['src/app.ts', 'src/new.ts', 'secrets/prod.yaml', 'config/secrets/keys.json']
+            .map(file => vscode_1.vscode.Uri.file(`/work/app/${file}`));
+        await manager.sync(folder);
+        assert.deepStrictEqual(calls, [{ files: ['/work/app/src/app.ts', '/work/app/src/new.ts'], deleted: ['/work/app/secrets/prod.yaml'] }]);
+        assert.deepStrictEqual(Object.keys(state.get(IndexingManager_1.IndexingManager.manifestKey)[folder.uri.fsPath].files), ['/work/app/src/app.ts', '/work/app/src/new.ts']);
+    });
+});
+//# sourceMappingURL=indexingManager.test.js.map
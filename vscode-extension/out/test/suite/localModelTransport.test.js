@@ -0,0 +1,162 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const http = require("http");
+const node_test_1 = require("node:test");
+const LocalModelTransport_1 = require("../../services/LocalModelTransport");
+/**
+ * LocalModelTransport against fake OpenAI-compatible and Ollama servers.
+ */
+(0, node_test_1.describe)('LocalModelTransport', () => {
+    let server;
+    let respond;
+    let requests;
+    (0, node_test_1.before)(async () => {
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                const received = { url: request.url, headers: request.headers, body: JSON.parse(body) };
+                requests.push(received);
+                respond(response, received, request);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+    (0, node_test_1.after)(() => new Promise(resolve => server.close(resolve)));
+    (0, node_test_1.beforeEach)(() => {
+        requests = [];
+    });
+    const useOpenAI = () => (0, vscode_1.configure)({
+        'transport': 'openai',
+        'localModel.url': `http://127.0.0.1:${server.address().port}/v1/`,
+        'localModel.model': 'qwen-coder',
+        'localModel.apiKey': 'sk-local'
+    });
+    const useOllama = () => (0, vscode_1.configure)({
+        'transport': 'ollama',
+        'localModel.url': `http://127.0.0.1:${server.address().port}`,
+        'localModel.model': 'llama3'
+    });
+    const json = (body) => (response) => {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    };
+    const writeInPieces = (pieces) => async (response) => {
+        response.writeHead(200);
+        for (const piece of pieces) {
+            response.write(piece);
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        response.end();
+    };
+    const openAIReply = (content) => json({ choices: [{ message: { role: 'assistant', content } }] });
+    const openAIDelta = (content) => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+    const ollamaDelta = (content, done = false) => `${JSON.stringify({ message: { role: 'assistant', content }, done })}\n`;
+    (0, node_test_1.describe)('OpenAI-compatible', () => {
+        (0, node_test_1.beforeEach)(useOpenAI);
+        (0, node_test_1.it)('posts to /chat/completions and reads the non-streamed reply', async () => {
+            respond = openAIReply('It adds two numbers.');
+            const result = await new LocalModelTransport_1.LocalModelTransport().askQuestion({ prompt: 'What does add do?', context: 'function add(a, b)', maxTokens: 500, temperature: 0.2 });
+            assert.deepStrictEqual(result, { response: 'It adds two numbers.', model: 'qwen-coder' });
+            const [request] = requests;
+            assert.strictEqual(request.url, '/v1/chat/completions');
+            assert.strictEqual(request.headers.authorization, 'Bearer sk-local');
+            assert.deepStrictEqual(request.body, {
+                model: 'qwen-coder',
+                messages: [{ role: 'user', content: 'function add(a, b)\n\nWhat does add do?' }],
+                stream: false,
+                temperature: 0.2,
+                max_tokens: 500
+            });
+        });
+        (0, node_test_1.it)('streams SSE deltas split across chunks', async () => {
+            const delta = openAIDelta('Hello') + openAIDelta(' there');
+            respond = writeInPieces([delta.slice(0, 17), delta.slice(17, 60), delta.slice(60), 'data: [DONE]\n\n']);
+            const texts = [];
+            const result = await new LocalModelTransport_1.LocalModelTransport().streamQuestion({ prompt: 'Hi' }, (_delta, text) => texts.push(text));
+            assert.deepStrictEqual(result, { text: 'Hello there' });
+            assert.deepStrictEqual(texts, ['Hello', 'Hello there']);
+            assert.strictEqual(requests[0].body.stream, true);
+        });
+        (0, node_test_1.it)('keeps the conversation history between chat messages', async () => {
+            const transport = new LocalModelTransport_1.LocalModelTransport();
+            respond = openAIReply('First answer');
+            const first = await transport.sendChatMessage('First question', undefined, {});
+            respond = writeInPieces([openAIDelta('Second answer'), 'data: [DONE]\n\n']);
+            const second = await transport.streamChatMessage('Second question', first.conversationId, () => undefined);
+            assert.strictEqual(second.conversationId, first.conversationId);
+            respond = openAIReply('Third answer');
+            await transport.sendChatMessage('Third question', first.conversationId, {});
+            assert.deepStrictEqual(requests[2].body.messages, [
+                { role: 'user', content: 'First question' },
+                { role: 'assistant', content: 'First answer' },
+                { role: 'user', content: 'Second question' },
+                { role: 'assistant', content: 'Second answer' },
+                { role: 'user', content: 'Third question' }
+            ]);
+            // An unknown conversation starts from scratch
+            await transport.sendChatMessage('Elsewhere', 'unknown-id', {});
+            assert.deepStrictEqual(requests[3].body.messages, [{ role: 'user', content: 'Elsewhere' }]);
+        });
+    });
+    (0, node_test_1.describe)('Ollama', () => {
+        (0, node_test_1.beforeEach)(useOllama);
+        (0, node_test_1.it)('posts to /api/chat and reads the non-streamed reply', async () => {
+            respond = json({ message: { role: 'assistant', content: 'Looks fine.' }, done: true });
+            const analysis = await new LocalModelTransport_1.LocalModelTransport().analyzeCode('let x = 1;', 'javascript', {});
+            assert.strictEqual(analysis, 'Looks fine.');
+            const [request] = requests;
+            assert.strictEqual(request.url, '/api/chat');
+            assert.strictEqual(request.headers.authorization, undefined);
+            assert.strictEqual(request.body.model, 'llama3');
+            assert.strictEqual(request.body.stream, false);
+            assert.deepStrictEqual(request.body.options, { temperature: 0.7, num_predict: 2000 });
+        });
+        (0, node_test_1.it)('streams newline-delimited JSON split across chunks', async () => {
+            const lines = ollamaDelta('Line') + ollamaDelta(' by line') + ollamaDelta('', true);
+            respond = writeInPieces([lines.slice(0, 10), lines.slice(10, 45), lines.slice(45)]);
+            const deltas = [];
+            const result = await new LocalModelTransport_1.LocalModelTransport().streamExplanation('x()', 'javascript', delta => deltas.push(delta));
+            assert.deepStrictEqual(result, { text: 'Line by line' });
+            assert.deepStrictEqual(deltas, ['Line', ' by line']);
+        });
+        (0, node_test_1.it)('keeps the conversation history between chat messages', async () => {
+            const transport = new LocalModelTransport_1.LocalModelTransport();
+            respond = writeInPieces([ollamaDelta('Hi!'), ollamaDelta('', true)]);
+            const first = await transport.streamChatMessage('Hello', undefined, () => undefined);
+            respond = json({ message: { role: 'assistant', content: 'Sure.' }, done: true });
+            await transport.sendChatMessage('Help me', first.conversationId, {});
+            assert.deepStrictEqual(requests[1].body.messages, [
+                { role: 'user', content: 'Hello' },
+                { role: 'assistant', content: 'Hi!' },
+                { role: 'user', content: 'Help me' }
+            ]);
+        });
+    });
+    (0, node_test_1.describe)('cancellation', () => {
+        (0, node_test_1.beforeEach)(useOllama);
+        (0, node_test_1.it)('stops a stream with the text so far and closes the connection', async () => {
+            let closed;
+            const connectionClosed = new Promise(resolve => closed = resolve);
+            respond = (response, _received, request) => {
+                response.writeHead(200);
+                response.write(ollamaDelta('partial'));
+                request.socket.on('close', closed);
+            };
+            const controller = new AbortController();
+            const result = await new LocalModelTransport_1.LocalModelTransport().streamQuestion({ prompt: 'Long answer' }, () => controller.abort(), controller.signal);
+            assert.deepStrictEqual(result, { text: 'partial' });
+            await connectionClosed;
+        });
+        (0, node_test_1.it)('rejects a non-streamed request aborted in flight', async () => {
+            respond = response => setTimeout(json({ message: { content: 'late' } }), 200, response);
+            const controller = new AbortController();
+            const request = new LocalModelTransport_1.LocalModelTransport().explainCode('x()', 'javascript', { signal: controller.signal });
+            setTimeout(() => controller.abort(), 20);
+            await assert.rejects(request, { name: 'CanceledError' });
+        });
+    });
+});
+//# sourceMappingURL=localModelTransport.test.js.map
@@ -0,0 +1,14 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const assert = require("assert");
+const node_test_1 = require("node:test");
+const ModelOutput_1 = require("../../services/ModelOutput");
+(0, node_test_1.describe)('ModelOutput.stripFences', () => {
+    (0, node_test_1.it)('keeps the first fenced block', () => {
+        assert.strictEqual(ModelOutput_1.ModelOutput.stripFences('Here you go:\n```ts\nconst a = 1;\n```\nand\n```\nother\n```'), 'const a = 1;');
+    });
+    (0, node_test_1.it)('trims unfenced code', () => {
+        assert.strictEqual(ModelOutput_1.ModelOutput.stripFences('\n\n  const a = 1;\n\n'), '  const a = 1;');
+    });
+});
+//# sourceMappingURL=modelOutput.test.js.map
@@ -0,0 +1,141 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const http = require("http");
+const node_test_1 = require("node:test");
+const APIClient_1 = require("../../services/APIClient");
+const CircuitBreaker_1 = require("../../services/CircuitBreaker");
+const quietLogger = { info() { }, warn() { }, error() { } };
+(0, node_test_1.describe)('CircuitBreaker', () => {
+    (0, node_test_1.it)('opens after consecutive failures, probes after the cooldown and closes on success', async () => {
+        const breaker = new CircuitBreaker_1.CircuitBreaker(2, 20);
+        const states = [];
+        breaker.onDidChangeState(state => states.push(state));
+        breaker.recordFailure();
+        assert.strictEqual(breaker.isOpen(), false);
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        assert.strictEqual(breaker.isOpen(), false, 'a success resets the count');
+        breaker.recordFailure();
+        assert.strictEqual(breaker.isOpen(), true);
+        assert.strictEqual(breaker.allowRequest(), false);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.strictEqual(breaker.allowRequest(), true);
+        assert.strictEqual(breaker.state, 'half-open');
+        // A failed probe reopens at once
+        breaker.recordFailure();
+        assert.strictEqual(breaker.isOpen(), true);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.strictEqual(breaker.allowRequest(), true);
+        breaker.recordSuccess();
+        assert.deepStrictEqual(states, ['open', 'half-open', 'open', 'half-open', 'closed']);
+        breaker.dispose();
+    });
+});
+/**
+ * APIClient retries against a local server that answers with queued
+ * statuses. `delay` is replaced so backoff is recorded instead of waited.
+ */
+(0, node_test_1.describe)('APIClient retries', () => {
+    let server;
+    let replies;
+    let requests;
+    let client;
+    let delays;
+    (0, node_test_1.before)(async () => {
+        server = http.createServer((request, response) => {
+            request.resume();
+            request.on('end', () => {
+                requests.push(`${request.method} ${request.url}`);
+                const { status, headers = {} } = replies.shift() ?? { status: 200 };
+                response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                response.end(JSON.stringify({ status }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+    (0, node_test_1.after)(() => new Promise(resolve => server.close(resolve)));
+    (0, node_test_1.beforeEach)(() => {
+        replies = [];
+        requests = [];
+        delays = [];
+        (0, vscode_1.configure)({ apiUrl: `http://127.0.0.1:${server.address().port}/api` });
+        client = new APIClient_1.APIClient(quietLogger);
+        client.delay = async (ms) => { delays.push(ms); };
+    });
+    const statusOf = (promise) => promise.then(response => response.status, error => error.response?.status ?? error.code);
+    (0, node_test_1.it)('backs off exponentially with jitter', () => {
+        for (const [attempt, base] of [[1, 500], [2, 1000], [3, 2000]]) {
+            const delay = client.getRetryDelay({}, attempt);
+            assert.ok(delay >= base && delay < base + 250, `attempt ${attempt}: ${delay}`);
+        }
+        assert.strictEqual(client.getRetryDelay({}, 10), APIClient_1.APIClient.MAX_RETRY_DELAY);
+    });
+    (0, node_test_1.it)('honours Retry-After in seconds or as a date, capped', () => {
+        const withRetryAfter = (value) => ({ response: { headers: { 'retry-after': value } } });
+        assert.strictEqual(client.getRetryDelay(withRetryAfter('3'), 1), 3000);
+        assert.strictEqual(client.getRetryDelay(withRetryAfter('0'), 1), 0);
+        assert.strictEqual(client.getRetryDelay(withRetryAfter('3600'), 1), APIClient_1.APIClient.MAX_RETRY_DELAY);
+        const dated = client.getRetryDelay(withRetryAfter(new Date(Date.now() + 5000).toUTCString()), 1);
+        assert.ok(dated > 3000 && dated <= 5000, String(dated));
+        // A date in the past or garbage falls back to backoff
+        assert.ok(client.getRetryDelay(withRetryAfter('Thu, 01 Jan 1970 00:00:00 GMT'), 1) >= 500);
+        assert.ok(client.getRetryDelay(withRetryAfter('soon'), 1) >= 500);
+    });
+    (0, node_test_1.it)('retries idempotent requests on 502/503/504 until they succeed', async () => {
+        replies = [{ status: 503 }, { status: 502 }];
+        assert.strictEqual(await statusOf(client.client.post('/ai/explain', {}, { idempotent: true })), 200);
+        assert.deepStrictEqual(requests, ['POST /api/ai/explain', 'POST /api/ai/explain', 'POST /api/ai/explain']);
+        assert.strictEqual(delays.length, 2);
+        assert.ok(delays[0] >= 500 && delays[0] < 750 && delays[1] >= 1000 && delays[1] < 1250, delays.join());
+    });
+    (0, node_test_1.it)('gives up after codasis.maxRetries', async () => {
+        (0, vscode_1.configure)({ apiUrl: `http://127.0.0.1:${server.address().port}/api`, maxRetries: 1 });
+        replies = [{ status: 504 }, { status: 504 }, { status: 504 }];
+        assert.strictEqual(await statusOf(client.client.get('/health', { silent: true })), 504);
+        assert.strictEqual(requests.length, 2);
+    });
+    (0, node_test_1.it)('does not retry a 503 on a request that is not idempotent', async () => {
+        replies = [{ status: 503 }];
+        assert.strictEqual(await statusOf(client.client.post('/chat/', {}, { silent: true })), 503);
+        assert.deepStrictEqual(requests, ['POST /api/chat/']);
+        assert.deepStrictEqual(delays, []);
+    });
+    (0, node_test_1.it)('retries a 429 on any request after Retry-After', async () => {
+        replies = [{ status: 429, headers: { 'Retry-After': '2' } }];
+        assert.strictEqual(await statusOf(client.client.post('/chat/', {})), 200);
+        assert.strictEqual(requests.length, 2);
+        assert.deepStrictEqual(delays, [2000]);
+    });
+    (0, node_test_1.it)('does not retry client errors', async () => {
+        replies = [{ status: 422 }];
+        assert.strictEqual(await statusOf(client.client.get('/health', { silent: true })), 422);
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(client.circuitBreaker.state, 'closed');
+    });
+    (0, node_test_1.it)('opens the circuit on server errors and skips background calls while open', async () => {
+        const failures = [];
+        client.onDidFailInBackground(error => failures.push(error));
+        replies = [{ status: 500 }, { status: 500 }, { status: 500 }];
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual(await statusOf(client.client.post('/chat/', {}, { silent: true })), 500);
+        }
+        assert.strictEqual(client.isBackgroundPaused(), true);
+        const skipped = client.client.post('/ai/complete', {}, { background: true });
+        assert.strictEqual(await statusOf(skipped), APIClient_1.APIClient.CIRCUIT_OPEN);
+        assert.strictEqual(requests.length, 3);
+        assert.deepStrictEqual(failures, []);
+        // No retries while the circuit is open, even for idempotent requests
+        replies = [{ status: 503 }];
+        assert.strictEqual(await statusOf(client.client.get('/health', { silent: true })), 503);
+        assert.strictEqual(requests.length, 4);
+        assert.deepStrictEqual(delays, []);
+        // A request the user asked for still goes out, and its success closes the circuit
+        assert.strictEqual(await statusOf(client.client.get('/health')), 200);
+        assert.strictEqual(client.circuitBreaker.state, 'closed');
+        assert.strictEqual(await statusOf(client.client.post('/ai/complete', {}, { background: true })), 200);
+        assert.strictEqual(requests.length, 6);
+    });
+});
+//# sourceMappingURL=resilience.test.js.map
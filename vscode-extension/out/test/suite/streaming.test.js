@@ -0,0 +1,119 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const http = require("http");
+const node_test_1 = require("node:test");
+const APIClient_1 = require("../../services/APIClient");
+/**
+ * APIClient.streamRequest against a local server that writes its events in
+ * arbitrary pieces, the way proxies and PHP output buffers split them.
+ */
+(0, node_test_1.describe)('APIClient.streamRequest', () => {
+    let server;
+    let respond;
+    let requests;
+    (0, node_test_1.before)(async () => {
+        server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => body += chunk);
+            request.on('end', () => {
+                requests.push({ url: request.url, body: JSON.parse(body), request });
+                respond(response, request);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+    (0, node_test_1.after)(() => new Promise(resolve => server.close(resolve)));
+    (0, node_test_1.beforeEach)(() => {
+        requests = [];
+        (0, vscode_1.configure)({ apiUrl: `http://127.0.0.1:${server.address().port}/api` });
+    });
+    const writeInPieces = async (response, pieces) => {
+        response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const piece of pieces) {
+            response.write(piece);
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        response.end();
+    };
+    (0, node_test_1.it)('joins SSE events split across chunks and reads the final event', async () => {
+        respond = response => writeInPieces(response, [
+            ': connected\n\ndata: {"delta":"Hel',
+            'lo"}\n\n',
+            'data: {"delta":", wor',
+            'ld"}\r\n\r\ndata: {"done":true,"conversationId":"c-1","messageId":"m-2"}\n\n',
+            'data: [DONE]\n\n'
+        ]);
+        const deltas = [];
+        const texts = [];
+        const result = await new APIClient_1.APIClient().streamRequest('/chat/', { message: 'hi' }, (delta, text) => {
+            deltas.push(delta);
+            texts.push(text);
+        });
+        assert.deepStrictEqual(deltas, ['Hello', ', world']);
+        assert.deepStrictEqual(texts, ['Hello', 'Hello, world']);
+        assert.strictEqual(result.text, 'Hello, world');
+        assert.strictEqual(result.conversationId, 'c-1');
+        assert.strictEqual(result.messageId, 'm-2');
+        assert.strictEqual(result.aborted, false);
+        assert.strictEqual(requests[0].url, '/api/chat/');
+        assert.deepStrictEqual(requests[0].body, { message: 'hi', stream: true });
+    });
+    (0, node_test_1.it)('reads newline-delimited JSON with an unterminated last line', async () => {
+        respond = response => writeInPieces(response, [
+            '{"delta":"a"}\n{"del',
+            'ta":"b"}\n',
+            '{"done":true}'
+        ]);
+        const result = await new APIClient_1.APIClient().streamRequest('/ai/ask', {}, () => undefined);
+        assert.strictEqual(result.text, 'ab');
+        assert.strictEqual(result.done, true);
+    });
+    (0, node_test_1.it)('rejects with the message of an error event', async () => {
+        respond = response => writeInPieces(response, [
+            'data: {"delta":"partial"}\n\n',
+            'data: {"error":"The model is overloaded"}\n\n'
+        ]);
+        await assert.rejects(new APIClient_1.APIClient().streamRequest('/ai/explain', {}, () => undefined), { message: 'The model is overloaded' });
+    });
+    (0, node_test_1.it)('stops on cancellation, keeps the text so far and closes the connection', async () => {
+        let closed;
+        const connectionClosed = new Promise(resolve => closed = resolve);
+        respond = (response, request) => {
+            response.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            response.write('data: {"delta":"first"}\n\n');
+            // Never ends by itself; only the client can close it
+            request.socket.on('close', closed);
+        };
+        const source = new vscode_1.vscode.CancellationTokenSource();
+        const result = await new APIClient_1.APIClient().streamRequest('/chat/', {}, () => source.cancel(), source.token);
+        assert.strictEqual(result.aborted, true);
+        assert.strictEqual(result.text, 'first');
+        await connectionClosed;
+        assert.strictEqual(source.listenerCount, 0);
+    });
+    (0, node_test_1.it)('does not send a request for an already cancelled token', async () => {
+        respond = response => writeInPieces(response, ['data: {"delta":"x"}\n\n']);
+        const source = new vscode_1.vscode.CancellationTokenSource();
+        source.cancel();
+        const result = await new APIClient_1.APIClient().streamRequest('/chat/', {}, () => undefined, source.token);
+        assert.strictEqual(result.aborted, true);
+        assert.strictEqual(result.text, '');
+    });
+});
+(0, node_test_1.describe)('APIClient.parseStreamLine', () => {
+    const client = new APIClient_1.APIClient();
+    (0, node_test_1.it)('skips blank lines, comments and event names', () => {
+        assert.strictEqual(client.parseStreamLine(''), undefined);
+        assert.strictEqual(client.parseStreamLine(': ping'), undefined);
+        assert.strictEqual(client.parseStreamLine('event: message'), undefined);
+    });
+    (0, node_test_1.it)('reads data lines with or without the space, [DONE] and plain text', () => {
+        assert.deepStrictEqual(client.parseStreamLine('data: {"delta":"a"}'), { delta: 'a' });
+        assert.deepStrictEqual(client.parseStreamLine('data:{"delta":"b"}'), { delta: 'b' });
+        assert.deepStrictEqual(client.parseStreamLine('data: [DONE]'), { done: true });
+        assert.deepStrictEqual(client.parseStreamLine('data: plain words'), { delta: 'plain words' });
+    });
+});
+//# sourceMappingURL=streaming.test.js.map
@@ -0,0 +1,52 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const node_test_1 = require("node:test");
+const TestGenerator_1 = require("../../services/TestGenerator");
+/**
+ * Test files too large to send along are left alone; the tests go to a
+ * numbered file next to them.
+ */
+(0, node_test_1.describe)('TestGenerator.extendable', () => {
+    let directory;
+    const write = (name, size) => fs.writeFileSync(path.join(directory, name), 'x'.repeat(size));
+    const extendable = async (name) => {
+        const { testUri, existingTests } = await TestGenerator_1.TestGenerator.extendable(vscode_1.vscode.Uri.file(path.join(directory, name)));
+        return [path.basename(testUri.fsPath), existingTests?.length];
+    };
+    (0, node_test_1.beforeEach)(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'codasis-'));
+    });
+    (0, node_test_1.afterEach)(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+    (0, node_test_1.it)('extends the test file when it is small enough', async () => {
+        write('add.test.ts', 100);
+        assert.deepStrictEqual(await extendable('add.test.ts'), ['add.test.ts', 100]);
+        assert.deepStrictEqual(await extendable('missing.test.ts'), ['missing.test.ts', undefined]);
+    });
+    (0, node_test_1.it)('moves on to a numbered sibling when the test file is too large', async () => {
+        const large = TestGenerator_1.TestGenerator.maxExistingTests + 1;
+        write('add.test.ts', large);
+        write('UserTest.php', large);
+        write('user_test.go', large);
+        write('test_user.py', large);
+        write('UserTests.cs', large);
+        assert.deepStrictEqual(await extendable('add.test.ts'), ['add2.test.ts', undefined]);
+        assert.deepStrictEqual(await extendable('UserTest.php'), ['User2Test.php', undefined]);
+        assert.deepStrictEqual(await extendable('user_test.go'), ['user2_test.go', undefined]);
+        assert.deepStrictEqual(await extendable('test_user.py'), ['test_user2.py', undefined]);
+        assert.deepStrictEqual(await extendable('UserTests.cs'), ['User2Tests.cs', undefined]);
+    });
+    (0, node_test_1.it)('extends a numbered sibling that still has room', async () => {
+        write('add.spec.js', TestGenerator_1.TestGenerator.maxExistingTests + 1);
+        write('add2.spec.js', TestGenerator_1.TestGenerator.maxExistingTests + 1);
+        write('add3.spec.js', 10);
+        assert.deepStrictEqual(await extendable('add.spec.js'), ['add3.spec.js', 10]);
+    });
+});
+//# sourceMappingURL=testGenerator.test.js.map
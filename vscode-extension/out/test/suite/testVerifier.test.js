@@ -0,0 +1,108 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const vscode_1 = require("../vscode");
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const node_test_1 = require("node:test");
+const TestVerifier_1 = require("../../services/TestVerifier");
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '..', '..', '..', 'test', 'fixtures', 'test-results', name), 'utf8');
+const summary = (tests) => tests.map(test => [test.name, test.status]);
+(0, node_test_1.describe)('TestVerifier report parsers', () => {
+    (0, node_test_1.it)('reads a Jest JSON report, including a suite that failed to load', () => {
+        const tests = TestVerifier_1.TestVerifier.parse('jest', fixture('jest.json'));
+        assert.deepStrictEqual(summary(tests), [
+            ['Cart adds an item', 'passed'],
+            ['Cart applies the discount', 'failed'],
+            ['Cart empties', 'skipped'],
+            ['broken.test.ts', 'failed']
+        ]);
+        assert.match(tests[1].message, /Expected: 90/);
+        assert.strictEqual(tests[1].title, 'applies the discount');
+        assert.match(tests[3].message, /Cannot find module/);
+    });
+    (0, node_test_1.it)('reads a Mocha JSON report', () => {
+        const tests = TestVerifier_1.TestVerifier.parse('mocha', fixture('mocha.json'));
+        assert.deepStrictEqual(summary(tests), [
+            ['Cart adds an item', 'passed'],
+            ['Cart applies the discount', 'failed'],
+            ['Cart empties', 'skipped']
+        ]);
+        assert.match(tests[1].message, /^AssertionError: expected 100 to equal 90/);
+    });
+    (0, node_test_1.it)('reads a PHPUnit JUnit report', () => {
+        const tests = TestVerifier_1.TestVerifier.parse('junit', fixture('phpunit.xml'));
+        assert.deepStrictEqual(summary(tests), [
+            ['Tests.Unit.Services.CartTest::test_adds_an_item', 'passed'],
+            ['Tests.Unit.Services.CartTest::test_applies_the_discount', 'failed'],
+            ['Tests.Unit.Services.CartTest::test_empties', 'skipped']
+        ]);
+        assert.match(tests[1].message, /identical to 90 & the total is wrong/);
+        assert.strictEqual(tests[1].title, 'test_applies_the_discount');
+    });
+    (0, node_test_1.it)('reads a pytest JUnit report with a setup error', () => {
+        const tests = TestVerifier_1.TestVerifier.parse('junit', fixture('pytest.xml'));
+        assert.deepStrictEqual(summary(tests), [
+            ['tests.test_cart::test_adds_an_item', 'passed'],
+            ['tests.test_cart::test_checkout', 'failed']
+        ]);
+        assert.match(tests[1].message, /fixture 'db' not found/);
+    });
+    (0, node_test_1.it)('reads go test -json output, keeping output only for failures', () => {
+        const tests = TestVerifier_1.TestVerifier.parse('go', `# example.com/shop/cart\n${fixture('go.json')}`);
+        assert.deepStrictEqual(summary(tests), [
+            ['TestAdd', 'passed'],
+            ['TestDiscount', 'failed'],
+            ['TestEmpty', 'skipped']
+        ]);
+        assert.match(tests[1].message, /got 100, want 90/);
+        assert.strictEqual(tests[0].message, '');
+    });
+});
+(0, node_test_1.describe)('TestVerifier.exec', { skip: process.platform !== 'linux' }, () => {
+    // A process that is gone or only waits to be reaped
+    const isRunning = (pid) => {
+        try {
+            return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+        }
+        catch {
+            return false;
+        }
+    };
+    const waitUntil = async (condition) => {
+        for (let i = 0; i < 50 && !condition(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        return condition();
+    };
+    (0, node_test_1.it)('reports the exit code and output', async () => {
+        const source = new vscode_1.vscode.CancellationTokenSource();
+        const result = await TestVerifier_1.TestVerifier.exec('echo out; echo err >&2; exit 3', process.cwd(), source.token);
+        assert.deepStrictEqual(result, { exitCode: 3, output: 'out\nerr\n' });
+        assert.strictEqual(source.listenerCount, 0);
+    });
+    (0, node_test_1.it)('stops the processes the runner started when cancelled', async () => {
+        const source = new vscode_1.vscode.CancellationTokenSource();
+        setTimeout(() => source.cancel(), 300);
+        const started = Date.now();
+        const result = await TestVerifier_1.TestVerifier.exec('sleep 30 & echo $!; wait', process.cwd(), source.token);
+        // Killing only the shell would leave the run waiting for sleep to close the output
+        assert.ok(Date.now() - started < 5000);
+        const pid = Number(result.output.trim());
+        assert.ok(pid > 0);
+        assert.strictEqual(await waitUntil(() => !isRunning(pid)), true);
+    });
+    (0, node_test_1.it)('stops the processes the runner started when it times out', async (context) => {
+        const timeout = TestVerifier_1.TestVerifier.timeout;
+        context.after(() => { TestVerifier_1.TestVerifier.timeout = timeout; });
+        TestVerifier_1.TestVerifier.timeout = 300;
+        const started = Date.now();
+        const result = await TestVerifier_1.TestVerifier.exec('sleep 30 & echo $!; wait', process.cwd(), new vscode_1.vscode.CancellationTokenSource().token);
+        assert.ok(Date.now() - started < 5000);
+        const pid = Number(result.output.split('\n')[0]);
+        assert.notStrictEqual(result.exitCode, 0);
+        assert.match(result.output, /Stopped after/);
+        assert.strictEqual(await waitUntil(() => !isRunning(pid)), true);
+    });
+});
+//# sourceMappingURL=testVerifier.test.js.map
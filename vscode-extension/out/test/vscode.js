@@ -0,0 +1,128 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.configuration = exports.vscode = void 0;
+exports.configure = configure;
+const Module = require("module");
+/**
+ * A stand-in for the `vscode` module, covering what the services under test
+ * touch, so they run under plain Node. Requiring this file registers it;
+ * test files require it before the code they exercise.
+ */
+exports.configuration = new Map();
+/**
+ * Replace the `codasis.*` settings seen by getConfiguration.
+ */
+function configure(values = {}) {
+    exports.configuration.clear();
+    Object.entries(values).forEach(([key, value]) => exports.configuration.set(key, value));
+}
+class EventEmitter {
+    constructor() {
+        this.listeners = new Set();
+        this.event = (listener) => {
+            this.listeners.add(listener);
+            return { dispose: () => this.listeners.delete(listener) };
+        };
+    }
+    fire(value) {
+        [...this.listeners].forEach(listener => listener(value));
+    }
+    dispose() {
+        this.listeners.clear();
+    }
+}
+class CancellationTokenSource {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.token = {
+            isCancellationRequested: false,
+            onCancellationRequested: this.emitter.event
+        };
+    }
+    /** Listeners still registered on the token, to check they are released. */
+    get listenerCount() {
+        return this.emitter.listeners.size;
+    }
+    cancel() {
+        if (!this.token.isCancellationRequested) {
+            this.token.isCancellationRequested = true;
+            this.emitter.fire();
+        }
+    }
+    dispose() {
+        this.emitter.dispose();
+    }
+}
+class CancellationError extends Error {
+    constructor() {
+        super('Canceled');
+        this.name = 'Canceled';
+    }
+}
+class Uri {
+    constructor(fsPath) {
+        this.scheme = 'file';
+        this.fsPath = fsPath;
+        this.path = fsPath;
+    }
+    static file(fsPath) {
+        return new Uri(fsPath);
+    }
+    static joinPath(base, ...segments) {
+        return new Uri(require("path").join(base.fsPath, ...segments));
+    }
+    toString() {
+        return `file://${this.fsPath}`;
+    }
+}
+class RelativePattern {
+    constructor(base, pattern) {
+        this.base = base;
+        this.pattern = pattern;
+    }
+}
+const noop = () => undefined;
+exports.vscode = {
+    EventEmitter,
+    CancellationTokenSource,
+    CancellationError,
+    Uri,
+    RelativePattern,
+    workspace: {
+        getConfiguration: () => ({
+            get: (key, defaultValue) => exports.configuration.has(key) ? exports.configuration.get(key) : defaultValue,
+            update: async (key, value) => { exports.configuration.set(key, value); }
+        }),
+        findFiles: async () => [],
+        fs: {
+            stat: (uri) => require("fs").promises.stat(uri.fsPath),
+            readFile: (uri) => require("fs").promises.readFile(uri.fsPath)
+        },
+        openTextDocument: async (uri) => ({ uri, version: 1, getText: () => require("fs").readFileSync(uri.fsPath, 'utf8') }),
+        onDidChangeConfiguration: () => ({ dispose: noop }),
+        getWorkspaceFolder: (uri) => exports.vscode.workspace.workspaceFolders?.find(folder => uri.fsPath === folder.uri.fsPath || uri.fsPath.startsWith(folder.uri.fsPath + require("path").sep)),
+        asRelativePath: (pathOrUri) => {
+            const fsPath = typeof pathOrUri === 'string' ? pathOrUri : pathOrUri.fsPath;
+            const folder = exports.vscode.workspace.getWorkspaceFolder(Uri.file(fsPath));
+            return folder ? require("path").relative(folder.uri.fsPath, fsPath) : fsPath;
+        },
+        workspaceFolders: undefined,
+        textDocuments: [],
+        isTrusted: true
+    },
+    authentication: {
+        getSession: async () => undefined
+    },
+    window: {
+        activeTextEditor: undefined,
+        createOutputChannel: () => ({ append: noop, appendLine: noop, clear: noop, show: noop, dispose: noop }),
+        showErrorMessage: async () => undefined,
+        showWarningMessage: async () => undefined,
+        showInformationMessage: async () => undefined
+    }
+};
+const load = Module._load;
+Module._load = function (request, ...rest) {
+    return request === 'vscode' ? exports.vscode : load.call(this, request, ...rest);
+};
+//# sourceMappingURL=vscode.js.map